@@ -0,0 +1,79 @@
+import { createActorMatcher, pickPersonMatch, toActorMatcher } from '../utils/actorMatching.js';
+
+describe('actorMatching', () => {
+    const person = (id, name, extra = {}) => ({
+        id,
+        name,
+        known_for_department: 'Acting',
+        popularity: 10,
+        known_for: [],
+        ...extra
+    });
+
+    describe('pickPersonMatch', () => {
+        it('should match names regardless of diacritics, case and punctuation', () => {
+            const match = pickPersonMatch('Zoe Saldana', [person(8691, 'Zoë Saldaña')]);
+
+            expect(match).toEqual({ status: 'resolved', id: 8691, tmdbName: 'Zoë Saldaña', candidates: [] });
+        });
+
+        it('should accept aliases and original names', () => {
+            expect(pickPersonMatch('Samuel L. Jackson', [person(2231, 'Samuel Jackson')], ['Samuel Jackson']).id)
+                .toBe(2231);
+            expect(pickPersonMatch('Zoe Saldana', [person(8691, 'Zoe Saldana Perego', { original_name: 'Zoe Saldana' })]).id)
+                .toBe(8691);
+        });
+
+        it('should prefer actors over crew with the same name', () => {
+            const match = pickPersonMatch('Tom Holland', [
+                person(1, 'Tom Holland', { known_for_department: 'Directing', popularity: 50 }),
+                person(1136406, 'Tom Holland')
+            ]);
+
+            expect(match).toMatchObject({ status: 'resolved', id: 1136406 });
+        });
+
+        it('should choose the most popular of several matching actors but report it as ambiguous', () => {
+            const match = pickPersonMatch('Chris Evans', [
+                person(2, 'Chris Evans', { popularity: 1 }),
+                person(16828, 'Chris Evans', { popularity: 40, known_for: [{ title: 'The Avengers' }] })
+            ]);
+
+            expect(match.status).toBe('ambiguous');
+            expect(match.id).toBe(16828);
+            expect(match.candidates.map(candidate => candidate.id)).toEqual([16828, 2]);
+            expect(match.candidates[0].knownFor).toEqual(['The Avengers']);
+        });
+
+        it('should report unresolved names with the closest search results', () => {
+            const match = pickPersonMatch('Black Panther', [person(172069, 'Chadwick Boseman')]);
+
+            expect(match).toMatchObject({ status: 'unresolved', id: null });
+            expect(match.candidates).toEqual([expect.objectContaining({ name: 'Chadwick Boseman' })]);
+        });
+    });
+
+    describe('createActorMatcher', () => {
+        const matcher = createActorMatcher([
+            { name: 'Zoe Saldaña', id: 8691 },
+            { name: 'Unresolved Actor', id: null }
+        ]);
+
+        it('should match by person ID and return the tracked display name', () => {
+            expect(matcher.match({ id: 8691, name: 'Zoë Saldana' })).toBe('Zoe Saldaña');
+        });
+
+        it('should not match resolved actors by name', () => {
+            expect(matcher.match({ id: 999, name: 'Zoe Saldaña' })).toBeNull();
+        });
+
+        it('should fall back to name matching for actors without an ID', () => {
+            expect(matcher.match({ id: 5, name: 'unresolved actor' })).toBe('Unresolved Actor');
+        });
+
+        it('should wrap a set of names', () => {
+            expect(toActorMatcher(new Set(['Zoe Saldaña'])).match({ id: 1, name: 'Zoe Saldana' })).toBe('Zoe Saldaña');
+            expect(toActorMatcher(matcher)).toBe(matcher);
+        });
+    });
+});
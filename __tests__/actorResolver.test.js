@@ -0,0 +1,52 @@
+import { jest } from '@jest/globals';
+import { ActorResolver } from '../services/actorResolver.js';
+import { MemoryCacheStore } from '../cache/memoryCacheStore.js';
+
+describe('ActorResolver', () => {
+    const searchResults = {
+        'Robert Downey Jr.': [{ id: 3223, name: 'Robert Downey Jr.', known_for_department: 'Acting', popularity: 30 }],
+        'Zoe Saldana': [{ id: 8691, name: 'Zoë Saldaña', known_for_department: 'Acting', popularity: 40 }],
+        'Black Panther': []
+    };
+
+    const createTmdbService = () => ({
+        searchPeople: jest.fn(async name => {
+            if (!(name in searchResults)) throw new Error('timeout');
+            return { results: searchResults[name] };
+        })
+    });
+
+    it('should resolve names to person IDs and report the ones it could not', async () => {
+        const resolver = new ActorResolver({ tmdbService: createTmdbService(), pinnedIds: { 'Chris Evans': 16828 } });
+
+        const { report } = await resolver.resolve(['Robert Downey Jr.', 'Zoe Saldana', 'Chris Evans', 'Black Panther', 'Nobody']);
+
+        expect(report.resolved).toEqual([
+            { name: 'Robert Downey Jr.', id: 3223, tmdbName: 'Robert Downey Jr.', pinned: false },
+            { name: 'Zoe Saldana', id: 8691, tmdbName: 'Zoë Saldaña', pinned: false },
+            { name: 'Chris Evans', id: 16828, tmdbName: null, pinned: true }
+        ]);
+        expect(report.unresolved).toEqual([{ name: 'Black Panther', candidates: [] }]);
+        expect(report.failed).toEqual([{ name: 'Nobody', message: 'timeout' }]);
+    });
+
+    it('should match cast by ID and keep unresolved names matchable by name', async () => {
+        const resolver = new ActorResolver({ tmdbService: createTmdbService(), pinnedIds: {} });
+
+        const { matcher } = await resolver.resolve(['Zoe Saldana', 'Nobody']);
+
+        expect(matcher.match({ id: 8691, name: 'Zoë Saldaña' })).toBe('Zoe Saldana');
+        expect(matcher.match({ id: 1, name: 'Nobody' })).toBe('Nobody');
+    });
+
+    it('should cache resolutions but retry failed searches', async () => {
+        const tmdbService = createTmdbService();
+        const resolver = new ActorResolver({ tmdbService, cacheStore: new MemoryCacheStore(), pinnedIds: {} });
+
+        await resolver.resolve(['Zoe Saldana', 'Nobody']);
+        await resolver.resolve(['Zoe Saldana', 'Nobody']);
+
+        expect(tmdbService.searchPeople.mock.calls.map(([name]) => name))
+            .toEqual(['Zoe Saldana', 'Nobody', 'Nobody']);
+    });
+});
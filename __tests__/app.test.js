@@ -0,0 +1,380 @@
+import { jest } from '@jest/globals';
+import { once } from 'node:events';
+import { createApp } from '../app.js';
+import { TrackingRegistry } from '../services/trackingRegistry.js';
+import { MemoryCacheStore } from '../cache/memoryCacheStore.js';
+import { closeGracefully } from '../utils/shutdown.js';
+
+const MOVIES = { 'Iron Man': 1726, 'The Avengers': 24428 };
+const CREDITS = [
+    { movieName: 'Iron Man', credits: { cast: [{ name: 'Robert Downey Jr.', character: 'Tony Stark' }], crew: [] } },
+    { movieName: 'The Avengers', credits: { cast: [{ name: 'Robert Downey Jr.', character: 'Tony Stark' }], crew: [] } }
+];
+
+/**
+ * Creates a deferred promise, to hold a TMDB response back.
+ * @returns {{promise: Promise, resolve: Function}}
+ */
+function defer() {
+    let resolve;
+    const promise = new Promise(res => {
+        resolve = res;
+    });
+    return { promise, resolve };
+}
+
+/**
+ * Creates a TMDB client stub answering with CREDITS, or with the given promise.
+ * @param {Promise} [credits]
+ * @returns {Object}
+ */
+function createTmdbService(credits = Promise.resolve({ credits: CREDITS, failures: [] })) {
+    return {
+        isConfigured: () => true,
+        getAllMoviesCredits: jest.fn(() => credits),
+        getAllMoviesDetails: jest.fn().mockResolvedValue({ details: [], failures: [] }),
+        searchPeople: jest.fn().mockResolvedValue({ results: [] })
+    };
+}
+
+/**
+ * Assembles the app with stubbed dependencies and serves it on a free port.
+ * @param {Object} [options]
+ * @param {Object} [options.tmdbService]
+ * @param {Object} [options.cacheStore]
+ * @param {boolean} [options.requireWarmCache]
+ * @returns {Promise<Object>} What createApp returns, plus the server and its URL
+ */
+async function serve({ tmdbService = createTmdbService(), cacheStore = new MemoryCacheStore(), ...options } = {}) {
+    const trackingRegistry = new TrackingRegistry({ movies: MOVIES, actors: ['Robert Downey Jr.'] });
+    const created = await createApp({ tmdbService, trackingRegistry, cacheStore, ...options });
+    const server = created.app.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    servers.push(server);
+    return { ...created, server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+const servers = [];
+
+afterEach(async () => {
+    for (const server of servers.splice(0)) {
+        server.closeAllConnections();
+        if (server.listening) await new Promise(resolve => server.close(resolve));
+    }
+});
+
+describe('createApp', () => {
+    it('should serve the API with request IDs', async () => {
+        const { url } = await serve();
+
+        const response = await fetch(`${url}/moviesPerActor`, { headers: { 'X-Request-Id': 'probe-1' } });
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('x-request-id')).toBe('probe-1');
+        expect(response.headers.get('x-failed-movies')).toBeNull();
+        expect(await response.json()).toEqual({ 'Robert Downey Jr.': ['Iron Man', 'The Avengers'] });
+    });
+
+    it('should expose the latency of answered requests on /metrics', async () => {
+        const { url } = await serve();
+
+        await fetch(`${url}/moviesPerActor`);
+        const response = await fetch(`${url}/metrics`);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toMatch(/^text\/plain;.*version=0.0.4/);
+        expect(await response.text()).toMatch(/^http_request_duration_seconds_count\{method="GET",route="\/moviesPerActor",status="200"\} [1-9]/m);
+    });
+
+    it('should answer probes without an API key or rate limit', async () => {
+        process.env.REQUIRE_API_KEY = 'true';
+        try {
+            const { url } = await serve();
+
+            const liveness = await fetch(`${url}/healthz`);
+            const data = await fetch(`${url}/moviesPerActor`);
+
+            expect(liveness.status).toBe(200);
+            expect(liveness.headers.get('ratelimit-limit')).toBeNull();
+            expect(await liveness.json()).toMatchObject({ status: 'ok' });
+            expect(data.status).toBe(401);
+        } finally {
+            delete process.env.REQUIRE_API_KEY;
+        }
+    });
+
+    it('should list the movies missing from partial data in a header', async () => {
+        const failures = [{ movieName: 'The Avengers', movieId: 24428, status: 503, reason: 'server-error' }];
+        const { url } = await serve({ tmdbService: createTmdbService(Promise.resolve({ credits: CREDITS.slice(0, 1), failures })) });
+
+        const response = await fetch(`${url}/moviesPerActor`);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('x-failed-movies')).toBe('The%20Avengers');
+        expect(await response.json()).toEqual({ 'Robert Downey Jr.': ['Iron Man'] });
+    });
+
+    it('should keep operational routes to admins and rate limit rejected keys per IP', async () => {
+        process.env.RATE_LIMIT_IP_CAPACITY = '2';
+        try {
+            const { url } = await serve();
+            const invalidKey = { headers: { 'X-Api-Key': 'not-a-key-0123456789' } };
+
+            const status = await fetch(`${url}/cache/status`);
+            const debug = await fetch(`${url}/debug/actorResolution`);
+            const rejected = await fetch(`${url}/moviesPerActor`, invalidKey);
+            const rotated = await fetch(`${url}/moviesPerActor`, { headers: { 'X-Api-Key': 'another-key-0123456789' } });
+
+            // The first two requests used up the IP's bucket, so rejected keys can't go on
+            expect(status.status).toBe(401);
+            expect(debug.status).toBe(401);
+            expect(rejected.status).toBe(429);
+            expect(await rejected.json()).toMatchObject({ code: 'RATE_LIMITED' });
+            expect(rotated.status).toBe(429);
+        } finally {
+            delete process.env.RATE_LIMIT_IP_CAPACITY;
+        }
+    });
+
+    it('should ignore unknown query parameters on the original routes but not on /v2', async () => {
+        const { url } = await serve();
+
+        const original = await fetch(`${url}/moviesPerActor?unknown=1&_=1712`);
+        const paginated = await fetch(`${url}/v2/moviesPerActor?unknown=1`);
+
+        expect(original.status).toBe(200);
+        expect(await original.json()).toEqual({ 'Robert Downey Jr.': ['Iron Man', 'The Avengers'] });
+        expect(paginated.status).toBe(400);
+        expect(await paginated.json()).toMatchObject({
+            code: 'VALIDATION_FAILED',
+            fields: [{ in: 'query', name: 'unknown', message: 'is not supported here' }]
+        });
+    });
+
+    it('should answer route parameters that are not valid percent-encoding with 400', async () => {
+        const { url } = await serve();
+
+        const response = await fetch(`${url}/actors/%E0%A4%A`);
+
+        expect(response.status).toBe(400);
+        expect(await response.json()).toMatchObject({ code: 'BAD_REQUEST' });
+    });
+
+    it('should match tracked actors and crew ignoring case and accents when editing them', async () => {
+        process.env.ADMIN_API_KEYS = 'ops:admin-key-0123456789';
+        try {
+            const { url } = await serve();
+            const headers = { 'Content-Type': 'application/json', 'X-Api-Key': 'admin-key-0123456789' };
+            const post = (path, name) => fetch(`${url}${path}`, { method: 'POST', headers, body: JSON.stringify({ name }) });
+            const remove = path => fetch(`${url}${path}`, { method: 'DELETE', headers });
+
+            expect((await post('/actors', 'Zoe Saldaña')).status).toBe(201);
+            expect((await post('/crew', 'Chloé Zhao')).status).toBe(201);
+            const duplicateActor = await post('/actors', 'zoe saldana');
+            const duplicateCrew = await post('/crew', 'chloe zhao');
+            const removedActor = await remove('/actors/zoe%20saldana');
+            const removedCrew = await remove('/crew/CHLOE%20ZHAO');
+
+            expect(duplicateActor.status).toBe(409);
+            expect(await duplicateActor.json()).toMatchObject({ code: 'DUPLICATE' });
+            expect(duplicateCrew.status).toBe(409);
+            expect(removedActor.status).toBe(204);
+            expect(removedCrew.status).toBe(204);
+            expect(await (await fetch(`${url}/actors`)).json()).toEqual(['Robert Downey Jr.']);
+            expect(await (await fetch(`${url}/crew`)).json()).toEqual([]);
+        } finally {
+            delete process.env.ADMIN_API_KEYS;
+        }
+    });
+
+    it('should only be ready once the cache is warm when required', async () => {
+        const { url, movieDataService } = await serve({ requireWarmCache: true });
+
+        const cold = await fetch(`${url}/readyz`);
+        await movieDataService.warmUp();
+        const warm = await fetch(`${url}/readyz`);
+
+        expect(cold.status).toBe(503);
+        expect(await cold.json()).toMatchObject({ ready: false, checks: { cacheWarm: { ok: false, required: true } } });
+        expect(warm.status).toBe(200);
+        expect(await warm.json()).toMatchObject({ ready: true, status: 'ready' });
+    });
+});
+
+describe('change events', () => {
+    const diff = {
+        actors: { added: [{ actorName: 'Robert Downey Jr.', movieName: 'Iron Man 3' }], removed: [] },
+        characters: { added: [], removed: [] },
+        recasts: { added: [], removed: [] }
+    };
+
+    /**
+     * Reads a stream until its text contains the given string, or it ends.
+     * @param {ReadableStreamDefaultReader} reader
+     * @param {string} [until]
+     * @returns {Promise<string>}
+     */
+    async function readUntil(reader, until) {
+        const decoder = new TextDecoder();
+        let text = '';
+        while (until === undefined || !text.includes(until)) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            text += decoder.decode(value, { stream: true });
+        }
+        return text;
+    }
+
+    it('should stream the events found on refresh, catch reconnecting clients up, and end on draining', async () => {
+        const { url, movieDataService, startDraining } = await serve();
+        const response = await fetch(`${url}/events?types=actor.added,actor.removed`);
+        const reader = response.body.getReader();
+        await readUntil(reader, 'retry:');
+
+        movieDataService.emit('change', { at: '2026-01-01T00:00:00.000Z', changed: ['Iron Man 3'], diff });
+        const live = await readUntil(reader, '\n\n');
+        const caughtUp = await fetch(`${url}/events`, { headers: { 'Last-Event-ID': '0' } });
+        const catchUpReader = caughtUp.body.getReader();
+        const replayed = await readUntil(catchUpReader, 'Iron Man 3');
+        startDraining();
+
+        expect(response.headers.get('content-type')).toMatch('text/event-stream');
+        expect(live).toBe(`id: 1\nevent: actor.added\ndata: ${JSON.stringify({
+            id: '1',
+            type: 'actor.added',
+            at: '2026-01-01T00:00:00.000Z',
+            data: { actorName: 'Robert Downey Jr.', movieName: 'Iron Man 3' }
+        })}\n\n`);
+        expect(replayed).toContain('id: 1\nevent: actor.added');
+        expect(await readUntil(reader)).toBe('');
+        await readUntil(catchUpReader);
+    });
+
+    it('should let admins subscribe webhooks', async () => {
+        process.env.ADMIN_API_KEYS = 'ops:admin-key-0123456789';
+        try {
+            const { url } = await serve();
+            const headers = { 'Content-Type': 'application/json', 'X-Api-Key': 'admin-key-0123456789' };
+
+            const anonymous = await fetch(`${url}/webhooks`);
+            const created = await fetch(`${url}/webhooks`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ url: 'https://receiver.test/hook', types: ['recast.added'] })
+            });
+            const body = await created.json();
+            const listed = await fetch(`${url}/webhooks`, { headers });
+            const invalid = await fetch(`${url}/webhooks`, { method: 'POST', headers, body: JSON.stringify({ url: 'nope' }) });
+            const deleted = await fetch(`${url}/webhooks/${body.id}`, { method: 'DELETE', headers });
+            const missing = await fetch(`${url}/webhooks/${body.id}`, { headers });
+
+            expect(anonymous.status).toBe(401);
+            expect(created.status).toBe(201);
+            expect(body).toMatchObject({ url: 'https://receiver.test/hook', filter: { types: ['recast.added'] } });
+            expect(body.secret).toMatch(/^[0-9a-f]{64}$/);
+            expect(await listed.json()).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+            expect(invalid.status).toBe(400);
+            expect(deleted.status).toBe(204);
+            expect(missing.status).toBe(404);
+        } finally {
+            delete process.env.ADMIN_API_KEYS;
+        }
+    });
+});
+
+describe('GraphQL', () => {
+    /**
+     * Posts a JSON body to /graphql.
+     * @param {string} url
+     * @param {Object} body
+     * @returns {Promise<Response>}
+     */
+    const post = (url, body) => fetch(`${url}/graphql`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    it('should answer queries alongside the REST routes, with errors in the body', async () => {
+        const { url } = await serve();
+
+        const response = await post(url, {
+            query: 'query ($name: String!) { actor(name: $name) { movies { name cast { characterName } } } }',
+            variables: { name: 'robert downey jr' },
+            operationName: null
+        });
+        const invalid = await post(url, { query: '{ actor { name } }' });
+        const introspection = await post(url, { query: '{ __schema { queryType { name } } }' });
+        const malformed = await post(url, { variables: {} });
+        const schema = await fetch(`${url}/graphql/schema`);
+
+        expect(response.status).toBe(200);
+        expect(await response.json()).toEqual({
+            data: {
+                actor: {
+                    movies: [
+                        { name: 'Iron Man', cast: [{ characterName: 'Tony Stark' }] },
+                        { name: 'The Avengers', cast: [{ characterName: 'Tony Stark' }] }
+                    ]
+                }
+            },
+            extensions: { cost: { depth: 4, complexity: 111, maxDepth: 10, maxComplexity: 1000 } }
+        });
+        expect(invalid.status).toBe(200);
+        expect(await invalid.json()).toEqual({
+            errors: [{
+                message: 'Field "actor" argument "name" of type "String!" is required, but it was not provided.',
+                locations: [{ line: 1, column: 3 }],
+                extensions: { code: 'GRAPHQL_VALIDATION_FAILED' }
+            }]
+        });
+        expect(await introspection.json()).toMatchObject({ data: { __schema: { queryType: { name: 'Query' } } } });
+        expect(malformed.status).toBe(400);
+        expect(await malformed.json()).toMatchObject({ code: 'VALIDATION_FAILED' });
+        expect(schema.headers.get('content-type')).toMatch('text/plain');
+        expect(await schema.text()).toContain('type Appearance {');
+    });
+});
+
+describe('closeGracefully', () => {
+    it('should let requests in flight finish, then drain and close the app', async () => {
+        const fetching = defer();
+        const credits = defer();
+        const tmdbService = createTmdbService();
+        tmdbService.getAllMoviesCredits.mockImplementation(() => {
+            fetching.resolve();
+            return credits.promise;
+        });
+        const cacheStore = Object.assign(new MemoryCacheStore(), { close: jest.fn().mockResolvedValue(undefined) });
+        const { url, server, close, healthService } = await serve({ tmdbService, cacheStore });
+
+        const inFlight = fetch(`${url}/moviesPerActor`);
+        await fetching.promise;
+        const closing = closeGracefully(server, { cleanup: close, timeoutMs: 5000 });
+        credits.resolve({ credits: CREDITS, failures: [] });
+
+        const response = await inFlight;
+        expect(response.status).toBe(200);
+        expect(await closing).toEqual({ timedOut: false });
+        expect(server.listening).toBe(false);
+        expect(cacheStore.close).toHaveBeenCalled();
+        expect((await healthService.getReadiness()).status).toBe('draining');
+    });
+
+    it('should cut connections still open after the timeout', async () => {
+        const fetching = defer();
+        const tmdbService = createTmdbService();
+        tmdbService.getAllMoviesCredits.mockImplementation(() => {
+            fetching.resolve();
+            return new Promise(() => {});
+        });
+        const { url, server } = await serve({ tmdbService });
+        const hanging = fetch(`${url}/moviesPerActor`).catch(error => error);
+        await fetching.promise;
+
+        const outcome = await closeGracefully(server, { timeoutMs: 50 });
+
+        expect(outcome).toEqual({ timedOut: true });
+        expect(await hanging).toMatchObject({ message: 'fetch failed' });
+    });
+});
@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { MemoryKeyStore, parseApiKeys, hashApiKey } from '../auth/index.js';
+import { createApiKeyMiddleware, requireAdmin } from '../middleware/auth.js';
+import { AuthError } from '../utils/errors.js';
+
+const KEY = 'mobile-key-0123456789';
+const ADMIN_KEY = 'admin-key-0123456789';
+
+/**
+ * Minimal Express request with the given headers.
+ * @param {Object.<string, string>} [headers]
+ * @returns {Object}
+ */
+function createRequest(headers = {}) {
+    const lowercased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { get: name => lowercased[name.toLowerCase()] };
+}
+
+describe('parseApiKeys', () => {
+    it('should parse client:key entries', () => {
+        expect(parseApiKeys(` mobile:${KEY} , ops:${ADMIN_KEY}`, { admin: true })).toEqual([
+            { id: 'mobile', key: KEY, admin: true },
+            { id: 'ops', key: ADMIN_KEY, admin: true }
+        ]);
+        expect(parseApiKeys(undefined)).toEqual([]);
+    });
+
+    it('should reject malformed entries and short keys', () => {
+        expect(() => parseApiKeys(KEY)).toThrow('"client:key"');
+        expect(() => parseApiKeys(`:${KEY}`)).toThrow('"client:key"');
+        expect(() => parseApiKeys('mobile:short')).toThrow('at least 16 characters');
+    });
+});
+
+describe('MemoryKeyStore', () => {
+    it('should find the client of a key without holding the key', async () => {
+        const store = new MemoryKeyStore({ keys: [{ key: KEY, id: 'mobile', admin: false }] });
+
+        expect(await store.find(KEY)).toEqual({ id: 'mobile', admin: false });
+        expect(await store.find('unknown-key-0123456789')).toBeNull();
+        expect(hashApiKey(KEY)).not.toContain(KEY);
+        expect(store.size).toBe(1);
+    });
+
+    it('should reject a key given to two clients', () => {
+        expect(() => new MemoryKeyStore({
+            keys: [{ key: KEY, id: 'mobile', admin: false }, { key: KEY, id: 'web', admin: false }]
+        })).toThrow('already given to "mobile"');
+    });
+});
+
+describe('createApiKeyMiddleware', () => {
+    const keyStore = new MemoryKeyStore({
+        keys: [{ key: KEY, id: 'mobile', admin: false }, { key: ADMIN_KEY, id: 'ops', admin: true }]
+    });
+
+    const run = async (middleware, req) => {
+        const next = jest.fn();
+        await middleware(req, {}, next);
+        return next;
+    };
+
+    it('should identify clients from X-Api-Key or a Bearer token', async () => {
+        const middleware = createApiKeyMiddleware({ keyStore });
+        const fromHeader = createRequest({ 'X-Api-Key': KEY });
+        const fromBearer = createRequest({ Authorization: `Bearer ${ADMIN_KEY}` });
+
+        expect(await run(middleware, fromHeader)).toHaveBeenCalledWith();
+        await run(middleware, fromBearer);
+
+        expect(fromHeader.client).toEqual({ id: 'mobile', admin: false });
+        expect(fromBearer.client).toEqual({ id: 'ops', admin: true });
+    });
+
+    it('should let requests without a key through unless keys are required', async () => {
+        const req = createRequest();
+
+        expect(await run(createApiKeyMiddleware({ keyStore }), req)).toHaveBeenCalledWith();
+        expect(req.client).toBeNull();
+
+        const next = await run(createApiKeyMiddleware({ keyStore, required: true }), createRequest());
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ reason: 'missing-key' }));
+    });
+
+    it('should reject unknown keys', async () => {
+        const next = await run(createApiKeyMiddleware({ keyStore }), createRequest({ 'X-Api-Key': 'nope' }));
+
+        expect(next.mock.calls[0][0]).toBeInstanceOf(AuthError);
+        expect(next.mock.calls[0][0].reason).toBe('invalid-key');
+    });
+
+    it('should pass key store failures on', async () => {
+        const failure = new Error('store down');
+        const middleware = createApiKeyMiddleware({ keyStore: { find: jest.fn().mockRejectedValue(failure) } });
+
+        expect(await run(middleware, createRequest({ 'X-Api-Key': KEY }))).toHaveBeenCalledWith(failure);
+    });
+});
+
+describe('requireAdmin', () => {
+    it.each([
+        [null, 'missing-key'],
+        [{ id: 'mobile', admin: false }, 'not-admin']
+    ])('should reject client %j with %s', (client, reason) => {
+        const next = jest.fn();
+
+        requireAdmin({ client }, {}, next);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'AuthError', reason }));
+    });
+
+    it('should let admin clients through', () => {
+        const next = jest.fn();
+
+        requireAdmin({ client: { id: 'ops', admin: true } }, {}, next);
+
+        expect(next).toHaveBeenCalledWith();
+    });
+});
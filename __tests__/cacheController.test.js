@@ -0,0 +1,40 @@
+import { jest } from '@jest/globals';
+import { createCacheController } from '../controllers/cacheController.js';
+import { TmdbError } from '../utils/errors.js';
+
+describe('createCacheController', () => {
+    const createResponse = () => {
+        const res = { status: jest.fn(() => res), json: jest.fn(), set: jest.fn(() => res) };
+        return res;
+    };
+    const failure = new TmdbError('server-error', 'TMDB is down', { upstreamStatus: 503 });
+
+    it('should answer a failed refresh with the cache status', async () => {
+        const status = { cached: true, stale: true };
+        const service = {
+            refresh: jest.fn().mockRejectedValue(failure),
+            getCacheStatus: jest.fn().mockResolvedValue(status)
+        };
+        const res = createResponse();
+        const next = jest.fn();
+
+        await createCacheController(service).refreshCache({ query: {}, log: { error: jest.fn() } }, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ status }));
+    });
+
+    it('should pass the refresh failure on when the cache status fails too', async () => {
+        const service = {
+            refresh: jest.fn().mockRejectedValue(failure),
+            getCacheStatus: jest.fn().mockRejectedValue(new Error('Cache store is down'))
+        };
+        const res = createResponse();
+        const next = jest.fn();
+
+        await createCacheController(service).refreshCache({ query: {} }, res, next);
+
+        expect(next).toHaveBeenCalledWith(failure);
+        expect(res.json).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,162 @@
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { MemoryCacheStore, FileCacheStore, RedisCacheStore } from '../cache/index.js';
+
+/**
+ * In-process fake of the subset of ioredis used by RedisCacheStore.
+ * Stores raw strings and honors PX expiry like a real server.
+ */
+class FakeRedis {
+    #data = new Map();
+
+    constructor(clock) {
+        this.clock = clock;
+    }
+
+    async get(key) {
+        const entry = this.#data.get(key);
+        if (!entry || (entry.expiresAt !== null && entry.expiresAt <= this.clock.time)) return null;
+        return entry.value;
+    }
+
+    async set(key, value, mode, ttl) {
+        this.#data.set(key, { value, expiresAt: mode === 'PX' ? this.clock.time + ttl : null });
+        return 'OK';
+    }
+
+    async del(...keys) {
+        return keys.filter(key => this.#data.delete(key)).length;
+    }
+
+    async scan(_cursor, _match, pattern) {
+        const prefix = pattern.slice(0, -1);
+        return ['0', [...this.#data.keys()].filter(key => key.startsWith(prefix))];
+    }
+
+    async quit() {
+        this.closed = true;
+        return 'OK';
+    }
+}
+
+describe('cache stores', () => {
+    let tempDir;
+
+    beforeAll(async () => {
+        tempDir = await mkdtemp(path.join(os.tmpdir(), 'cache-store-test-'));
+    });
+
+    afterAll(async () => {
+        await rm(tempDir, { recursive: true, force: true });
+    });
+
+    const implementations = [
+        ['MemoryCacheStore', clock => new MemoryCacheStore({ now: () => clock.time })],
+        ['FileCacheStore', (clock, name) => new FileCacheStore({ dir: path.join(tempDir, name), now: () => clock.time })],
+        ['RedisCacheStore', clock => new RedisCacheStore({ client: new FakeRedis(clock) })]
+    ];
+
+    describe.each(implementations)('%s', (name, createStore) => {
+        let clock;
+        let store;
+        let testIndex = 0;
+
+        beforeEach(() => {
+            clock = { time: 0 };
+            // Each test gets its own directory so file stores do not share state
+            store = createStore(clock, `${name}-${testIndex++}`);
+        });
+
+        it('should return undefined for missing keys', async () => {
+            expect(await store.get('missing')).toBeUndefined();
+        });
+
+        it('should round-trip JSON values', async () => {
+            const value = { 'Chris Evans': ['The Avengers'], nested: { count: 2 } };
+            await store.set('credits:1726', value);
+
+            expect(await store.get('credits:1726')).toEqual(value);
+        });
+
+        it('should expire values after their TTL', async () => {
+            await store.set('key', 'value', { ttlMs: 100 });
+
+            clock.time = 99;
+            expect(await store.get('key')).toBe('value');
+
+            clock.time = 100;
+            expect(await store.get('key')).toBeUndefined();
+        });
+
+        it('should delete a single key', async () => {
+            await store.set('a', 1);
+            await store.set('b', 2);
+            await store.delete('a');
+
+            expect(await store.get('a')).toBeUndefined();
+            expect(await store.get('b')).toBe(2);
+        });
+
+        it('should clear all keys', async () => {
+            await store.set('a', 1);
+            await store.set('b', 2);
+            await store.clear();
+
+            expect(await store.get('a')).toBeUndefined();
+            expect(await store.get('b')).toBeUndefined();
+        });
+    });
+
+    describe('FileCacheStore', () => {
+        it('should persist values across store instances', async () => {
+            const dir = path.join(tempDir, 'persist');
+            await new FileCacheStore({ dir }).set('meta', { fetchedAt: 42 });
+
+            expect(await new FileCacheStore({ dir }).get('meta')).toEqual({ fetchedAt: 42 });
+        });
+
+        it('should treat a corrupt file as a cache miss', async () => {
+            const dir = path.join(tempDir, 'corrupt');
+            const store = new FileCacheStore({ dir });
+            await store.set('meta', 1);
+            await writeFile(path.join(dir, 'meta.json'), '{not json');
+
+            expect(await store.get('meta')).toBeUndefined();
+        });
+
+        it('should keep concurrent writes of the same key apart', async () => {
+            const dir = path.join(tempDir, 'concurrent');
+            const store = new FileCacheStore({ dir });
+            const values = Array.from({ length: 10 }, (_, i) => ({ writer: i, payload: String(i).repeat(10000 * (i + 1)) }));
+
+            await Promise.all(values.map(value => store.set('meta', value)));
+
+            expect(values).toContainEqual(await store.get('meta'));
+            expect(await readdir(dir)).toEqual(['meta.json']);
+        });
+    });
+
+    describe('RedisCacheStore', () => {
+        it('should namespace keys with the prefix and leave other keys alone on clear', async () => {
+            const client = new FakeRedis({ time: 0 });
+            await client.set('other:key', 'keep');
+            const store = new RedisCacheStore({ client, prefix: 'test:' });
+
+            await store.set('meta', { fetchedAt: 1 });
+            expect(await client.get('test:meta')).toBe('{"fetchedAt":1}');
+
+            await store.clear();
+            expect(await client.get('other:key')).toBe('keep');
+            expect(await store.get('meta')).toBeUndefined();
+        });
+
+        it('should close the connection', async () => {
+            const client = new FakeRedis({ time: 0 });
+
+            await new RedisCacheStore({ client }).close();
+
+            expect(client.closed).toBe(true);
+        });
+    });
+});
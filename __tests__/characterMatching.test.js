@@ -0,0 +1,146 @@
+import { clusterCharacterNames } from '../utils/characterMatching.js';
+import { buildCharactersWithMultipleActors } from '../utils/dataProcessor.js';
+
+/**
+ * Returns a copy of an array shuffled with a seeded generator, so failures are reproducible.
+ * @param {Array} items
+ * @param {number} seed
+ * @returns {Array}
+ */
+function shuffle(items, seed) {
+    const result = [...items];
+    let state = seed;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+describe('characterMatching', () => {
+    describe('clusterCharacterNames', () => {
+        const names = [
+            'Tony Stark',
+            'Iron Man',
+            'Tony Stark / Iron Man',
+            'Hero',
+            'Different Hero',
+            'Natalie Rushman',
+            'Black Widow',
+            'Ghost',
+            'Ghost Rider',
+            'Spiderman',
+            'Spider-Man'
+        ];
+
+        it('should produce the same clusters for any input order', () => {
+            const expected = clusterCharacterNames(names).clusters;
+
+            for (const seed of [1, 2, 3, 4, 5]) {
+                expect(clusterCharacterNames(shuffle(names, seed)).clusters).toEqual(expected);
+            }
+        });
+
+        it('should group aliases and keep unrelated names apart', () => {
+            const { clusterOf } = clusterCharacterNames(names);
+
+            expect(clusterOf('Iron Man')).toBe(clusterOf('Tony Stark'));
+            expect(clusterOf('Black Widow').id).toBe('natasha-romanoff');
+            expect(clusterOf('Spiderman')).toBe(clusterOf('Spider-Man'));
+            expect(clusterOf('Hero')).not.toBe(clusterOf('Different Hero'));
+            expect(clusterOf('Ghost')).not.toBe(clusterOf('Ghost Rider'));
+        });
+
+        it('should pick the most credited name as representative', () => {
+            const counts = new Map([['Iron Man', 3], ['Tony Stark', 1]]);
+            const { clusterOf } = clusterCharacterNames(['Tony Stark', 'Iron Man'], undefined, { counts });
+
+            expect(clusterOf('Tony Stark').representative).toBe('Iron Man');
+        });
+
+        it('should keep the ID of an unregistered character when counts change its representative', () => {
+            const names = ['Happy Hogan', 'Hogan'];
+            const before = clusterCharacterNames(names, undefined, { counts: new Map([['Happy Hogan', 3], ['Hogan', 1]]) });
+            const after = clusterCharacterNames(names, undefined, { counts: new Map([['Happy Hogan', 3], ['Hogan', 5]]) });
+
+            expect(before.clusterOf('Hogan').representative).toBe('Happy Hogan');
+            expect(after.clusterOf('Hogan').representative).toBe('Hogan');
+            expect(after.clusterOf('Hogan').id).toBe(before.clusterOf('Hogan').id);
+        });
+
+        it('should break representative ties by most name parts, then alphabetically', () => {
+            const { clusterOf } = clusterCharacterNames(names);
+
+            expect(clusterOf('Tony Stark').representative).toBe('Tony Stark / Iron Man');
+            expect(clusterOf('Black Widow').representative).toBe('Black Widow');
+        });
+
+        it('should not chain two canonical characters together through a fuzzy match', () => {
+            // "Stark" fuzzy-matches both, but they are distinct registry characters
+            const { clusterOf } = clusterCharacterNames(['Tony Stark', 'Stark', 'Howard Stark']);
+
+            expect(clusterOf('Tony Stark')).not.toBe(clusterOf('Howard Stark'));
+            expect(clusterOf('Tony Stark').id).toBe('tony-stark');
+            expect(clusterOf('Howard Stark').id).toBe('howard-stark');
+        });
+
+        it('should not chain a split-override pair together', () => {
+            // "Ghost Rider 2099" fuzzy-matches both sides of the Ghost / Ghost Rider split
+            const { clusterOf } = clusterCharacterNames(['Ghost', 'Ghost Rider', 'Ghost Rider 2099']);
+
+            expect(clusterOf('Ghost')).not.toBe(clusterOf('Ghost Rider'));
+        });
+
+        it('should give colliding slugs distinct IDs', () => {
+            const { clusters } = clusterCharacterNames(['Hero', 'Hero / Villain of the Week']);
+
+            expect(clusters.map(cluster => cluster.id)).toEqual(['hero', 'hero-2']);
+        });
+
+        it('should record the comparison that linked each name', () => {
+            const { linkOf } = clusterCharacterNames(['Tony Stark', 'Iron Man']);
+
+            expect(linkOf('Iron Man')).toMatchObject({
+                name: 'Tony Stark',
+                explanation: { matched: true, reason: 'canonical-match' }
+            });
+            expect(linkOf('Unknown')).toBeNull();
+        });
+
+        it('should cluster thousands of names quickly', () => {
+            const syllables = ['ka', 'lo', 'mi', 'ra', 'ten', 'vor', 'zel', 'bri', 'dan', 'kor', 'lis', 'mar'];
+            const word = i => syllables[i % 12] + syllables[Math.floor(i / 12) % 12] + syllables[Math.floor(i / 144) % 12];
+            const many = [];
+            for (let i = 0; i < 2700; i++) many.push(`${word(i)} ${word(i * 7 + 3)}`);
+            for (let i = 1; i <= 300; i++) many.push(`Soldier #${i}`);
+
+            const start = Date.now();
+            const { clusters } = clusterCharacterNames(many);
+
+            expect(clusters.length).toBeGreaterThan(0);
+            expect(Date.now() - start).toBeLessThan(5000);
+        });
+    });
+
+    describe('grouping through dataProcessor', () => {
+        it('should not depend on the order movies are listed in', () => {
+            const filter = new Set(['Actor One', 'Actor Two', 'Actor Three']);
+            const creditsData = [
+                { movieName: 'Movie A', credits: { cast: [{ name: 'Actor One', character: 'Stark' }] } },
+                { movieName: 'Movie B', credits: { cast: [{ name: 'Actor Two', character: 'Tony Stark' }] } },
+                { movieName: 'Movie C', credits: { cast: [{ name: 'Actor Three', character: 'Howard Stark' }] } }
+            ];
+
+            const forward = buildCharactersWithMultipleActors(creditsData, filter);
+            const reversed = buildCharactersWithMultipleActors([...creditsData].reverse(), filter);
+
+            expect(Object.keys(forward)).toEqual(['tony-stark']);
+            expect(Object.keys(reversed)).toEqual(Object.keys(forward));
+            expect(reversed['tony-stark']).toEqual(expect.arrayContaining(forward['tony-stark']));
+        });
+    });
+});
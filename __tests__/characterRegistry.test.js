@@ -0,0 +1,60 @@
+import { createCharacterRegistry, defaultCharacterRegistry, slugify } from '../utils/characterRegistry.js';
+
+describe('characterRegistry', () => {
+    const registry = defaultCharacterRegistry;
+
+    describe('normalize', () => {
+        it('should strip rank titles, quoted nicknames and parenthetical notes', () => {
+            expect(registry.normalize('Lt. Col. James \'Rhodey\' Rhodes (uncredited)')).toEqual({
+                segments: ['james rhodes'],
+                nicknames: ['rhodey']
+            });
+        });
+
+        it('should split "/"-separated names and drop diacritics and punctuation', () => {
+            expect(registry.normalize('T\'Challa / Black Panther').segments).toEqual(['tchalla', 'black panther']);
+            expect(registry.normalize('Zoë / Spider-Man').segments).toEqual(['zoe', 'spider man']);
+        });
+
+        it('should keep a bare rank title', () => {
+            expect(registry.normalize('Colonel').segments).toEqual(['colonel']);
+        });
+    });
+
+    describe('resolve', () => {
+        it('should resolve any segment or alias to the canonical ID', () => {
+            expect(registry.resolve('Natalie Rushman')).toBe('natasha-romanoff');
+            expect(registry.resolve('Colonel James Rhodes')).toBe('james-rhodes');
+            expect(registry.resolve('War Machine / Iron Patriot')).toBe('james-rhodes');
+            expect(registry.resolve('Captain America / Steve Rogers')).toBe('steve-rogers');
+        });
+
+        it('should resolve quoted nicknames', () => {
+            expect(registry.resolve('Lieutenant \'Rhodey\'')).toBe('james-rhodes');
+        });
+
+        it('should return null for unknown characters', () => {
+            expect(registry.resolve('Hero')).toBeNull();
+        });
+    });
+
+    describe('characterId', () => {
+        it('should fall back to a slug of the first segment', () => {
+            expect(registry.characterId('Agent Jasper Sitwell / Hydra')).toBe('jasper-sitwell');
+            expect(slugify('Ego the Living Planet')).toBe('ego-the-living-planet');
+        });
+    });
+
+    describe('overrides', () => {
+        it('should report merge and split pairs in either order', () => {
+            const custom = createCharacterRegistry({
+                characters: [],
+                overrides: { merge: [['Ego', 'Ego the Living Planet']], split: [['Ghost', 'Ghost Rider']] }
+            });
+
+            expect(custom.getOverride('Ego the Living Planet', 'Ego')).toBe('merge');
+            expect(custom.getOverride('Ghost Rider', 'Ghost')).toBe('split');
+            expect(custom.getOverride('Ghost', 'Ava Starr')).toBeNull();
+        });
+    });
+});
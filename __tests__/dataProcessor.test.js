@@ -1,8 +1,21 @@
 import {
     isSameCharacter,
+    explainCharacterMatch,
+    buildCharacterMatchReport,
+    buildActorCharacterMatchReport,
     buildMoviesPerActor,
     buildActorsWithMultipleCharacters,
-    buildCharactersWithMultipleActors
+    buildCharactersWithMultipleActors,
+    buildActorFilmography,
+    buildMovieCast,
+    buildAppearances,
+    buildTimeline,
+    buildCollaborationGraph,
+    findCollaborationPath,
+    buildRecastHistory,
+    buildCrewPerPerson,
+    buildActorsOnCrew,
+    diffCredits
 } from '../utils/dataProcessor.js';
 
 describe('dataProcessor', () => {
@@ -28,6 +41,20 @@ describe('dataProcessor', () => {
             expect(isSameCharacter('Tony Stark', 'Steve Rogers')).toBe(false);
             expect(isSameCharacter('Peter Parker', 'Peter Quill')).toBe(false);
         });
+
+        it('should match rank titles and quoted nicknames', () => {
+            expect(isSameCharacter('Lt. Col. James \'Rhodey\' Rhodes', 'Colonel James Rhodes')).toBe(true);
+        });
+
+        it('should match registered aliases', () => {
+            expect(isSameCharacter('Natalie Rushman', 'Natasha Romanoff')).toBe(true);
+            expect(isSameCharacter('War Machine', 'James Rhodes')).toBe(true);
+        });
+
+        it('should apply merge and split overrides before fuzzy matching', () => {
+            expect(isSameCharacter('Ego', 'Ego the Living Planet')).toBe(true);
+            expect(isSameCharacter('Ghost', 'Ghost Rider')).toBe(false);
+        });
     });
 
     // Sample test data
@@ -97,6 +124,20 @@ describe('dataProcessor', () => {
         });
     });
 
+    describe('actor matching by TMDB person ID', () => {
+        it('should filter on cast IDs and key results by the tracked display name', () => {
+            const creditsData = [
+                { movieName: 'Avatar', credits: { cast: [{ id: 8691, name: 'Zoë Saldaña', character: 'Neytiri' }] } },
+                { movieName: 'Guardians', credits: { cast: [{ id: 8691, name: 'Zoe Saldaña', character: 'Gamora' }] } },
+                { movieName: 'Other', credits: { cast: [{ id: 1, name: 'Zoe Saldana', character: 'Someone' }] } }
+            ];
+            const matcher = { match: ({ id }) => (id === 8691 ? 'Zoe Saldaña' : null) };
+
+            expect(buildMoviesPerActor(creditsData, matcher)).toEqual({ 'Zoe Saldaña': ['Avatar', 'Guardians'] });
+            expect(Object.keys(buildActorsWithMultipleCharacters(creditsData, matcher))).toEqual(['Zoe Saldaña']);
+        });
+    });
+
     describe('buildActorsWithMultipleCharacters', () => {
         it('should return actors who played multiple distinct characters', () => {
             const result = buildActorsWithMultipleCharacters(mockCreditsData, actorFilter);
@@ -104,6 +145,7 @@ describe('dataProcessor', () => {
             // Actor One plays 'Hero' and 'Different Hero' - two distinct characters
             expect(result['Actor One']).toBeDefined();
             expect(result['Actor One'].length).toBe(2); // One per distinct character
+            expect(result['Actor One'].map(a => a.characterId)).toEqual(['hero', 'different-hero']);
         });
 
         it('should not include actors who played the same character in multiple movies', () => {
@@ -145,17 +187,17 @@ describe('dataProcessor', () => {
             const result = buildCharactersWithMultipleActors(mockCreditsData, actorFilter);
 
             // 'Hero' is played by Actor One (Movie A, Movie C) and Actor Five (Movie C)
-            expect(result['Hero']).toBeDefined();
-            expect(result['Hero'].length).toBe(3);
-            expect(result['Hero']).toContainEqual({ movieName: 'Movie A', actorName: 'Actor One' });
-            expect(result['Hero']).toContainEqual({ movieName: 'Movie C', actorName: 'Actor One' });
-            expect(result['Hero']).toContainEqual({ movieName: 'Movie C', actorName: 'Actor Five' });
+            expect(result['hero']).toBeDefined();
+            expect(result['hero'].length).toBe(3);
+            expect(result['hero']).toContainEqual({ movieName: 'Movie A', actorName: 'Actor One' });
+            expect(result['hero']).toContainEqual({ movieName: 'Movie C', actorName: 'Actor One' });
+            expect(result['hero']).toContainEqual({ movieName: 'Movie C', actorName: 'Actor Five' });
         });
 
         it('should not include characters played by only one actor', () => {
             const result = buildCharactersWithMultipleActors(mockCreditsData, actorFilter);
 
-            expect(result['Villain']).toBeUndefined();
+            expect(result['villain']).toBeUndefined();
         });
 
         it('should handle empty credits data', () => {
@@ -166,8 +208,8 @@ describe('dataProcessor', () => {
         it('should only consider actors in the filter', () => {
             const result = buildCharactersWithMultipleActors(mockCreditsData, actorFilter);
 
-            expect(result['Sidekick']).toBeUndefined();
-            expect(result['New Character']).toBeUndefined();
+            expect(result['sidekick']).toBeUndefined();
+            expect(result['new-character']).toBeUndefined();
         });
 
         it('should group similar character names using fuzzy matching', () => {
@@ -192,5 +234,527 @@ describe('dataProcessor', () => {
             expect(keys.length).toBe(1);
             expect(result[keys[0]].length).toBe(2);
         });
+
+        it('should key groups by canonical character ID regardless of which name came first', () => {
+            const dataWithAliases = [
+                {
+                    movieName: 'Iron Man 2',
+                    credits: { cast: [{ name: 'Actor One', character: 'Lt. Col. James \'Rhodey\' Rhodes' }] }
+                },
+                {
+                    movieName: 'Avengers: Endgame',
+                    credits: { cast: [{ name: 'Actor Two', character: 'Colonel James Rhodes / War Machine' }] }
+                }
+            ];
+            const result = buildCharactersWithMultipleActors(dataWithAliases, actorFilter);
+
+            expect(Object.keys(result)).toEqual(['james-rhodes']);
+            expect(result['james-rhodes']).toHaveLength(2);
+        });
+    });
+
+    describe('explainCharacterMatch', () => {
+        it('should report fuzzy scores against their thresholds', () => {
+            const result = explainCharacterMatch('Hero', 'Different Hero');
+
+            expect(result).toMatchObject({
+                matched: false,
+                reason: 'fuzzy-reject',
+                canonicalIds: [null, null],
+                scores: {
+                    tokenSet: { score: 100, threshold: 80, passed: true },
+                    ratio: { threshold: 50, passed: false }
+                }
+            });
+        });
+
+        it('should name the rule that decided', () => {
+            expect(explainCharacterMatch('Natalie Rushman', 'Black Widow')).toMatchObject({
+                matched: true,
+                reason: 'canonical-match',
+                canonicalIds: ['natasha-romanoff', 'natasha-romanoff']
+            });
+            expect(explainCharacterMatch('Ghost', 'Ghost Rider').reason).toBe('split-override');
+            expect(explainCharacterMatch('Tony Stark', '').reason).toBe('empty-name');
+        });
+    });
+
+    describe('buildCharacterMatchReport', () => {
+        it('should list group members with their scores against the anchor', () => {
+            const report = buildCharacterMatchReport(mockCreditsData, actorFilter);
+            const hero = report.groups.find(group => group.characterId === 'hero');
+
+            expect(report.thresholds).toEqual({ tokenSet: 80, ratio: 50 });
+            expect(hero.anchor).toBe('Hero');
+            expect(hero.members).toEqual([
+                { name: 'Hero', movies: ['Movie A', 'Movie C'], actors: ['Actor One', 'Actor Five'], match: null, linkedVia: null }
+            ]);
+        });
+
+        it('should include near-miss candidates rejected by the anchor', () => {
+            const report = buildCharacterMatchReport(mockCreditsData, actorFilter);
+            const hero = report.groups.find(group => group.characterId === 'hero');
+
+            expect(hero.rejected).toEqual([
+                { name: 'Different Hero', match: expect.objectContaining({ matched: false, reason: 'fuzzy-reject' }) }
+            ]);
+        });
+
+        it('should explain why aliased names joined a group', () => {
+            const data = [
+                { movieName: 'Movie X', credits: { cast: [{ name: 'Actor One', character: 'Natasha Romanoff' }] } },
+                { movieName: 'Movie Y', credits: { cast: [{ name: 'Actor One', character: 'Natalie Rushman' }] } },
+                { movieName: 'Movie Z', credits: { cast: [{ name: 'Actor One', character: 'Natasha Romanoff' }] } }
+            ];
+            const [group] = buildCharacterMatchReport(data, actorFilter).groups;
+
+            expect(group.characterId).toBe('natasha-romanoff');
+            expect(group.anchor).toBe('Natasha Romanoff');
+            expect(group.members[1]).toMatchObject({
+                name: 'Natalie Rushman',
+                match: { matched: true, reason: 'canonical-match' },
+                linkedVia: { name: 'Natasha Romanoff', reason: 'canonical-match' }
+            });
+        });
+    });
+
+    describe('buildActorCharacterMatchReport', () => {
+        it('should explain the character groups of each actor', () => {
+            const report = buildActorCharacterMatchReport(mockCreditsData, actorFilter);
+
+            expect(report.actors['Actor One'].map(group => group.characterId)).toEqual(['hero', 'different-hero']);
+            expect(report.actors['Actor Two']).toHaveLength(1);
+        });
+    });
+
+    describe('buildActorFilmography', () => {
+        const creditsData = [
+            {
+                movieName: 'The Avengers',
+                credits: { cast: [{ name: 'Chris Evans', character: 'Steve Rogers / Captain America', order: 1 }] }
+            },
+            {
+                movieName: 'Fantastic Four',
+                credits: { cast: [{ name: 'Chris Evans', character: 'Johnny Storm / Human Torch', order: 2 }] }
+            },
+            {
+                movieName: 'Unreleased',
+                credits: { cast: [{ name: 'Chris Evans', character: 'Steve Rogers' }] }
+            }
+        ];
+
+        const movieInfo = new Map([
+            ['The Avengers', { releaseDate: '2012-04-25', phase: 1 }],
+            ['Fantastic Four', { releaseDate: '2005-06-29', phase: null }],
+            ['Unreleased', { releaseDate: null, phase: 6 }]
+        ]);
+
+        it('should list appearances oldest first with release year, phase and billing order', () => {
+            expect(buildActorFilmography(creditsData, new Set(['Chris Evans']), 'Chris Evans', { movieInfo })).toEqual([
+                { movieName: 'Fantastic Four', characterName: 'Johnny Storm / Human Torch', releaseYear: 2005, phase: null, billingOrder: 2 },
+                { movieName: 'The Avengers', characterName: 'Steve Rogers / Captain America', releaseYear: 2012, phase: 1, billingOrder: 1 },
+                { movieName: 'Unreleased', characterName: 'Steve Rogers', releaseYear: null, phase: 6, billingOrder: null }
+            ]);
+        });
+
+        it('should order by MCU phase, non-MCU movies last', () => {
+            const filmography = buildActorFilmography(creditsData, new Set(['Chris Evans']), 'Chris Evans', { movieInfo, sort: 'phase' });
+
+            expect(filmography.map(movie => movie.movieName)).toEqual(['The Avengers', 'Unreleased', 'Fantastic Four']);
+        });
+
+        it('should return nothing for an actor without tracked appearances', () => {
+            expect(buildActorFilmography(creditsData, new Set(['Chris Evans']), 'Mark Ruffalo')).toEqual([]);
+        });
+    });
+
+    describe('buildMovieCast', () => {
+        it('should list tracked actors of one movie in billing order', () => {
+            const creditsData = [
+                {
+                    movieName: 'The Avengers',
+                    credits: {
+                        cast: [
+                            { name: 'Scarlett Johansson', character: 'Natasha Romanoff / Black Widow', order: 5 },
+                            { name: 'Robert Downey Jr.', character: 'Tony Stark / Iron Man', order: 0 },
+                            { name: 'Paul Bettany', character: 'Jarvis (voice)', order: 20 }
+                        ]
+                    }
+                },
+                {
+                    movieName: 'Iron Man',
+                    credits: { cast: [{ name: 'Robert Downey Jr.', character: 'Tony Stark', order: 0 }] }
+                }
+            ];
+            const actorFilter = new Set(['Robert Downey Jr.', 'Scarlett Johansson']);
+
+            expect(buildMovieCast(creditsData, actorFilter, 'The Avengers')).toEqual([
+                { actorName: 'Robert Downey Jr.', characterName: 'Tony Stark / Iron Man', billingOrder: 0 },
+                { actorName: 'Scarlett Johansson', characterName: 'Natasha Romanoff / Black Widow', billingOrder: 5 }
+            ]);
+        });
+    });
+
+    describe('buildAppearances', () => {
+        it('should list appearances in movie then billing order, with characters shared across actors', () => {
+            const creditsData = [
+                {
+                    movieName: 'The Avengers',
+                    credits: {
+                        cast: [
+                            { name: 'Mark Ruffalo', character: 'Bruce Banner / The Hulk', order: 2 },
+                            { name: 'Robert Downey Jr.', character: 'Tony Stark / Iron Man', order: 0 },
+                            { name: 'Paul Bettany', character: 'Jarvis (voice)', order: 20 }
+                        ]
+                    }
+                },
+                {
+                    movieName: 'The Incredible Hulk',
+                    credits: {
+                        cast: [
+                            { name: 'Edward Norton', character: 'Bruce Banner', order: 0 },
+                            { name: 'Lou Ferrigno', character: '', order: 9 }
+                        ]
+                    }
+                }
+            ];
+            const actorFilter = new Set(['Mark Ruffalo', 'Robert Downey Jr.', 'Edward Norton', 'Lou Ferrigno']);
+
+            expect(buildAppearances(creditsData, actorFilter)).toEqual({
+                appearances: [
+                    { actorName: 'Robert Downey Jr.', movieName: 'The Avengers', characterName: 'Tony Stark / Iron Man', characterId: 'tony-stark', billingOrder: 0 },
+                    { actorName: 'Mark Ruffalo', movieName: 'The Avengers', characterName: 'Bruce Banner / The Hulk', characterId: 'bruce-banner', billingOrder: 2 },
+                    { actorName: 'Edward Norton', movieName: 'The Incredible Hulk', characterName: 'Bruce Banner', characterId: 'bruce-banner', billingOrder: 0 },
+                    { actorName: 'Lou Ferrigno', movieName: 'The Incredible Hulk', characterName: '', characterId: null, billingOrder: 9 }
+                ],
+                characters: {
+                    'tony-stark': { name: 'Tony Stark / Iron Man' },
+                    'bruce-banner': { name: 'Bruce Banner / The Hulk' }
+                }
+            });
+        });
+
+        it('should keep character IDs when credits are added', () => {
+            const credit = (movieName, character) => ({ movieName, credits: { cast: [{ name: 'Jon Favreau', character }] } });
+            const idsOf = creditsData => Object.keys(buildAppearances(creditsData, new Set(['Jon Favreau'])).characters);
+            const creditsData = [credit('Iron Man', 'Happy Hogan'), credit('Iron Man 2', 'Hogan')];
+
+            const before = idsOf(creditsData);
+            const after = idsOf([...creditsData, credit('Iron Man 3', 'Hogan'), credit('Spider-Man: Homecoming', 'Hogan')]);
+
+            expect(before).toEqual(['happy-hogan']);
+            expect(after).toEqual(before);
+        });
+    });
+
+    describe('buildTimeline', () => {
+        const creditsData = [
+            {
+                movieName: 'The Avengers',
+                credits: {
+                    cast: [
+                        { name: 'Mark Ruffalo', character: 'Bruce Banner / The Hulk' },
+                        { name: 'Chris Evans', character: 'Steve Rogers / Captain America' }
+                    ]
+                }
+            },
+            {
+                movieName: 'The Incredible Hulk',
+                credits: { cast: [{ name: 'Edward Norton', character: 'Bruce Banner' }] }
+            },
+            {
+                movieName: 'Captain America: The First Avenger',
+                credits: { cast: [{ name: 'Chris Evans', character: 'Steve Rogers / Captain America' }] }
+            },
+            {
+                movieName: 'Announced',
+                credits: { cast: [{ name: 'Chris Evans', character: 'Steve Rogers' }] }
+            }
+        ];
+        const movieInfo = new Map([
+            ['The Incredible Hulk', { releaseDate: '2008-06-12' }],
+            ['Captain America: The First Avenger', { releaseDate: '2011-07-22' }],
+            ['The Avengers', { releaseDate: '2012-04-25' }]
+        ]);
+        const actors = new Set(['Mark Ruffalo', 'Chris Evans', 'Edward Norton']);
+
+        it('should group movies and actors by release year', () => {
+            const timeline = buildTimeline(creditsData, actors, { movieInfo });
+
+            expect(timeline.years.map(({ year, movies, actors: yearActors }) => ({ year, movies, actors: yearActors }))).toEqual([
+                { year: 2008, movies: [{ name: 'The Incredible Hulk', releaseDate: '2008-06-12' }], actors: ['Edward Norton'] },
+                { year: 2011, movies: [{ name: 'Captain America: The First Avenger', releaseDate: '2011-07-22' }], actors: ['Chris Evans'] },
+                { year: 2012, movies: [{ name: 'The Avengers', releaseDate: '2012-04-25' }], actors: ['Chris Evans', 'Mark Ruffalo'] }
+            ]);
+            expect(timeline.undatedMovies).toEqual(['Announced']);
+        });
+
+        it('should report debuts and recasts in release order, whatever the tracked order', () => {
+            const { years } = buildTimeline(creditsData, actors, { movieInfo });
+
+            expect(years[0].debuts).toEqual([
+                { characterId: 'bruce-banner', characterName: 'Bruce Banner / The Hulk', movieName: 'The Incredible Hulk', actors: ['Edward Norton'] }
+            ]);
+            expect(years[1].debuts.map(debut => debut.characterId)).toEqual(['steve-rogers']);
+            expect(years[2].debuts).toEqual([]);
+            expect(years[2].recasts).toEqual([{
+                characterId: 'bruce-banner',
+                characterName: 'Bruce Banner / The Hulk',
+                movieName: 'The Avengers',
+                actorName: 'Mark Ruffalo',
+                previousActors: ['Edward Norton']
+            }]);
+        });
+    });
+
+    describe('buildCollaborationGraph', () => {
+        const creditsData = [
+            { movieName: 'Iron Man', credits: { cast: [{ name: 'Robert Downey Jr.' }, { name: 'Gwyneth Paltrow' }] } },
+            {
+                movieName: 'The Avengers',
+                credits: { cast: [{ name: 'Robert Downey Jr.' }, { name: 'Chris Evans' }, { name: 'Gwyneth Paltrow' }] }
+            },
+            { movieName: 'Fantastic Four', credits: { cast: [{ name: 'Chris Evans' }, { name: 'Michael Chiklis' }] } },
+            { movieName: 'Fantastic Four (2015)', credits: { cast: [{ name: 'Michael B. Jordan' }] } }
+        ];
+        const actors = new Set(['Robert Downey Jr.', 'Gwyneth Paltrow', 'Chris Evans', 'Michael Chiklis', 'Michael B. Jordan']);
+
+        it('should weight actor pairs by shared movies, most shared first', () => {
+            const { edges } = buildCollaborationGraph(creditsData, actors);
+
+            expect(edges).toEqual([
+                { actors: ['Gwyneth Paltrow', 'Robert Downey Jr.'], sharedCount: 2, movies: ['Iron Man', 'The Avengers'] },
+                { actors: ['Chris Evans', 'Gwyneth Paltrow'], sharedCount: 1, movies: ['The Avengers'] },
+                { actors: ['Chris Evans', 'Michael Chiklis'], sharedCount: 1, movies: ['Fantastic Four'] },
+                { actors: ['Chris Evans', 'Robert Downey Jr.'], sharedCount: 1, movies: ['The Avengers'] }
+            ]);
+        });
+
+        it('should compute degree and most frequent partners per actor', () => {
+            const { nodes } = buildCollaborationGraph(creditsData, actors);
+
+            expect(nodes['Robert Downey Jr.']).toEqual({
+                movieCount: 2,
+                degree: 2,
+                sharedMovieCount: 3,
+                topPartners: [{ actor: 'Gwyneth Paltrow', sharedCount: 2 }, { actor: 'Chris Evans', sharedCount: 1 }]
+            });
+            expect(nodes['Michael B. Jordan']).toEqual({ movieCount: 1, degree: 0, sharedMovieCount: 0, topPartners: [] });
+        });
+
+        it('should find the shortest collaboration chain', () => {
+            const graph = buildCollaborationGraph(creditsData, actors);
+
+            expect(findCollaborationPath(graph, 'Gwyneth Paltrow', 'Michael Chiklis')).toEqual({
+                from: 'Gwyneth Paltrow',
+                to: 'Michael Chiklis',
+                connected: true,
+                distance: 2,
+                path: [
+                    { actor: 'Gwyneth Paltrow', movies: [] },
+                    { actor: 'Chris Evans', movies: ['The Avengers'] },
+                    { actor: 'Michael Chiklis', movies: ['Fantastic Four'] }
+                ]
+            });
+            expect(findCollaborationPath(graph, 'Chris Evans', 'Chris Evans').distance).toBe(0);
+        });
+
+        it('should report actors without a chain as not connected', () => {
+            const graph = buildCollaborationGraph(creditsData, actors);
+
+            expect(findCollaborationPath(graph, 'Chris Evans', 'Michael B. Jordan')).toEqual({
+                from: 'Chris Evans',
+                to: 'Michael B. Jordan',
+                connected: false,
+                distance: null,
+                path: []
+            });
+        });
+    });
+
+    describe('buildRecastHistory', () => {
+        const creditsData = [
+            {
+                movieName: 'The Avengers',
+                credits: { cast: [{ name: 'Mark Ruffalo', character: 'Bruce Banner / The Hulk', order: 2 }] }
+            },
+            {
+                movieName: 'The Incredible Hulk',
+                credits: { cast: [{ name: 'Edward Norton', character: 'Bruce Banner', order: 0 }] }
+            },
+            {
+                movieName: 'Guardians of the Galaxy',
+                credits: {
+                    cast: [
+                        { name: 'Wyatt Oleff', character: 'Peter Quill (Young)', order: 12 },
+                        { name: 'Chris Pratt', character: 'Peter Quill / Star-Lord', order: 0 }
+                    ]
+                }
+            },
+            {
+                movieName: 'Avengers: Endgame',
+                credits: { cast: [{ name: 'Mark Ruffalo', character: 'Bruce Banner / Hulk', order: 2 }] }
+            }
+        ];
+        const movieInfo = new Map([
+            ['The Incredible Hulk', { releaseDate: '2008-06-12' }],
+            ['The Avengers', { releaseDate: '2012-04-25' }],
+            ['Guardians of the Galaxy', { releaseDate: '2014-07-30' }],
+            ['Avengers: Endgame', { releaseDate: '2019-04-24' }]
+        ]);
+        const actors = new Set(['Mark Ruffalo', 'Edward Norton', 'Wyatt Oleff', 'Chris Pratt']);
+
+        it('should list each tenure in chronological order with its first and last movie', () => {
+            const history = buildRecastHistory(creditsData, actors, { movieInfo });
+
+            expect(history['bruce-banner'].recastCount).toBe(1);
+            expect(history['bruce-banner'].actors).toEqual([
+                {
+                    actorName: 'Edward Norton',
+                    type: 'original',
+                    replaces: [],
+                    firstMovie: { name: 'The Incredible Hulk', releaseDate: '2008-06-12' },
+                    lastMovie: { name: 'The Incredible Hulk', releaseDate: '2008-06-12' },
+                    movieCount: 1,
+                    movies: ['The Incredible Hulk']
+                },
+                {
+                    actorName: 'Mark Ruffalo',
+                    type: 'recast',
+                    replaces: ['Edward Norton'],
+                    firstMovie: { name: 'The Avengers', releaseDate: '2012-04-25' },
+                    lastMovie: { name: 'Avengers: Endgame', releaseDate: '2019-04-24' },
+                    movieCount: 2,
+                    movies: ['The Avengers', 'Avengers: Endgame']
+                }
+            ]);
+        });
+
+        it('should flag a younger version in the same movie as simultaneous, after the top billed actor', () => {
+            const history = buildRecastHistory(creditsData, actors, { movieInfo });
+
+            expect(history['peter-quill'].recastCount).toBe(0);
+            expect(history['peter-quill'].actors.map(({ actorName, type }) => ({ actorName, type }))).toEqual([
+                { actorName: 'Chris Pratt', type: 'original' },
+                { actorName: 'Wyatt Oleff', type: 'simultaneous' }
+            ]);
+        });
+
+        it('should not report simultaneous portrayals as recasts in the timeline', () => {
+            const { years } = buildTimeline(creditsData, actors, { movieInfo });
+
+            expect(years.flatMap(year => year.recasts).map(recast => recast.actorName)).toEqual(['Mark Ruffalo']);
+        });
+    });
+
+    describe('crew credits', () => {
+        const creditsData = [
+            {
+                movieName: 'Iron Man',
+                credits: {
+                    cast: [
+                        { id: 3223, name: 'Robert Downey Jr.', character: 'Tony Stark' },
+                        { id: 15277, name: 'Jon Favreau', character: 'Hogan' }
+                    ],
+                    crew: [
+                        { id: 15277, name: 'Jon Favreau', department: 'Directing', job: 'Director' },
+                        { id: 15277, name: 'Jon Favreau', department: 'Production', job: 'Executive Producer' },
+                        { id: 10850, name: 'Kevin Feige', department: 'Production', job: 'Producer' }
+                    ]
+                }
+            },
+            {
+                movieName: 'The Avengers',
+                credits: {
+                    cast: [{ id: 3223, name: 'Robert Downey Jr.', character: 'Tony Stark / Iron Man' }],
+                    crew: [{ id: 10850, name: 'Kevin Feige', department: 'Production', job: 'Producer' }]
+                }
+            }
+        ];
+
+        it('should list each tracked crew member\'s credits per job', () => {
+            expect(buildCrewPerPerson(creditsData, new Set(['Jon Favreau', 'Kevin Feige']))).toEqual({
+                'Jon Favreau': [
+                    { movieName: 'Iron Man', department: 'Directing', job: 'Director' },
+                    { movieName: 'Iron Man', department: 'Production', job: 'Executive Producer' }
+                ],
+                'Kevin Feige': [
+                    { movieName: 'Iron Man', department: 'Production', job: 'Producer' },
+                    { movieName: 'The Avengers', department: 'Production', job: 'Producer' }
+                ]
+            });
+        });
+
+        it('should find tracked people with both cast and crew credits', () => {
+            const result = buildActorsOnCrew(creditsData, new Set(['Robert Downey Jr.']), new Set(['Jon Favreau', 'Kevin Feige']));
+
+            expect(Object.keys(result)).toEqual(['Jon Favreau']);
+            expect(result['Jon Favreau'].cast).toEqual([{ movieName: 'Iron Man', characterName: 'Hogan' }]);
+            expect(result['Jon Favreau'].crew).toHaveLength(2);
+        });
+    });
+
+    describe('diffCredits', () => {
+        const before = [
+            {
+                movieName: 'The Incredible Hulk',
+                credits: { cast: [{ name: 'Edward Norton', character: 'Bruce Banner', order: 0 }] }
+            },
+            {
+                movieName: 'The Avengers',
+                credits: { cast: [{ name: 'Mark Ruffalo', character: 'Bruce Banner / The Hulk', order: 2 }] }
+            }
+        ];
+        const movieInfo = new Map([
+            ['The Incredible Hulk', { releaseDate: '2008-06-12' }],
+            ['The Avengers', { releaseDate: '2012-04-25' }]
+        ]);
+        const actors = new Set(['Mark Ruffalo', 'Edward Norton']);
+
+        it('should list actors, characters and recasts added or removed', () => {
+            const after = [
+                { movieName: 'The Incredible Hulk', credits: { cast: [] } },
+                {
+                    movieName: 'The Avengers',
+                    credits: { cast: [{ name: 'Mark Ruffalo', character: 'Bruce Banner / Hulk', order: 2 }] }
+                }
+            ];
+
+            const diff = diffCredits(before, after, actors, { movieInfo });
+
+            expect(diff.actors).toEqual({
+                added: [],
+                removed: [{ actorName: 'Edward Norton', movieName: 'The Incredible Hulk' }]
+            });
+            expect(diff.characters).toEqual({
+                added: [{ characterName: 'Bruce Banner / Hulk', actorName: 'Mark Ruffalo', movieName: 'The Avengers' }],
+                removed: [
+                    { characterName: 'Bruce Banner', actorName: 'Edward Norton', movieName: 'The Incredible Hulk' },
+                    { characterName: 'Bruce Banner / The Hulk', actorName: 'Mark Ruffalo', movieName: 'The Avengers' }
+                ]
+            });
+            expect(diff.recasts).toEqual({
+                added: [],
+                removed: [expect.objectContaining({
+                    characterId: 'bruce-banner',
+                    actorName: 'Mark Ruffalo',
+                    replaces: ['Edward Norton'],
+                    movieName: 'The Avengers'
+                })]
+            });
+        });
+
+        it('should find nothing when only untracked actors changed', () => {
+            const after = before.map(({ movieName, credits }) => ({
+                movieName,
+                credits: { cast: [...credits.cast, { name: 'Tim Roth', character: 'Emil Blonsky' }] }
+            }));
+
+            expect(diffCredits(before, after, actors, { movieInfo })).toEqual({
+                actors: { added: [], removed: [] },
+                characters: { added: [], removed: [] },
+                recasts: { added: [], removed: [] }
+            });
+        });
     });
 });
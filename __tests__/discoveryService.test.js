@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DiscoveryService } from '../services/discoveryService.js';
+import { TrackingRegistry } from '../services/trackingRegistry.js';
+import { createTmdbClient } from '../services/tmdbService.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'tmdb');
+
+/**
+ * HTTP client serving recorded TMDB responses from __tests__/fixtures/tmdb,
+ * so discovery runs through the real TMDB client without network access.
+ * @returns {{get: Function}}
+ */
+function createFixtureHttpClient() {
+    const fixtureName = (apiPath, params) => {
+        if (apiPath.startsWith('/collection/')) {
+            return `collection_${apiPath.split('/')[2]}`;
+        }
+        if (apiPath === '/discover/movie' && params.with_companies) {
+            return `discover_movie_companies_${params.with_companies}_page_${params.page}`;
+        }
+        if (apiPath === '/search/movie') {
+            return `search_movie_${params.query.toLowerCase().replace(/\s+/g, '_')}_page_${params.page}`;
+        }
+        return null;
+    };
+
+    return {
+        get: jest.fn(async (url, { params }) => {
+            const name = fixtureName(new URL(url).pathname.replace(/^\/3/, ''), params);
+            try {
+                return { data: JSON.parse(await readFile(path.join(FIXTURES_DIR, `${name}.json`), 'utf8')) };
+            } catch {
+                throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+            }
+        })
+    };
+}
+
+describe('DiscoveryService', () => {
+    const now = () => Date.parse('2024-06-01T00:00:00Z');
+    let trackingRegistry;
+    let service;
+
+    beforeEach(() => {
+        const tmdbService = createTmdbClient({
+            httpClient: createFixtureHttpClient(),
+            apiKey: 'test-key',
+            baseUrl: 'https://tmdb.test/3'
+        });
+        trackingRegistry = new TrackingRegistry({
+            movies: { 'Iron Man': 1726, 'Thor': 10195 },
+            actors: ['Robert Downey Jr.'],
+            tmdbService
+        });
+        let nextId = 1;
+        service = new DiscoveryService({ tmdbService, trackingRegistry, now, createId: () => `p${nextId++}` });
+    });
+
+    describe('propose', () => {
+        it('should list every page of a company discovery, oldest first', async () => {
+            const proposal = await service.propose({ preset: 'marvel-studios' });
+
+            expect(proposal.movies.map(movie => movie.id)).toEqual([1726, 1724, 10138, 24428]);
+            expect(proposal.movies[1]).toEqual({
+                id: 1724,
+                name: 'The Incredible Hulk',
+                releaseDate: '2008-06-12',
+                sources: ['company:420']
+            });
+        });
+
+        it('should include undated movies only when asked to', async () => {
+            const proposal = await service.propose({ companies: [420], releasedOnly: false });
+
+            expect(proposal.movies.map(movie => movie.id)).toContain(999001);
+        });
+
+        it('should merge sources and dedupe movies found more than once', async () => {
+            const proposal = await service.propose({ collections: [131292], companies: [420] });
+            const ironMan = proposal.movies.find(movie => movie.id === 1726);
+
+            expect(ironMan.sources).toEqual(['collection:131292', 'company:420']);
+            expect(proposal.movies.filter(movie => movie.id === 1726)).toHaveLength(1);
+        });
+
+        it('should disambiguate shared titles with the release year', async () => {
+            const proposal = await service.propose({ query: 'Fantastic Four' });
+
+            expect(proposal.movies.map(movie => movie.name)).toEqual([
+                'Fantastic Four (2005)',
+                'Fantastic Four: Rise of the Silver Surfer',
+                'Fantastic Four (2015)'
+            ]);
+        });
+
+        it('should report the changes it would make to the tracked set', async () => {
+            const proposal = await service.propose({ collections: [131292] });
+
+            expect(proposal.status).toBe('pending');
+            expect(proposal.changes).toEqual({
+                added: [{ name: 'Iron Man 2', id: 10138 }, { name: 'Iron Man 3', id: 68721 }],
+                removed: [{ name: 'Thor', id: 10195 }],
+                unchanged: 1
+            });
+        });
+
+        it('should reject missing or malformed criteria', async () => {
+            await expect(service.propose({})).rejects.toMatchObject({ reason: 'invalid' });
+            await expect(service.propose({ companies: ['420'] })).rejects.toMatchObject({ reason: 'invalid' });
+            await expect(service.propose({ preset: 'dc' })).rejects.toMatchObject({ reason: 'invalid' });
+        });
+
+        it('should surface TMDB failures', async () => {
+            await expect(service.propose({ collections: [1] })).rejects.toThrow('status code 404');
+        });
+    });
+
+    describe('review', () => {
+        it('should replace the tracked movies only once approved', async () => {
+            const proposal = await service.propose({ collections: [131292] });
+            expect(trackingRegistry.getMovies()).toEqual({ 'Iron Man': 1726, 'Thor': 10195 });
+
+            const result = await service.approve(proposal.id, { exclude: [68721] });
+
+            expect(trackingRegistry.getMovies()).toEqual({ 'Iron Man': 1726, 'Iron Man 2': 10138 });
+            expect(result.added).toEqual([{ name: 'Iron Man 2', id: 10138 }]);
+            expect(result.removed).toEqual([{ name: 'Thor', id: 10195 }]);
+            expect(result.proposal.status).toBe('approved');
+        });
+
+        it('should emit tracking changes so cached credits are updated', async () => {
+            const onChange = jest.fn();
+            trackingRegistry.on('change', onChange);
+            const proposal = await service.propose({ collections: [131292] });
+
+            await service.approve(proposal.id);
+
+            expect(onChange.mock.calls.map(([change]) => change.type)).toEqual(['movieRemoved', 'movieAdded', 'movieAdded']);
+        });
+
+        it('should leave the tracked set alone when rejected', async () => {
+            const proposal = await service.propose({ collections: [131292] });
+
+            expect(service.reject(proposal.id).status).toBe('rejected');
+            expect(trackingRegistry.getMovies()).toEqual({ 'Iron Man': 1726, 'Thor': 10195 });
+        });
+
+        it('should not review a proposal twice or one that does not exist', async () => {
+            const proposal = await service.propose({ collections: [131292] });
+            service.reject(proposal.id);
+
+            await expect(service.approve(proposal.id)).rejects.toMatchObject({ reason: 'already-reviewed' });
+            expect(() => service.getProposal('missing')).toThrow(expect.objectContaining({ reason: 'not-found' }));
+        });
+
+        it('should list proposals newest first without their movies', async () => {
+            await service.propose({ collections: [131292] });
+            await service.propose({ query: 'Fantastic Four' });
+
+            expect(service.listProposals()).toEqual([
+                expect.objectContaining({ id: 'p2', movieCount: 3 }),
+                expect.objectContaining({ id: 'p1', movieCount: 3 })
+            ]);
+            expect(service.listProposals()[0].movies).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,174 @@
+import { jest } from '@jest/globals';
+import { errorHandler, notFoundHandler } from '../middleware/errorHandler.js';
+import { createRequestIdMiddleware } from '../middleware/requestId.js';
+import { NotFoundError, AuthError, RateLimitError, TmdbError } from '../utils/errors.js';
+import { FilterError } from '../utils/queryFilters.js';
+import { ValidationError } from '../utils/validation.js';
+import { TrackingError } from '../services/trackingRegistry.js';
+import { DiscoveryError } from '../services/discoveryService.js';
+import { WebhookError } from '../services/webhookService.js';
+import { GraphQLError } from '../utils/graphql.js';
+
+/**
+ * Minimal Express response recording what was sent.
+ * @returns {Object}
+ */
+function createResponse() {
+    const res = { statusCode: 200, headers: {}, body: undefined, headersSent: false };
+    res.status = jest.fn(code => Object.assign(res, { statusCode: code }));
+    res.set = jest.fn((name, value) => {
+        res.headers[name.toLowerCase()] = value;
+        return res;
+    });
+    res.json = jest.fn(body => Object.assign(res, { body, headersSent: true }));
+    return res;
+}
+
+describe('errorHandler', () => {
+    const req = { id: 'req-1', method: 'GET', originalUrl: '/moviesPerActor', path: '/moviesPerActor' };
+
+    const handle = error => {
+        const res = createResponse();
+        errorHandler(error, req, res, jest.fn());
+        return res;
+    };
+
+    it.each([
+        [new FilterError('bad'), 400, 'INVALID_QUERY'],
+        [new NotFoundError('Unknown actor "Nobody"'), 404, 'NOT_FOUND'],
+        [new TrackingError('invalid', 'bad'), 400, 'INVALID_INPUT'],
+        [new TrackingError('unknown-movie', 'bad'), 400, 'UNKNOWN_MOVIE'],
+        [new TrackingError('not-found', 'bad'), 404, 'NOT_FOUND'],
+        [new TrackingError('duplicate', 'bad'), 409, 'DUPLICATE'],
+        [new DiscoveryError('already-reviewed', 'bad'), 409, 'ALREADY_REVIEWED'],
+        [new WebhookError('not-found', 'bad'), 404, 'NOT_FOUND'],
+        [new AuthError('missing-key', 'no key'), 401, 'API_KEY_REQUIRED'],
+        [new AuthError('invalid-key', 'bad key'), 401, 'INVALID_API_KEY'],
+        [new AuthError('not-admin', 'not admin'), 403, 'ADMIN_KEY_REQUIRED'],
+        [new RateLimitError('slow down', 1000), 429, 'RATE_LIMITED'],
+        [new TmdbError('not-configured', 'no key'), 503, 'TMDB_NOT_CONFIGURED'],
+        [new TmdbError('unauthorized', 'bad key'), 502, 'TMDB_UNAUTHORIZED'],
+        [new TmdbError('not-found', 'gone'), 502, 'TMDB_NOT_FOUND'],
+        [new TmdbError('rate-limited', 'slow down'), 503, 'TMDB_RATE_LIMITED'],
+        [new TmdbError('server-error', 'down'), 502, 'TMDB_ERROR'],
+        [new TmdbError('timeout', 'slow'), 504, 'TMDB_TIMEOUT'],
+        [new TmdbError('unreachable', 'offline'), 502, 'TMDB_UNREACHABLE'],
+        [new GraphQLError('too big', { extensions: { reason: 'too-complex' } }), 400, 'QUERY_TOO_COMPLEX'],
+        [new GraphQLError('gone', { path: ['movie'], originalError: new NotFoundError('gone') }), 404, 'NOT_FOUND'],
+        [new GraphQLError('failed'), 500, 'GRAPHQL_EXECUTION_FAILED'],
+        [new Error('bug'), 500, 'INTERNAL_ERROR']
+    ])('should answer %s with %i %s', (error, status, code) => {
+        const res = handle(error);
+
+        expect(res.statusCode).toBe(status);
+        expect(res.body).toEqual({ error: expect.any(String), code, requestId: 'req-1' });
+    });
+
+    it('should list the invalid fields of a request', () => {
+        const fields = [{ in: 'query', name: 'minCount', message: 'must be at least 1' }];
+
+        expect(handle(new ValidationError(fields))).toMatchObject({
+            statusCode: 400,
+            body: { error: 'Invalid request', code: 'VALIDATION_FAILED', requestId: 'req-1', fields }
+        });
+    });
+
+    it('should pass client error messages through', () => {
+        expect(handle(new NotFoundError('Unknown actor "Nobody"')).body.error).toBe('Unknown actor "Nobody"');
+    });
+
+    it('should not expose TMDB or internal error messages', () => {
+        expect(handle(new TmdbError('server-error', 'GET /movie/1 failed')).body.error).toBe('TMDB answered with an error');
+        expect(handle(new Error('secret details')).body.error).toBe('Internal server error');
+    });
+
+    it('should send Retry-After when TMDB asked to slow down', () => {
+        const res = handle(new TmdbError('rate-limited', 'slow down', { retryAfterMs: 2500 }));
+
+        expect(res.headers['retry-after']).toBe('3');
+    });
+
+    it('should send Retry-After when a client reached its rate limit', () => {
+        const res = handle(new RateLimitError('slow down', 1200));
+
+        expect(res.headers['retry-after']).toBe('2');
+    });
+
+    it('should not send Retry-After when the delay is unknown', () => {
+        expect(handle(new TmdbError('rate-limited', 'slow down')).headers['retry-after']).toBeUndefined();
+    });
+
+    it('should answer malformed JSON bodies with 400', () => {
+        const parseError = Object.assign(new SyntaxError('Unexpected token'), {
+            status: 400,
+            expose: true,
+            type: 'entity.parse.failed'
+        });
+
+        expect(handle(parseError)).toMatchObject({ statusCode: 400, body: { code: 'INVALID_JSON' } });
+    });
+
+    it('should answer route parameters Express could not decode with 400', () => {
+        const decodeError = Object.assign(new URIError('Failed to decode param \'%E0%A4%A\''), { status: 400, statusCode: 400 });
+
+        expect(handle(decodeError)).toMatchObject({
+            statusCode: 400,
+            body: { error: 'Failed to decode param \'%E0%A4%A\'', code: 'BAD_REQUEST' }
+        });
+        expect(handle(Object.assign(new Error('request entity too large'), { statusCode: 413, expose: true }))).toMatchObject({
+            statusCode: 413,
+            body: { error: 'request entity too large', code: 'BAD_REQUEST' }
+        });
+    });
+
+    it('should answer other errors with a 4xx status, such as a failed upstream request, with 500', () => {
+        const upstream = Object.assign(new Error('Request failed with status code 401'), { status: 401, response: { status: 401 } });
+        const unexposed = Object.assign(new Error('internal detail'), { statusCode: 404, expose: false });
+
+        expect(handle(upstream)).toMatchObject({ statusCode: 500, body: { error: 'Internal server error', code: 'INTERNAL_ERROR' } });
+        expect(handle(unexposed)).toMatchObject({ statusCode: 500, body: { code: 'INTERNAL_ERROR' } });
+    });
+
+    it('should leave responses already under way to Express', () => {
+        const res = createResponse();
+        res.headersSent = true;
+        const next = jest.fn();
+        const error = new Error('late');
+
+        errorHandler(error, req, res, next);
+
+        expect(next).toHaveBeenCalledWith(error);
+        expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should answer unknown routes with 404', () => {
+        const res = createResponse();
+
+        notFoundHandler({ ...req, method: 'POST' }, res);
+
+        expect(res).toMatchObject({ statusCode: 404, body: { code: 'ROUTE_NOT_FOUND', requestId: 'req-1' } });
+    });
+});
+
+describe('createRequestIdMiddleware', () => {
+    const run = header => {
+        const req = { get: jest.fn(() => header) };
+        const res = createResponse();
+        const next = jest.fn();
+        createRequestIdMiddleware({ createId: () => 'generated' })(req, res, next);
+        return { req, res, next };
+    };
+
+    it('should generate an ID and echo it in X-Request-Id', () => {
+        const { req, res, next } = run(undefined);
+
+        expect(req.id).toBe('generated');
+        expect(res.headers['x-request-id']).toBe('generated');
+        expect(next).toHaveBeenCalled();
+    });
+
+    it('should reuse a valid client ID and replace an invalid one', () => {
+        expect(run('abc-123').req.id).toBe('abc-123');
+        expect(run('bad id\n').req.id).toBe('generated');
+    });
+});
@@ -0,0 +1,484 @@
+import { jest } from '@jest/globals';
+import { GraphQLError } from 'graphql';
+import { buildSchema, executeQuery, printSchema } from '../utils/graphql.js';
+import { GraphqlService } from '../services/graphqlService.js';
+import { MovieDataService } from '../services/movieDataService.js';
+import { NotFoundError } from '../utils/errors.js';
+
+describe('executeQuery', () => {
+    const books = [
+        { id: 1, title: 'Dune', year: 1965, authorId: 'a1' },
+        { id: 2, title: 'Children of Dune', year: 1976, authorId: 'a1' },
+        { id: 3, title: 'Hyperion', year: 1989, authorId: 'a2' }
+    ];
+    const authors = { a1: { id: 'a1', name: 'Frank Herbert' }, a2: { id: 'a2', name: 'Dan Simmons' } };
+
+    const schema = buildSchema({
+        query: 'Query',
+        types: {
+            Query: {
+                fields: {
+                    books: {
+                        type: '[Book!]!',
+                        args: {
+                            limit: { type: 'Int', minimum: 0, maximum: 100 },
+                            order: { type: 'Order', defaultValue: 'asc' },
+                            titles: { type: '[String!]' }
+                        },
+                        resolve: (_, { limit, order, titles }) => {
+                            const kept = books.filter(book => !titles || titles.includes(book.title));
+                            const sorted = order === 'desc' ? [...kept].reverse() : kept;
+                            return sorted.slice(0, limit);
+                        }
+                    },
+                    book: {
+                        type: 'Book',
+                        args: { id: { type: 'ID!' } },
+                        resolve: (_, { id }) => books.find(book => String(book.id) === id) ?? null
+                    },
+                    failing: {
+                        type: 'Book',
+                        resolve: () => {
+                            throw new NotFoundError('No such book');
+                        }
+                    }
+                }
+            },
+            Book: {
+                description: 'A book',
+                fields: {
+                    id: { type: 'ID!' },
+                    title: { type: 'String!' },
+                    year: { type: 'Int', description: 'First published' },
+                    author: { type: 'Author!', resolve: book => authors[book.authorId] },
+                    broken: { type: 'String!', resolve: () => null }
+                }
+            },
+            Author: {
+                fields: {
+                    name: { type: 'String!' },
+                    books: { type: '[Book!]!', resolve: author => books.filter(book => book.authorId === author.id) }
+                }
+            },
+            Order: { kind: 'enum', values: ['asc', 'desc'] }
+        }
+    });
+
+    const run = (query, variables, options) => executeQuery(schema, { query, variables }, options);
+    const messagesOf = async (query, variables) => (await run(query, variables)).errors.map(error => error.message);
+
+    it('should resolve nested fields with aliases, arguments and defaults', async () => {
+        const result = await run('{ first: books(limit: 1) { title author { name } } last: books(order: desc, limit: 1) { title } }');
+
+        expect(result).toEqual({
+            data: { first: [{ title: 'Dune', author: { name: 'Frank Herbert' } }], last: [{ title: 'Hyperion' }] },
+            cost: { depth: 3, complexity: 3 }
+        });
+    });
+
+    it('should coerce variables, wrapping single values in lists and applying their defaults', async () => {
+        const query = 'query Find($titles: [String!], $id: ID! = 3, $order: Order) { books(titles: $titles, order: $order) { id } book(id: $id) { title } }';
+
+        const { data } = await run(query, { titles: 'Dune', order: null });
+
+        expect(data).toEqual({ books: [{ id: '1' }], book: { title: 'Hyperion' } });
+    });
+
+    it('should expand fragments and honor @include and @skip', async () => {
+        const query = `
+            query ($withYear: Boolean!) {
+                book(id: 1) { ...Basics ... on Book @include(if: $withYear) { year } author @skip(if: true) { name } __typename }
+            }
+            fragment Basics on Book { id title }
+        `;
+
+        expect((await run(query, { withYear: true })).data).toEqual({ book: { id: '1', title: 'Dune', year: 1965, __typename: 'Book' } });
+        expect((await run(query, { withYear: false })).data).toEqual({ book: { id: '1', title: 'Dune', __typename: 'Book' } });
+    });
+
+    it('should expand each fragment once per selection, however often it is spread', async () => {
+        // Every fragment spreads the next one twice: 2^40 expansions if fragments were expanded each time
+        const fragments = Array.from({ length: 40 }, (_, index) => `fragment F${index} on Book { ...F${index + 1} title ...F${index + 1} }`);
+        const query = `{ book(id: 1) { ...F0 } } ${fragments.join(' ')} fragment F40 on Book { id }`;
+
+        expect(await run(query)).toEqual({ data: { book: { id: '1', title: 'Dune' } }, cost: { depth: 2, complexity: 1 } });
+    });
+
+    it('should merge the selections of fields selected more than once before measuring them', async () => {
+        // Every level selects its author twice, so the same field nodes would double at each of them
+        const fragments = Array.from({ length: 30 }, (_, index) =>
+            `fragment F${index} on Book { author { books { ...F${index + 1} } } author { books { ...F${index + 1} } } }`);
+        const query = `{ book(id: 1) { ...F0 } } ${fragments.join(' ')} fragment F30 on Book { title }`;
+
+        expect(await run(query, {}, { maxDepth: 10 })).toEqual({
+            errors: [expect.objectContaining({ extensions: { reason: 'too-deep' }, message: 'Query is nested 62 levels deep, more than the 10 allowed.' })]
+        });
+        // 1 book, its author and their 10 books, then 10 authors: 1 + 1 + 10 + 10 > 20
+        expect(await run(query, {}, { maxComplexity: 20 })).toEqual({
+            errors: [expect.objectContaining({ extensions: { reason: 'too-complex' }, message: expect.stringContaining('complexity of at least 22') })]
+        });
+        expect((await run('{ book(id: 1) { ...F29 } } fragment F29 on Book { author { books { ...F30 } } author { books { ...F30 } } } fragment F30 on Book { title }')).cost)
+            .toEqual({ depth: 4, complexity: 12 });
+    });
+
+    it.each([
+        ['{ a(x: ) }', 1, 8],
+        ['{ a\n  b( }', 2, 6],
+        ['{ a(x: "open) }', 1, 16],
+        ['query { a } extra', 1, 13],
+        ['{ a(x: 01) }', 1, 9]
+    ])('should report a syntax error in %j with its location', async (query, line, column) => {
+        const { errors } = await run(query);
+
+        expect(errors).toEqual([expect.any(GraphQLError)]);
+        expect(errors[0]).toMatchObject({ extensions: { reason: 'syntax' }, locations: [{ line, column }] });
+        expect(errors[0].message).toMatch(/^Syntax Error: /);
+    });
+
+    it('should pick the operation by name', async () => {
+        const query = 'query A { book(id: 1) { title } } query B { book(id: 2) { title } }';
+
+        expect((await executeQuery(schema, { query, operationName: 'B' })).data).toEqual({ book: { title: 'Children of Dune' } });
+        expect(await executeQuery(schema, { query })).toEqual({
+            errors: [expect.objectContaining({ message: 'Must provide operation name if query contains multiple operations.' })]
+        });
+    });
+
+    it('should report every validation error at once, without data', async () => {
+        const result = await run(`
+            query ($unused: Int, $limit: String) {
+                books(limit: $limit, nope: 1) { title { length } }
+                book { author }
+                other: book(id: 1) { title }
+                other: book(id: 2) { title }
+                failing { ...Missing }
+            }
+            fragment Lonely on Book { title }
+        `);
+
+        expect(result.data).toBeUndefined();
+        expect(result.errors.every(error => error instanceof GraphQLError && error.extensions.reason === 'validation')).toBe(true);
+        expect(result.errors.map(error => error.message)).toEqual([
+            'Fields "other" conflict because they have differing arguments. Use different aliases on the fields to fetch both if this was intentional.',
+            'Unknown argument "nope" on field "Query.books".',
+            'Field "title" must not have a selection since type "String!" has no subfields.',
+            'Field "author" of type "Author!" must have a selection of subfields. Did you mean "author { ... }"?',
+            'Field "book" argument "id" of type "ID!" is required, but it was not provided.',
+            'Unknown fragment "Missing".',
+            'Variable "$unused" is never used.',
+            'Variable "$limit" of type "String" used in position expecting type "Int".',
+            'Fragment "Lonely" is never used.'
+        ]);
+        expect(result.errors[1].locations).toEqual([{ line: 3, column: 38 }]);
+    });
+
+    it.each([
+        ['{ books(order: "desc") { id } }', 'Enum "Order" cannot represent non-enum value: "desc". Did you mean the enum value "desc"?'],
+        ['{ books(limit: 101) { id } }', 'Argument "limit" has an invalid value: must be at most 100.'],
+        ['{ books(limit: -1) { id } }', 'Argument "limit" has an invalid value: must be at least 0.'],
+        ['{ books(limit: 1.5) { id } }', 'Int cannot represent non-integer value: 1.5'],
+        ['{ book(id: null) { id } }', 'Expected value of type "ID!", found null.'],
+        ['{ book(id: 1) @defer { id } }', 'Unknown directive "@defer".'],
+        ['{ book(id: 1) { ...on Author { name } } }', 'Fragment cannot be spread here as objects of type "Book" can never be of type "Author".'],
+        ['{ book(id: 1) { ...A } } fragment A on Book { ...B } fragment B on Book { ...A }', 'Cannot spread fragment "A" within itself via "B".'],
+        ['mutation { books { id } }', 'This API only supports queries, not mutations.'],
+        ['query ($b: Book) { book(id: 1) { id } }', 'Variable "$b" cannot be non-input type "Book".']
+    ])('should reject %j', async (query, message) => {
+        expect(await messagesOf(query)).toContain(message);
+    });
+
+    it('should reject variables that do not match their type', async () => {
+        expect(await messagesOf('query ($id: ID!) { book(id: $id) { id } }', {})).toEqual([
+            'Variable "$id" of required type "ID!" was not provided.'
+        ]);
+        expect(await messagesOf('query ($limit: Int) { books(limit: $limit) { id } }', { limit: '2' })).toEqual([
+            'Variable "$limit" got invalid value "2"; Int cannot represent non-integer value: "2"'
+        ]);
+        expect(await messagesOf('query ($limit: Int) { books(limit: $limit) { id } }', { limit: 101 })).toEqual([
+            'Argument "limit" has an invalid value: must be at most 100.'
+        ]);
+    });
+
+    it('should null failed fields up to the nearest nullable parent and report them with their path', async () => {
+        const result = await run('{ failing { id } book(id: 1) { title broken } books(limit: 1) { title } }');
+        const [failed, broken] = result.errors;
+
+        expect(result.data).toEqual({ failing: null, book: null, books: [{ title: 'Dune' }] });
+        expect(failed).toMatchObject({ message: 'No such book', path: ['failing'], locations: [{ line: 1, column: 3 }] });
+        expect(failed.originalError).toBeInstanceOf(NotFoundError);
+        expect(broken).toMatchObject({ message: 'Cannot return null for non-nullable field Book.broken.', path: ['book', 'broken'] });
+    });
+
+    it('should limit how deep a query nests', async () => {
+        const query = '{ books { author { books { author { name } } } } }';
+
+        expect((await run(query, {}, { maxDepth: 5 })).data).toBeDefined();
+        expect(await run(query, {}, { maxDepth: 4 })).toEqual({
+            errors: [expect.objectContaining({ extensions: { reason: 'too-deep' }, message: 'Query is nested 5 levels deep, more than the 4 allowed.' })]
+        });
+    });
+
+    it('should estimate complexity as objects resolved, from list limits or ten per list', async () => {
+        // 20 books, each with an author and their 10 books: 20 * (1 + 1 * (1 + 10 * 1))
+        const query = 'query ($limit: Int) { books(limit: $limit) { title author { books { title } } } }';
+
+        expect((await run(query, { limit: 20 })).cost).toEqual({ depth: 4, complexity: 240 });
+        expect((await run(query, { limit: 20 }, { maxComplexity: 239 })).errors).toEqual([
+            expect.objectContaining({ extensions: { reason: 'too-complex' } })
+        ]);
+        expect((await run(query, { limit: 2 }, { maxComplexity: 239 })).data.books).toHaveLength(2);
+    });
+
+    it('should print the schema in SDL', () => {
+        expect(printSchema(schema)).toBe([
+            'type Query {',
+            '  books(limit: Int, order: Order = asc, titles: [String!]): [Book!]!',
+            '  book(id: ID!): Book',
+            '  failing: Book',
+            '}',
+            '',
+            '"""A book"""',
+            'type Book {',
+            '  id: ID!',
+            '  title: String!',
+            '',
+            '  """First published"""',
+            '  year: Int',
+            '  author: Author!',
+            '  broken: String!',
+            '}',
+            '',
+            'type Author {',
+            '  name: String!',
+            '  books: [Book!]!',
+            '}',
+            '',
+            'enum Order {',
+            '  asc',
+            '  desc',
+            '}'
+        ].join('\n'));
+    });
+
+    it('should answer introspection queries, which count for neither limit', async () => {
+        const query = '{ __schema { queryType { name } types { name fields { name type { ofType { ofType { name } } } } } } }';
+
+        const { data, errors, cost } = await run(query, {}, { maxDepth: 1, maxComplexity: 0 });
+
+        expect(errors).toBeUndefined();
+        expect(data.__schema.queryType).toEqual({ name: 'Query' });
+        expect(data.__schema.types.find(type => type.name === 'Book').fields.map(field => field.name))
+            .toEqual(['id', 'title', 'year', 'author', 'broken']);
+        expect(cost).toEqual({ depth: 0, complexity: 0 });
+    });
+
+    it('should reject schemas referring to unknown types', () => {
+        expect(() => buildSchema({ query: 'Query', types: { Query: { fields: { a: { type: 'Nope' } } } } }))
+            .toThrow('Unknown type "Nope" of Query.a');
+    });
+});
+
+describe('GraphqlService', () => {
+    const credits = [
+        {
+            movieName: 'Iron Man',
+            credits: {
+                cast: [
+                    { name: 'Robert Downey Jr.', character: 'Tony Stark / Iron Man', order: 0 },
+                    { name: 'Terrence Howard', character: 'Rhodey', order: 1 },
+                    { name: 'Gwyneth Paltrow', character: 'Pepper Potts', order: 2 }
+                ]
+            }
+        },
+        {
+            movieName: 'The Avengers',
+            credits: {
+                cast: [
+                    { name: 'Robert Downey Jr.', character: 'Tony Stark / Iron Man', order: 0 },
+                    { name: 'Chris Evans', character: 'Steve Rogers / Captain America', order: 1 },
+                    { name: 'Scarlett Johansson', character: 'Natasha Romanoff / Black Widow', order: 2 }
+                ]
+            }
+        },
+        {
+            movieName: 'Captain America: Civil War',
+            credits: {
+                cast: [
+                    { name: 'Chris Evans', character: 'Steve Rogers / Captain America', order: 0 },
+                    { name: 'Robert Downey Jr.', character: 'Tony Stark / Iron Man', order: 1 },
+                    { name: 'Don Cheadle', character: 'Rhodey', order: 6 }
+                ]
+            }
+        }
+    ];
+    const movies = { 'Captain America: Civil War': 271110, 'The Avengers': 24428, 'Iron Man': 1726 };
+    const releaseDates = { 1726: '2008-04-30', 24428: '2012-04-25', 271110: '2016-04-27' };
+
+    const createService = (options = {}) => {
+        const tmdbService = {
+            getAllMoviesCredits: jest.fn().mockResolvedValue({ credits, failures: [] }),
+            getAllMoviesDetails: jest.fn(async requested => ({
+                details: requested.map(({ name, id }) => ({
+                    movieName: name,
+                    details: { id, title: name, release_date: releaseDates[id], runtime: 120, poster_path: `/${id}.jpg` }
+                })),
+                failures: []
+            }))
+        };
+        const movieDataService = new MovieDataService({
+            tmdbService,
+            movies,
+            actors: ['Robert Downey Jr.', 'Terrence Howard', 'Gwyneth Paltrow', 'Chris Evans', 'Scarlett Johansson', 'Don Cheadle'],
+            mcuPhases: { 1726: 1, 24428: 1, 271110: 3 }
+        });
+        return { tmdbService, service: new GraphqlService({ movieDataService, ...options }) };
+    };
+
+    it('should resolve an actor, their movies, the other tracked cast and their characters', async () => {
+        const { service, tmdbService } = createService();
+
+        const result = await service.execute({
+            query: `
+                query Costars($name: String!) {
+                    actor(name: $name) {
+                        name
+                        movieCount
+                        movies(sort: releaseDate) {
+                            name
+                            releaseYear
+                            phase
+                            cast(excludeActors: [$name]) {
+                                actor { name characters { id name } }
+                                characterName
+                            }
+                        }
+                    }
+                }
+            `,
+            variables: { name: 'robert downey jr' }
+        });
+
+        expect(result.errors).toBeUndefined();
+        expect(result.data.actor).toEqual({
+            name: 'Robert Downey Jr.',
+            movieCount: 3,
+            movies: [
+                {
+                    name: 'Iron Man',
+                    releaseYear: 2008,
+                    phase: 1,
+                    cast: [
+                        { actor: { name: 'Terrence Howard', characters: [{ id: 'james-rhodes', name: 'Rhodey' }] }, characterName: 'Rhodey' },
+                        { actor: { name: 'Gwyneth Paltrow', characters: [{ id: 'pepper-potts', name: 'Pepper Potts' }] }, characterName: 'Pepper Potts' }
+                    ]
+                },
+                {
+                    name: 'The Avengers',
+                    releaseYear: 2012,
+                    phase: 1,
+                    cast: [
+                        { actor: { name: 'Chris Evans', characters: [{ id: 'steve-rogers', name: 'Steve Rogers / Captain America' }] }, characterName: 'Steve Rogers / Captain America' },
+                        { actor: { name: 'Scarlett Johansson', characters: [{ id: 'natasha-romanoff', name: 'Natasha Romanoff / Black Widow' }] }, characterName: 'Natasha Romanoff / Black Widow' }
+                    ]
+                },
+                {
+                    name: 'Captain America: Civil War',
+                    releaseYear: 2016,
+                    phase: 3,
+                    cast: [
+                        { actor: { name: 'Chris Evans', characters: [{ id: 'steve-rogers', name: 'Steve Rogers / Captain America' }] }, characterName: 'Steve Rogers / Captain America' },
+                        { actor: { name: 'Don Cheadle', characters: [{ id: 'james-rhodes', name: 'Rhodey' }] }, characterName: 'Rhodey' }
+                    ]
+                }
+            ]
+        });
+        // Every resolver shares the data loaded once for the query
+        expect(tmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
+        expect(tmdbService.getAllMoviesDetails).toHaveBeenCalledTimes(1);
+    });
+
+    it('should filter and page the root lists', async () => {
+        const { service } = createService();
+
+        const { data, errors } = await service.execute({
+            query: `{
+                actors(minMovies: 2) { name }
+                searched: actors(search: "CHRIS", movie: "24428") { name }
+                paged: actors(limit: 2, offset: 1) { name }
+                movies(phase: 1, sort: releaseDate) { id name posterPath }
+                recent: movies(fromYear: 2010, actor: "don cheadle") { name }
+                characters(minActors: 2, limit: 5) { id actorCount actors { name } appearances(sort: releaseDate) { movie { name } } }
+                character(id: "james-rhodes") { name }
+                movie(name: "the avengers") { id runtime }
+            }`
+        });
+
+        expect(errors).toBeUndefined();
+        expect(data).toEqual({
+            actors: [{ name: 'Chris Evans' }, { name: 'Robert Downey Jr.' }],
+            searched: [{ name: 'Chris Evans' }],
+            paged: [{ name: 'Don Cheadle' }, { name: 'Gwyneth Paltrow' }],
+            movies: [
+                { id: 1726, name: 'Iron Man', posterPath: '/1726.jpg' },
+                { id: 24428, name: 'The Avengers', posterPath: '/24428.jpg' }
+            ],
+            recent: [{ name: 'Captain America: Civil War' }],
+            characters: [{
+                id: 'james-rhodes',
+                actorCount: 2,
+                actors: [{ name: 'Terrence Howard' }, { name: 'Don Cheadle' }],
+                appearances: [{ movie: { name: 'Iron Man' } }, { movie: { name: 'Captain America: Civil War' } }]
+            }],
+            character: { name: 'Rhodey' },
+            movie: { id: 24428, runtime: 120 }
+        });
+    });
+
+    it('should answer unknown names with null, or a NOT_FOUND error in filters', async () => {
+        const { service } = createService();
+
+        const result = await service.execute({ query: '{ actor(name: "Mark Ruffalo") { name } movies(actor: "Mark Ruffalo") { name } }' });
+
+        expect(result.data).toBeNull();
+        expect(result.errors).toEqual([expect.objectContaining({ message: 'Unknown actor "Mark Ruffalo"', path: ['movies'] })]);
+        expect(result.errors[0].originalError).toBeInstanceOf(NotFoundError);
+    });
+
+    it('should enforce its depth and complexity limits', async () => {
+        const { service } = createService({ maxDepth: 3, maxComplexity: 40 });
+
+        const deep = await service.execute({ query: '{ actor(name: "Chris Evans") { movies(limit: 1) { cast(limit: 1) { actor { name } } } } }' });
+        const complex = await service.execute({ query: '{ actors { name } }' });
+
+        expect(deep.errors).toEqual([expect.objectContaining({ extensions: { reason: 'too-deep' } })]);
+        expect(complex.errors).toEqual([expect.objectContaining({ extensions: { reason: 'too-complex' }, message: expect.stringContaining('complexity of at least 50') })]);
+        expect(service.getLimits()).toEqual({ maxDepth: 3, maxComplexity: 40 });
+    });
+
+    it('should limit nested lists like the root ones', async () => {
+        const { service } = createService();
+
+        const limited = await service.execute({ query: '{ actor(name: "Robert Downey Jr.") { appearances(limit: 1) { movie { name cast(limit: 1) { actor { name } } } } movies(limit: 2) { name } } }' });
+        const tooMany = await service.execute({ query: 'query ($limit: Int) { movie(id: 1726) { cast(limit: $limit) { characterName } } }', variables: { limit: 501 } });
+
+        expect(limited).toMatchObject({
+            data: {
+                actor: {
+                    appearances: [{ movie: { name: 'Iron Man', cast: [{ actor: { name: 'Robert Downey Jr.' } }] } }],
+                    movies: [{ name: 'Iron Man' }, { name: 'The Avengers' }]
+                }
+            },
+            // The actor, 1 appearance with its movie and 1 cast member with its actor, and 2 movies
+            cost: { depth: 6, complexity: 7 }
+        });
+        expect(tooMany.errors).toEqual([expect.objectContaining({ message: 'Argument "limit" has an invalid value: must be at most 500.' })]);
+    });
+
+    it('should describe its schema in SDL', () => {
+        const { service } = createService();
+
+        expect(service.describeSchema()).toMatch(/^type Query \{/);
+        expect(service.describeSchema()).toContain('cast(\n    """Tracked actors to leave out"""\n    excludeActors: [String!]\n\n    """Maximum number of items"""\n    limit: Int = 50\n  )');
+        expect(service.describeSchema()).toContain('enum MovieSort {\n  releaseDate\n  phase\n}');
+    });
+});
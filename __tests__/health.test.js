@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { HealthService } from '../services/healthService.js';
+import { createHealthController } from '../controllers/healthController.js';
+
+/**
+ * Cache status as reported by MovieDataService.getCacheStatus.
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function cacheStatus(overrides = {}) {
+    return {
+        cached: false,
+        stale: false,
+        refreshing: false,
+        ttlMs: 0,
+        lastFetchedAt: null,
+        ageMs: null,
+        failureCount: 0,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastRefresh: null,
+        ...overrides
+    };
+}
+
+/**
+ * Creates a health service over a stubbed MovieDataService.
+ * @param {Object} [options]
+ * @returns {HealthService}
+ */
+function createService({ status = cacheStatus(), configured = true, ...options } = {}) {
+    const movieDataService = {
+        getCacheStatus: typeof status === 'function' ? status : jest.fn().mockResolvedValue(status)
+    };
+    return new HealthService({ movieDataService, isTmdbConfigured: () => configured, ...options });
+}
+
+describe('HealthService', () => {
+    it('should report uptime for liveness', () => {
+        let now = 1000;
+        const service = createService({ now: () => now });
+        now = 4500;
+
+        expect(service.getLiveness()).toEqual({ status: 'ok', uptimeMs: 3500 });
+    });
+
+    it('should be ready with a cold cache unless a warm one is required', async () => {
+        expect(await createService().getReadiness()).toEqual({
+            ready: true,
+            status: 'ready',
+            checks: {
+                tmdbConfig: { ok: true },
+                cacheWarm: { ok: false, required: false, lastFetchedAt: null },
+                lastFetch: { ok: true, consecutiveFailures: 0, lastError: null }
+            }
+        });
+        expect((await createService({ requireWarmCache: true }).getReadiness()).ready).toBe(false);
+    });
+
+    it('should not be ready without TMDB configuration', async () => {
+        const readiness = await createService({ configured: false, status: cacheStatus({ cached: true }) }).getReadiness();
+
+        expect(readiness).toMatchObject({ ready: false, status: 'not-ready', checks: { tmdbConfig: { ok: false } } });
+    });
+
+    it('should only fail on a failed fetch when nothing is cached to serve instead', async () => {
+        const lastError = { message: 'TMDB down', at: '2024-01-01T12:00:00.000Z' };
+        const failed = cacheStatus({ consecutiveFailures: 2, lastError });
+
+        const cold = await createService({ status: failed }).getReadiness();
+        const warm = await createService({ status: { ...failed, cached: true } }).getReadiness();
+
+        expect(cold.ready).toBe(false);
+        expect(cold.checks.lastFetch).toEqual({ ok: false, consecutiveFailures: 2, lastError });
+        expect(warm.ready).toBe(true);
+    });
+
+    it('should report an unreachable cache store', async () => {
+        const service = createService({ status: jest.fn().mockRejectedValue(new Error('Redis down')) });
+
+        const readiness = await service.getReadiness();
+
+        expect(readiness.ready).toBe(false);
+        expect(readiness.checks.cacheWarm).toMatchObject({ ok: false, error: 'Redis down' });
+    });
+
+    it('should stop being ready once draining', async () => {
+        const service = createService({ status: cacheStatus({ cached: true }) });
+
+        service.startDraining();
+
+        expect(await service.getReadiness()).toMatchObject({ ready: false, status: 'draining' });
+    });
+});
+
+describe('createHealthController', () => {
+    const createResponse = () => {
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        return res;
+    };
+
+    it('should answer readiness with 200 or 503', async () => {
+        const ready = createResponse();
+        const draining = createResponse();
+        const service = createService();
+
+        await createHealthController(service).getReadiness({}, ready, jest.fn());
+        service.startDraining();
+        await createHealthController(service).getReadiness({}, draining, jest.fn());
+
+        expect(ready.status).toHaveBeenCalledWith(200);
+        expect(draining.status).toHaveBeenCalledWith(503);
+        expect(draining.json).toHaveBeenCalledWith(expect.objectContaining({ status: 'draining' }));
+    });
+
+    it('should pass failures on', async () => {
+        const failure = new Error('boom');
+        const next = jest.fn();
+
+        await createHealthController({ getReadiness: jest.fn().mockRejectedValue(failure) })
+            .getReadiness({}, createResponse(), next);
+
+        expect(next).toHaveBeenCalledWith(failure);
+    });
+});
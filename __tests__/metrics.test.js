@@ -0,0 +1,237 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+import pino from 'pino';
+import { Registry } from 'prom-client';
+import { createAppMetrics } from '../utils/metrics.js';
+import { createTmdbClient } from '../services/tmdbService.js';
+import { MovieDataService } from '../services/movieDataService.js';
+import { createMetricsMiddleware, routeLabelOf } from '../middleware/metrics.js';
+import { createRequestLoggerMiddleware } from '../middleware/requestLogger.js';
+import { createMetricsController } from '../controllers/metricsController.js';
+
+/**
+ * Minimal Express response: emits "close" once ended, like a real one.
+ * @param {number} statusCode
+ * @returns {EventEmitter & {statusCode: number, writableEnded: boolean, end: () => void}}
+ */
+function createResponse(statusCode) {
+    return Object.assign(new EventEmitter(), {
+        statusCode,
+        writableEnded: false,
+        end() {
+            this.writableEnded = true;
+            this.emit('close');
+        }
+    });
+}
+
+/**
+ * Reads a sample of a prom-client metric, 0 when the label set was never used.
+ * @param {import('prom-client').Metric} metric
+ * @param {Object.<string, string|number>} labels - Every label of the series
+ * @param {string} [suffix=''] - Sample of a histogram, e.g. "_count"
+ * @returns {Promise<number>}
+ */
+async function sampleOf(metric, labels, suffix = '') {
+    const { name, values } = await metric.get();
+    const expected = Object.entries(labels).map(([label, value]) => [label, String(value)]);
+    const sample = values.find(value => (value.metricName ?? name) === name + suffix
+        && Object.keys(value.labels).length === expected.length
+        && expected.every(([label, labelValue]) => String(value.labels[label]) === labelValue));
+    return sample?.value ?? 0;
+}
+
+describe('createAppMetrics', () => {
+    it('should render the app metrics in the Prometheus text format', async () => {
+        const registry = new Registry();
+        const metrics = createAppMetrics(registry);
+
+        metrics.webhookDeliveries.inc({ outcome: 'delivered' });
+        metrics.processingDuration.observe({ builder: 'timeline' }, 0.3);
+
+        const text = await registry.metrics();
+        expect(text).toContain('# TYPE webhook_deliveries_total counter\nwebhook_deliveries_total{outcome="delivered"} 1');
+        expect(text).toContain('data_processor_duration_seconds_bucket{le="0.5",builder="timeline"} 1');
+        expect(text).toContain('data_processor_duration_seconds_count{builder="timeline"} 1');
+    });
+
+    it('should time with labels known only at the end', async () => {
+        const metrics = createAppMetrics(new Registry());
+
+        const end = metrics.httpRequestDuration.startTimer({ method: 'GET' });
+        end({ route: '/actors', status: 200 });
+
+        expect(await sampleOf(metrics.httpRequestDuration, { method: 'GET', route: '/actors', status: 200 }, '_count')).toBe(1);
+    });
+});
+
+describe('TMDB metrics', () => {
+    const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, headers: {} }
+    });
+
+    it('should count requests, errors and retries per endpoint and movie', async () => {
+        const metrics = createAppMetrics(new Registry());
+        const httpClient = {
+            get: jest.fn()
+                .mockRejectedValueOnce(httpError(503))
+                .mockResolvedValueOnce({ data: { cast: [] } })
+                .mockRejectedValueOnce(httpError(404))
+        };
+        const client = createTmdbClient({
+            httpClient,
+            apiKey: 'test-key',
+            baseUrl: 'https://tmdb.test/3',
+            sleep: jest.fn().mockResolvedValue(undefined),
+            metrics
+        });
+
+        await client.getMovieCredits(1726);
+        await expect(client.getMovieDetails(24428)).rejects.toMatchObject({ reason: 'not-found' });
+
+        const credits = { endpoint: '/movie/{id}/credits', movie_id: '1726' };
+        const details = { endpoint: '/movie/{id}', movie_id: '24428' };
+        expect(await sampleOf(metrics.tmdbRequests, { ...credits, outcome: 'success' })).toBe(1);
+        expect(await sampleOf(metrics.tmdbRetries, credits)).toBe(1);
+        expect(await sampleOf(metrics.tmdbErrors, { ...credits, reason: 'server-error' })).toBe(1);
+        expect(await sampleOf(metrics.tmdbRequestDuration, credits, '_count')).toBe(2);
+        expect(await sampleOf(metrics.tmdbRequests, { ...details, outcome: 'failure' })).toBe(1);
+        expect(await sampleOf(metrics.tmdbErrors, { ...details, reason: 'not-found' })).toBe(1);
+        expect(await sampleOf(metrics.tmdbRetries, details)).toBe(0);
+    });
+
+    it('should label requests that are not about one movie without a movie ID', async () => {
+        const metrics = createAppMetrics(new Registry());
+        const client = createTmdbClient({
+            httpClient: { get: jest.fn().mockResolvedValue({ data: { parts: [] } }) },
+            apiKey: 'test-key',
+            baseUrl: 'https://tmdb.test/3',
+            metrics
+        });
+
+        await client.getCollection(131292);
+
+        expect(await sampleOf(metrics.tmdbRequests, { endpoint: '/collection/{id}', movie_id: '', outcome: 'success' })).toBe(1);
+    });
+});
+
+describe('MovieDataService metrics', () => {
+    const credits = [
+        { movieName: 'Iron Man', credits: { cast: [{ name: 'Robert Downey Jr.', character: 'Tony Stark' }] } },
+        { movieName: 'The Avengers', credits: { cast: [{ name: 'Robert Downey Jr.', character: 'Tony Stark' }] } }
+    ];
+
+    it('should count cache hits and misses and time the builders', async () => {
+        const metrics = createAppMetrics(new Registry());
+        const service = new MovieDataService({
+            tmdbService: {
+                getAllMoviesCredits: jest.fn().mockResolvedValue({ credits, failures: [] }),
+                getAllMoviesDetails: jest.fn().mockResolvedValue({ details: [], failures: [] })
+            },
+            movies: { 'Iron Man': 1726, 'The Avengers': 24428 },
+            actors: ['Robert Downey Jr.'],
+            metrics
+        });
+
+        await service.getMoviesPerActor();
+        await service.getMoviesPerActor();
+
+        expect(await sampleOf(metrics.cacheLookups, { kind: 'processed', result: 'miss' })).toBe(1);
+        expect(await sampleOf(metrics.cacheLookups, { kind: 'processed', result: 'hit' })).toBe(1);
+        expect(await sampleOf(metrics.cacheLookups, { kind: 'credits', result: 'miss' })).toBe(2);
+        expect(await sampleOf(metrics.processingDuration, { builder: 'charactersWithMultipleActors' }, '_count')).toBe(1);
+
+        await service.getTimeline();
+
+        expect(await sampleOf(metrics.cacheLookups, { kind: 'credits', result: 'hit' })).toBe(2);
+        expect(await sampleOf(metrics.processingDuration, { builder: 'timeline' }, '_count')).toBe(1);
+    });
+});
+
+describe('createMetricsMiddleware', () => {
+    it('should record latency and status per route template', async () => {
+        const metrics = createAppMetrics(new Registry());
+        const middleware = createMetricsMiddleware({ metrics });
+        const req = { method: 'GET', baseUrl: '' };
+        const res = createResponse(404);
+        const next = jest.fn();
+
+        middleware(req, res, next);
+        req.route = { path: '/movies/:id/cast' };
+        res.end();
+
+        expect(next).toHaveBeenCalledWith();
+        expect(await sampleOf(metrics.httpRequestDuration, { method: 'GET', route: '/movies/:id/cast', status: 404 }, '_count')).toBe(1);
+    });
+
+    it('should label requests answered before routing as unmatched', () => {
+        expect(routeLabelOf({ baseUrl: '' })).toBe('unmatched');
+        expect(routeLabelOf({ baseUrl: '/v2', route: { path: '/actors' } })).toBe('/v2/actors');
+    });
+});
+
+describe('createRequestLoggerMiddleware', () => {
+    /**
+     * Creates a pino logger keeping its lines, parsed.
+     * @returns {{logger: import('pino').Logger, lines: Object[]}}
+     */
+    const createLogger = () => {
+        const lines = [];
+        const logger = pino({ base: null, timestamp: false }, { write: line => lines.push(JSON.parse(line)) });
+        return { logger, lines };
+    };
+    const LEVELS = { info: 30, warn: 40, error: 50 };
+
+    it('should give each request a child logger tagged with its ID and log it once answered', () => {
+        const { logger, lines } = createLogger();
+        const req = { id: 'req-1', method: 'GET', originalUrl: '/moviesPerActor?actor=x', headers: {} };
+        const res = createResponse(200);
+
+        createRequestLoggerMiddleware({ logger })(req, res, jest.fn());
+        req.log.info('Resolving');
+        req.client = { id: 'mobile' };
+        res.end();
+
+        expect(lines).toEqual([
+            { level: LEVELS.info, requestId: 'req-1', msg: 'Resolving' },
+            {
+                level: LEVELS.info,
+                requestId: 'req-1',
+                clientId: 'mobile',
+                method: 'GET',
+                url: '/moviesPerActor?actor=x',
+                status: 200,
+                responseTimeMs: expect.any(Number),
+                msg: 'Request completed'
+            }
+        ]);
+    });
+
+    it.each([
+        [404, true, 'warn', 'Request completed'],
+        [503, true, 'error', 'Request completed'],
+        [200, false, 'warn', 'Request aborted']
+    ])('should log status %i (ended: %s) at %s', (status, ended, level, message) => {
+        const { logger, lines } = createLogger();
+        const res = createResponse(status);
+
+        createRequestLoggerMiddleware({ logger })({ id: 'req-1', method: 'GET', originalUrl: '/', headers: {} }, res, jest.fn());
+        res.writableEnded = ended;
+        res.emit('close');
+
+        expect(lines).toEqual([expect.objectContaining({ level: LEVELS[level], status, clientId: null, msg: message })]);
+    });
+});
+
+describe('createMetricsController', () => {
+    it('should send the registry in the Prometheus text format', async () => {
+        const registry = new Registry();
+        createAppMetrics(registry).webhookDeliveries.inc({ outcome: 'delivered' });
+        const res = { type: jest.fn(() => res), send: jest.fn() };
+
+        await createMetricsController(registry).getMetrics({}, res, jest.fn());
+
+        expect(res.type).toHaveBeenCalledWith('text/plain; version=0.0.4; charset=utf-8');
+        expect(res.send).toHaveBeenCalledWith(expect.stringContaining('webhook_deliveries_total{outcome="delivered"} 1\n'));
+    });
+});
@@ -1,5 +1,8 @@
 import { jest } from '@jest/globals';
-import { MovieDataService } from '../services/movieDataService.js';
+import { MovieDataService, collectFailedMovies } from '../services/movieDataService.js';
+import { TmdbError } from '../utils/errors.js';
+import { MemoryCacheStore } from '../cache/memoryCacheStore.js';
+import { TrackingRegistry } from '../services/trackingRegistry.js';
 
 describe('MovieDataService', () => {
     // Mock TMDB service
@@ -34,7 +37,11 @@ describe('MovieDataService', () => {
     ];
 
     const createMockTmdbService = () => ({
-        getAllMoviesCredits: jest.fn().mockResolvedValue(mockCreditsResponse)
+        getAllMoviesCredits: jest.fn().mockResolvedValue({ credits: mockCreditsResponse, failures: [] }),
+        checkAllMoviesCredits: jest.fn(async checked => ({
+            updates: checked.map(({ name }) => ({ movieName: name, update: { changed: false, etag: null } })),
+            failures: []
+        }))
     });
 
     const movies = {
@@ -100,11 +107,13 @@ describe('MovieDataService', () => {
             expect(result['Chris Evans']).toBeDefined();
             expect(result['Chris Evans']).toContainEqual({
                 movieName: 'The Avengers',
-                characterName: 'Steve Rogers / Captain America'
+                characterName: 'Steve Rogers / Captain America',
+                characterId: 'steve-rogers'
             });
             expect(result['Chris Evans']).toContainEqual({
                 movieName: 'Fantastic Four',
-                characterName: 'Johnny Storm / Human Torch'
+                characterName: 'Johnny Storm / Human Torch',
+                characterId: 'johnny-storm'
             });
         });
 
@@ -157,7 +166,7 @@ describe('MovieDataService', () => {
             ];
 
             const mockTmdbService = {
-                getAllMoviesCredits: jest.fn().mockResolvedValue(creditsWithRecast)
+                getAllMoviesCredits: jest.fn().mockResolvedValue({ credits: creditsWithRecast, failures: [] })
             };
 
             const service = new MovieDataService({
@@ -168,9 +177,9 @@ describe('MovieDataService', () => {
 
             const result = await service.getCharactersWithMultipleActors();
 
-            expect(result['Hero']).toBeDefined();
-            expect(result['Hero']).toContainEqual({ movieName: 'Movie 1', actorName: 'Actor A' });
-            expect(result['Hero']).toContainEqual({ movieName: 'Movie 2', actorName: 'Actor B' });
+            expect(result['hero']).toBeDefined();
+            expect(result['hero']).toContainEqual({ movieName: 'Movie 1', actorName: 'Actor A' });
+            expect(result['hero']).toContainEqual({ movieName: 'Movie 2', actorName: 'Actor B' });
         });
     });
 
@@ -192,4 +201,660 @@ describe('MovieDataService', () => {
             expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
         });
     });
+    describe('partial results', () => {
+        it('should answer with the movies that succeeded and retry the failed ones next time', async () => {
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn().mockResolvedValue({
+                    credits: mockCreditsResponse.slice(0, 2),
+                    failures: [{ movieName: 'Fantastic Four', movieId: 9738, status: 429, message: 'Too Many Requests' }]
+                })
+            };
+            const service = new MovieDataService({
+                tmdbService: mockTmdbService,
+                movies,
+                actors
+            });
+
+            const failedMovies = new Set();
+            const result = await collectFailedMovies(failedMovies, () => service.getMoviesPerActor());
+            await service.getMoviesPerActor();
+
+            expect(result['Chris Evans']).toEqual(['The Avengers']);
+            expect([...failedMovies]).toEqual(['Fantastic Four']);
+            // Partial data is not cached
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(2);
+        });
+
+        it('should report no missing movies once every movie was fetched', async () => {
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn().mockResolvedValue({ credits: mockCreditsResponse, failures: [] })
+            };
+            const service = new MovieDataService({ tmdbService: mockTmdbService, movies, actors });
+            const fetched = new Set();
+            const cached = new Set();
+
+            await collectFailedMovies(fetched, () => service.getMoviesPerActor());
+            await collectFailedMovies(cached, () => service.getMoviesPerActor());
+
+            expect(fetched.size).toBe(0);
+            expect(cached.size).toBe(0);
+        });
+
+        it('should reject when every movie failed', async () => {
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn().mockResolvedValue({
+                    credits: [],
+                    failures: [{ movieName: 'Iron Man', movieId: 1726, status: 503, message: 'Service Unavailable' }]
+                })
+            };
+            const service = new MovieDataService({
+                tmdbService: mockTmdbService,
+                movies: { 'Iron Man': 1726 },
+                actors
+            });
+
+            await expect(service.getMoviesPerActor()).rejects.toThrow('Failed to fetch credits for all 1 movies');
+        });
+
+        it('should report why every movie failed as a TmdbError', async () => {
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn().mockResolvedValue({
+                    credits: [],
+                    failures: [{ movieName: 'Iron Man', movieId: 1726, status: 429, reason: 'rate-limited', retryAfterMs: 3000, message: 'Too Many Requests' }]
+                })
+            };
+            const service = new MovieDataService({
+                tmdbService: mockTmdbService,
+                movies: { 'Iron Man': 1726 },
+                actors
+            });
+
+            const error = await service.getMoviesPerActor().catch(rejection => rejection);
+
+            expect(error).toBeInstanceOf(TmdbError);
+            expect(error).toMatchObject({ reason: 'rate-limited', upstreamStatus: 429, retryAfterMs: 3000 });
+        });
+    });
+
+    describe('cache expiry and refresh', () => {
+        const fullResponse = { credits: mockCreditsResponse, failures: [] };
+
+        const createService = (tmdbService, clock) => new MovieDataService({
+            tmdbService,
+            movies,
+            actors,
+            cacheTtlMs: 1000,
+            now: () => clock.time
+        });
+
+        it('should serve stale data and refresh it in the background after the TTL', async () => {
+            const clock = { time: 0 };
+            const mockTmdbService = createMockTmdbService();
+            const service = createService(mockTmdbService, clock);
+
+            await service.getMoviesPerActor();
+            clock.time = 1500;
+
+            expect((await service.getCacheStatus()).stale).toBe(true);
+            const result = await service.getMoviesPerActor();
+
+            // Stale data is returned immediately while the refresh checks the cached credits
+            expect(result['Robert Downey Jr.']).toEqual(['Iron Man', 'The Avengers']);
+            await service.drain();
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
+            expect(mockTmdbService.checkAllMoviesCredits).toHaveBeenCalledTimes(1);
+
+            await service.refresh();
+            expect(await service.getCacheStatus()).toMatchObject({ stale: false, ageMs: 0 });
+        });
+
+        it('should keep serving stale data when the background refresh fails', async () => {
+            const clock = { time: 0 };
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn().mockResolvedValue(fullResponse),
+                checkAllMoviesCredits: jest.fn().mockRejectedValue(new Error('TMDB down'))
+            };
+            const service = createService(mockTmdbService, clock);
+
+            await service.getMoviesPerActor();
+            clock.time = 2000;
+            const result = await service.getMoviesPerActor();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(result['Chris Evans']).toEqual(['The Avengers', 'Fantastic Four']);
+            expect(await service.getCacheStatus()).toMatchObject({
+                cached: true,
+                failureCount: 1,
+                consecutiveFailures: 1,
+                lastError: { message: 'TMDB down' }
+            });
+        });
+
+        it('should retry after a failed fetch instead of reusing the rejected promise', async () => {
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn()
+                    .mockRejectedValueOnce(new Error('TMDB down'))
+                    .mockResolvedValueOnce(fullResponse)
+            };
+            const service = createService(mockTmdbService, { time: 0 });
+
+            await expect(service.getMoviesPerActor()).rejects.toThrow('TMDB down');
+            const result = await service.getMoviesPerActor();
+
+            expect(result['Gwyneth Paltrow']).toEqual(['Iron Man']);
+            expect(await service.getCacheStatus()).toMatchObject({ failureCount: 1, consecutiveFailures: 0, lastError: null });
+        });
+
+        it('should refetch after invalidate', async () => {
+            const mockTmdbService = createMockTmdbService();
+            const service = createService(mockTmdbService, { time: 0 });
+
+            await service.getMoviesPerActor();
+            await service.invalidate();
+            expect((await service.getCacheStatus()).cached).toBe(false);
+
+            await service.getMoviesPerActor();
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(2);
+        });
+
+        it('should report last fetch time and age', async () => {
+            const clock = { time: Date.UTC(2024, 0, 1) };
+            const service = createService(createMockTmdbService(), clock);
+
+            expect(await service.getCacheStatus()).toMatchObject({ cached: false, lastFetchedAt: null, ageMs: null });
+
+            await service.refresh();
+            clock.time += 250;
+
+            expect(await service.getCacheStatus()).toMatchObject({
+                cached: true,
+                lastFetchedAt: '2024-01-01T00:00:00.000Z',
+                ageMs: 250,
+                ttlMs: 1000
+            });
+        });
+    });
+
+    describe('cache store', () => {
+        it('should reuse credits and processed data already in the store', async () => {
+            const cacheStore = new MemoryCacheStore();
+            await new MovieDataService({ tmdbService: createMockTmdbService(), movies, actors, cacheStore })
+                .getMoviesPerActor();
+
+            // A new instance (e.g. after a restart) sharing the same store
+            const mockTmdbService = createMockTmdbService();
+            const service = new MovieDataService({ tmdbService: mockTmdbService, movies, actors, cacheStore });
+            const result = await service.getMoviesPerActor();
+
+            expect(result['Chris Evans']).toEqual(['The Avengers', 'Fantastic Four']);
+            expect(mockTmdbService.getAllMoviesCredits).not.toHaveBeenCalled();
+        });
+
+        it('should rebuild an evicted processed entry from cached credits without calling TMDB', async () => {
+            const cacheStore = new MemoryCacheStore();
+            const mockTmdbService = createMockTmdbService();
+            const service = new MovieDataService({ tmdbService: mockTmdbService, movies, actors, cacheStore });
+
+            await service.getMoviesPerActor();
+            await cacheStore.delete('processed:actorsWithMultipleCharacters');
+            const result = await service.getActorsWithMultipleCharacters();
+
+            expect(result['Chris Evans']).toHaveLength(2);
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
+        });
+
+        it('should only fetch movies whose credits are missing from the store', async () => {
+            const cacheStore = new MemoryCacheStore();
+            await cacheStore.set('credits:1726', mockCreditsResponse[0].credits);
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn().mockResolvedValue({ credits: mockCreditsResponse.slice(1), failures: [] })
+            };
+            const service = new MovieDataService({ tmdbService: mockTmdbService, movies, actors, cacheStore });
+
+            const result = await service.getMoviesPerActor();
+
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledWith([
+                { name: 'The Avengers', id: 24428 },
+                { name: 'Fantastic Four', id: 9738 }
+            ]);
+            expect(result['Robert Downey Jr.']).toEqual(['Iron Man', 'The Avengers']);
+        });
+    });
+
+    describe('incremental refresh', () => {
+        const ironManRecast = {
+            cast: [
+                { name: 'Robert Downey Jr.', character: 'Tony Stark / Iron Man' },
+                { name: 'Scarlett Johansson', character: 'Pepper Potts' }
+            ]
+        };
+
+        const setup = (checkAllMoviesCredits) => {
+            const cacheStore = new MemoryCacheStore();
+            const mockTmdbService = { ...createMockTmdbService(), ...(checkAllMoviesCredits && { checkAllMoviesCredits }) };
+            const service = new MovieDataService({ tmdbService: mockTmdbService, movies, actors, cacheStore, now: () => 5000 });
+            const refreshes = [];
+            service.on('refresh', summary => refreshes.push(summary));
+            return { cacheStore, mockTmdbService, service, refreshes };
+        };
+
+        const updates = (checked, changedCredits = {}) => ({
+            updates: checked.map(({ name }) => ({
+                movieName: name,
+                update: changedCredits[name]
+                    ? { changed: true, credits: changedCredits[name], etag: `"${name}"` }
+                    : { changed: false, etag: null }
+            })),
+            failures: []
+        });
+
+        it('should refetch only changed movies, rebuild what they affect and emit the diff', async () => {
+            const checkAllMoviesCredits = jest.fn(async checked => updates(checked, { 'Iron Man': ironManRecast }));
+            const { cacheStore, mockTmdbService, service, refreshes } = setup(checkAllMoviesCredits);
+            await service.getMoviesPerActor();
+
+            const status = await service.refresh();
+
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
+            expect(checkAllMoviesCredits).toHaveBeenCalledWith([
+                { name: 'Iron Man', id: 1726, etag: null, checkedAt: 5000 },
+                { name: 'The Avengers', id: 24428, etag: null, checkedAt: 5000 },
+                { name: 'Fantastic Four', id: 9738, etag: null, checkedAt: 5000 }
+            ]);
+            expect(await service.getMoviesPerActor()).toMatchObject({
+                'Scarlett Johansson': ['Iron Man', 'The Avengers']
+            });
+            expect(await cacheStore.get('creditsMeta:1726')).toEqual({ etag: '"Iron Man"', fetchedAt: 5000, checkedAt: 5000 });
+            expect(refreshes).toHaveLength(1);
+            expect(refreshes[0]).toMatchObject({
+                mode: 'incremental',
+                checked: 3,
+                refetched: ['Iron Man'],
+                changed: ['Iron Man'],
+                failedMovies: [],
+                diff: {
+                    actors: {
+                        added: [{ actorName: 'Scarlett Johansson', movieName: 'Iron Man' }],
+                        removed: [{ actorName: 'Gwyneth Paltrow', movieName: 'Iron Man' }]
+                    }
+                }
+            });
+            // The crew did not change
+            expect(refreshes[0].rebuilt).toContain('moviesPerActor');
+            expect(refreshes[0].rebuilt).not.toContain('crewPerPerson');
+            expect(refreshes[0].updated).toEqual(['moviesPerActor']);
+            expect(status.lastRefresh).toEqual(refreshes[0]);
+        });
+
+        it('should check credits from the first fetch conditionally on their ETag', async () => {
+            const { cacheStore, mockTmdbService, service } = setup();
+            mockTmdbService.getAllMoviesCredits.mockResolvedValue({
+                credits: mockCreditsResponse.map(credits => ({ ...credits, etag: `"${credits.movieName}"` })),
+                failures: []
+            });
+            await service.getMoviesPerActor();
+            expect(await cacheStore.get('creditsMeta:1726')).toEqual({ etag: '"Iron Man"', fetchedAt: 5000, checkedAt: 5000 });
+
+            await service.refresh();
+
+            expect(mockTmdbService.checkAllMoviesCredits).toHaveBeenCalledWith(expect.arrayContaining([
+                { name: 'Iron Man', id: 1726, etag: '"Iron Man"', checkedAt: 5000 }
+            ]));
+        });
+
+        it('should rebuild only the changed movies of per-movie structures', async () => {
+            const checkAllMoviesCredits = jest.fn(async checked => updates(checked, { 'Iron Man': ironManRecast }));
+            const { cacheStore, service } = setup(checkAllMoviesCredits);
+            const before = await service.getMoviesPerActor();
+            // Marks the cached part of an unchanged movie, to tell whether it is rebuilt
+            const parts = await cacheStore.get('processedParts:moviesPerActor');
+            await cacheStore.set('processedParts:moviesPerActor', { ...parts, 'Fantastic Four': { 'Chris Evans': ['Fantastic Four'], Marker: ['Fantastic Four'] } });
+
+            await service.refresh();
+            const after = await service.getMoviesPerActor();
+
+            expect(before['Gwyneth Paltrow']).toEqual(['Iron Man']);
+            expect(after['Gwyneth Paltrow']).toBeUndefined();
+            expect(after['Scarlett Johansson']).toEqual(['Iron Man', 'The Avengers']);
+            expect(after.Marker).toEqual(['Fantastic Four']);
+        });
+
+        it('should update per-movie structures to what a full build gives', async () => {
+            const checkAllMoviesCredits = jest.fn(async checked => updates(checked, { 'Iron Man': ironManRecast }));
+            const { service } = setup(checkAllMoviesCredits);
+            await service.getMoviesPerActor();
+            await service.refresh();
+
+            const rebuilt = new MovieDataService({
+                tmdbService: {
+                    getAllMoviesCredits: jest.fn().mockResolvedValue({
+                        credits: mockCreditsResponse.map(data => (data.movieName === 'Iron Man' ? { ...data, credits: ironManRecast } : data)),
+                        failures: []
+                    })
+                },
+                movies,
+                actors
+            });
+
+            expect(JSON.stringify(await service.getMoviesPerActor())).toBe(JSON.stringify(await rebuilt.getMoviesPerActor()));
+            expect(await service.getCrewPerPerson()).toEqual(await rebuilt.getCrewPerPerson());
+        });
+
+        it('should reuse every processed structure when nothing changed', async () => {
+            const { mockTmdbService, service, refreshes } = setup();
+            await service.getMoviesPerActor();
+
+            await service.refresh();
+            await service.refresh();
+
+            expect(mockTmdbService.checkAllMoviesCredits).toHaveBeenCalledTimes(2);
+            expect(refreshes[1]).toMatchObject({ refetched: [], changed: [], rebuilt: [] });
+            expect(refreshes[1].diff.actors).toEqual({ added: [], removed: [] });
+        });
+
+        it('should emit "change" only when a rebuild changed the tracked credits', async () => {
+            const checkAllMoviesCredits = jest.fn()
+                .mockImplementationOnce(async checked => updates(checked))
+                .mockImplementationOnce(async checked => updates(checked, { 'Iron Man': ironManRecast }));
+            const { service } = setup(checkAllMoviesCredits);
+            const changes = [];
+            service.on('change', change => changes.push(change));
+            await service.getMoviesPerActor();
+
+            await service.refresh();
+            await service.refresh();
+
+            expect(changes).toHaveLength(1);
+            expect(changes[0]).toMatchObject({
+                changed: ['Iron Man'],
+                diff: { actors: { added: [{ actorName: 'Scarlett Johansson', movieName: 'Iron Man' }] } }
+            });
+        });
+
+        it('should keep the credits of movies that could not be checked', async () => {
+            const checkAllMoviesCredits = jest.fn(async checked => ({
+                updates: updates(checked.slice(1)).updates,
+                failures: [{ movieName: 'Iron Man', movieId: 1726, status: 503, reason: 'server-error', message: 'Service Unavailable' }]
+            }));
+            const { service } = setup(checkAllMoviesCredits);
+            await service.getMoviesPerActor();
+
+            await service.refresh();
+
+            expect((await service.getMoviesPerActor())['Gwyneth Paltrow']).toEqual(['Iron Man']);
+        });
+
+        it('should fail when no movie could be checked, keeping the cached data', async () => {
+            const checkAllMoviesCredits = jest.fn(async checked => ({
+                updates: [],
+                failures: checked.map(({ name, id }) => ({ movieName: name, movieId: id, status: 429, reason: 'rate-limited', message: 'Too Many Requests' }))
+            }));
+            const { service, refreshes } = setup(checkAllMoviesCredits);
+            await service.getMoviesPerActor();
+
+            await expect(service.refresh()).rejects.toMatchObject({ reason: 'rate-limited' });
+            expect(await service.getCacheStatus()).toMatchObject({ cached: true, consecutiveFailures: 1, lastRefresh: null });
+            expect(refreshes).toHaveLength(0);
+        });
+
+        it('should refetch every movie on a full refresh', async () => {
+            const { mockTmdbService, service, refreshes } = setup();
+            await service.getMoviesPerActor();
+
+            await service.refresh({ full: true });
+
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(2);
+            expect(mockTmdbService.checkAllMoviesCredits).not.toHaveBeenCalled();
+            expect(refreshes[0]).toMatchObject({ mode: 'full', checked: 0, changed: [], rebuilt: [] });
+            expect(refreshes[0].refetched).toHaveLength(3);
+        });
+    });
+
+    describe('actor resolution', () => {
+        it('should match actors by resolved person ID and report the resolution', async () => {
+            const report = {
+                resolved: [{ name: 'Chris Evans', id: 16828, tmdbName: null, pinned: true }],
+                ambiguous: [],
+                unresolved: [],
+                failed: []
+            };
+            const matcher = { match: ({ id }) => (id === 16828 ? 'Chris Evans' : null) };
+            const actorResolver = { resolve: jest.fn().mockResolvedValue({ matcher, report }) };
+            const cast = [{ id: 16828, name: 'Christopher Evans', character: 'Steve Rogers' }];
+            const tmdbService = {
+                getAllMoviesCredits: jest.fn().mockResolvedValue({
+                    credits: [{ movieName: 'The Avengers', credits: { cast } }],
+                    failures: []
+                })
+            };
+            const service = new MovieDataService({
+                tmdbService,
+                movies: { 'The Avengers': 24428 },
+                actors: ['Chris Evans'],
+                actorResolver
+            });
+
+            expect(await service.getMoviesPerActor()).toEqual({ 'Chris Evans': ['The Avengers'] });
+            expect(await service.getActorResolutionReport()).toBe(report);
+            expect(actorResolver.resolve).toHaveBeenCalledWith(['Chris Evans']);
+        });
+
+        it('should report no resolution without a resolver', async () => {
+            const service = new MovieDataService({ tmdbService: createMockTmdbService(), movies, actors });
+
+            expect(await service.getActorResolutionReport()).toBeNull();
+        });
+    });
+
+    describe('tracked set changes', () => {
+        const ironManDetails = { id: 1726, title: 'Iron Man' };
+
+        const setup = () => {
+            const cacheStore = new MemoryCacheStore();
+            const trackingRegistry = new TrackingRegistry({
+                movies: { 'The Avengers': 24428, 'Fantastic Four': 9738 },
+                actors,
+                tmdbService: { getMovieDetails: jest.fn().mockResolvedValue(ironManDetails) }
+            });
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn(async requested => ({
+                    credits: mockCreditsResponse.filter(({ movieName }) => requested.some(m => m.name === movieName)),
+                    failures: []
+                }))
+            };
+            const service = new MovieDataService({ tmdbService: mockTmdbService, trackingRegistry, cacheStore });
+            return { cacheStore, trackingRegistry, mockTmdbService, service };
+        };
+
+        it('should fetch only the credits of an added movie', async () => {
+            const { trackingRegistry, mockTmdbService, service } = setup();
+            await service.getMoviesPerActor();
+
+            await trackingRegistry.addMovie({ id: 1726 });
+            const result = await service.getMoviesPerActor();
+
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(2);
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenLastCalledWith([{ name: 'Iron Man', id: 1726 }]);
+            expect(result['Gwyneth Paltrow']).toEqual(['Iron Man']);
+        });
+
+        it('should drop the credits of a removed movie and keep the others', async () => {
+            const { cacheStore, trackingRegistry, mockTmdbService, service } = setup();
+            await service.getMoviesPerActor();
+
+            await trackingRegistry.removeMovie(9738);
+            const result = await service.getMoviesPerActor();
+
+            expect(await cacheStore.get('credits:9738')).toBeUndefined();
+            expect(await cacheStore.get('credits:24428')).toBeDefined();
+            expect(result['Chris Evans']).toEqual(['The Avengers']);
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
+        });
+
+        it('should keep the credits of a renamed movie', async () => {
+            const { cacheStore, trackingRegistry, mockTmdbService, service } = setup();
+            await service.getMoviesPerActor();
+
+            await trackingRegistry.replaceMovies({ 'Avengers Assemble': 24428, 'Fantastic Four': 9738 });
+            const result = await service.getMoviesPerActor();
+
+            expect(await cacheStore.get('credits:24428')).toBeDefined();
+            expect(result['Chris Evans']).toEqual(['Avengers Assemble', 'Fantastic Four']);
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
+        });
+
+        it('should rebuild from cached credits when actors change', async () => {
+            const { trackingRegistry, mockTmdbService, service } = setup();
+            await service.getMoviesPerActor();
+
+            await trackingRegistry.removeActor('Chris Evans');
+            const result = await service.getMoviesPerActor();
+
+            expect(result['Chris Evans']).toBeUndefined();
+            expect(result['Robert Downey Jr.']).toEqual(['The Avengers']);
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('actor and movie details', () => {
+        const releaseDates = { 1726: '2008-04-30', 24428: '2012-04-25' };
+        const createDetailsTmdbService = () => ({
+            ...createMockTmdbService(),
+            getAllMoviesDetails: jest.fn(async requested => ({
+                details: requested
+                    .filter(({ id }) => releaseDates[id])
+                    .map(({ name, id }) => ({
+                        movieName: name,
+                        details: { id, title: name, release_date: releaseDates[id], runtime: 120, poster_path: '/poster.jpg' }
+                    })),
+                failures: requested
+                    .filter(({ id }) => !releaseDates[id])
+                    .map(({ name, id }) => ({ movieName: name, movieId: id, status: 500, message: 'boom' }))
+            }))
+        });
+
+        it('should return a filmography with release years, caching movie details', async () => {
+            const mockTmdbService = createDetailsTmdbService();
+            const service = new MovieDataService({ tmdbService: mockTmdbService, movies, actors });
+
+            const filmography = await service.getActorFilmography('chris evans');
+            await service.getActorFilmography('Chris Evans');
+
+            expect(filmography).toEqual({
+                name: 'Chris Evans',
+                movieCount: 2,
+                movies: [
+                    { movieName: 'The Avengers', characterName: 'Steve Rogers / Captain America', releaseYear: 2012, phase: 1, billingOrder: null },
+                    { movieName: 'Fantastic Four', characterName: 'Johnny Storm / Human Torch', releaseYear: null, phase: null, billingOrder: null }
+                ]
+            });
+            // Details are fetched next to the credits; afterwards only the failed movie is retried
+            expect(mockTmdbService.getAllMoviesDetails.mock.calls.map(([requested]) => requested.map(({ id }) => id)))
+                .toEqual([[1726, 24428, 9738], [9738], [9738]]);
+        });
+
+        it('should return the tracked cast of a movie by ID or name', async () => {
+            const service = new MovieDataService({ tmdbService: createDetailsTmdbService(), movies, actors });
+
+            const cast = await service.getMovieCast('24428');
+
+            expect(cast).toMatchObject({ name: 'The Avengers', releaseDate: '2012-04-25', runtime: 120, phase: 1 });
+            expect(cast.cast.map(member => member.actorName)).toEqual([
+                'Robert Downey Jr.', 'Chris Evans', 'Scarlett Johansson'
+            ]);
+            expect(await service.getMovieCast('iron man')).toMatchObject({ id: 1726 });
+        });
+
+        it('should return null for untracked actors and movies', async () => {
+            const service = new MovieDataService({ tmdbService: createDetailsTmdbService(), movies, actors });
+
+            expect(await service.getActorFilmography('Mark Ruffalo')).toBeNull();
+            expect(await service.getMovieCast(1724)).toBeNull();
+        });
+    });
+
+    describe('sorting and timeline', () => {
+        const createDatedTmdbService = releaseDates => ({
+            ...createMockTmdbService(),
+            getAllMoviesDetails: jest.fn(async requested => ({
+                details: requested.map(({ name, id }) => ({ movieName: name, details: { id, title: name, release_date: releaseDates[id] } })),
+                failures: []
+            }))
+        });
+
+        it('should sort movie lists by release date or phase without changing the cached order', async () => {
+            // Fantastic Four is dated before the MCU movies but has no phase
+            const tmdbService = createDatedTmdbService({ 1726: '2008-04-30', 24428: '2012-04-25', 9738: '2005-06-29' });
+            const service = new MovieDataService({ tmdbService, movies, actors });
+
+            expect((await service.getMoviesPerActor({ sort: 'releaseDate' }))['Chris Evans'])
+                .toEqual(['Fantastic Four', 'The Avengers']);
+            expect((await service.getMoviesPerActor({ sort: 'phase' }))['Chris Evans'])
+                .toEqual(['The Avengers', 'Fantastic Four']);
+            expect((await service.getMoviesPerActor())['Chris Evans']).toEqual(['The Avengers', 'Fantastic Four']);
+        });
+
+        it('should build the timeline from release dates', async () => {
+            const tmdbService = createDatedTmdbService({ 1726: '2008-04-30', 24428: '2012-04-25', 9738: '2005-06-29' });
+            const service = new MovieDataService({ tmdbService, movies, actors });
+
+            const timeline = await service.getTimeline();
+
+            expect(timeline.years.map(entry => entry.year)).toEqual([2005, 2008, 2012]);
+            expect(timeline.years[2].actors).toEqual(['Chris Evans', 'Robert Downey Jr.', 'Scarlett Johansson']);
+            expect(timeline.years[2].debuts.map(debut => debut.characterId)).toEqual(['steve-rogers', 'natasha-romanoff']);
+        });
+    });
+
+    describe('collaborations', () => {
+        it('should cache the collaboration graph with the other processed data', async () => {
+            const mockTmdbService = createMockTmdbService();
+            const cacheStore = new MemoryCacheStore();
+            const service = new MovieDataService({ tmdbService: mockTmdbService, movies, actors, cacheStore });
+
+            const graph = await service.getCollaborations();
+
+            expect(graph.nodes['Chris Evans'].degree).toBe(2);
+            expect(await cacheStore.get('processed:collaborations')).toEqual(graph);
+        });
+
+        it('should find paths between tracked actors by any spelling', async () => {
+            const service = new MovieDataService({ tmdbService: createMockTmdbService(), movies, actors });
+
+            const path = await service.getCollaborationPath('gwyneth paltrow', 'Scarlett Johansson');
+
+            expect(path.path.map(step => step.actor)).toEqual(['Gwyneth Paltrow', 'Robert Downey Jr.', 'Scarlett Johansson']);
+            expect(await service.getCollaborationPath('Gwyneth Paltrow', 'Mark Ruffalo')).toBeNull();
+        });
+    });
+
+    describe('crew', () => {
+        const creditsWithCrew = [
+            {
+                movieName: 'Iron Man',
+                credits: {
+                    cast: [{ name: 'Robert Downey Jr.', character: 'Tony Stark' }, { name: 'Jon Favreau', character: 'Hogan' }],
+                    crew: [{ name: 'Jon Favreau', department: 'Directing', job: 'Director' }]
+                }
+            }
+        ];
+
+        it('should rebuild crew results from cached credits when the tracked crew changes', async () => {
+            const mockTmdbService = {
+                getAllMoviesCredits: jest.fn().mockResolvedValue({ credits: creditsWithCrew, failures: [] })
+            };
+            const trackingRegistry = new TrackingRegistry({ movies: { 'Iron Man': 1726 }, actors: ['Robert Downey Jr.'] });
+            const service = new MovieDataService({ tmdbService: mockTmdbService, trackingRegistry });
+
+            expect(await service.getCrewPerPerson()).toEqual({});
+
+            await trackingRegistry.addCrewMember('Jon Favreau');
+
+            expect(await service.getCrewPerPerson()).toEqual({
+                'Jon Favreau': [{ movieName: 'Iron Man', department: 'Directing', job: 'Director' }]
+            });
+            expect(Object.keys(await service.getActorsOnCrew())).toEqual(['Jon Favreau']);
+            expect(mockTmdbService.getAllMoviesCredits).toHaveBeenCalledTimes(1);
+        });
+    });
 });
@@ -0,0 +1,349 @@
+import { jest } from '@jest/globals';
+import { createRoutes, describeApi } from '../routes/index.js';
+import { createMoviesController } from '../controllers/moviesController.js';
+import { createDocsController } from '../controllers/docsController.js';
+import { MovieDataService } from '../services/movieDataService.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { validateRequest } from '../utils/validation.js';
+import { checkJsonSchema } from '../utils/jsonSchema.js';
+import { toOpenApiPath, renderDocsPage } from '../utils/openapi.js';
+
+// Any handler name resolves to the stub, so the table can be built without services
+const stubHandler = () => {};
+const stubController = new Proxy({}, { get: () => stubHandler });
+
+/**
+ * Minimal Express response recording what was sent.
+ * @returns {Object}
+ */
+function createResponse() {
+    const res = { statusCode: 200, headers: {}, body: undefined, headersSent: false };
+    res.status = jest.fn(code => Object.assign(res, { statusCode: code }));
+    res.set = jest.fn((name, value) => {
+        res.headers[name.toLowerCase()] = value;
+        return res;
+    });
+    res.type = jest.fn(type => res.set('content-type', type));
+    res.json = jest.fn(body => Object.assign(res, { body, headersSent: true }));
+    res.send = jest.fn(body => Object.assign(res, { body, headersSent: true }));
+    return res;
+}
+
+describe('checkJsonSchema', () => {
+    const document = {
+        components: {
+            schemas: {
+                Movie: {
+                    type: 'object',
+                    properties: { name: { type: 'string' }, year: { type: ['integer', 'null'] } },
+                    required: ['name'],
+                    additionalProperties: false
+                }
+            }
+        }
+    };
+    const movies = { type: 'array', items: { $ref: '#/components/schemas/Movie' } };
+
+    it('should accept matching values', () => {
+        expect(checkJsonSchema(movies, [{ name: 'Iron Man', year: 2008 }, { name: 'Blade', year: null }], { root: document }))
+            .toEqual([]);
+    });
+
+    it('should report every mismatch with its location', () => {
+        expect(checkJsonSchema(movies, [{ year: 2008.5, extra: true }], { root: document })).toEqual([
+            '$[0].name is required',
+            '$[0].year must be integer or null',
+            '$[0].extra is not allowed'
+        ]);
+    });
+
+    it('should check anyOf, enum and map values', () => {
+        const schema = { anyOf: [{ type: 'string', enum: ['a'] }, { type: 'object', additionalProperties: { type: 'integer' } }] };
+
+        expect(checkJsonSchema(schema, 'a')).toEqual([]);
+        expect(checkJsonSchema(schema, { x: 1 })).toEqual([]);
+        expect(checkJsonSchema(schema, { x: 'b' })).toHaveLength(1);
+    });
+
+    it('should throw on unresolved references', () => {
+        expect(() => checkJsonSchema({ $ref: '#/components/schemas/Nope' }, 1, { root: document }))
+            .toThrow('Unresolved reference');
+    });
+});
+
+describe('OpenAPI document', () => {
+    const routes = createRoutes({
+        moviesController: stubController,
+        trackingController: stubController,
+        discoveryController: stubController,
+        debugController: stubController,
+        cacheController: stubController,
+        docsController: stubController,
+        metricsController: stubController,
+        healthController: stubController,
+        eventsController: stubController,
+        webhooksController: stubController,
+        graphqlController: stubController
+    });
+    const document = describeApi(routes);
+
+    it('should describe every route once', () => {
+        const operations = Object.entries(document.paths)
+            .flatMap(([path, methods]) => Object.keys(methods).map(method => `${method} ${path}`));
+
+        expect(operations.sort()).toEqual(routes.map(({ method, path }) => `${method} ${toOpenApiPath(path)}`).sort());
+        expect(document.paths['/movies/{id}/cast'].get.parameters).toEqual([
+            expect.objectContaining({ name: 'id', in: 'path', required: true })
+        ]);
+    });
+
+    it('should give each operation a unique ID, a tag and an error response', () => {
+        const operations = Object.values(document.paths).flatMap(methods => Object.values(methods));
+        const ids = operations.map(operation => operation.operationId);
+
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(ids).toContain('getMoviesByIdCast');
+        for (const operation of operations) {
+            expect(operation.tags).toHaveLength(1);
+            expect(operation.responses.default.content['application/json'].schema)
+                .toEqual({ $ref: '#/components/schemas/Error' });
+        }
+    });
+
+    it('should document the API key and the admin routes needing one', () => {
+        expect(document.components.securitySchemes.apiKey).toMatchObject({ type: 'apiKey', in: 'header', name: 'X-Api-Key' });
+        expect(document.paths['/cache/refresh'].post.security).toEqual([{ apiKey: [] }]);
+        expect(document.paths['/cache/refresh'].post.responses).toHaveProperty('403');
+        expect(document.paths['/cache/status'].get.security).toEqual([{ apiKey: [] }]);
+        expect(document.paths['/debug/characterMatches'].get.security).toEqual([{ apiKey: [] }]);
+        expect(document.paths['/moviesPerActor'].get.security).toBeUndefined();
+        expect(renderDocsPage(document)).toContain('Needs an admin API key');
+    });
+
+    it('should document probes as open to all and never rate limited', () => {
+        const readiness = document.paths['/readyz'].get;
+
+        expect(readiness.security).toEqual([]);
+        expect(readiness.responses).not.toHaveProperty('429');
+        expect(readiness.responses['503'].content).toEqual(readiness.responses['200'].content);
+        expect(document.paths['/healthz'].get.responses['200'].content['application/json'].schema)
+            .toEqual({ $ref: '#/components/schemas/Liveness' });
+    });
+
+    it('should only reference schemas it defines', () => {
+        const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g);
+
+        expect(refs.length).toBeGreaterThan(0);
+        for (const ref of refs) {
+            const name = ref.match(/#\/components\/schemas\/(\w+)/)[1];
+            expect(document.components.schemas).toHaveProperty(name);
+        }
+    });
+
+    it('should document status and body of bodiless and created responses', () => {
+        expect(document.paths['/movies/{id}'].delete.responses['204']).toEqual({ description: 'No Content' });
+        expect(document.paths['/movies'].post.responses['201'].content['application/json'].schema)
+            .toEqual({ $ref: '#/components/schemas/TrackedMovie' });
+        expect(document.paths['/movies'].post.requestBody.content['application/json'].schema.required).toEqual(['id']);
+    });
+
+    it('should render an escaped docs page linking the document', () => {
+        const page = renderDocsPage({ ...document, info: { ...document.info, description: '<script>alert(1)</script>' } });
+
+        expect(page).toContain('href="/openapi.json"');
+        expect(page).toContain('<code>/movies/{id}/cast</code>');
+        expect(page).toContain('&#60;script&#62;');
+        expect(page).not.toContain('<script>');
+    });
+
+    it('should serve the document and page built once', () => {
+        const describe = jest.fn(() => document);
+        const docsController = createDocsController(describe);
+
+        const json = createResponse();
+        docsController.getOpenApiDocument({}, json);
+        const html = createResponse();
+        docsController.getDocsPage({}, html);
+
+        expect(json.body).toBe(document);
+        expect(html.headers['content-type']).toBe('html');
+        expect(html.body).toContain('Marvel Movies API');
+        expect(describe).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('moviesController contract', () => {
+    const cast = (name, character, order) => ({ name, character, order });
+    const credits = [
+        {
+            movieName: 'Iron Man',
+            credits: {
+                cast: [
+                    cast('Robert Downey Jr.', 'Tony Stark', 0),
+                    cast('Terrence Howard', 'James "Rhodey" Rhodes', 1),
+                    cast('Jon Favreau', 'Happy Hogan', 2)
+                ],
+                crew: [{ name: 'Jon Favreau', department: 'Directing', job: 'Director' }]
+            }
+        },
+        {
+            movieName: 'Iron Man 2',
+            credits: {
+                cast: [
+                    cast('Robert Downey Jr.', 'Tony Stark / Iron Man', 0),
+                    cast('Don Cheadle', 'Lt. Col. James "Rhodey" Rhodes / War Machine', 1),
+                    cast('Scarlett Johansson', 'Natalie Rushman / Natasha Romanoff', 2)
+                ],
+                crew: [{ name: 'Jon Favreau', department: 'Directing', job: 'Director' }]
+            }
+        },
+        {
+            movieName: 'The Avengers',
+            credits: {
+                cast: [
+                    cast('Robert Downey Jr.', 'Tony Stark / Iron Man', 0),
+                    cast('Chris Evans', 'Steve Rogers / Captain America', 1),
+                    cast('Scarlett Johansson', 'Natasha Romanoff / Black Widow', 2)
+                ],
+                crew: []
+            }
+        },
+        {
+            movieName: 'Fantastic Four',
+            credits: { cast: [cast('Chris Evans', 'Johnny Storm / Human Torch', 1)], crew: [] }
+        }
+    ];
+    const movies = { 'Iron Man': 1726, 'Iron Man 2': 10138, 'The Avengers': 24428, 'Fantastic Four': 9738 };
+    // Fantastic Four has no details, so undated and null fields are covered too
+    const releaseDates = { 1726: '2008-04-30', 10138: '2010-04-28', 24428: '2012-04-25' };
+
+    const tmdbService = {
+        getAllMoviesCredits: jest.fn(async requested => ({
+            credits: credits.filter(movie => requested.some(({ name }) => name === movie.movieName)),
+            failures: []
+        })),
+        getAllMoviesDetails: jest.fn(async requested => ({
+            details: requested
+                .filter(({ id }) => releaseDates[id])
+                .map(({ name, id }) => ({
+                    movieName: name,
+                    details: { id, title: name, release_date: releaseDates[id], runtime: 126, poster_path: '/poster.jpg' }
+                })),
+            failures: []
+        }))
+    };
+
+    const movieDataService = new MovieDataService({
+        tmdbService,
+        movies,
+        actors: ['Robert Downey Jr.', 'Terrence Howard', 'Don Cheadle', 'Scarlett Johansson', 'Chris Evans', 'Jon Favreau'],
+        crew: ['Jon Favreau']
+    });
+    const routes = createRoutes({
+        moviesController: createMoviesController(movieDataService),
+        trackingController: stubController,
+        discoveryController: stubController,
+        debugController: stubController,
+        cacheController: stubController,
+        docsController: stubController,
+        metricsController: stubController,
+        healthController: stubController,
+        eventsController: stubController,
+        webhooksController: stubController,
+        graphqlController: stubController
+    });
+    const document = describeApi(routes);
+
+    /**
+     * Sends a request through a route's validation and handler, and the error middleware on failure.
+     * @param {string} method
+     * @param {string} path - Route path, e.g. "/actors/:name"
+     * @param {{params?: Object, query?: Object}} [request] - Raw params and query strings
+     * @returns {Promise<{status: number, body: *}>}
+     */
+    async function send(method, path, { params = {}, query = {} } = {}) {
+        const route = routes.find(candidate => candidate.method === method && candidate.path === path);
+        const req = { id: 'req-1', method: method.toUpperCase(), originalUrl: path, path };
+        const res = createResponse();
+        const fail = error => errorHandler(error, req, res, jest.fn());
+
+        try {
+            Object.assign(req, validateRequest(route.schema, { params, query }));
+        } catch (error) {
+            fail(error);
+            return { status: res.statusCode, body: res.body };
+        }
+
+        await route.handler(req, res, fail);
+        return { status: res.statusCode, body: res.body };
+    }
+
+    /**
+     * Checks a response against the schema the document gives for its route and status.
+     * @returns {string[]} Mismatches
+     */
+    function checkResponse(method, path, { status, body }) {
+        const responses = document.paths[toOpenApiPath(path)][method].responses;
+        const { content } = responses[status] ?? responses.default;
+        return checkJsonSchema(content['application/json'].schema, body, { root: document });
+    }
+
+    const moviesRoutes = [
+        ['get', '/moviesPerActor'],
+        ['get', '/moviesPerActor', { query: { sort: 'phase', minCount: '2' } }],
+        ['get', '/actorsWithMultipleCharacters'],
+        ['get', '/actorsWithMultipleCharacters', { query: { explain: 'true' } }],
+        ['get', '/charactersWithMultipleActors'],
+        ['get', '/charactersWithMultipleActors', { query: { explain: 'true', sort: 'releaseDate' } }],
+        ['get', '/timeline'],
+        ['get', '/recasts'],
+        ['get', '/crewPerPerson', { query: { job: 'director' } }],
+        ['get', '/actorsOnCrew'],
+        ['get', '/collaborations', { query: { actor: 'chris evans' } }],
+        ['get', '/collaborations/path', { query: { from: 'Terrence Howard', to: 'Chris Evans' } }],
+        ['get', '/collaborations/path', { query: { from: 'Jon Favreau', to: 'Robert Downey Jr.' } }],
+        ['get', '/v2/moviesPerActor', { query: { sort: '-count', limit: '2' } }],
+        ['get', '/v2/actorsWithMultipleCharacters', { query: { fields: 'actorName,characters' } }],
+        ['get', '/v2/charactersWithMultipleActors', { query: { sort: 'releaseDate', movieOrder: 'phase' } }],
+        ['get', '/actors/:name', { params: { name: 'chris evans' } }],
+        ['get', '/movies/:id/cast', { params: { id: '24428' } }],
+        ['get', '/movies/:id/cast', { params: { id: 'Fantastic Four' } }]
+    ];
+
+    it('should cover every movies route', () => {
+        const covered = new Set(moviesRoutes.map(([method, path]) => `${method} ${path}`));
+        const moviesRouteKeys = routes
+            .filter(route => route.handler !== stubHandler)
+            .map(({ method, path }) => `${method} ${path}`);
+
+        expect([...covered].sort()).toEqual(moviesRouteKeys.sort());
+    });
+
+    it.each(moviesRoutes)('should answer %s %s as documented', async (method, path, request = {}) => {
+        const response = await send(method, path, request);
+
+        expect(response.status).toBe(200);
+        expect(response.body).not.toEqual({});
+        expect(checkResponse(method, path, response)).toEqual([]);
+    });
+
+    it.each([
+        ['get', '/actors/:name', { params: { name: 'Nobody' } }, 404],
+        ['get', '/moviesPerActor', { query: { actor: 'Nobody' } }, 404],
+        ['get', '/moviesPerActor', { query: { minCount: '0', extra: 'x' } }, 400],
+        ['get', '/v2/moviesPerActor', { query: { cursor: 'abc', offset: '1' } }, 400],
+        ['get', '/collaborations/path', { query: { from: 'Chris Evans' } }, 400]
+    ])('should answer errors of %s %s as documented', async (method, path, request, status) => {
+        const response = await send(method, path, request);
+
+        expect(response.status).toBe(status);
+        expect(checkResponse(method, path, response)).toEqual([]);
+    });
+
+    it('should reject a response that drifts from the document', async () => {
+        const response = await send('get', '/actors/:name', { params: { name: 'Chris Evans' } });
+        response.body.movies[0].releaseYear = '2012';
+
+        expect(checkResponse('get', '/actors/:name', response)).toEqual(['$.movies[0].releaseYear must be integer or null']);
+    });
+});
@@ -0,0 +1,124 @@
+import { FilterError } from '../utils/queryFilters.js';
+import { ValidationError, validateRequest } from '../utils/validation.js';
+import { DEFAULT_LIMIT, encodeCursor, listQueryFields, parseListQuery, paginate } from '../utils/pagination.js';
+
+const SCHEMA = {
+    query: listQueryFields({
+        sortFields: ['name', 'count', 'releaseDate'],
+        defaultSort: 'name',
+        fields: ['actorName', 'movieCount', 'movies', 'firstReleaseDate']
+    })
+};
+
+/**
+ * Validates a raw query like the route would, then reads it.
+ * @param {Object} query
+ * @returns {import('../utils/pagination.js').ListQuery}
+ */
+const parse = query => parseListQuery(validateRequest(SCHEMA, { query }).query);
+
+const ITEMS = [
+    { actorName: 'Chris Evans', movieCount: 3, movies: [], firstReleaseDate: '2005-06-29' },
+    { actorName: 'Benedict Cumberbatch', movieCount: 2, movies: [], firstReleaseDate: '2016-10-25' },
+    { actorName: 'Anthony Mackie', movieCount: 3, movies: [], firstReleaseDate: null },
+    { actorName: 'Zoe Saldaña', movieCount: 1, movies: [], firstReleaseDate: '2014-07-30' }
+];
+
+const SORT_VALUES = {
+    sortValues: {
+        name: item => item.actorName,
+        count: item => item.movieCount,
+        releaseDate: item => item.firstReleaseDate
+    },
+    tieBreaker: item => item.actorName
+};
+
+const namesOf = page => page.items.map(item => item.actorName);
+
+describe('pagination', () => {
+    describe('parseListQuery', () => {
+        it('should default to the first page sorted by the default field', () => {
+            expect(parse({})).toEqual({
+                sort: 'name',
+                sortField: 'name',
+                descending: false,
+                limit: DEFAULT_LIMIT,
+                offset: 0,
+                fields: null
+            });
+        });
+
+        it('should parse a descending sort, page and fields', () => {
+            expect(parse({ sort: '-count', limit: '10', offset: '20', fields: 'actorName, movieCount' }))
+                .toMatchObject({ sortField: 'count', descending: true, limit: 10, offset: 20, fields: ['actorName', 'movieCount'] });
+        });
+
+        it('should start at the offset stored in a cursor', () => {
+            const cursor = encodeCursor({ offset: 2, sort: '-count' });
+
+            expect(parse({ sort: '-count', cursor }).offset).toBe(2);
+        });
+
+        it.each([
+            [{ sort: 'rating' }],
+            [{ sort: '--name' }],
+            [{ limit: '0' }],
+            [{ limit: '501' }],
+            [{ offset: '-1' }],
+            [{ fields: 'actorName,rating' }],
+            [{ fields: ',' }]
+        ])('should reject %j in the schema', query => {
+            expect(() => parse(query)).toThrow(ValidationError);
+        });
+
+        it.each([
+            [{ cursor: 'not-a-cursor' }],
+            [{ cursor: encodeCursor({ offset: 2, sort: 'name' }), offset: '2' }],
+            [{ cursor: encodeCursor({ offset: 2, sort: 'name' }), sort: 'count' }]
+        ])('should reject cursor %j', query => {
+            expect(() => parse(query)).toThrow(FilterError);
+        });
+    });
+
+    describe('paginate', () => {
+        it('should sort ties by the tie breaker and reverse only the sort field', () => {
+            const page = paginate(ITEMS, parse({ sort: '-count' }), SORT_VALUES);
+
+            expect(namesOf(page)).toEqual(['Anthony Mackie', 'Chris Evans', 'Benedict Cumberbatch', 'Zoe Saldaña']);
+            expect(page).toMatchObject({ total: 4, nextCursor: null });
+        });
+
+        it('should put missing values last in both directions', () => {
+            const ascending = paginate(ITEMS, parse({ sort: 'releaseDate' }), SORT_VALUES);
+            const descending = paginate(ITEMS, parse({ sort: '-releaseDate' }), SORT_VALUES);
+
+            expect(namesOf(ascending).at(-1)).toBe('Anthony Mackie');
+            expect(namesOf(descending)).toEqual(['Benedict Cumberbatch', 'Zoe Saldaña', 'Chris Evans', 'Anthony Mackie']);
+        });
+
+        it('should walk every item exactly once by following nextCursor', () => {
+            const seen = [];
+            let cursor;
+            do {
+                const query = cursor ? { limit: '3', cursor } : { limit: '3' };
+                const page = paginate(ITEMS, parse(query), SORT_VALUES);
+                seen.push(...namesOf(page));
+                cursor = page.nextCursor;
+            } while (cursor);
+
+            expect(seen).toEqual(['Anthony Mackie', 'Benedict Cumberbatch', 'Chris Evans', 'Zoe Saldaña']);
+        });
+
+        it('should keep only the selected fields', () => {
+            const page = paginate(ITEMS, parse({ fields: 'actorName', limit: '1' }), SORT_VALUES);
+
+            expect(page.items).toEqual([{ actorName: 'Anthony Mackie' }]);
+        });
+
+        it('should return an empty page past the end', () => {
+            const page = paginate(ITEMS, parse({ offset: '10' }), SORT_VALUES);
+
+            expect(page).toEqual({ items: [], total: 4, nextCursor: null });
+        });
+    });
+});
@@ -0,0 +1,87 @@
+import {
+    FILTER_FIELDS,
+    movieSortField,
+    parseFilterQuery,
+    parseCrewQuery,
+    filterEntries,
+    filterCrewCredits
+} from '../utils/queryFilters.js';
+import { ValidationError, validateRequest } from '../utils/validation.js';
+
+describe('queryFilters', () => {
+    describe('parseFilterQuery', () => {
+        const parse = query => parseFilterQuery(validateRequest({ query: FILTER_FIELDS, strictQuery: true }, { query }).query);
+
+        it('should parse every filter', () => {
+            expect(parse({ actor: 'Chris Evans', movie: '24428', minCount: '2', search: 'Stéve ' })).toEqual({
+                actor: 'Chris Evans',
+                movie: '24428',
+                minCount: 2,
+                search: 'steve'
+            });
+        });
+
+        it('should return no filters for an empty query', () => {
+            expect(parse({})).toEqual({});
+        });
+
+        it.each([
+            [{ minCount: '0' }],
+            [{ minCount: '1.5' }],
+            [{ minCount: 'two' }],
+            [{ actor: '' }],
+            [{ movie: ['Iron Man', 'Thor'] }],
+            [{ sort: 'phase' }]
+        ])('should reject %j', query => {
+            expect(() => parse(query)).toThrow(ValidationError);
+        });
+    });
+
+    describe('movieSortField', () => {
+        it('should accept known movie orders only', () => {
+            const parse = query => validateRequest({ query: { sort: movieSortField() } }, { query }).query;
+
+            expect(parse({})).toEqual({});
+            expect(parse({ sort: 'phase' })).toEqual({ sort: 'phase' });
+            expect(() => parse({ sort: 'rating' })).toThrow(ValidationError);
+        });
+    });
+
+    describe('crew filters', () => {
+        it('should match department and job ignoring case', () => {
+            const credits = [
+                { movieName: 'Iron Man', department: 'Directing', job: 'Director' },
+                { movieName: 'Iron Man', department: 'Writing', job: 'Screenplay' }
+            ];
+
+            expect(filterCrewCredits(credits, parseCrewQuery({ department: 'directing' }))).toEqual([credits[0]]);
+            expect(filterCrewCredits(credits, parseCrewQuery({ job: 'SCREENPLAY' }))).toEqual([credits[1]]);
+            expect(filterCrewCredits(credits, parseCrewQuery({}))).toEqual(credits);
+        });
+    });
+
+    describe('filterEntries', () => {
+        const moviesPerActor = {
+            'Chris Evans': ['The Avengers', 'Fantastic Four'],
+            'Robert Downey Jr.': ['Iron Man', 'The Avengers'],
+            'Gwyneth Paltrow': ['Iron Man']
+        };
+        const accessors = {
+            actorsOf: actorName => [actorName],
+            moviesOf: (_actorName, movieNames) => movieNames,
+            countOf: (_actorName, movieNames) => movieNames.length
+        };
+        const keys = filters => Object.keys(filterEntries(moviesPerActor, filters, accessors));
+
+        it('should keep every entry without filters', () => {
+            expect(keys({})).toEqual(Object.keys(moviesPerActor));
+        });
+
+        it('should combine filters', () => {
+            expect(keys({ movie: 'Iron Man' })).toEqual(['Robert Downey Jr.', 'Gwyneth Paltrow']);
+            expect(keys({ movie: 'Iron Man', minCount: 2 })).toEqual(['Robert Downey Jr.']);
+            expect(keys({ actor: 'Chris Evans' })).toEqual(['Chris Evans']);
+            expect(keys({ search: 'downey' })).toEqual(['Robert Downey Jr.']);
+        });
+    });
+});
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import { takeToken } from '../utils/tokenBucket.js';
+import { MemoryRateLimitStore } from '../auth/index.js';
+import { createRateLimitMiddleware, createRejectedKeyRateLimitMiddleware } from '../middleware/rateLimit.js';
+import { AuthError, RateLimitError } from '../utils/errors.js';
+
+// 3 requests, refilling one every 20 seconds
+const LIMIT = { capacity: 3, windowMs: 60000 };
+
+describe('takeToken', () => {
+    it('should start full and take one token per request', () => {
+        const first = takeToken(undefined, LIMIT, 0);
+
+        expect(first.result).toEqual({ allowed: true, remaining: 2, resetMs: 20000, retryAfterMs: 0 });
+        expect(first.state).toEqual({ tokens: 2, updatedAt: 0 });
+    });
+
+    it('should refuse an empty bucket and tell when a token is back', () => {
+        const { result } = takeToken({ tokens: 0.5, updatedAt: 0 }, LIMIT, 0);
+
+        expect(result).toEqual({ allowed: false, remaining: 0, resetMs: 50000, retryAfterMs: 10000 });
+    });
+
+    it('should refill with elapsed time, up to the capacity', () => {
+        expect(takeToken({ tokens: 0, updatedAt: 0 }, LIMIT, 20000).result.allowed).toBe(true);
+        expect(takeToken({ tokens: 0, updatedAt: 0 }, LIMIT, 10 * 60000).state.tokens).toBe(2);
+    });
+});
+
+describe('MemoryRateLimitStore', () => {
+    it('should keep one bucket per key', async () => {
+        const store = new MemoryRateLimitStore({ now: () => 0 });
+
+        const results = [];
+        for (let i = 0; i < 4; i++) results.push((await store.take('a', LIMIT)).allowed);
+
+        expect(results).toEqual([true, true, true, false]);
+        expect((await store.take('b', LIMIT)).allowed).toBe(true);
+    });
+
+    it('should drop buckets that have refilled', async () => {
+        let now = 0;
+        const store = new MemoryRateLimitStore({ now: () => now });
+        await store.take('a', LIMIT);
+        await store.take('b', LIMIT);
+
+        now = 60000;
+        await store.take('c', LIMIT);
+
+        expect(store.size).toBe(1);
+    });
+});
+
+describe('createRateLimitMiddleware', () => {
+    const keyLimit = { capacity: 2, windowMs: 60000 };
+    const ipLimit = { capacity: 1, windowMs: 60000 };
+
+    const send = async (middleware, req) => {
+        const res = { headers: {}, set: jest.fn(headers => Object.assign(res.headers, headers)) };
+        const next = jest.fn();
+        await middleware(req, res, next);
+        return { res, next };
+    };
+
+    it('should send RateLimit headers', async () => {
+        const middleware = createRateLimitMiddleware({ store: new MemoryRateLimitStore({ now: () => 0 }), keyLimit, ipLimit });
+
+        const { res, next } = await send(middleware, { client: { id: 'mobile' }, ip: '10.0.0.1' });
+
+        expect(next).toHaveBeenCalledWith();
+        expect(res.headers).toEqual({
+            'RateLimit-Limit': '2',
+            'RateLimit-Remaining': '1',
+            'RateLimit-Reset': '30',
+            'RateLimit-Policy': '2;w=60'
+        });
+    });
+
+    it('should limit clients per key and anonymous requests per IP', async () => {
+        const store = new MemoryRateLimitStore({ now: () => 0 });
+        const middleware = createRateLimitMiddleware({ store, keyLimit, ipLimit });
+        const allowed = async req => (await send(middleware, req)).next.mock.calls[0].length === 0;
+
+        expect(await allowed({ client: null, ip: '10.0.0.1' })).toBe(true);
+        expect(await allowed({ client: null, ip: '10.0.0.1' })).toBe(false);
+        expect(await allowed({ client: null, ip: '10.0.0.2' })).toBe(true);
+        // A key has its own bucket, whatever the IP
+        expect(await allowed({ client: { id: 'mobile' }, ip: '10.0.0.1' })).toBe(true);
+        expect(await allowed({ client: { id: 'mobile' }, ip: '10.0.0.3' })).toBe(true);
+        expect(await allowed({ client: { id: 'mobile' }, ip: '10.0.0.4' })).toBe(false);
+    });
+
+    it('should reject requests over the limit with the retry delay', async () => {
+        const middleware = createRateLimitMiddleware({ store: new MemoryRateLimitStore({ now: () => 0 }), keyLimit, ipLimit });
+        await send(middleware, { client: null, ip: '10.0.0.1' });
+
+        const { res, next } = await send(middleware, { client: null, ip: '10.0.0.1' });
+        const [error] = next.mock.calls[0];
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.retryAfterMs).toBe(60000);
+        expect(res.headers['RateLimit-Remaining']).toBe('0');
+    });
+
+    it('should pass store failures on', async () => {
+        const failure = new Error('store down');
+        const store = { take: jest.fn().mockRejectedValue(failure) };
+
+        const { next } = await send(createRateLimitMiddleware({ store, keyLimit, ipLimit }), { client: null, ip: '10.0.0.1' });
+
+        expect(next).toHaveBeenCalledWith(failure);
+    });
+});
+
+describe('createRejectedKeyRateLimitMiddleware', () => {
+    const ipLimit = { capacity: 2, windowMs: 60000 };
+
+    const fail = async (middleware, error, req) => {
+        const res = { headers: {}, set: jest.fn(headers => Object.assign(res.headers, headers)) };
+        const next = jest.fn();
+        await middleware(error, req, res, next);
+        return { res, passed: next.mock.calls[0][0] };
+    };
+
+    it('should charge requests with a rejected key to their IP, like requests without a key', async () => {
+        const store = new MemoryRateLimitStore({ now: () => 0 });
+        const rejected = createRejectedKeyRateLimitMiddleware({ store, ipLimit });
+        const limited = createRateLimitMiddleware({ store, keyLimit: { capacity: 10, windowMs: 60000 }, ipLimit });
+        const invalidKey = () => new AuthError('invalid-key', 'Unknown API key');
+
+        const first = await fail(rejected, invalidKey(), { ip: '10.0.0.1' });
+        const anonymous = jest.fn();
+        await limited({ client: null, ip: '10.0.0.1' }, { set: jest.fn() }, anonymous);
+        const third = await fail(rejected, invalidKey(), { ip: '10.0.0.1' });
+        const otherIp = await fail(rejected, invalidKey(), { ip: '10.0.0.2' });
+
+        expect(first.passed).toBeInstanceOf(AuthError);
+        expect(first.res.headers['RateLimit-Remaining']).toBe('1');
+        expect(anonymous).toHaveBeenCalledWith();
+        expect(third.passed).toBeInstanceOf(RateLimitError);
+        expect(otherIp.passed).toBeInstanceOf(AuthError);
+    });
+
+    it('should pass other errors on untouched', async () => {
+        const store = { take: jest.fn() };
+        const failure = new Error('boom');
+
+        const { passed } = await fail(createRejectedKeyRateLimitMiddleware({ store, ipLimit }), failure, { ip: '10.0.0.1' });
+
+        expect(passed).toBe(failure);
+        expect(store.take).not.toHaveBeenCalled();
+    });
+});
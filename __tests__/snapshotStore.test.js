@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SnapshotStore, SnapshotMissError, snapshotKey } from '../services/snapshotStore.js';
+import { createTmdbClient } from '../services/tmdbService.js';
+
+describe('snapshotStore', () => {
+    const credits = { id: 1726, cast: [{ id: 3223, name: 'Robert Downey Jr.', character: 'Tony Stark' }], crew: [] };
+    let dir;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'snapshot-test-'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    const record = async () => {
+        const httpClient = { get: jest.fn().mockResolvedValue({ data: credits }) };
+        const client = createTmdbClient({
+            httpClient,
+            apiKey: 'secret-key',
+            baseUrl: 'https://tmdb.test/3',
+            snapshotMode: 'record',
+            snapshotStore: new SnapshotStore({ dir })
+        });
+        await client.getMovieCredits(1726);
+        return httpClient;
+    };
+
+    describe('snapshotKey', () => {
+        it('should drop the API key and sort query parameters', () => {
+            expect(snapshotKey('/search/person', { query: 'Tom Holland', api_key: 'x', page: 1 }))
+                .toBe('/search/person?page=1&query=Tom%20Holland');
+        });
+
+        it('should return the bare path without parameters', () => {
+            expect(snapshotKey('/movie/1726/credits')).toBe('/movie/1726/credits');
+        });
+    });
+
+    describe('record and replay', () => {
+        it('should replay recorded credits without an API key or network access', async () => {
+            await record();
+
+            const httpClient = { get: jest.fn() };
+            const client = createTmdbClient({
+                httpClient,
+                snapshotMode: 'replay',
+                snapshotStore: new SnapshotStore({ dir })
+            });
+
+            expect(await client.getMovieCredits(1726)).toEqual(credits);
+            expect(httpClient.get).not.toHaveBeenCalled();
+        });
+
+        it('should write a versioned manifest with checksums and no API key', async () => {
+            await record();
+
+            const manifest = JSON.parse(await readFile(path.join(dir, 'manifest.json'), 'utf8'));
+
+            expect(manifest.version).toBe(1);
+            expect(manifest.entries['/movie/1726/credits']).toEqual({
+                file: 'movie_1726_credits.json',
+                sha256: expect.stringMatching(/^[0-9a-f]{64}$/)
+            });
+            expect(JSON.stringify(manifest)).not.toContain('secret-key');
+        });
+
+        it('should report unrecorded movies as failures in getAllMoviesCredits', async () => {
+            await record();
+            const client = createTmdbClient({ snapshotMode: 'replay', snapshotStore: new SnapshotStore({ dir }) });
+
+            const result = await client.getAllMoviesCredits([
+                { name: 'Iron Man', id: 1726 },
+                { name: 'Thor', id: 10195 }
+            ]);
+
+            expect(result.credits).toEqual([{ movieName: 'Iron Man', credits, etag: null }]);
+            expect(result.failures).toEqual([
+                expect.objectContaining({
+                    movieName: 'Thor',
+                    reason: 'unreachable',
+                    message: 'No snapshot recorded for /movie/10195/credits'
+                })
+            ]);
+        });
+
+        it('should throw SnapshotMissError for unrecorded requests', async () => {
+            const store = new SnapshotStore({ dir });
+
+            await expect(store.read('/movie/1/credits')).rejects.toBeInstanceOf(SnapshotMissError);
+        });
+
+        it('should reject a snapshot file that does not match its checksum', async () => {
+            await record();
+            await writeFile(path.join(dir, 'movie_1726_credits.json'), '{"cast":[]}');
+
+            await expect(new SnapshotStore({ dir }).read('/movie/1726/credits'))
+                .rejects.toThrow('Snapshot checksum mismatch');
+        });
+
+        it('should refuse a snapshot recorded with another format version', async () => {
+            await writeFile(path.join(dir, 'manifest.json'), JSON.stringify({ version: 99, entries: {} }));
+
+            await expect(new SnapshotStore({ dir }).read('/movie/1726/credits'))
+                .rejects.toThrow('format version 99');
+        });
+    });
+
+    describe('tracked set', () => {
+        it('should round-trip the movies, actors and crew the snapshot was taken for', async () => {
+            const trackedSet = { movies: { 'Iron Man': 1726 }, actors: ['Robert Downey Jr.'], crew: ['Jon Favreau'] };
+            await new SnapshotStore({ dir }).writeTrackedSet(trackedSet);
+
+            expect(await new SnapshotStore({ dir }).readTrackedSet()).toEqual(trackedSet);
+        });
+
+        it('should return null when no tracked set was recorded', async () => {
+            expect(await new SnapshotStore({ dir }).readTrackedSet()).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,270 @@
+import { jest } from '@jest/globals';
+import { createTmdbClient } from '../services/tmdbService.js';
+import { TmdbError } from '../utils/errors.js';
+
+describe('tmdbService', () => {
+    const credits = { cast: [{ name: 'Robert Downey Jr.', character: 'Tony Stark' }], crew: [] };
+
+    const httpError = (status, headers = {}) =>
+        Object.assign(new Error(`Request failed with status code ${status}`), {
+            response: { status, headers }
+        });
+
+    const createClient = (httpClient, options = {}) => createTmdbClient({
+        httpClient,
+        apiKey: 'test-key',
+        baseUrl: 'https://tmdb.test/3',
+        sleep: jest.fn().mockResolvedValue(undefined),
+        random: () => 0.5,
+        ...options
+    });
+
+    describe('getMovieCredits', () => {
+        it('should request the credits endpoint with the API key and timeout', async () => {
+            const httpClient = { get: jest.fn().mockResolvedValue({ data: credits }) };
+            const client = createClient(httpClient, { timeoutMs: 1234 });
+
+            const result = await client.getMovieCredits(1726);
+
+            expect(result).toEqual(credits);
+            expect(httpClient.get).toHaveBeenCalledWith('https://tmdb.test/3/movie/1726/credits', {
+                params: { api_key: 'test-key' },
+                timeout: 1234
+            });
+        });
+
+        it('should throw when the API is not configured', async () => {
+            const client = createTmdbClient({ httpClient: { get: jest.fn() } });
+
+            await expect(client.getMovieCredits(1726)).rejects.toThrow('TMDB_API_KEY and TMDB_BASE_URL');
+            await expect(client.getMovieCredits(1726)).rejects.toMatchObject({ reason: 'not-configured' });
+            expect(client.isConfigured()).toBe(false);
+            expect(createClient({ get: jest.fn() }).isConfigured()).toBe(true);
+        });
+
+        it('should retry 5xx and timeout errors with exponential backoff', async () => {
+            const sleep = jest.fn().mockResolvedValue(undefined);
+            const httpClient = {
+                get: jest.fn()
+                    .mockRejectedValueOnce(httpError(503))
+                    .mockRejectedValueOnce(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))
+                    .mockResolvedValueOnce({ data: credits })
+            };
+            const client = createClient(httpClient, { sleep, baseDelayMs: 100, maxDelayMs: 1000 });
+
+            const result = await client.getMovieCredits(1726);
+
+            expect(result).toEqual(credits);
+            expect(httpClient.get).toHaveBeenCalledTimes(3);
+            // Full jitter with random() = 0.5: 0.5 * 100, then 0.5 * 200
+            expect(sleep.mock.calls).toEqual([[50], [100]]);
+        });
+
+        it('should honor the Retry-After header on 429', async () => {
+            const sleep = jest.fn().mockResolvedValue(undefined);
+            const httpClient = {
+                get: jest.fn()
+                    .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+                    .mockResolvedValueOnce({ data: credits })
+            };
+            const client = createClient(httpClient, { sleep });
+
+            await client.getMovieCredits(1726);
+
+            expect(sleep).toHaveBeenCalledWith(2000);
+        });
+
+        it('should cap a Retry-After longer than maxDelayMs', async () => {
+            const sleep = jest.fn().mockResolvedValue(undefined);
+            const httpClient = {
+                get: jest.fn()
+                    .mockRejectedValueOnce(httpError(429, { 'retry-after': '3600' }))
+                    .mockResolvedValueOnce({ data: credits })
+            };
+            const client = createClient(httpClient, { sleep, maxDelayMs: 5000 });
+
+            await client.getMovieCredits(1726);
+
+            expect(sleep).toHaveBeenCalledWith(5000);
+        });
+
+        it('should not retry client errors', async () => {
+            const httpClient = { get: jest.fn().mockRejectedValue(httpError(401)) };
+            const client = createClient(httpClient);
+
+            await expect(client.getMovieCredits(1726)).rejects.toThrow('status code 401');
+            expect(httpClient.get).toHaveBeenCalledTimes(1);
+        });
+
+        it.each([
+            [httpError(401), 'unauthorized', 401],
+            [httpError(404), 'not-found', 404],
+            [httpError(422), 'failed', 422],
+            [httpError(503), 'server-error', 503],
+            [Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' }), 'timeout', null],
+            [Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }), 'unreachable', null]
+        ])('should report %s as a TmdbError with reason %s', async (failure, reason, upstreamStatus) => {
+            const client = createClient({ get: jest.fn().mockRejectedValue(failure) }, { maxRetries: 0 });
+
+            const error = await client.getMovieCredits(1726).catch(rejection => rejection);
+
+            expect(error).toBeInstanceOf(TmdbError);
+            expect(error).toMatchObject({ reason, upstreamStatus, message: failure.message, cause: failure });
+        });
+
+        it('should keep the Retry-After of a final 429', async () => {
+            const client = createClient({ get: jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '7' })) }, { maxRetries: 0 });
+
+            await expect(client.getMovieCredits(1726)).rejects.toMatchObject({ reason: 'rate-limited', retryAfterMs: 7000 });
+        });
+
+        it('should give up after maxRetries', async () => {
+            const httpClient = { get: jest.fn().mockRejectedValue(httpError(500)) };
+            const client = createClient(httpClient, { maxRetries: 2 });
+
+            await expect(client.getMovieCredits(1726)).rejects.toThrow('status code 500');
+            expect(httpClient.get).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('getAllMoviesCredits', () => {
+        const movies = [
+            { name: 'Iron Man', id: 1726 },
+            { name: 'Thor', id: 10195 },
+            { name: 'The Avengers', id: 24428 }
+        ];
+
+        it('should return partial results and the movies that failed', async () => {
+            const httpClient = {
+                get: jest.fn(async url => {
+                    if (url.includes('/10195/')) throw httpError(404);
+                    return { data: credits };
+                })
+            };
+            const client = createClient(httpClient);
+
+            const result = await client.getAllMoviesCredits(movies);
+
+            expect(result.credits).toEqual([
+                { movieName: 'Iron Man', credits, etag: null },
+                { movieName: 'The Avengers', credits, etag: null }
+            ]);
+            expect(result.failures).toEqual([
+                { movieName: 'Thor', movieId: 10195, status: 404, reason: 'not-found', retryAfterMs: null, message: 'Request failed with status code 404' }
+            ]);
+        });
+
+        it('should return the ETag of each movie\'s credits', async () => {
+            const httpClient = { get: jest.fn().mockResolvedValue({ status: 200, headers: { etag: '"v1"' }, data: credits }) };
+            const client = createClient(httpClient);
+
+            const result = await client.getAllMoviesCredits(movies.slice(0, 1));
+
+            expect(result.credits).toEqual([{ movieName: 'Iron Man', credits, etag: '"v1"' }]);
+        });
+
+        it('should keep at most `concurrency` requests in flight', async () => {
+            let inFlight = 0;
+            let maxInFlight = 0;
+            const httpClient = {
+                get: jest.fn(async () => {
+                    inFlight++;
+                    maxInFlight = Math.max(maxInFlight, inFlight);
+                    await new Promise(resolve => setImmediate(resolve));
+                    inFlight--;
+                    return { data: credits };
+                })
+            };
+            const client = createClient(httpClient, { concurrency: 2 });
+
+            await client.getAllMoviesCredits(movies);
+
+            expect(maxInFlight).toBe(2);
+            expect(httpClient.get).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('checkMovieCredits', () => {
+        const DAY_MS = 24 * 60 * 60 * 1000;
+        const now = Date.UTC(2024, 0, 15);
+
+        it('should not download credits when the recent changes leave the cast and crew alone', async () => {
+            const httpClient = { get: jest.fn().mockResolvedValue({ data: { changes: [{ key: 'overview', items: [] }] } }) };
+            const client = createClient(httpClient, { now: () => now });
+
+            const result = await client.checkMovieCredits(1726, { etag: '"v1"', checkedAt: now - 2 * DAY_MS });
+
+            expect(result).toEqual({ changed: false, etag: '"v1"' });
+            expect(httpClient.get).toHaveBeenCalledTimes(1);
+            expect(httpClient.get).toHaveBeenCalledWith('https://tmdb.test/3/movie/1726/changes', {
+                params: { start_date: '2024-01-13', end_date: undefined, api_key: 'test-key' },
+                timeout: 10000
+            });
+        });
+
+        it('should request changed credits conditionally on their ETag', async () => {
+            const httpClient = {
+                get: jest.fn()
+                    .mockResolvedValueOnce({ data: { changes: [{ key: 'cast', items: [] }] } })
+                    .mockResolvedValueOnce({ status: 200, headers: { etag: '"v2"' }, data: credits })
+            };
+            const client = createClient(httpClient, { now: () => now });
+
+            const result = await client.checkMovieCredits(1726, { etag: '"v1"', checkedAt: now - DAY_MS });
+
+            expect(result).toEqual({ changed: true, credits, etag: '"v2"' });
+            expect(httpClient.get).toHaveBeenLastCalledWith('https://tmdb.test/3/movie/1726/credits', expect.objectContaining({
+                headers: { 'If-None-Match': '"v1"' }
+            }));
+            expect(httpClient.get.mock.calls[1][1].validateStatus(304)).toBe(true);
+        });
+
+        it('should skip the changes past the 14 days TMDB keeps, and accept a 304', async () => {
+            const httpClient = { get: jest.fn().mockResolvedValue({ status: 304, headers: {}, data: '' }) };
+            const client = createClient(httpClient, { now: () => now });
+
+            const result = await client.checkMovieCredits(1726, { etag: '"v1"', checkedAt: now - 20 * DAY_MS });
+
+            expect(result).toEqual({ changed: false, etag: '"v1"' });
+            expect(httpClient.get).toHaveBeenCalledTimes(1);
+            expect(httpClient.get.mock.calls[0][0]).toBe('https://tmdb.test/3/movie/1726/credits');
+        });
+
+        it('should check multiple movies and report the ones that failed', async () => {
+            const httpClient = {
+                get: jest.fn(async url => {
+                    if (url.includes('/10195/')) throw httpError(404);
+                    return { status: 200, headers: {}, data: credits };
+                })
+            };
+            const client = createClient(httpClient);
+
+            const result = await client.checkAllMoviesCredits([{ name: 'Iron Man', id: 1726 }, { name: 'Thor', id: 10195 }]);
+
+            expect(result.updates).toEqual([{ movieName: 'Iron Man', update: { changed: true, credits, etag: null } }]);
+            expect(result.failures).toEqual([expect.objectContaining({ movieName: 'Thor', reason: 'not-found' })]);
+        });
+    });
+
+    describe('getAllMoviesDetails', () => {
+        it('should fetch /movie/{id} per movie and report failures', async () => {
+            const httpClient = {
+                get: jest.fn(async url => {
+                    if (url.endsWith('/10195')) throw httpError(404);
+                    return { data: { id: 1726, title: 'Iron Man', release_date: '2008-04-30' } };
+                })
+            };
+            const client = createClient(httpClient);
+
+            const result = await client.getAllMoviesDetails([{ name: 'Iron Man', id: 1726 }, { name: 'Thor', id: 10195 }]);
+
+            expect(httpClient.get.mock.calls[0][0]).toMatch(/\/movie\/1726$/);
+            expect(result.details).toEqual([
+                { movieName: 'Iron Man', details: { id: 1726, title: 'Iron Man', release_date: '2008-04-30' } }
+            ]);
+            expect(result.failures).toEqual([
+                { movieName: 'Thor', movieId: 10195, status: 404, reason: 'not-found', retryAfterMs: null, message: 'Request failed with status code 404' }
+            ]);
+        });
+    });
+});
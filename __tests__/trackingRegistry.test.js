@@ -0,0 +1,248 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { TrackingRegistry, TrackingError } from '../services/trackingRegistry.js';
+import { TmdbError } from '../utils/errors.js';
+
+describe('TrackingRegistry', () => {
+    const movies = { 'Iron Man': 1726 };
+    const actors = ['Robert Downey Jr.'];
+    let dir;
+
+    beforeEach(async () => {
+        dir = await mkdtemp(path.join(os.tmpdir(), 'tracking-test-'));
+    });
+
+    afterEach(async () => {
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    const notFound = () => new TmdbError('not-found', 'Request failed with status code 404', { upstreamStatus: 404 });
+
+    const createRegistry = (getMovieDetails = jest.fn().mockResolvedValue({ id: 1724, title: 'The Incredible Hulk' })) =>
+        new TrackingRegistry({
+            movies,
+            actors,
+            filePath: path.join(dir, 'trackedSet.json'),
+            tmdbService: { getMovieDetails }
+        });
+
+    describe('movies', () => {
+        it('should add a movie under its TMDB title and emit a change', async () => {
+            const registry = createRegistry();
+            const onChange = jest.fn();
+            registry.on('change', onChange);
+
+            const movie = await registry.addMovie({ id: 1724 });
+
+            expect(movie).toEqual({ name: 'The Incredible Hulk', id: 1724 });
+            expect(registry.getMovies()).toEqual({ 'Iron Man': 1726, 'The Incredible Hulk': 1724 });
+            expect(onChange).toHaveBeenCalledWith({ type: 'movieAdded', movie });
+        });
+
+        it('should prefer a given name over the TMDB title', async () => {
+            const movie = await createRegistry().addMovie({ id: 1724, name: 'Hulk (2008)' });
+
+            expect(movie.name).toBe('Hulk (2008)');
+        });
+
+        it('should reject IDs unknown to TMDB', async () => {
+            const registry = createRegistry(jest.fn().mockRejectedValue(notFound()));
+
+            await expect(registry.addMovie({ id: 999999 })).rejects.toMatchObject({ reason: 'unknown-movie' });
+            expect(registry.getMovies()).toEqual(movies);
+        });
+
+        it('should rethrow other TMDB failures', async () => {
+            const registry = createRegistry(jest.fn().mockRejectedValue(new Error('timeout')));
+
+            await expect(registry.addMovie({ id: 1724 })).rejects.toThrow('timeout');
+        });
+
+        it('should reject invalid and duplicate movies without asking TMDB', async () => {
+            const getMovieDetails = jest.fn();
+            const registry = createRegistry(getMovieDetails);
+
+            await expect(registry.addMovie({ id: 'abc' })).rejects.toMatchObject({ reason: 'invalid' });
+            await expect(registry.addMovie({ id: 1726 })).rejects.toMatchObject({ reason: 'duplicate' });
+            expect(getMovieDetails).not.toHaveBeenCalled();
+        });
+
+        it('should let only one of two concurrent adds of the same movie succeed', async () => {
+            const registry = createRegistry();
+
+            const results = await Promise.allSettled([registry.addMovie({ id: 1724 }), registry.addMovie({ id: 1724 })]);
+
+            expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+            expect(results[1].reason).toBeInstanceOf(TrackingError);
+        });
+
+        it('should remove a tracked movie and reject an untracked one', async () => {
+            const registry = createRegistry();
+
+            await expect(registry.removeMovie(1726)).resolves.toEqual({ name: 'Iron Man', id: 1726 });
+            await expect(registry.removeMovie(1726)).rejects.toMatchObject({ reason: 'not-found' });
+        });
+
+        it('should replace the movies, comparing them by TMDB ID', async () => {
+            const registry = createRegistry();
+            const onChange = jest.fn();
+            registry.on('change', onChange);
+
+            const result = await registry.replaceMovies({ 'Iron Man (2008)': 1726, 'The Incredible Hulk': 1724 });
+
+            expect(result).toEqual({
+                added: [{ name: 'The Incredible Hulk', id: 1724 }],
+                removed: [],
+                renamed: [{ name: 'Iron Man (2008)', id: 1726, previousName: 'Iron Man' }]
+            });
+            expect(onChange.mock.calls.map(([change]) => change)).toEqual([
+                { type: 'movieAdded', movie: { name: 'The Incredible Hulk', id: 1724 } },
+                { type: 'movieRenamed', movie: { name: 'Iron Man (2008)', id: 1726 }, previousName: 'Iron Man' }
+            ]);
+
+            await expect(registry.replaceMovies({ 'Iron Man (2008)': 1726 })).resolves.toEqual({
+                added: [],
+                removed: [{ name: 'The Incredible Hulk', id: 1724 }],
+                renamed: []
+            });
+        });
+    });
+
+    describe('actors', () => {
+        it('should add and remove actors', async () => {
+            const registry = createRegistry();
+
+            await registry.addActor('  Mark Ruffalo ');
+            expect(registry.getActors()).toEqual(['Robert Downey Jr.', 'Mark Ruffalo']);
+
+            await registry.removeActor('Robert Downey Jr.');
+            expect(registry.getActors()).toEqual(['Mark Ruffalo']);
+        });
+
+        it('should reject empty, duplicate and untracked actors', async () => {
+            const registry = createRegistry();
+
+            await expect(registry.addActor('')).rejects.toMatchObject({ reason: 'invalid' });
+            await expect(registry.addActor('Robert Downey Jr.')).rejects.toMatchObject({ reason: 'duplicate' });
+            await expect(registry.removeActor('Nobody')).rejects.toMatchObject({ reason: 'not-found' });
+        });
+
+        it('should match actors ignoring case, diacritics and punctuation when adding and removing', async () => {
+            const registry = createRegistry();
+            await registry.addActor('Zoe Saldaña');
+            const onChange = jest.fn();
+            registry.on('change', onChange);
+
+            await expect(registry.addActor('zoe saldana')).rejects.toMatchObject({
+                reason: 'duplicate',
+                message: 'Actor "zoe saldana" is already tracked as "Zoe Saldaña"'
+            });
+            await expect(registry.removeActor('robert downey jr')).resolves.toBe('Robert Downey Jr.');
+            await expect(registry.removeActor('ZOE SALDANA')).resolves.toBe('Zoe Saldaña');
+
+            expect(registry.getActors()).toEqual([]);
+            expect(onChange.mock.calls.map(([change]) => change)).toEqual([
+                { type: 'actorRemoved', actor: 'Robert Downey Jr.' },
+                { type: 'actorRemoved', actor: 'Zoe Saldaña' }
+            ]);
+        });
+    });
+
+    describe('crew', () => {
+        it('should add and remove crew members like actors', async () => {
+            const registry = createRegistry();
+            const onChange = jest.fn();
+            registry.on('change', onChange);
+
+            await registry.addCrewMember(' Jon Favreau ');
+            expect(registry.getCrew()).toEqual(['Jon Favreau']);
+            expect(registry.findCrewMember('jon favreau')).toBe('Jon Favreau');
+
+            await registry.removeCrewMember('Jon Favreau');
+            expect(registry.getCrew()).toEqual([]);
+            expect(onChange.mock.calls.map(([change]) => change)).toEqual([
+                { type: 'crewAdded', crewMember: 'Jon Favreau' },
+                { type: 'crewRemoved', crewMember: 'Jon Favreau' }
+            ]);
+        });
+
+        it('should reject empty, duplicate and untracked crew members', async () => {
+            const registry = createRegistry();
+            await registry.addCrewMember('Jon Favreau');
+
+            await expect(registry.addCrewMember(' ')).rejects.toMatchObject({ reason: 'invalid' });
+            await expect(registry.addCrewMember('Jon Favreau')).rejects.toMatchObject({ reason: 'duplicate' });
+            await expect(registry.removeCrewMember('Nobody')).rejects.toMatchObject({ reason: 'not-found' });
+        });
+
+        it('should match crew members ignoring case, diacritics and punctuation when adding and removing', async () => {
+            const registry = createRegistry();
+            await registry.addCrewMember('Chloé Zhao');
+
+            await expect(registry.addCrewMember('chloe zhao')).rejects.toMatchObject({ reason: 'duplicate' });
+            await expect(registry.removeCrewMember('CHLOE ZHAO')).resolves.toBe('Chloé Zhao');
+            expect(registry.getCrew()).toEqual([]);
+        });
+    });
+
+    describe('lookup', () => {
+        it('should find actors and movies regardless of case and punctuation', () => {
+            const registry = createRegistry();
+
+            expect(registry.findActor('robert downey jr')).toBe('Robert Downey Jr.');
+            expect(registry.findMovie('1726')).toEqual({ name: 'Iron Man', id: 1726 });
+            expect(registry.findMovie('iron man')).toEqual({ name: 'Iron Man', id: 1726 });
+        });
+
+        it('should return null for untracked names', () => {
+            const registry = createRegistry();
+
+            expect(registry.findActor('Mark Ruffalo')).toBeNull();
+            expect(registry.findMovie(1724)).toBeNull();
+        });
+    });
+
+    describe('persistence', () => {
+        it('should persist edits and load them in a new instance', async () => {
+            await createRegistry().addActor('Mark Ruffalo');
+
+            const saved = JSON.parse(await readFile(path.join(dir, 'trackedSet.json'), 'utf8'));
+            const reloaded = await createRegistry().load();
+
+            expect(saved).toEqual({ movies, actors: ['Robert Downey Jr.', 'Mark Ruffalo'], crew: [] });
+            expect(reloaded.getActors()).toEqual(['Robert Downey Jr.', 'Mark Ruffalo']);
+        });
+
+        it('should keep the initial set when nothing was persisted yet', async () => {
+            const registry = await createRegistry().load();
+
+            expect(registry.toJSON()).toEqual({ movies, actors, crew: [] });
+        });
+
+        it('should keep the initial crew when loading a file saved before crew was tracked', async () => {
+            await writeFile(path.join(dir, 'trackedSet.json'), JSON.stringify({ movies, actors: ['Mark Ruffalo'] }));
+            const registry = new TrackingRegistry({
+                movies,
+                actors,
+                crew: ['Jon Favreau'],
+                filePath: path.join(dir, 'trackedSet.json')
+            });
+
+            await registry.load();
+
+            expect(registry.toJSON()).toEqual({ movies, actors: ['Mark Ruffalo'], crew: ['Jon Favreau'] });
+        });
+
+        it('should change its fingerprint with the tracked set', async () => {
+            const registry = createRegistry();
+            const before = registry.fingerprint();
+
+            await registry.addActor('Mark Ruffalo');
+
+            expect(registry.fingerprint()).not.toBe(before);
+            expect(createRegistry().fingerprint()).toBe(before);
+        });
+    });
+});
@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import { ValidationError, field, validateRequest, createValidator, describeRequest } from '../utils/validation.js';
+import { createRoutes } from '../routes/index.js';
+
+describe('validation', () => {
+    const schema = {
+        params: { id: field.integer({ minimum: 1 }) },
+        query: {
+            name: field.string({ maxLength: 5 }),
+            order: field.string({ enum: ['asc', 'desc'], default: 'asc' }),
+            verbose: field.boolean(),
+            fields: field.list({ enum: ['a', 'b'] })
+        },
+        body: {
+            title: field.string({ required: true }),
+            ids: field.array(field.integer({ minimum: 1 }))
+        },
+        strictQuery: true
+    };
+
+    const errorsOf = request => {
+        try {
+            validateRequest(schema, request);
+        } catch (error) {
+            expect(error).toBeInstanceOf(ValidationError);
+            return error.errors;
+        }
+        throw new Error('Expected a ValidationError');
+    };
+
+    describe('validateRequest', () => {
+        it('should coerce URL values and apply defaults', () => {
+            const validated = validateRequest(schema, {
+                params: { id: '42' },
+                query: { name: ' Thor ', verbose: 'true', fields: 'b, a,b' },
+                body: { title: 'Iron Man', ids: [1, 2] }
+            });
+
+            expect(validated).toEqual({
+                params: { id: 42 },
+                query: { name: 'Thor', order: 'asc', verbose: true, fields: ['b', 'a'] },
+                body: { title: 'Iron Man', ids: [1, 2] }
+            });
+        });
+
+        it('should report every invalid field at once', () => {
+            expect(errorsOf({
+                params: { id: '0' },
+                query: { name: 'Avengers', order: 'up', verbose: 'yes', fields: 'c', extra: '1' },
+                body: { ids: [1, '2'], year: 2008 }
+            })).toEqual([
+                { in: 'params', name: 'id', message: 'must be at least 1' },
+                { in: 'query', name: 'extra', message: 'is not supported here' },
+                { in: 'query', name: 'name', message: 'must be at most 5 characters' },
+                { in: 'query', name: 'order', message: 'must be one of: asc, desc' },
+                { in: 'query', name: 'verbose', message: 'must be true or false' },
+                { in: 'query', name: 'fields', message: 'must list values among: a, b' },
+                { in: 'body', name: 'year', message: 'is not supported here' },
+                { in: 'body', name: 'title', message: 'is required' },
+                { in: 'body', name: 'ids', message: 'item 1 must be an integer' }
+            ]);
+        });
+
+        it.each([
+            [{ query: { name: ['a', 'b'] } }, 'must be given once'],
+            [{ query: { name: '  ' } }, 'must not be empty'],
+            [{ params: { id: '1.5' } }, 'must be an integer'],
+            [{ body: { title: 42 } }, 'must be a string'],
+            [{ body: { title: 'Thor', ids: '1' } }, 'must be an array']
+        ])('should reject %j', (request, message) => {
+            expect(errorsOf({ params: { id: '1' }, body: { title: 'Thor' }, ...request }))
+                .toContainEqual(expect.objectContaining({ message }));
+        });
+
+        it('should reject a body that is not an object', () => {
+            expect(errorsOf({ params: { id: '1' }, body: ['Thor'] })).toEqual([
+                { in: 'body', name: '', message: 'must be a JSON object' }
+            ]);
+        });
+
+        it('should accept JSON objects and treat null like a missing nullable field', () => {
+            const bodySchema = { body: { variables: field.object({ nullable: true }), name: field.string({ nullable: true }) } };
+
+            expect(validateRequest(bodySchema, { body: { variables: { id: 1 }, name: null } }).body).toEqual({ variables: { id: 1 } });
+            expect(() => validateRequest(bodySchema, { body: { variables: [1] } })).toThrow('must be a JSON object');
+            expect(() => validateRequest(schema, { params: { id: '1' }, body: { title: null } })).toThrow('must be a string');
+        });
+
+        it('should accept no query parameters when a strict schema lists none', () => {
+            expect(() => validateRequest({ strictQuery: true }, { query: { page: '2' } })).toThrow(ValidationError);
+            expect(validateRequest({}, { params: { id: 'x' }, query: {}, body: { any: 1 } }))
+                .toEqual({ params: { id: 'x' }, query: {}, body: { any: 1 } });
+        });
+
+        it('should drop unknown query parameters unless the schema is strict', () => {
+            const validated = validateRequest({ query: { name: field.string() } }, { query: { name: 'Thor', _: '1712' } });
+
+            expect(validated.query).toEqual({ name: 'Thor' });
+        });
+    });
+
+    describe('createValidator', () => {
+        it('should replace the request parts with coerced values', () => {
+            const req = { params: { id: '7' }, query: {}, body: { title: 'Thor' } };
+            const next = jest.fn();
+
+            createValidator(schema)(req, {}, next);
+
+            expect(next).toHaveBeenCalledWith();
+            expect(req.params.id).toBe(7);
+            expect(req.query.order).toBe('asc');
+        });
+
+        it('should pass a ValidationError to next', () => {
+            const next = jest.fn();
+
+            createValidator(schema)({ params: { id: 'x' }, query: {}, body: {} }, {}, next);
+
+            expect(next).toHaveBeenCalledWith(expect.any(ValidationError));
+        });
+    });
+
+    describe('describeRequest', () => {
+        it('should describe params, query and body as OpenAPI objects', () => {
+            const description = describeRequest(schema);
+
+            expect(description.parameters).toEqual([
+                { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+                { name: 'name', in: 'query', required: false, schema: { type: 'string', maxLength: 5 } },
+                { name: 'order', in: 'query', required: false, schema: { type: 'string', enum: ['asc', 'desc'], default: 'asc' } },
+                { name: 'verbose', in: 'query', required: false, schema: { type: 'boolean' } },
+                {
+                    name: 'fields',
+                    in: 'query',
+                    required: false,
+                    schema: { type: 'array', items: { type: 'string', enum: ['a', 'b'] } },
+                    style: 'form',
+                    explode: false
+                }
+            ]);
+            expect(description.requestBody).toEqual({
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                title: { type: 'string' },
+                                ids: { type: 'array', items: { type: 'integer', minimum: 1 } }
+                            },
+                            required: ['title'],
+                            additionalProperties: false
+                        }
+                    }
+                }
+            });
+        });
+    });
+});
+
+describe('routes', () => {
+    // Any handler name resolves to a stub, so the table can be built without services
+    const stubController = new Proxy({}, { get: () => () => {} });
+    const routes = createRoutes({
+        moviesController: stubController,
+        trackingController: stubController,
+        discoveryController: stubController,
+        debugController: stubController,
+        cacheController: stubController,
+        docsController: stubController,
+        metricsController: stubController,
+        healthController: stubController,
+        eventsController: stubController,
+        webhooksController: stubController,
+        graphqlController: stubController
+    });
+
+    it('should declare exactly the path parameters of each route', () => {
+        for (const { path, schema } of routes) {
+            const pathParams = [...path.matchAll(/:(\w+)/g)].map(([, name]) => name);
+            expect({ path, params: Object.keys(schema.params ?? {}) }).toEqual({ path, params: pathParams });
+        }
+    });
+
+    it('should need an admin key for every route changing state', () => {
+        // Webhook subscriptions are only readable by admins too, as they name the receivers,
+        // and so are the cache state and debug reports, which expose operational internals
+        const adminReads = ['/webhooks', '/webhooks/deadLetters', '/webhooks/:id', '/cache/status', '/debug/characterMatches', '/debug/actorResolution'];
+        // GraphQL queries are POSTed but only read
+        const publicWrites = ['/graphql'];
+        for (const { method, path, admin } of routes) {
+            expect({ method, path, admin: Boolean(admin) })
+                .toEqual({ method, path, admin: (method !== 'get' && !publicWrites.includes(path)) || adminReads.includes(path) });
+        }
+    });
+
+    it('should only reject unknown query parameters on /v2 routes', () => {
+        for (const { path, schema } of routes) {
+            expect({ path, strictQuery: Boolean(schema.strictQuery) }).toEqual({ path, strictQuery: path.startsWith('/v2/') });
+        }
+    });
+
+    it('should register each method and path once', () => {
+        const keys = routes.map(({ method, path }) => `${method} ${path}`);
+
+        expect(new Set(keys).size).toBe(keys.length);
+    });
+});
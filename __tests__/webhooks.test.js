@@ -0,0 +1,344 @@
+import { jest } from '@jest/globals';
+import { EventEmitter, once } from 'node:events';
+import http from 'node:http';
+import axios from 'axios';
+import { eventsFromDiff, matchesFilter } from '../utils/changeEvents.js';
+import { signPayload, verifySignature } from '../utils/webhookSignature.js';
+import { ChangeFeed } from '../services/changeFeed.js';
+import { WebhookService } from '../services/webhookService.js';
+import { MemoryCacheStore } from '../cache/memoryCacheStore.js';
+
+const emptyDiff = () => ({
+    actors: { added: [], removed: [] },
+    characters: { added: [], removed: [] },
+    recasts: { added: [], removed: [] }
+});
+
+const ironManDiff = () => ({
+    ...emptyDiff(),
+    actors: {
+        added: [{ actorName: 'Scarlett Johansson', movieName: 'Iron Man' }],
+        removed: [{ actorName: 'Gwyneth Paltrow', movieName: 'Iron Man' }]
+    }
+});
+
+const httpError = (status, headers = {}) =>
+    Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+// Lets chained deliveries run, their HTTP client and sleep being stubs
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('changeEvents', () => {
+    it('should list one event per added or removed item', () => {
+        const diff = ironManDiff();
+        diff.recasts.added.push({
+            characterId: 'james-rhodes',
+            characterName: 'James Rhodes',
+            actorName: 'Don Cheadle',
+            replaces: ['Terrence Howard'],
+            movieName: 'Iron Man 2'
+        });
+
+        expect(eventsFromDiff(diff).map(({ type }) => type)).toEqual(['actor.added', 'actor.removed', 'recast.added']);
+        expect(eventsFromDiff(diff)[2].data).toMatchObject({ actorName: 'Don Cheadle' });
+    });
+
+    it('should match events on every given criterion', () => {
+        const event = {
+            type: 'recast.added',
+            data: { actorName: 'Don Cheadle', replaces: ['Terrence Howard'], movieName: 'Iron Man 2' }
+        };
+
+        expect(matchesFilter(event)).toBe(true);
+        expect(matchesFilter(event, { types: ['recast.added'], actors: ['Terrence Howard'] })).toBe(true);
+        expect(matchesFilter(event, { types: ['actor.added'] })).toBe(false);
+        expect(matchesFilter(event, { actors: ['Robert Downey Jr.'] })).toBe(false);
+        expect(matchesFilter(event, { types: [], movies: ['Iron Man'] })).toBe(false);
+    });
+});
+
+describe('webhookSignature', () => {
+    const now = 1_700_000_000_000;
+    const timestamp = now / 1000;
+
+    it('should verify payloads it signed', () => {
+        const header = signPayload('secret', timestamp, '{"id":"1"}');
+
+        expect(header).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+        expect(verifySignature('secret', header, '{"id":"1"}', { now })).toBe(true);
+    });
+
+    it('should reject other bodies, secrets, stale timestamps and malformed headers', () => {
+        const header = signPayload('secret', timestamp, '{"id":"1"}');
+
+        expect(verifySignature('secret', header, '{"id":"2"}', { now })).toBe(false);
+        expect(verifySignature('other', header, '{"id":"1"}', { now })).toBe(false);
+        expect(verifySignature('secret', header, '{"id":"1"}', { now: now + 301_000 })).toBe(false);
+        expect(verifySignature('secret', 'v1=abc', '{"id":"1"}', { now })).toBe(false);
+        expect(verifySignature('secret', undefined, '{"id":"1"}', { now })).toBe(false);
+    });
+});
+
+describe('ChangeFeed', () => {
+    const setup = (options = {}) => {
+        const movieDataService = new EventEmitter();
+        const changeFeed = new ChangeFeed({ movieDataService, ...options });
+        const events = [];
+        changeFeed.on('event', event => events.push(event));
+        return { movieDataService, changeFeed, events };
+    };
+
+    it('should number and publish the events of each change', () => {
+        const { movieDataService, events } = setup();
+
+        movieDataService.emit('change', { at: '2026-01-01T00:00:00.000Z', changed: ['Iron Man'], diff: ironManDiff() });
+
+        expect(events).toEqual([
+            { id: '1', type: 'actor.added', at: '2026-01-01T00:00:00.000Z', data: { actorName: 'Scarlett Johansson', movieName: 'Iron Man' } },
+            { id: '2', type: 'actor.removed', at: '2026-01-01T00:00:00.000Z', data: { actorName: 'Gwyneth Paltrow', movieName: 'Iron Man' } }
+        ]);
+    });
+
+    it('should list the kept events after the last one received', () => {
+        const { changeFeed } = setup({ bufferSize: 3 });
+        changeFeed.publish(ironManDiff(), 'a');
+        changeFeed.publish(ironManDiff(), 'b');
+
+        expect(changeFeed.since(undefined)).toEqual([]);
+        expect(changeFeed.since('nonsense')).toEqual([]);
+        expect(changeFeed.since('3').map(({ id }) => id)).toEqual(['4']);
+        expect(changeFeed.since('0').map(({ id }) => id)).toEqual(['2', '3', '4']);
+        // From a previous run of the process
+        expect(changeFeed.since('99').map(({ id }) => id)).toEqual(['2', '3', '4']);
+    });
+
+    it('should tell listeners once when closed', () => {
+        const { changeFeed } = setup();
+        const onClose = jest.fn();
+        changeFeed.on('close', onClose);
+
+        changeFeed.close();
+        changeFeed.close();
+
+        expect(onClose).toHaveBeenCalledTimes(1);
+        expect(changeFeed.closed).toBe(true);
+    });
+});
+
+describe('WebhookService', () => {
+    const setup = (httpClient, options = {}) => {
+        const changeFeed = new ChangeFeed({ movieDataService: new EventEmitter() });
+        let nextId = 0;
+        const webhookService = new WebhookService({
+            changeFeed,
+            httpClient,
+            sleep: jest.fn().mockResolvedValue(undefined),
+            random: () => 0.5,
+            now: () => 1_700_000_000_000,
+            createId: () => `id-${++nextId}`,
+            createSecret: () => 'secret',
+            ...options
+        });
+        return { changeFeed, webhookService };
+    };
+
+    it('should POST signed events to a receiver', async () => {
+        const received = [];
+        const receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(204).end();
+            });
+        });
+        receiver.listen(0, '127.0.0.1');
+        await once(receiver, 'listening');
+
+        try {
+            const { changeFeed, webhookService } = setup(axios, { now: Date.now });
+            const { secret } = await webhookService.subscribe({ url: `http://127.0.0.1:${receiver.address().port}/hook` });
+
+            changeFeed.publish(ironManDiff(), '2026-01-01T00:00:00.000Z');
+            await webhookService.close();
+
+            expect(received).toHaveLength(2);
+            const [first] = received;
+            expect(first.headers).toMatchObject({
+                'content-type': 'application/json',
+                'x-webhook-id': '1',
+                'x-webhook-event': 'actor.added',
+                'x-webhook-attempt': '1'
+            });
+            expect(verifySignature(secret, first.headers['x-webhook-signature'], first.body)).toBe(true);
+            expect(JSON.parse(first.body)).toMatchObject({ id: '1', type: 'actor.added' });
+            expect(received[1].headers['x-webhook-id']).toBe('2');
+            expect(webhookService.getSubscription('id-1')).toMatchObject({ deliveredCount: 2, failedCount: 0 });
+        } finally {
+            await new Promise(resolve => receiver.close(resolve));
+        }
+    });
+
+    it('should retry transient failures with backoff, honouring Retry-After', async () => {
+        const sleep = jest.fn().mockResolvedValue(undefined);
+        const httpClient = {
+            post: jest.fn()
+                .mockRejectedValueOnce(httpError(503))
+                .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+                .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+                .mockResolvedValue({ status: 200 })
+        };
+        const { changeFeed, webhookService } = setup(httpClient, { sleep, baseDelayMs: 100 });
+        await webhookService.subscribe({ url: 'https://receiver.test/hook', types: ['actor.added'] });
+
+        changeFeed.publish(ironManDiff(), 'a');
+        await flush();
+
+        expect(httpClient.post).toHaveBeenCalledTimes(4);
+        expect(httpClient.post.mock.calls[3][2].headers['X-Webhook-Attempt']).toBe('4');
+        expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([50, 2000, 200]);
+        expect(webhookService.getSubscription('id-1')).toMatchObject({ deliveredCount: 1, failedCount: 0 });
+        expect(webhookService.getDeadLetters()).toEqual([]);
+    });
+
+    it('should dead-letter refused deliveries at once and others after the last attempt', async () => {
+        const httpClient = {
+            post: jest.fn(async url => {
+                throw httpError(url.includes('gone') ? 410 : 500);
+            })
+        };
+        const { changeFeed, webhookService } = setup(httpClient, { maxAttempts: 3 });
+        await webhookService.subscribe({ url: 'https://gone.test/hook', types: ['actor.added'] });
+        await webhookService.subscribe({ url: 'https://down.test/hook', types: ['actor.added'] });
+
+        changeFeed.publish(ironManDiff(), 'a');
+        await flush();
+
+        expect(httpClient.post).toHaveBeenCalledTimes(4);
+        expect(webhookService.getDeadLetters()).toEqual([
+            expect.objectContaining({ subscriptionId: 'id-2', attempts: 3, lastError: { status: 500, message: 'Request failed with status code 500' } }),
+            expect.objectContaining({ subscriptionId: 'id-1', attempts: 1, lastError: { status: 410, message: 'Request failed with status code 410' } })
+        ]);
+        expect(webhookService.getDeadLetters({ subscriptionId: 'id-1' })[0]).toMatchObject({
+            url: 'https://gone.test/hook',
+            event: { id: '1', type: 'actor.added' },
+            failedAt: '2023-11-14T22:13:20.000Z'
+        });
+        expect(webhookService.getSubscription('id-1').failedCount).toBe(1);
+    });
+
+    it('should only send events passing the filter', async () => {
+        const httpClient = { post: jest.fn().mockResolvedValue({ status: 200 }) };
+        const { changeFeed, webhookService } = setup(httpClient);
+        await webhookService.subscribe({ url: 'https://receiver.test/hook', actors: ['Gwyneth Paltrow'] });
+        await webhookService.subscribe({ url: 'https://other.test/hook', movies: ['The Avengers'] });
+
+        changeFeed.publish(ironManDiff(), 'a');
+        await flush();
+
+        expect(httpClient.post).toHaveBeenCalledTimes(1);
+        expect(httpClient.post.mock.calls[0][2].headers['X-Webhook-Event']).toBe('actor.removed');
+    });
+
+    it('should stop sending to removed subscriptions', async () => {
+        const httpClient = { post: jest.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValue({ status: 200 }) };
+        // Removed while waiting to retry the first event
+        const sleep = jest.fn(async () => webhookService.unsubscribe(id));
+        const { changeFeed, webhookService } = setup(httpClient, { sleep });
+        const { id } = await webhookService.subscribe({ url: 'https://receiver.test/hook' });
+
+        changeFeed.publish(ironManDiff(), 'a');
+        await flush();
+
+        expect(httpClient.post).toHaveBeenCalledTimes(1);
+        expect(webhookService.getDeadLetters()).toEqual([]);
+        expect(webhookService.listSubscriptions()).toEqual([]);
+        expect(() => webhookService.getSubscription(id)).toThrow(expect.objectContaining({ reason: 'not-found' }));
+    });
+
+    it('should reject invalid URLs and filters', async () => {
+        const { webhookService } = setup({ post: jest.fn() });
+
+        await expect(webhookService.subscribe({ url: 'receiver.test/hook' })).rejects.toThrow('absolute URL');
+        await expect(webhookService.subscribe({ url: 'ftp://receiver.test/hook' })).rejects.toThrow('http or https');
+        await expect(webhookService.subscribe({ url: 'https://receiver.test', types: ['movie.added'] }))
+            .rejects.toThrow(expect.objectContaining({ reason: 'invalid', message: 'Unknown types value "movie.added"' }));
+        await expect(webhookService.subscribe({ url: 'https://receiver.test', actors: [''] })).rejects.toThrow('non-empty strings');
+    });
+
+    it('should cut retries short on close', async () => {
+        const httpClient = { post: jest.fn().mockRejectedValue(httpError(503)) };
+        const { changeFeed, webhookService } = setup(httpClient, { sleep: () => new Promise(() => {}) });
+        await webhookService.subscribe({ url: 'https://receiver.test/hook', types: ['actor.added'] });
+
+        changeFeed.publish(ironManDiff(), 'a');
+        await flush();
+        await webhookService.close();
+        changeFeed.publish(ironManDiff(), 'b');
+
+        expect(httpClient.post).toHaveBeenCalledTimes(1);
+        expect(webhookService.getDeadLetters()).toEqual([expect.objectContaining({ attempts: 1 })]);
+    });
+
+    it('should restore subscriptions, secrets, delivery counts and dead letters in a new instance', async () => {
+        const cacheStore = new MemoryCacheStore();
+        const httpClient = {
+            post: jest.fn(async url => {
+                if (url.includes('gone')) throw httpError(410);
+                return { status: 200 };
+            })
+        };
+        const { changeFeed, webhookService } = setup(httpClient, { cacheStore });
+        const { secret } = await webhookService.subscribe({ url: 'https://receiver.test/hook', types: ['actor.added'] });
+        await webhookService.subscribe({ url: 'https://gone.test/hook', types: ['actor.added'] });
+        changeFeed.publish(ironManDiff(), 'a');
+        await webhookService.close();
+
+        const restarted = await setup(httpClient, { cacheStore }).webhookService.load();
+
+        expect(restarted.listSubscriptions()).toEqual([
+            expect.objectContaining({ id: 'id-1', url: 'https://receiver.test/hook', deliveredCount: 1 }),
+            expect.objectContaining({ id: 'id-2', url: 'https://gone.test/hook', failedCount: 1 })
+        ]);
+        expect(restarted.getDeadLetters()).toEqual([expect.objectContaining({ subscriptionId: 'id-2', attempts: 1 })]);
+        expect(JSON.stringify(restarted.listSubscriptions())).not.toContain(secret);
+    });
+
+    it('should keep a new instance delivering to restored subscriptions with their secrets', async () => {
+        const cacheStore = new MemoryCacheStore();
+        const httpClient = { post: jest.fn().mockResolvedValue({ status: 200 }) };
+        await setup(httpClient, { cacheStore }).webhookService.subscribe({ url: 'https://receiver.test/hook' });
+
+        const { changeFeed, webhookService } = setup(httpClient, { cacheStore, createSecret: () => 'other' });
+        await webhookService.load();
+        changeFeed.publish(ironManDiff(), 'a');
+        await webhookService.close();
+
+        const [, body, { headers }] = httpClient.post.mock.calls[0];
+        expect(httpClient.post).toHaveBeenCalledTimes(2);
+        expect(verifySignature('secret', headers['X-Webhook-Signature'], body, { now: 1_700_000_000_000 })).toBe(true);
+        expect(webhookService.getSubscription('id-1').deliveredCount).toBe(2);
+    });
+
+    it('should persist removed subscriptions', async () => {
+        const cacheStore = new MemoryCacheStore();
+        const { webhookService } = setup({ post: jest.fn() }, { cacheStore });
+        const { id } = await webhookService.subscribe({ url: 'https://receiver.test/hook' });
+        await webhookService.unsubscribe(id);
+
+        const restarted = await setup({ post: jest.fn() }, { cacheStore }).webhookService.load();
+
+        expect(restarted.listSubscriptions()).toEqual([]);
+    });
+
+    it('should undo a subscription that could not be persisted', async () => {
+        const cacheStore = new MemoryCacheStore();
+        cacheStore.set = jest.fn().mockRejectedValue(new Error('store down'));
+        const { webhookService } = setup({ post: jest.fn() }, { cacheStore });
+
+        await expect(webhookService.subscribe({ url: 'https://receiver.test/hook' })).rejects.toThrow('store down');
+        expect(webhookService.listSubscriptions()).toEqual([]);
+    });
+});
@@ -0,0 +1,245 @@
+import express from 'express';
+
+// Data
+import { movies, actors, crew } from './data/marvelMovies.js';
+
+// Cache
+import { createCacheStore } from './cache/index.js';
+
+// Auth
+import { MemoryKeyStore, MemoryRateLimitStore, parseApiKeys } from './auth/index.js';
+
+// Services
+import * as defaultTmdbService from './services/tmdbService.js';
+import { MovieDataService } from './services/movieDataService.js';
+import { TrackingRegistry } from './services/trackingRegistry.js';
+import { DiscoveryService } from './services/discoveryService.js';
+import { ActorResolver } from './services/actorResolver.js';
+import { HealthService } from './services/healthService.js';
+import { ChangeFeed } from './services/changeFeed.js';
+import { WebhookService } from './services/webhookService.js';
+import { GraphqlService } from './services/graphqlService.js';
+
+// Controllers
+import { createMoviesController } from './controllers/moviesController.js';
+import { createCacheController } from './controllers/cacheController.js';
+import { createDebugController } from './controllers/debugController.js';
+import { createTrackingController } from './controllers/trackingController.js';
+import { createDiscoveryController } from './controllers/discoveryController.js';
+import { createDocsController } from './controllers/docsController.js';
+import { createMetricsController } from './controllers/metricsController.js';
+import { createHealthController } from './controllers/healthController.js';
+import { createEventsController } from './controllers/eventsController.js';
+import { createWebhooksController } from './controllers/webhooksController.js';
+import { createGraphqlController } from './controllers/graphqlController.js';
+
+// Routes
+import { createRoutes, registerRoutes, describeApi } from './routes/index.js';
+
+// Middleware
+import { createRequestIdMiddleware } from './middleware/requestId.js';
+import { createRequestLoggerMiddleware } from './middleware/requestLogger.js';
+import { createMetricsMiddleware } from './middleware/metrics.js';
+import { createApiKeyMiddleware } from './middleware/auth.js';
+import { createRateLimitMiddleware, createRejectedKeyRateLimitMiddleware } from './middleware/rateLimit.js';
+import { createFailedMoviesMiddleware } from './middleware/failedMovies.js';
+import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+
+// Utils
+import logger from './utils/logger.js';
+import { registry as metricsRegistry } from './utils/metrics.js';
+import { readIntEnv, readBoolEnv } from './utils/env.js';
+
+/**
+ * Loads the tracked set. It starts from data/marvelMovies.js and is persisted once edited through the API.
+ * Offline snapshots carry their own tracked set, so replays are reproducible
+ * even if data/marvelMovies.js has changed since recording; edits made while replaying are not persisted.
+ * @param {Object} tmdbService
+ * @returns {Promise<TrackingRegistry>}
+ */
+async function loadTrackingRegistry(tmdbService) {
+    if (tmdbService.snapshotMode === 'replay') {
+        const trackedSet = (await tmdbService.snapshotStore.readTrackedSet()) ?? { movies, actors, crew };
+        logger.info('Replaying TMDB responses from snapshot');
+        return new TrackingRegistry({ ...trackedSet, tmdbService });
+    }
+
+    const trackingRegistry = await new TrackingRegistry({
+        movies,
+        actors,
+        crew,
+        filePath: process.env.TRACKED_SET_FILE || 'data/trackedSet.json',
+        tmdbService
+    }).load();
+
+    if (tmdbService.snapshotMode === 'record') {
+        await tmdbService.snapshotStore.writeTrackedSet(trackingRegistry.toJSON());
+        trackingRegistry.on('change', () => {
+            tmdbService.snapshotStore.writeTrackedSet(trackingRegistry.toJSON()).catch(error => {
+                logger.warn({ err: error }, 'Failed to record tracked set');
+            });
+        });
+        logger.info('Recording TMDB responses to snapshot');
+    }
+
+    return trackingRegistry;
+}
+
+/**
+ * Assembles the app from the environment: services, middleware and routes.
+ * Listening and process signals are left to the caller (see index.js), so tests
+ * can mount the app on a server of their own.
+ * @param {Object} [options]
+ * @param {Object} [options.tmdbService] - TMDB client; defaults to the one configured from the environment
+ * @param {TrackingRegistry} [options.trackingRegistry] - Defaults to the tracked set from
+ *   data/marvelMovies.js, persisted to TRACKED_SET_FILE
+ * @param {import('./cache/memoryCacheStore.js').CacheStore} [options.cacheStore] - Defaults to the
+ *   store selected with CACHE_STORE
+ * @param {boolean} [options.requireWarmCache=false] - Whether /readyz waits for cached data,
+ *   for when the cache is warmed up at startup
+ * @returns {Promise<{
+ *   app: import('express').Express,
+ *   movieDataService: MovieDataService,
+ *   healthService: HealthService,
+ *   startDraining: () => void,
+ *   close: () => Promise<void>
+ * }>} The app, the services the caller drives, a function to call when shutdown starts,
+ *   and one releasing resources once the server is closed
+ */
+export async function createApp({
+    tmdbService = defaultTmdbService,
+    trackingRegistry,
+    cacheStore,
+    requireWarmCache = false
+} = {}) {
+    const app = express();
+
+    // Behind a proxy, TRUST_PROXY (hop count or addresses) makes req.ip the client's address for rate limiting
+    if (process.env.TRUST_PROXY) {
+        const hops = Number(process.env.TRUST_PROXY);
+        app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+    }
+
+    // Composition root - assemble dependencies
+    trackingRegistry ??= await loadTrackingRegistry(tmdbService);
+    cacheStore ??= await createCacheStore({
+        type: process.env.CACHE_STORE || 'memory',
+        dir: process.env.CACHE_DIR || '.cache',
+        redisUrl: process.env.REDIS_URL
+    });
+
+    const movieDataService = new MovieDataService({
+        tmdbService,
+        trackingRegistry,
+        actorResolver: new ActorResolver({ tmdbService, cacheStore }),
+        cacheStore,
+        cacheTtlMs: readIntEnv('CACHE_TTL_MS', 60 * 60 * 1000)
+    });
+
+    const discoveryService = new DiscoveryService({
+        tmdbService,
+        trackingRegistry,
+        maxPages: readIntEnv('DISCOVERY_MAX_PAGES', 10)
+    });
+
+    const changeFeed = new ChangeFeed({ movieDataService });
+    const webhookService = await new WebhookService({
+        changeFeed,
+        cacheStore,
+        maxAttempts: readIntEnv('WEBHOOK_MAX_ATTEMPTS', 5),
+        timeoutMs: readIntEnv('WEBHOOK_TIMEOUT_MS', 5000)
+    }).load();
+
+    const graphqlService = new GraphqlService({
+        movieDataService,
+        maxDepth: readIntEnv('GRAPHQL_MAX_DEPTH', 10),
+        maxComplexity: readIntEnv('GRAPHQL_MAX_COMPLEXITY', 1000)
+    });
+
+    const healthService = new HealthService({
+        movieDataService,
+        isTmdbConfigured: tmdbService.isConfigured,
+        requireWarmCache
+    });
+
+    // The API description covers the docs routes too, so it is built from the route table on first request
+    const routes = createRoutes({
+        moviesController: createMoviesController(movieDataService),
+        trackingController: createTrackingController(trackingRegistry),
+        discoveryController: createDiscoveryController(discoveryService),
+        debugController: createDebugController(movieDataService),
+        cacheController: createCacheController(movieDataService),
+        docsController: createDocsController(() => describeApi(routes)),
+        metricsController: createMetricsController(metricsRegistry),
+        healthController: createHealthController(healthService),
+        eventsController: createEventsController(changeFeed),
+        webhooksController: createWebhooksController(webhookService),
+        graphqlController: createGraphqlController(graphqlService)
+    });
+
+    // Every request, rejected ones included, is logged and measured
+    app.use(createRequestIdMiddleware());
+    app.use(createRequestLoggerMiddleware());
+    app.use(createMetricsMiddleware());
+
+    // Probes come before API keys and rate limits, so orchestrators need neither
+    registerRoutes(app, routes.filter(route => route.probe));
+
+    // Clients are identified by API key and rate limited before anything else runs
+    const keyStore = new MemoryKeyStore({
+        keys: [
+            ...parseApiKeys(process.env.API_KEYS),
+            ...parseApiKeys(process.env.ADMIN_API_KEYS, { admin: true })
+        ]
+    });
+    if (!process.env.ADMIN_API_KEYS) {
+        logger.warn('No ADMIN_API_KEYS set; admin routes such as POST /cache/refresh will reject every request');
+    }
+    const rateLimitWindowMs = Math.max(1, readIntEnv('RATE_LIMIT_WINDOW_MS', 60 * 1000));
+    const rateLimitStore = new MemoryRateLimitStore();
+    const ipLimit = { capacity: Math.max(1, readIntEnv('RATE_LIMIT_IP_CAPACITY', 30)), windowMs: rateLimitWindowMs };
+
+    app.use(createApiKeyMiddleware({ keyStore, required: readBoolEnv('REQUIRE_API_KEY', false) }));
+    // Rejected keys count against the IP, so rotating keys can't get around its limit
+    app.use(createRejectedKeyRateLimitMiddleware({ store: rateLimitStore, ipLimit }));
+    app.use(createRateLimitMiddleware({
+        store: rateLimitStore,
+        keyLimit: { capacity: Math.max(1, readIntEnv('RATE_LIMIT_KEY_CAPACITY', 120)), windowMs: rateLimitWindowMs },
+        ipLimit
+    }));
+    app.use(express.json());
+    // Partial data, served when TMDB failed for some movies, is flagged in a response header
+    app.use(createFailedMoviesMiddleware());
+
+    // Routes, each validated against its schema
+    registerRoutes(app, routes.filter(route => !route.probe));
+
+    // Errors, registered last
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    /**
+     * Marks the app as draining and ends the /events streams, which would
+     * otherwise keep the server from closing.
+     */
+    function startDraining() {
+        healthService.startDraining();
+        changeFeed.close();
+    }
+
+    /**
+     * Releases what outlives requests: marks the app as draining, waits for the
+     * TMDB fetch in flight so its results are cached, lets webhook deliveries in
+     * flight finish, then closes the cache store.
+     * Call once the server has stopped taking requests.
+     * @returns {Promise<void>}
+     */
+    async function close() {
+        startDraining();
+        await movieDataService.drain();
+        await webhookService.close();
+        await cacheStore.close?.();
+    }
+
+    return { app, movieDataService, healthService, startDraining, close };
+}
@@ -0,0 +1,33 @@
+import { MemoryKeyStore, hashApiKey } from './memoryKeyStore.js';
+import { MemoryRateLimitStore } from './memoryRateLimitStore.js';
+
+export { MemoryKeyStore, MemoryRateLimitStore, hashApiKey };
+
+// Shorter keys are too easy to guess
+const MIN_KEY_LENGTH = 16;
+
+/**
+ * Parses a list of API keys from configuration, e.g. API_KEYS="mobile:k3y...,partner:s3cr3t...".
+ * @param {string|undefined} value - Comma-separated "client:key" entries
+ * @param {Object} [options]
+ * @param {boolean} [options.admin=false] - Whether the keys are privileged
+ * @returns {Array<{key: string, id: string, admin: boolean}>}
+ * @throws {Error} If an entry is malformed or a key is too short
+ */
+export function parseApiKeys(value, { admin = false } = {}) {
+    if (!value) return [];
+
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator).trim();
+        const key = entry.slice(separator + 1).trim();
+
+        if (separator <= 0 || !id) {
+            throw new Error('API keys must be given as "client:key" entries');
+        }
+        if (key.length < MIN_KEY_LENGTH) {
+            throw new Error(`API key of "${id}" must be at least ${MIN_KEY_LENGTH} characters`);
+        }
+        return { key, id, admin };
+    });
+}
@@ -0,0 +1,57 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * @typedef {Object} ApiClient
+ * @property {string} id - Client name, used for its rate limit bucket and in logs
+ * @property {boolean} admin - Whether the client may call admin routes
+ */
+
+/**
+ * @typedef {Object} KeyStore
+ * Resolves API keys to the clients they belong to.
+ * @property {(key: string) => Promise<ApiClient|null>} find - Resolves to the key's client, or null for unknown keys
+ */
+
+/**
+ * Hashes a key, so stores never hold keys in plain text and lookups don't compare secrets.
+ * @param {string} key
+ * @returns {string}
+ */
+export function hashApiKey(key) {
+    return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * In-process key store holding a fixed list of keys, e.g. from the environment.
+ * @implements {KeyStore}
+ */
+export class MemoryKeyStore {
+    #clientsByHash = new Map();
+
+    /**
+     * @param {Object} [options]
+     * @param {Array<{key: string} & ApiClient>} [options.keys]
+     */
+    constructor({ keys = [] } = {}) {
+        for (const { key, id, admin } of keys) {
+            const hash = hashApiKey(key);
+            if (this.#clientsByHash.has(hash)) {
+                throw new Error(`API key of "${id}" is already given to "${this.#clientsByHash.get(hash).id}"`);
+            }
+            this.#clientsByHash.set(hash, { id, admin });
+        }
+    }
+
+    async find(key) {
+        const client = this.#clientsByHash.get(hashApiKey(key));
+        return client ? { ...client } : null;
+    }
+
+    /**
+     * Number of keys held.
+     * @returns {number}
+     */
+    get size() {
+        return this.#clientsByHash.size;
+    }
+}
@@ -0,0 +1,58 @@
+import { takeToken } from '../utils/tokenBucket.js';
+
+/**
+ * @typedef {Object} RateLimitStore
+ * Holds token buckets for the rate limit middleware. Taking a token must be atomic
+ * per bucket, so a shared store has to do it server-side (e.g. in a Redis script).
+ * @property {(key: string, limit: import('../utils/tokenBucket.js').RateLimit) =>
+ *   Promise<import('../utils/tokenBucket.js').TakeResult>} take - Takes one token from a bucket
+ */
+
+/**
+ * In-process rate limit store backed by a Map.
+ * Limits are per instance and reset on restart.
+ * @implements {RateLimitStore}
+ */
+export class MemoryRateLimitStore {
+    #buckets = new Map();
+    #now;
+    #lastSweepAt;
+
+    /**
+     * @param {Object} [options]
+     * @param {() => number} [options.now] - Clock function, injectable for tests
+     */
+    constructor({ now = Date.now } = {}) {
+        this.#now = now;
+        this.#lastSweepAt = now();
+    }
+
+    async take(key, limit) {
+        const now = this.#now();
+        if (now - this.#lastSweepAt >= limit.windowMs) this.#sweep(now);
+
+        const { state, result } = takeToken(this.#buckets.get(key)?.state, limit, now);
+        this.#buckets.set(key, { state, fullAt: now + result.resetMs });
+        return result;
+    }
+
+    /**
+     * Drops buckets that have refilled completely, since a missing bucket is full anyway.
+     * Keeps memory bounded when many clients or IPs come and go.
+     * @param {number} now
+     */
+    #sweep(now) {
+        for (const [key, { fullAt }] of this.#buckets) {
+            if (fullAt <= now) this.#buckets.delete(key);
+        }
+        this.#lastSweepAt = now;
+    }
+
+    /**
+     * Number of buckets held, for tests.
+     * @returns {number}
+     */
+    get size() {
+        return this.#buckets.size;
+    }
+}
@@ -0,0 +1,85 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const FILE_EXTENSION = '.json';
+
+/**
+ * Cache store that keeps one JSON file per key in a directory.
+ * Survives restarts, so a single instance does not refetch all credits on boot.
+ * @implements {import('./memoryCacheStore.js').CacheStore}
+ */
+export class FileCacheStore {
+    #dir;
+    #now;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Directory to store cache files in (created if missing)
+     * @param {() => number} [options.now] - Clock function, injectable for tests
+     */
+    constructor({ dir, now = Date.now }) {
+        this.#dir = dir;
+        this.#now = now;
+    }
+
+    /**
+     * Maps a cache key to a safe file path inside the cache directory.
+     * @param {string} key
+     * @returns {string}
+     */
+    #filePath(key) {
+        return path.join(this.#dir, encodeURIComponent(key) + FILE_EXTENSION);
+    }
+
+    async get(key) {
+        let entry;
+        try {
+            entry = JSON.parse(await readFile(this.#filePath(key), 'utf8'));
+        } catch (error) {
+            // A missing or corrupt file is treated as a cache miss
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return undefined;
+            throw error;
+        }
+
+        if (entry.expiresAt !== null && entry.expiresAt <= this.#now()) {
+            await this.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    }
+
+    async set(key, value, { ttlMs } = {}) {
+        await mkdir(this.#dir, { recursive: true });
+
+        const filePath = this.#filePath(key);
+        const tempPath = `${filePath}.${randomUUID()}.tmp`;
+        const entry = { value, expiresAt: ttlMs ? this.#now() + ttlMs : null };
+
+        // Write to a temp file and rename so readers never see a half-written file.
+        // Each write has its own temp file, so concurrent writes of a key never mix
+        await writeFile(tempPath, JSON.stringify(entry));
+        await rename(tempPath, filePath);
+    }
+
+    async delete(key) {
+        await rm(this.#filePath(key), { force: true });
+    }
+
+    async clear() {
+        let files;
+        try {
+            files = await readdir(this.#dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        await Promise.all(
+            files
+                .filter(file => file.endsWith(FILE_EXTENSION))
+                .map(file => rm(path.join(this.#dir, file), { force: true }))
+        );
+    }
+}
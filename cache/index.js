@@ -0,0 +1,32 @@
+import { MemoryCacheStore } from './memoryCacheStore.js';
+import { FileCacheStore } from './fileCacheStore.js';
+import { RedisCacheStore } from './redisCacheStore.js';
+
+export { MemoryCacheStore, FileCacheStore, RedisCacheStore };
+
+/**
+ * Creates the cache store selected by configuration.
+ * @param {Object} options
+ * @param {'memory'|'file'|'redis'} [options.type='memory'] - Store implementation
+ * @param {string} [options.dir] - Cache directory for the file store
+ * @param {string} [options.redisUrl] - Connection URL for the Redis store
+ * @returns {Promise<import('./memoryCacheStore.js').CacheStore>}
+ */
+export async function createCacheStore({ type = 'memory', dir, redisUrl }) {
+    switch (type) {
+        case 'memory':
+            return new MemoryCacheStore();
+        case 'file':
+            return new FileCacheStore({ dir });
+        case 'redis': {
+            if (!redisUrl) {
+                throw new Error('REDIS_URL must be set when CACHE_STORE=redis');
+            }
+            // Loaded lazily so the client is only required when Redis is used
+            const { Redis } = await import('ioredis');
+            return new RedisCacheStore({ client: new Redis(redisUrl) });
+        }
+        default:
+            throw new Error(`Unknown cache store type: ${type}`);
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * @typedef {Object} CacheStore
+ * Async key-value store used by MovieDataService. Values must be JSON-serializable.
+ * @property {(key: string) => Promise<*>} get - Resolves to the value, or undefined if missing or expired
+ * @property {(key: string, value: *, options?: {ttlMs?: number}) => Promise<void>} set - Stores a value, optionally expiring it
+ * @property {(key: string) => Promise<void>} delete - Removes a value
+ * @property {() => Promise<void>} clear - Removes every value owned by this store
+ * @property {() => Promise<void>} [close] - Releases connections on shutdown; stores without any omit it
+ */
+
+/**
+ * In-process cache store backed by a Map.
+ * Data is lost on restart and not shared between instances.
+ * @implements {CacheStore}
+ */
+export class MemoryCacheStore {
+    #entries = new Map();
+    #now;
+
+    /**
+     * @param {Object} [options]
+     * @param {() => number} [options.now] - Clock function, injectable for tests
+     */
+    constructor({ now = Date.now } = {}) {
+        this.#now = now;
+    }
+
+    async get(key) {
+        const entry = this.#entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt !== null && entry.expiresAt <= this.#now()) {
+            this.#entries.delete(key);
+            return undefined;
+        }
+
+        // Return a copy so callers cannot mutate the cached value
+        return structuredClone(entry.value);
+    }
+
+    async set(key, value, { ttlMs } = {}) {
+        this.#entries.set(key, {
+            value: structuredClone(value),
+            expiresAt: ttlMs ? this.#now() + ttlMs : null
+        });
+    }
+
+    async delete(key) {
+        this.#entries.delete(key);
+    }
+
+    async clear() {
+        this.#entries.clear();
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Cache store backed by Redis, for sharing data between instances.
+ * Works with any client exposing the ioredis command methods used here
+ * (get, set, del, scan, quit), which keeps it testable against an in-process fake.
+ * @implements {import('./memoryCacheStore.js').CacheStore}
+ */
+export class RedisCacheStore {
+    #client;
+    #prefix;
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.client - ioredis-compatible client
+     * @param {string} [options.prefix='marvel:'] - Namespace prepended to every key
+     */
+    constructor({ client, prefix = 'marvel:' }) {
+        this.#client = client;
+        this.#prefix = prefix;
+    }
+
+    async get(key) {
+        const raw = await this.#client.get(this.#prefix + key);
+        return raw === null ? undefined : JSON.parse(raw);
+    }
+
+    async set(key, value, { ttlMs } = {}) {
+        const raw = JSON.stringify(value);
+
+        if (ttlMs) {
+            await this.#client.set(this.#prefix + key, raw, 'PX', ttlMs);
+        } else {
+            await this.#client.set(this.#prefix + key, raw);
+        }
+    }
+
+    async delete(key) {
+        await this.#client.del(this.#prefix + key);
+    }
+
+    async clear() {
+        // SCAN instead of KEYS so a large keyspace does not block the server
+        let cursor = '0';
+        do {
+            const [nextCursor, keys] = await this.#client.scan(cursor, 'MATCH', `${this.#prefix}*`, 'COUNT', 100);
+            if (keys.length > 0) {
+                await this.#client.del(...keys);
+            }
+            cursor = nextCursor;
+        } while (cursor !== '0');
+    }
+
+    async close() {
+        // QUIT lets commands already sent finish, unlike disconnect
+        await this.#client.quit();
+    }
+}
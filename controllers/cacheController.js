@@ -0,0 +1,47 @@
+import { sendError } from '../middleware/errorHandler.js';
+
+/**
+ * Factory function to create the cache admin controller.
+ * Handlers pass errors to the error middleware.
+ * @param {import('../services/movieDataService.js').MovieDataService} movieDataService
+ * @returns {Object} Controller with route handlers
+ */
+export function createCacheController(movieDataService) {
+    return {
+        /**
+         * POST /cache/refresh
+         * Refreshes the credits from TMDB and returns the resulting cache status.
+         * Query param `full` refetches every movie instead of only the changed ones.
+         */
+        async refreshCache(req, res, next) {
+            try {
+                const status = await movieDataService.refresh({ full: req.query.full === true });
+                res.json(status);
+            } catch (error) {
+                // The cache status tells whether stale data is still being served
+                let status;
+                try {
+                    status = await movieDataService.getCacheStatus();
+                } catch {
+                    // The cache store is down too: report the refresh failure without it
+                    next(error);
+                    return;
+                }
+                sendError(req, res, error, { status });
+            }
+        },
+
+        /**
+         * GET /cache/status
+         * Returns the last fetch time, age and failure count of the cache.
+         */
+        async getCacheStatus(_req, res, next) {
+            try {
+                const status = await movieDataService.getCacheStatus();
+                res.json(status);
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+}
@@ -0,0 +1,43 @@
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Factory function to create the debug controller.
+ * Handlers pass errors to the error middleware.
+ * @param {import('../services/movieDataService.js').MovieDataService} movieDataService
+ * @returns {Object} Controller with route handlers
+ */
+export function createDebugController(movieDataService) {
+    return {
+        /**
+         * GET /debug/characterMatches
+         * Returns every character group with its member names, their fuzzy scores
+         * against the group anchor and the rule that accepted them, plus near-miss
+         * names the anchor rejected. Used to tune the matching thresholds.
+         */
+        async getCharacterMatches(_req, res, next) {
+            try {
+                const report = await movieDataService.getCharacterMatchReport();
+                res.json(report);
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /debug/actorResolution
+         * Returns how tracked actor names were resolved to TMDB person IDs:
+         * resolved, ambiguous (with candidates), unresolved and failed names.
+         */
+        async getActorResolution(_req, res, next) {
+            try {
+                const report = await movieDataService.getActorResolutionReport();
+                if (!report) {
+                    throw new NotFoundError('Actor resolution is disabled');
+                }
+                res.json(report);
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+}
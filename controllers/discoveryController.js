@@ -0,0 +1,68 @@
+/**
+ * Factory function to create the franchise discovery controller.
+ * Rejected requests and TMDB failures are passed to the error middleware.
+ * @param {import('../services/discoveryService.js').DiscoveryService} discoveryService
+ * @returns {Object} Controller with route handlers
+ */
+export function createDiscoveryController(discoveryService) {
+    return {
+        /**
+         * POST /discovery/proposals
+         * Body: { preset?, collections?, companies?, keywords?, query?, releasedOnly? }.
+         * Discovers movies in TMDB and stores them as a pending proposal.
+         */
+        async createProposal(req, res, next) {
+            try {
+                const proposal = await discoveryService.propose(req.body ?? {});
+                res.status(201).json(proposal);
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /discovery/proposals
+         * Lists proposals, newest first.
+         */
+        listProposals(_req, res) {
+            res.json(discoveryService.listProposals());
+        },
+
+        /**
+         * GET /discovery/proposals/:id
+         * Returns a proposal's movies and the changes it would make to the tracked set.
+         */
+        getProposal(req, res, next) {
+            try {
+                res.json(discoveryService.getProposal(req.params.id));
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * POST /discovery/proposals/:id/approve
+         * Body: { exclude? }. Replaces the tracked movies with the proposal's.
+         */
+        async approveProposal(req, res, next) {
+            try {
+                const result = await discoveryService.approve(req.params.id, { exclude: req.body?.exclude });
+                res.json(result);
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * POST /discovery/proposals/:id/reject
+         * Rejects a proposal without changing the tracked set.
+         */
+        rejectProposal(req, res, next) {
+            try {
+                res.json(discoveryService.reject(req.params.id));
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+}
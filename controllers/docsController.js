@@ -0,0 +1,33 @@
+import { renderDocsPage } from '../utils/openapi.js';
+
+/**
+ * Factory function to create the API documentation controller.
+ * The document is built on the first request and reused, since routes don't change at runtime.
+ * @param {() => Object} describeApi - Builds the OpenAPI document
+ * @returns {Object} Controller with route handlers
+ */
+export function createDocsController(describeApi) {
+    let document = null;
+    let page = null;
+
+    const getDocument = () => (document ??= describeApi());
+
+    return {
+        /**
+         * GET /openapi.json
+         * Returns the OpenAPI 3.1 document of every route.
+         */
+        getOpenApiDocument(_req, res) {
+            res.json(getDocument());
+        },
+
+        /**
+         * GET /docs
+         * Returns an HTML page to browse the OpenAPI document.
+         */
+        getDocsPage(_req, res) {
+            page ??= renderDocsPage(getDocument());
+            res.type('html').send(page);
+        }
+    };
+}
@@ -0,0 +1,59 @@
+import { matchesFilter } from '../utils/changeEvents.js';
+
+/**
+ * Formats an event as a Server-Sent Events message.
+ * @param {import('../utils/changeEvents.js').ChangeEvent} event
+ * @returns {string}
+ */
+function formatMessage(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Factory function to create the change stream controller.
+ * @param {import('../services/changeFeed.js').ChangeFeed} changeFeed
+ * @param {Object} [options]
+ * @param {number} [options.heartbeatMs=15000] - How often an idle stream sends a comment,
+ *   so proxies don't close it
+ * @param {number} [options.retryMs=5000] - How long clients wait before reconnecting
+ * @returns {Object} Controller with route handlers
+ */
+export function createEventsController(changeFeed, { heartbeatMs = 15000, retryMs = 5000 } = {}) {
+    return {
+        /**
+         * GET /events
+         * Query: types?, actors?, movies?. Streams change events as Server-Sent Events.
+         * A client reconnecting with Last-Event-ID first gets the events it missed.
+         * Streams end when the app shuts down, and clients reconnect elsewhere.
+         */
+        streamEvents(req, res) {
+            const filter = { types: req.query.types, actors: req.query.actors, movies: req.query.movies };
+            const send = event => {
+                if (matchesFilter(event, filter)) res.write(formatMessage(event));
+            };
+            const end = () => res.end();
+
+            res.status(200).set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                // Tells nginx not to buffer the stream
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            res.write(`retry: ${retryMs}\n\n`);
+
+            changeFeed.since(req.get('Last-Event-ID')).forEach(send);
+            const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+            changeFeed.on('event', send);
+            changeFeed.once('close', end);
+            res.once('close', () => {
+                clearInterval(heartbeat);
+                changeFeed.off('event', send);
+                changeFeed.off('close', end);
+            });
+
+            if (changeFeed.closed) end();
+        }
+    };
+}
@@ -0,0 +1,66 @@
+import logger from '../utils/logger.js';
+import { describeError } from '../middleware/errorHandler.js';
+
+/**
+ * Formats a GraphQL error as in the GraphQL specification, with the error code
+ * REST routes would answer with in `extensions`. Server-side failures are logged
+ * and keep the fixed message of their code, as on REST routes.
+ * @param {import('express').Request} req
+ * @param {import('graphql').GraphQLError} error
+ * @returns {{message: string, locations?: Array<{line: number, column: number}>, path?: Array<string|number>,
+ *   extensions: {code: string}}}
+ */
+function formatError(req, error) {
+    const { status, code, message } = describeError(error);
+
+    if (status >= 500) {
+        const log = req.log ?? logger.child({ requestId: req.id });
+        log.error({ err: error.originalError ?? error, path: error.path }, 'GraphQL field failed');
+    }
+    return {
+        message,
+        ...(error.locations && { locations: error.locations }),
+        ...(error.path && { path: error.path }),
+        extensions: { code }
+    };
+}
+
+/**
+ * Factory function to create the GraphQL controller.
+ * Queries are answered with 200 and `{ data, errors }` once the body is valid, including
+ * queries that fail validation or exceed the limits, as GraphQL over HTTP has it for JSON.
+ * @param {import('../services/graphqlService.js').GraphqlService} graphqlService
+ * @returns {Object} Controller with route handlers
+ */
+export function createGraphqlController(graphqlService) {
+    let schema = null;
+
+    return {
+        /**
+         * POST /graphql
+         * Body: { query, variables?, operationName? }. Runs the query; `extensions.cost`
+         * tells how deep and complex it was, against the limits.
+         */
+        async executeQuery(req, res, next) {
+            try {
+                const { data, errors, cost } = await graphqlService.execute(req.body);
+                res.json({
+                    ...(data !== undefined && { data }),
+                    ...(errors && { errors: errors.map(error => formatError(req, error)) }),
+                    ...(cost && { extensions: { cost: { ...cost, ...graphqlService.getLimits() } } })
+                });
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /graphql/schema
+         * Returns the schema in the GraphQL schema definition language.
+         */
+        getSchema(_req, res) {
+            schema ??= graphqlService.describeSchema();
+            res.type('text/plain').send(schema);
+        }
+    };
+}
@@ -0,0 +1,29 @@
+/**
+ * Factory function to create the health probe controller.
+ * @param {import('../services/healthService.js').HealthService} healthService
+ * @returns {Object} Controller with route handlers
+ */
+export function createHealthController(healthService) {
+    return {
+        /**
+         * GET /healthz
+         * Liveness probe: answers as long as the process can serve requests.
+         */
+        getLiveness(_req, res) {
+            res.json(healthService.getLiveness());
+        },
+
+        /**
+         * GET /readyz
+         * Readiness probe: 200 when ready to serve data, 503 otherwise, with the checks either way.
+         */
+        async getReadiness(_req, res, next) {
+            try {
+                const readiness = await healthService.getReadiness();
+                res.status(readiness.ready ? 200 : 503).json(readiness);
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+}
@@ -0,0 +1,21 @@
+/**
+ * Factory function to create the metrics controller.
+ * @param {import('prom-client').Registry} registry - Metrics to expose
+ * @returns {Object} Controller with route handlers
+ */
+export function createMetricsController(registry) {
+    return {
+        /**
+         * GET /metrics
+         * Returns every metric in the Prometheus text format.
+         */
+        async getMetrics(_req, res, next) {
+            try {
+                const body = await registry.metrics();
+                res.type(registry.contentType).send(body);
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+}
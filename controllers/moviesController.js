@@ -1,52 +1,433 @@
-import logger from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import {
+    FILTER_FIELDS,
+    movieSortField,
+    parseFilterQuery,
+    parseCrewQuery,
+    filterEntries,
+    filterCrewCredits
+} from '../utils/queryFilters.js';
+import { listQueryFields, parseListQuery, paginate } from '../utils/pagination.js';
+
+/**
+ * Counts the distinct actors of a character's appearances.
+ * @param {Array<{actorName: string}>} appearances
+ * @returns {number}
+ */
+function countActors(appearances) {
+    return new Set(appearances.map(appearance => appearance.actorName)).size;
+}
+
+// Item shape of each /v2 list endpoint
+const LIST_ITEMS = {
+    moviesPerActor: {
+        keyField: 'actorName',
+        countField: 'movieCount',
+        listField: 'movies',
+        countOf: movieNames => movieNames.length,
+        movieNamesOf: movieNames => movieNames
+    },
+    actorsWithMultipleCharacters: {
+        keyField: 'actorName',
+        countField: 'characterCount',
+        listField: 'characters',
+        countOf: characters => characters.length,
+        movieNamesOf: characters => characters.map(character => character.movieName)
+    },
+    charactersWithMultipleActors: {
+        keyField: 'characterId',
+        countField: 'actorCount',
+        listField: 'appearances',
+        countOf: countActors,
+        movieNamesOf: appearances => appearances.map(appearance => appearance.movieName)
+    }
+};
+
+/**
+ * Query fields of each /v2 list endpoint, for route schemas: the filters,
+ * ?movieOrder=, and sorting, paging and field selection of the items.
+ * @type {Object.<string, Object.<string, import('../utils/validation.js').FieldSpec>>}
+ */
+export const LIST_QUERY_FIELDS = Object.fromEntries(
+    Object.entries(LIST_ITEMS).map(([name, { keyField, countField, listField }]) => [name, {
+        ...FILTER_FIELDS,
+        movieOrder: movieSortField('Order of each item\'s list'),
+        ...listQueryFields({
+            sortFields: ['name', 'count', 'releaseDate'],
+            defaultSort: 'name',
+            fields: [keyField, countField, listField, 'firstReleaseDate']
+        })
+    }])
+);
 
 /**
  * Factory function to create a movies controller.
  * Uses dependency injection for testability and flexibility.
+ * Handlers pass errors to the error middleware (middleware/errorHandler.js).
  * @param {import('../services/movieDataService.js').MovieDataService} movieDataService
  * @returns {Object} Controller with route handlers
  */
 export function createMoviesController(movieDataService) {
+    /**
+     * Parses the filter query and resolves ?actor= and ?movie= to tracked names.
+     * @param {Object} query - Validated req.query
+     * @returns {import('../utils/queryFilters.js').Filters}
+     * @throws {NotFoundError}
+     */
+    function readFilters(query) {
+        const filters = parseFilterQuery(query);
+
+        if (filters.actor !== undefined) {
+            const actorName = movieDataService.findActor(filters.actor);
+            if (!actorName) throw new NotFoundError(`Unknown actor "${filters.actor}"`);
+            filters.actor = actorName;
+        }
+        if (filters.movie !== undefined) {
+            const movie = movieDataService.findMovie(filters.movie);
+            if (!movie) throw new NotFoundError(`Unknown movie "${filters.movie}"`);
+            filters.movie = movie.name;
+        }
+
+        return filters;
+    }
+
+    /**
+     * Gets the movies per actor matching the filters.
+     * @param {import('../utils/queryFilters.js').Filters} filters
+     * @param {'releaseDate'|'phase'} [sort] - Order of each actor's movies
+     * @returns {Promise<Object.<string, string[]>>}
+     */
+    async function loadMoviesPerActor(filters, sort) {
+        return filterEntries(await movieDataService.getMoviesPerActor({ sort }), filters, {
+            actorsOf: actorName => [actorName],
+            moviesOf: (_actorName, movieNames) => movieNames,
+            countOf: (_actorName, movieNames) => movieNames.length
+        });
+    }
+
+    /**
+     * Gets the actors with multiple characters matching the filters.
+     * @param {import('../utils/queryFilters.js').Filters} filters
+     * @param {'releaseDate'|'phase'} [sort] - Order of each actor's characters
+     * @returns {Promise<Object.<string, Array<Object>>>}
+     */
+    async function loadActorsWithMultipleCharacters(filters, sort) {
+        const moviesPerActor = filters.movie === undefined ? {} : await movieDataService.getMoviesPerActor();
+        return filterEntries(await movieDataService.getActorsWithMultipleCharacters({ sort }), filters, {
+            actorsOf: actorName => [actorName],
+            moviesOf: actorName => moviesPerActor[actorName] ?? [],
+            countOf: (_actorName, characters) => characters.length
+        });
+    }
+
+    /**
+     * Gets the characters with multiple actors matching the filters.
+     * @param {import('../utils/queryFilters.js').Filters} filters
+     * @param {'releaseDate'|'phase'} [sort] - Order of each character's appearances
+     * @returns {Promise<Object.<string, Array<Object>>>}
+     */
+    async function loadCharactersWithMultipleActors(filters, sort) {
+        return filterEntries(await movieDataService.getCharactersWithMultipleActors({ sort }), filters, {
+            actorsOf: (_characterId, appearances) => appearances.map(appearance => appearance.actorName),
+            moviesOf: (_characterId, appearances) => appearances.map(appearance => appearance.movieName),
+            countOf: (_characterId, appearances) => countActors(appearances)
+        });
+    }
+
+    /**
+     * Creates a /v2 list handler: the filtered result as items in the
+     * `{ items, total, nextCursor }` envelope, with ?sort=name|count|releaseDate
+     * (prefix "-" to reverse), ?limit=, ?cursor= or ?offset=, and ?fields=.
+     * ?movieOrder=releaseDate|phase orders each item's list like ?sort= does in v1.
+     * @param {(filters: Object, sort?: string) => Promise<Object>} load - Filtered result
+     * @param {Object} itemShape - How to turn result entries into items, from LIST_ITEMS
+     * @param {string} itemShape.keyField - Item field holding the entry key
+     * @param {string} itemShape.countField - Item field holding the count
+     * @param {string} itemShape.listField - Item field holding the entry value
+     * @param {(value: Array) => number} itemShape.countOf
+     * @param {(value: Array) => string[]} itemShape.movieNamesOf - Movies of an entry
+     * @returns {import('express').RequestHandler}
+     */
+    function createListHandler(load, { keyField, countField, listField, countOf, movieNamesOf }) {
+        return async (req, res, next) => {
+            try {
+                const filters = readFilters(req.query);
+                const listQuery = parseListQuery(req.query);
+
+                const data = await load(filters, req.query.movieOrder);
+                const movieInfo = await movieDataService.getMovieInfo();
+                const items = Object.entries(data).map(([key, value]) => {
+                    const releaseDates = movieNamesOf(value)
+                        .map(movieName => movieInfo.get(movieName)?.releaseDate)
+                        .filter(Boolean)
+                        .sort();
+                    return {
+                        [keyField]: key,
+                        [countField]: countOf(value),
+                        [listField]: value,
+                        firstReleaseDate: releaseDates[0] ?? null
+                    };
+                });
+
+                res.json(paginate(items, listQuery, {
+                    sortValues: {
+                        name: item => item[keyField],
+                        count: item => item[countField],
+                        releaseDate: item => item.firstReleaseDate
+                    },
+                    tieBreaker: item => item[keyField]
+                }));
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
     return {
         /**
          * GET /moviesPerActor
          * Returns which Marvel movies each actor played in.
+         * Filters: ?actor=, ?movie=, ?minCount= (number of movies), ?search= (actor name).
+         * ?sort=releaseDate|phase orders each actor's movies.
          */
-        async getMoviesPerActor(_req, res) {
+        async getMoviesPerActor(req, res, next) {
             try {
-                const data = await movieDataService.getMoviesPerActor();
-                res.json(data);
+                const filters = readFilters(req.query);
+                res.json(await loadMoviesPerActor(filters, req.query.sort));
             } catch (error) {
-                logger.error({ err: error }, 'Error in getMoviesPerActor');
-                res.status(500).json({ error: 'Failed to fetch movie data' });
+                next(error);
             }
         },
 
         /**
          * GET /actorsWithMultipleCharacters
          * Returns actors who played more than one Marvel character.
+         * With ?explain=true, responds with { result, explanation } where the explanation
+         * shows how each returned actor's character names were grouped.
+         * Filters: ?actor=, ?movie= (any movie the actor is in), ?minCount= (number of
+         * characters), ?search= (actor name). ?sort=releaseDate|phase orders each actor's characters.
          */
-        async getActorsWithMultipleCharacters(_req, res) {
+        async getActorsWithMultipleCharacters(req, res, next) {
             try {
-                const data = await movieDataService.getActorsWithMultipleCharacters();
-                res.json(data);
+                const filters = readFilters(req.query);
+                const data = await loadActorsWithMultipleCharacters(filters, req.query.sort);
+
+                if (!req.query.explain) {
+                    return res.json(data);
+                }
+
+                const report = await movieDataService.getActorCharacterMatchReport();
+                const actors = Object.fromEntries(
+                    Object.entries(report.actors).filter(([actorName]) => actorName in data)
+                );
+                res.json({ result: data, explanation: { thresholds: report.thresholds, actors } });
             } catch (error) {
-                logger.error({ err: error }, 'Error in getActorsWithMultipleCharacters');
-                res.status(500).json({ error: 'Failed to fetch movie data' });
+                next(error);
             }
         },
 
         /**
          * GET /charactersWithMultipleActors
          * Returns characters that were played by more than one actor.
+         * With ?explain=true, responds with { result, explanation } where the explanation
+         * shows how the names of each returned character were grouped.
+         * Filters: ?actor=, ?movie=, ?minCount= (number of actors), ?search= (character ID).
+         * ?sort=releaseDate|phase orders each character's appearances.
+         */
+        async getCharactersWithMultipleActors(req, res, next) {
+            try {
+                const filters = readFilters(req.query);
+                const data = await loadCharactersWithMultipleActors(filters, req.query.sort);
+
+                if (!req.query.explain) {
+                    return res.json(data);
+                }
+
+                const report = await movieDataService.getCharacterMatchReport();
+                const groups = report.groups.filter(group => group.characterId in data);
+                res.json({ result: data, explanation: { thresholds: report.thresholds, groups } });
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /v2/moviesPerActor
+         * Items: { actorName, movieCount, movies, firstReleaseDate }.
+         */
+        listMoviesPerActor: createListHandler(loadMoviesPerActor, LIST_ITEMS.moviesPerActor),
+
+        /**
+         * GET /v2/actorsWithMultipleCharacters
+         * Items: { actorName, characterCount, characters, firstReleaseDate }.
+         */
+        listActorsWithMultipleCharacters: createListHandler(loadActorsWithMultipleCharacters, LIST_ITEMS.actorsWithMultipleCharacters),
+
+        /**
+         * GET /v2/charactersWithMultipleActors
+         * Items: { characterId, actorCount, appearances, firstReleaseDate }.
+         */
+        listCharactersWithMultipleActors: createListHandler(loadCharactersWithMultipleActors, LIST_ITEMS.charactersWithMultipleActors),
+
+        /**
+         * GET /actors/:name
+         * Returns a tracked actor's filmography with characters, release year and billing order,
+         * oldest first, or by MCU phase with ?sort=phase.
+         */
+        async getActor(req, res, next) {
+            try {
+                const filmography = await movieDataService.getActorFilmography(req.params.name, { sort: req.query.sort });
+                if (!filmography) {
+                    throw new NotFoundError(`Unknown actor "${req.params.name}"`);
+                }
+                res.json(filmography);
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /movies/:id/cast
+         * Returns a tracked movie's details (release date, runtime, poster, MCU phase) and the
+         * tracked actors in its cast, in billing order. The movie may be given by TMDB ID or by name.
+         */
+        async getMovieCast(req, res, next) {
+            try {
+                const movie = await movieDataService.getMovieCast(req.params.id);
+                if (!movie) {
+                    throw new NotFoundError(`Unknown movie "${req.params.id}"`);
+                }
+                res.json(movie);
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /crewPerPerson
+         * Returns the crew credits (movie, department, job) of each tracked crew member.
+         * Filters: ?department=, ?job= (ignoring case), ?movie=, ?minCount= (number of
+         * movies), ?search= (person name). People left without credits are dropped.
+         */
+        async getCrewPerPerson(req, res, next) {
+            try {
+                const filters = readFilters(req.query);
+                const crewFilters = parseCrewQuery(req.query);
+                const data = await movieDataService.getCrewPerPerson();
+
+                const credited = Object.fromEntries(
+                    Object.entries(data)
+                        .map(([person, credits]) => [person, filterCrewCredits(credits, crewFilters)])
+                        .filter(([, credits]) => credits.length > 0)
+                );
+                res.json(filterEntries(credited, filters, {
+                    actorsOf: () => [],
+                    moviesOf: (_person, credits) => credits.map(credit => credit.movieName),
+                    countOf: (_person, credits) => new Set(credits.map(credit => credit.movieName)).size
+                }));
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /actorsOnCrew
+         * Returns tracked people who both acted in and worked on the crew of tracked movies,
+         * with their cast and crew credits.
+         * Filters: ?department=, ?job= (crew credits), ?movie=, ?search= (person name).
+         */
+        async getActorsOnCrew(req, res, next) {
+            try {
+                const filters = readFilters(req.query);
+                const crewFilters = parseCrewQuery(req.query);
+                const data = await movieDataService.getActorsOnCrew();
+
+                const credited = Object.fromEntries(
+                    Object.entries(data)
+                        .map(([person, { cast, crew }]) => [person, { cast, crew: filterCrewCredits(crew, crewFilters) }])
+                        .filter(([, { crew }]) => crew.length > 0)
+                );
+                res.json(filterEntries(credited, filters, {
+                    actorsOf: () => [],
+                    moviesOf: (_person, { cast, crew }) => [...cast, ...crew].map(credit => credit.movieName),
+                    countOf: () => 0
+                }));
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /collaborations
+         * Returns the co-appearance graph of tracked actors: per-actor metrics (degree,
+         * shared movie count, most frequent partners) and actor pairs with the movies they share.
+         * Filters apply to the pairs: ?actor=, ?movie=, ?minCount= (shared movies), ?search= (either actor).
+         */
+        async getCollaborations(req, res, next) {
+            try {
+                const filters = readFilters(req.query);
+                const { nodes, edges } = await movieDataService.getCollaborations();
+                const edgesByPair = Object.fromEntries(edges.map(edge => [edge.actors.join(' & '), edge]));
+                const filtered = filterEntries(edgesByPair, filters, {
+                    actorsOf: (_pair, edge) => edge.actors,
+                    moviesOf: (_pair, edge) => edge.movies,
+                    countOf: (_pair, edge) => edge.sharedCount
+                });
+                res.json({ nodes, edges: Object.values(filtered) });
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /collaborations/path?from=&to=
+         * Returns a shortest chain of collaborations between two tracked actors,
+         * with the movies linking each step.
+         */
+        async getCollaborationPath(req, res, next) {
+            try {
+                const { from, to } = req.query;
+                const path = await movieDataService.getCollaborationPath(from, to);
+                if (!path) {
+                    const unknown = movieDataService.findActor(from) ? to : from;
+                    throw new NotFoundError(`Unknown actor "${unknown}"`);
+                }
+                res.json(path);
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /recasts
+         * Returns, per character played by more than one tracked actor, the chronological
+         * succession of actors with each tenure's first and last movie, flagging each
+         * actor as the original, a recast or a simultaneous portrayal.
+         * Filters: ?actor=, ?movie=, ?minCount= (number of actors), ?search= (character ID).
+         */
+        async getRecasts(req, res, next) {
+            try {
+                const filters = readFilters(req.query);
+                res.json(filterEntries(await movieDataService.getRecasts(), filters, {
+                    actorsOf: (_characterId, { actors }) => actors.map(tenure => tenure.actorName),
+                    moviesOf: (_characterId, { actors }) => actors.flatMap(tenure => tenure.movies),
+                    countOf: (_characterId, { actors }) => actors.length
+                }));
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /timeline
+         * Returns, per release year, the tracked movies, the tracked actors who appeared,
+         * and the characters that debuted or were recast.
          */
-        async getCharactersWithMultipleActors(_req, res) {
+        async getTimeline(_req, res, next) {
             try {
-                const data = await movieDataService.getCharactersWithMultipleActors();
-                res.json(data);
+                res.json(await movieDataService.getTimeline());
             } catch (error) {
-                logger.error({ err: error }, 'Error in getCharactersWithMultipleActors');
-                res.status(500).json({ error: 'Failed to fetch movie data' });
+                next(error);
             }
         }
     };
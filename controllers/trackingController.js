@@ -0,0 +1,113 @@
+/**
+ * Factory function to create the tracked movies/actors/crew controller.
+ * Rejected edits and TMDB failures are passed to the error middleware.
+ * @param {import('../services/trackingRegistry.js').TrackingRegistry} trackingRegistry
+ * @returns {Object} Controller with route handlers
+ */
+export function createTrackingController(trackingRegistry) {
+    return {
+        /**
+         * GET /movies
+         * Returns the tracked movies as [{ name, id }].
+         */
+        listMovies(_req, res) {
+            const movies = Object.entries(trackingRegistry.getMovies()).map(([name, id]) => ({ name, id }));
+            res.json(movies);
+        },
+
+        /**
+         * POST /movies
+         * Body: { id, name? }. Tracks a movie after checking that TMDB knows the ID;
+         * the name defaults to the TMDB title.
+         */
+        async addMovie(req, res, next) {
+            try {
+                const movie = await trackingRegistry.addMovie({ id: req.body?.id, name: req.body?.name });
+                res.status(201).json(movie);
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * DELETE /movies/:id
+         * Stops tracking a movie and drops its cached credits.
+         */
+        async removeMovie(req, res, next) {
+            try {
+                await trackingRegistry.removeMovie(req.params.id);
+                res.status(204).end();
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /actors
+         * Returns the tracked actor names.
+         */
+        listActors(_req, res) {
+            res.json(trackingRegistry.getActors());
+        },
+
+        /**
+         * POST /actors
+         * Body: { name }. Tracks an actor.
+         */
+        async addActor(req, res, next) {
+            try {
+                const name = await trackingRegistry.addActor(req.body?.name);
+                res.status(201).json({ name });
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * DELETE /actors/:name
+         * Stops tracking an actor.
+         */
+        async removeActor(req, res, next) {
+            try {
+                await trackingRegistry.removeActor(req.params.name);
+                res.status(204).end();
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /crew
+         * Returns the tracked crew member names.
+         */
+        listCrew(_req, res) {
+            res.json(trackingRegistry.getCrew());
+        },
+
+        /**
+         * POST /crew
+         * Body: { name }. Tracks a crew member.
+         */
+        async addCrewMember(req, res, next) {
+            try {
+                const name = await trackingRegistry.addCrewMember(req.body?.name);
+                res.status(201).json({ name });
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * DELETE /crew/:name
+         * Stops tracking a crew member.
+         */
+        async removeCrewMember(req, res, next) {
+            try {
+                await trackingRegistry.removeCrewMember(req.params.name);
+                res.status(204).end();
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+}
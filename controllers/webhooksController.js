@@ -0,0 +1,63 @@
+/**
+ * Factory function to create the webhook subscriptions controller.
+ * Rejected subscriptions and unknown IDs are passed to the error middleware.
+ * @param {import('../services/webhookService.js').WebhookService} webhookService
+ * @returns {Object} Controller with route handlers
+ */
+export function createWebhooksController(webhookService) {
+    return {
+        /**
+         * POST /webhooks
+         * Body: { url, types?, actors?, movies? }. Registers a subscription and
+         * returns it with the secret its deliveries are signed with.
+         */
+        async createWebhook(req, res, next) {
+            try {
+                res.status(201).json(await webhookService.subscribe(req.body ?? {}));
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * GET /webhooks
+         * Lists subscriptions, oldest first, without their secrets.
+         */
+        listWebhooks(_req, res) {
+            res.json(webhookService.listSubscriptions());
+        },
+
+        /**
+         * GET /webhooks/deadLetters
+         * Lists the deliveries given up on, newest first, optionally of one subscription.
+         */
+        listDeadLetters(req, res) {
+            res.json(webhookService.getDeadLetters({ subscriptionId: req.query.subscriptionId }));
+        },
+
+        /**
+         * GET /webhooks/:id
+         * Returns a subscription and its delivery counts.
+         */
+        getWebhook(req, res, next) {
+            try {
+                res.json(webhookService.getSubscription(req.params.id));
+            } catch (error) {
+                next(error);
+            }
+        },
+
+        /**
+         * DELETE /webhooks/:id
+         * Removes a subscription.
+         */
+        async deleteWebhook(req, res, next) {
+            try {
+                await webhookService.unsubscribe(req.params.id);
+                res.status(204).end();
+            } catch (error) {
+                next(error);
+            }
+        }
+    };
+}
@@ -0,0 +1,25 @@
+/**
+ * Curated hints for resolving tracked actor names to TMDB person IDs.
+ * Names are matched after normalization (case, diacritics and punctuation are
+ * ignored), so "Zoe Saldana" already matches "Zoe Saldaña" without an entry here.
+ */
+
+/**
+ * Other names an actor is credited or searchable under.
+ * Keyed by the tracked display name.
+ * @type {Object.<string, string[]>}
+ */
+export const actorAliases = {
+    'Samuel L. Jackson': ['Samuel Jackson'],
+    'Michael B. Jordan': ['Michael Bakari Jordan']
+};
+
+/**
+ * TMDB person IDs pinned for names shared by several people, so resolution
+ * doesn't depend on search ranking. Keyed by the tracked display name.
+ * @type {Object.<string, number>}
+ */
+export const pinnedActorIds = {
+    'Chris Evans': 16828,
+    'Tom Holland': 1136406
+};
@@ -0,0 +1,89 @@
+/**
+ * Curated character identities used to match TMDB character names.
+ * TMDB credits the same character in many forms ("Lt. Col. James 'Rhodey' Rhodes",
+ * "War Machine", "Natalie Rushman"), so known characters are listed here with
+ * their aliases and resolved before falling back to fuzzy matching.
+ */
+
+/**
+ * Canonical characters with a stable ID, display name and known aliases.
+ * Aliases are matched after normalization, so case, diacritics, punctuation,
+ * rank titles and quoted nicknames don't need to be listed separately.
+ * @type {Array<{id: string, name: string, aliases: string[]}>}
+ */
+export const canonicalCharacters = [
+    { id: 'tony-stark', name: 'Tony Stark', aliases: ['Iron Man', 'Anthony Stark'] },
+    { id: 'steve-rogers', name: 'Steve Rogers', aliases: ['Captain America', 'Steven Rogers', 'Nomad'] },
+    { id: 'johnny-storm', name: 'Johnny Storm', aliases: ['Human Torch', 'Jonathan Storm'] },
+    { id: 'bruce-banner', name: 'Bruce Banner', aliases: ['Hulk', 'The Hulk', 'Professor Hulk', 'Smart Hulk'] },
+    { id: 'thor-odinson', name: 'Thor', aliases: ['Thor Odinson'] },
+    { id: 'natasha-romanoff', name: 'Natasha Romanoff', aliases: ['Black Widow', 'Natalie Rushman', 'Natasha Romanova'] },
+    { id: 'clint-barton', name: 'Clint Barton', aliases: ['Hawkeye', 'Ronin'] },
+    { id: 'james-rhodes', name: 'James Rhodes', aliases: ['War Machine', 'Iron Patriot', 'Rhodey', 'Jim Rhodes'] },
+    { id: 'scott-lang', name: 'Scott Lang', aliases: ['Ant-Man'] },
+    { id: 'carol-danvers', name: 'Carol Danvers', aliases: ['Captain Marvel', 'Vers'] },
+    { id: 'erik-killmonger', name: 'Erik Killmonger', aliases: ['Killmonger', 'N\'Jadaka', 'Erik Stevens'] },
+    { id: 'nebula', name: 'Nebula', aliases: [] },
+    { id: 'okoye', name: 'Okoye', aliases: [] },
+    { id: 'thanos', name: 'Thanos', aliases: [] },
+    { id: 'pepper-potts', name: 'Pepper Potts', aliases: ['Virginia Potts', 'Pepper', 'Rescue'] },
+    { id: 'rocket', name: 'Rocket', aliases: ['Rocket Raccoon'] },
+    { id: 'peter-parker', name: 'Peter Parker', aliases: ['Spider-Man', 'Spiderman'] },
+    { id: 'gamora', name: 'Gamora', aliases: [] },
+    { id: 'sam-wilson', name: 'Sam Wilson', aliases: ['Falcon', 'The Falcon'] },
+    { id: 'loki', name: 'Loki', aliases: ['Loki Laufeyson'] },
+    { id: 'peter-quill', name: 'Peter Quill', aliases: ['Star-Lord', 'Star Lord'] },
+    { id: 'tchalla', name: 'T\'Challa', aliases: ['Black Panther'] },
+    { id: 'nick-fury', name: 'Nick Fury', aliases: ['Nicholas Fury'] },
+    { id: 'drax', name: 'Drax', aliases: ['Drax the Destroyer'] },
+    { id: 'groot', name: 'Groot', aliases: ['Baby Groot', 'Teen Groot'] },
+    { id: 'hank-pym', name: 'Hank Pym', aliases: ['Henry Pym'] },
+    { id: 'hope-van-dyne', name: 'Hope van Dyne', aliases: ['The Wasp', 'Wasp'] },
+    { id: 'janet-van-dyne', name: 'Janet van Dyne', aliases: [] },
+    { id: 'bucky-barnes', name: 'Bucky Barnes', aliases: ['James Buchanan Barnes', 'Bucky', 'Winter Soldier', 'White Wolf'] },
+    { id: 'obadiah-stane', name: 'Obadiah Stane', aliases: ['Iron Monger'] },
+    { id: 'howard-stark', name: 'Howard Stark', aliases: [] }
+];
+
+/**
+ * Rank and honorific titles stripped from the start of a name before matching,
+ * e.g. "Lt. Col. James Rhodes" -> "James Rhodes". Written in normalized form
+ * (lowercase, no dots); longer titles are listed first so they win.
+ * "Captain" and "Doctor" are deliberately absent: they are part of
+ * character names like "Captain America" and "Doctor Strange".
+ * @type {string[]}
+ */
+export const rankTitles = [
+    'lieutenant colonel',
+    'lt col',
+    'lieutenant',
+    'lt',
+    'colonel',
+    'col',
+    'sergeant',
+    'sgt',
+    'major',
+    'maj',
+    'general',
+    'gen',
+    'capt',
+    'agent',
+    'dr'
+];
+
+/**
+ * Explicit decisions that run before alias resolution and fuzzy matching.
+ * `merge` pairs are always the same character; `split` pairs never are.
+ * @type {{merge: Array<[string, string]>, split: Array<[string, string]>}}
+ */
+export const characterOverrides = {
+    merge: [
+        // Too short for fuzzy matching to accept against the full name
+        ['Ego', 'Ego the Living Planet']
+    ],
+    split: [
+        // Share most of their letters and score above the fuzzy thresholds
+        ['Ghost', 'Ghost Rider'],
+        ['Spider-Man', 'Spider-Woman']
+    ]
+};
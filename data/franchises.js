@@ -0,0 +1,10 @@
+/**
+ * Named discovery criteria for POST /discovery/proposals, so common franchises
+ * don't need their TMDB IDs looked up by hand.
+ * IDs are TMDB production company, keyword and collection IDs.
+ * @type {Object.<string, {companies?: number[], keywords?: number[], collections?: number[], query?: string}>}
+ */
+export const franchisePresets = {
+    // Every movie produced by Marvel Studios
+    'marvel-studios': { companies: [420] }
+};
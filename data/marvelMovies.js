@@ -1,6 +1,6 @@
 /**
  * Marvel movies and actors data for the Vi assignment.
- * Maps movie titles to their TMDB IDs and lists actors of interest.
+ * Maps movie titles to their TMDB IDs and lists actors and crew members of interest.
  */
 
 /**
@@ -65,3 +65,23 @@ export const actors = [
     'Samuel L. Jackson',
     'Dave Bautista',
 ];
+
+/**
+ * List of crew members (directors, writers, composers, producers) to track
+ * @type {string[]}
+ */
+export const crew = [
+    'Kevin Feige',
+    'Stan Lee',
+    'Jon Favreau',
+    'Joss Whedon',
+    'Anthony Russo',
+    'Joe Russo',
+    'James Gunn',
+    'Taika Waititi',
+    'Ryan Coogler',
+    'Jon Watts',
+    'Christopher Markus',
+    'Stephen McFeely',
+    'Alan Silvestri'
+];
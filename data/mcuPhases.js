@@ -0,0 +1,51 @@
+/**
+ * Marvel Cinematic Universe phase of each movie, for sorting results by phase.
+ * Keyed by TMDB movie ID; movies outside the MCU (e.g. the Fantastic Four films
+ * made by Fox) have no entry and sort after every phase.
+ * @type {Object.<number, number>}
+ */
+export const mcuPhases = {
+    // Phase One
+    1726: 1,    // Iron Man
+    1724: 1,    // The Incredible Hulk
+    10138: 1,   // Iron Man 2
+    10195: 1,   // Thor
+    1771: 1,    // Captain America: The First Avenger
+    24428: 1,   // The Avengers
+    // Phase Two
+    68721: 2,   // Iron Man 3
+    76338: 2,   // Thor: The Dark World
+    100402: 2,  // Captain America: The Winter Soldier
+    118340: 2,  // Guardians of the Galaxy
+    99861: 2,   // Avengers: Age of Ultron
+    102899: 2,  // Ant-Man
+    // Phase Three
+    271110: 3,  // Captain America: Civil War
+    284052: 3,  // Doctor Strange
+    283995: 3,  // Guardians of the Galaxy Vol. 2
+    315635: 3,  // Spider-Man: Homecoming
+    284053: 3,  // Thor: Ragnarok
+    284054: 3,  // Black Panther
+    299536: 3,  // Avengers: Infinity War
+    363088: 3,  // Ant-Man and the Wasp
+    299537: 3,  // Captain Marvel
+    299534: 3,  // Avengers: Endgame
+    429617: 3,  // Spider-Man: Far From Home
+    // Phase Four
+    497698: 4,  // Black Widow
+    566525: 4,  // Shang-Chi and the Legend of the Ten Rings
+    524434: 4,  // Eternals
+    634649: 4,  // Spider-Man: No Way Home
+    453395: 4,  // Doctor Strange in the Multiverse of Madness
+    616037: 4,  // Thor: Love and Thunder
+    505642: 4,  // Black Panther: Wakanda Forever
+    // Phase Five
+    640146: 5,  // Ant-Man and the Wasp: Quantumania
+    447365: 5,  // Guardians of the Galaxy Vol. 3
+    609681: 5,  // The Marvels
+    533535: 5,  // Deadpool & Wolverine
+    822119: 5,  // Captain America: Brave New World
+    986056: 5,  // Thunderbolts*
+    // Phase Six
+    617126: 6   // The Fantastic Four: First Steps
+};
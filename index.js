@@ -1,37 +1,57 @@
 import 'dotenv/config';
-import express from 'express';
-
-// Data
-import { movies, actors } from './data/marvelMovies.js';
-
-// Services
-import * as tmdbService from './services/tmdbService.js';
-import { MovieDataService } from './services/movieDataService.js';
-
-// Controller
-import { createMoviesController } from './controllers/moviesController.js';
-
-// Logger
+import { createApp } from './app.js';
 import logger from './utils/logger.js';
+import { readIntEnv, readBoolEnv } from './utils/env.js';
+import { closeGracefully } from './utils/shutdown.js';
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const warmUpCache = readBoolEnv('WARM_UP_CACHE', false);
 
-// Composition root - assemble dependencies
-const movieDataService = new MovieDataService({
-    tmdbService,
-    movies,
-    actors
-});
-
-const moviesController = createMoviesController(movieDataService);
-
-// Routes
-app.get('/moviesPerActor', moviesController.getMoviesPerActor);
-app.get('/actorsWithMultipleCharacters', moviesController.getActorsWithMultipleCharacters);
-app.get('/charactersWithMultipleActors', moviesController.getCharactersWithMultipleActors);
+const { app, movieDataService, startDraining, close } = await createApp({ requireWarmCache: warmUpCache });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     logger.info({ port: PORT }, 'Server is running');
 });
+
+// Warming up runs next to the server, so /healthz answers meanwhile and /readyz reports it
+if (warmUpCache) {
+    movieDataService.warmUp()
+        .then(status => logger.info({ lastFetchedAt: status.lastFetchedAt }, 'Cache warmed up'))
+        .catch(error => logger.warn({ err: error }, 'Cache warm-up failed; data will be fetched on first request'));
+}
+
+let shuttingDown = false;
+
+/**
+ * Stops taking requests and ends event streams, lets requests in flight, the
+ * pending TMDB fetch and webhook deliveries finish, then exits. A second signal exits at once.
+ * @param {string} signal
+ */
+async function shutdown(signal) {
+    if (shuttingDown) {
+        logger.warn({ signal }, 'Shutdown already in progress, exiting now');
+        process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info({ signal }, 'Shutting down');
+    startDraining();
+
+    try {
+        const { timedOut } = await closeGracefully(server, {
+            cleanup: close,
+            timeoutMs: readIntEnv('SHUTDOWN_TIMEOUT_MS', 10000)
+        });
+        if (timedOut) {
+            logger.warn('Shutdown timed out; open connections were closed');
+        }
+        process.exit(timedOut ? 1 : 0);
+    } catch (error) {
+        logger.error({ err: error }, 'Shutdown failed');
+        process.exit(1);
+    }
+}
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => shutdown(signal));
+}
@@ -0,0 +1,66 @@
+import { AuthError } from '../utils/errors.js';
+
+const BEARER_PREFIX = /^Bearer\s+/i;
+
+/**
+ * Reads the API key of a request, from X-Api-Key or an "Authorization: Bearer" header.
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+    const header = req.get('X-Api-Key');
+    if (header) return header.trim();
+
+    const authorization = req.get('Authorization');
+    if (authorization && BEARER_PREFIX.test(authorization)) {
+        return authorization.replace(BEARER_PREFIX, '').trim();
+    }
+    return null;
+}
+
+/**
+ * Creates middleware identifying the client of each request by its API key.
+ * Sets `req.client` to the key's client, or null for requests without a key.
+ * Unknown keys are rejected rather than treated as anonymous, so a mistyped key
+ * shows up at once instead of as a stricter rate limit.
+ * @param {Object} options
+ * @param {import('../auth/memoryKeyStore.js').KeyStore} options.keyStore
+ * @param {boolean} [options.required=false] - Whether requests without a key are rejected
+ * @returns {import('express').RequestHandler}
+ */
+export function createApiKeyMiddleware({ keyStore, required = false }) {
+    return async (req, _res, next) => {
+        try {
+            const key = readApiKey(req);
+            if (!key) {
+                if (required) throw new AuthError('missing-key', 'An API key is required, in the X-Api-Key header');
+                req.client = null;
+                return next();
+            }
+
+            const client = await keyStore.find(key);
+            if (!client) throw new AuthError('invalid-key', 'Unknown API key');
+            req.client = client;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Middleware letting only clients with an admin key through.
+ * Must run after the API key middleware.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} _res
+ * @param {import('express').NextFunction} next
+ */
+export function requireAdmin(req, _res, next) {
+    if (!req.client) {
+        return next(new AuthError('missing-key', 'This route needs an admin API key, in the X-Api-Key header'));
+    }
+    if (!req.client.admin) {
+        return next(new AuthError('not-admin', 'This route needs an admin API key'));
+    }
+    next();
+}
@@ -0,0 +1,177 @@
+/**
+ * Centralized error handling. Handlers pass errors to `next`; they are answered
+ * here as `{ error, code, requestId }` with a status matching the error type, plus
+ * `fields` listing every invalid field when a request fails validation.
+ */
+
+import logger from '../utils/logger.js';
+import { NotFoundError, AuthError, RateLimitError, TmdbError } from '../utils/errors.js';
+import { FilterError } from '../utils/queryFilters.js';
+import { ValidationError } from '../utils/validation.js';
+import { TrackingError } from '../services/trackingRegistry.js';
+import { DiscoveryError } from '../services/discoveryService.js';
+import { WebhookError } from '../services/webhookService.js';
+import { GraphQLError } from 'graphql';
+
+// Response for each TrackingError reason
+const TRACKING_ERRORS = {
+    'invalid': { status: 400, code: 'INVALID_INPUT' },
+    'unknown-movie': { status: 400, code: 'UNKNOWN_MOVIE' },
+    'not-found': { status: 404, code: 'NOT_FOUND' },
+    'duplicate': { status: 409, code: 'DUPLICATE' }
+};
+
+// Response for each DiscoveryError reason
+const DISCOVERY_ERRORS = {
+    'invalid': { status: 400, code: 'INVALID_INPUT' },
+    'not-found': { status: 404, code: 'NOT_FOUND' },
+    'already-reviewed': { status: 409, code: 'ALREADY_REVIEWED' }
+};
+
+// Response for each WebhookError reason
+const WEBHOOK_ERRORS = {
+    'invalid': { status: 400, code: 'INVALID_INPUT' },
+    'not-found': { status: 404, code: 'NOT_FOUND' }
+};
+
+// Code for each GraphQLError reason, its `reason` extension set in utils/graphql.js. GraphQL errors
+// are reported in the response body, see controllers/graphqlController.js; only a failed execution is a server error
+const GRAPHQL_ERRORS = {
+    'syntax': { status: 400, code: 'GRAPHQL_PARSE_FAILED' },
+    'validation': { status: 400, code: 'GRAPHQL_VALIDATION_FAILED' },
+    'too-deep': { status: 400, code: 'QUERY_TOO_DEEP' },
+    'too-complex': { status: 400, code: 'QUERY_TOO_COMPLEX' },
+    'execution': { status: 500, code: 'GRAPHQL_EXECUTION_FAILED' }
+};
+
+// Response for each AuthError reason
+const AUTH_ERRORS = {
+    'missing-key': { status: 401, code: 'API_KEY_REQUIRED' },
+    'invalid-key': { status: 401, code: 'INVALID_API_KEY' },
+    'not-admin': { status: 403, code: 'ADMIN_KEY_REQUIRED' }
+};
+
+// Response for each TmdbError reason. Messages are fixed; TMDB's own are only logged
+const TMDB_ERRORS = {
+    'not-configured': { status: 503, code: 'TMDB_NOT_CONFIGURED', message: 'TMDB access is not configured' },
+    'unauthorized': { status: 502, code: 'TMDB_UNAUTHORIZED', message: 'TMDB rejected the API key' },
+    'not-found': { status: 502, code: 'TMDB_NOT_FOUND', message: 'TMDB has no such resource' },
+    'rate-limited': { status: 503, code: 'TMDB_RATE_LIMITED', message: 'TMDB rate limit reached, retry later' },
+    'server-error': { status: 502, code: 'TMDB_ERROR', message: 'TMDB answered with an error' },
+    'timeout': { status: 504, code: 'TMDB_TIMEOUT', message: 'TMDB did not answer in time' },
+    'unreachable': { status: 502, code: 'TMDB_UNREACHABLE', message: 'TMDB could not be reached' },
+    'failed': { status: 502, code: 'TMDB_ERROR', message: 'TMDB request failed' }
+};
+
+const INTERNAL_ERROR = { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' };
+
+/**
+ * Maps an error to the response describing it.
+ * @param {Error} error
+ * @returns {{
+ *   status: number,
+ *   code: string,
+ *   message: string,
+ *   fields?: import('../utils/validation.js').FieldError[],
+ *   retryAfterSeconds?: number
+ * }}
+ */
+export function describeError(error) {
+    if (error instanceof ValidationError) {
+        return { status: 400, code: 'VALIDATION_FAILED', message: 'Invalid request', fields: error.errors };
+    }
+    if (error instanceof FilterError) {
+        return { status: 400, code: 'INVALID_QUERY', message: error.message };
+    }
+    if (error instanceof NotFoundError) {
+        return { status: 404, code: 'NOT_FOUND', message: error.message };
+    }
+    if (error instanceof TrackingError) {
+        return { ...TRACKING_ERRORS[error.reason], message: error.message };
+    }
+    if (error instanceof DiscoveryError) {
+        return { ...DISCOVERY_ERRORS[error.reason], message: error.message };
+    }
+    if (error instanceof WebhookError) {
+        return { ...WEBHOOK_ERRORS[error.reason], message: error.message };
+    }
+    if (error instanceof GraphQLError) {
+        // A resolver's error is described as it would be on a REST route
+        if (error.path && error.originalError) return describeError(error.originalError);
+        return { ...GRAPHQL_ERRORS[error.extensions.reason ?? 'execution'], message: error.message };
+    }
+    if (error instanceof AuthError) {
+        return { ...AUTH_ERRORS[error.reason], message: error.message };
+    }
+    if (error instanceof RateLimitError) {
+        return {
+            status: 429,
+            code: 'RATE_LIMITED',
+            message: error.message,
+            retryAfterSeconds: Math.ceil(error.retryAfterMs / 1000)
+        };
+    }
+    if (error instanceof TmdbError) {
+        const described = { ...(TMDB_ERRORS[error.reason] ?? TMDB_ERRORS.failed) };
+        if (error.retryAfterMs !== null && described.status === 503) {
+            described.retryAfterSeconds = Math.ceil(error.retryAfterMs / 1000);
+        }
+        return described;
+    }
+    // Client errors raised by Express itself, e.g. a malformed JSON body or a route
+    // parameter that is not valid percent-encoding, a URIError without `expose`.
+    // Other errors with a 4xx status, such as a failed upstream request, are server-side failures
+    const status = error.status ?? error.statusCode;
+    const raisedForClient = error.expose === true || error instanceof URIError;
+    if (raisedForClient && status >= 400 && status < 500) {
+        return {
+            status,
+            code: error.type === 'entity.parse.failed' ? 'INVALID_JSON' : 'BAD_REQUEST',
+            message: error.message
+        };
+    }
+    return INTERNAL_ERROR;
+}
+
+/**
+ * Sends an error response, logging server-side failures.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {Object} [extra] - Additional body fields
+ */
+export function sendError(req, res, error, extra = {}) {
+    const { status, code, message, fields, retryAfterSeconds } = describeError(error);
+
+    if (status >= 500) {
+        // The request's child logger already carries the request ID
+        const log = req.log ?? logger.child({ requestId: req.id });
+        log.error({ err: error, method: req.method, path: req.originalUrl }, 'Request failed');
+    }
+    if (retryAfterSeconds !== undefined) {
+        res.set('Retry-After', String(retryAfterSeconds));
+    }
+    res.status(status).json({ error: message, code, requestId: req.id ?? null, ...(fields && { fields }), ...extra });
+}
+
+/**
+ * Express error middleware; must be registered after every route.
+ * @param {Error} error
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export function errorHandler(error, req, res, next) {
+    // A response already under way can't be replaced; let Express close the connection
+    if (res.headersSent) return next(error);
+    sendError(req, res, error);
+}
+
+/**
+ * Answers requests no route matched.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ */
+export function notFoundHandler(req, res) {
+    res.status(404).json({ error: `No route for ${req.method} ${req.path}`, code: 'ROUTE_NOT_FOUND', requestId: req.id ?? null });
+}
@@ -0,0 +1,22 @@
+import { collectFailedMovies } from '../services/movieDataService.js';
+
+/**
+ * Creates middleware telling clients which movies are missing from a response's data.
+ * When TMDB could not be asked for some movies' credits, the API answers with the
+ * others and lists the missing ones, URI-encoded and comma-separated, in the
+ * X-Failed-Movies header. Must run after body parsing, whose stream callbacks would run outside the request's scope.
+ * @returns {import('express').RequestHandler}
+ */
+export function createFailedMoviesMiddleware() {
+    return (req, res, next) => {
+        const failedMovies = new Set();
+        const json = res.json;
+        res.json = function (body) {
+            if (failedMovies.size > 0) {
+                res.set('X-Failed-Movies', [...failedMovies].map(encodeURIComponent).join(','));
+            }
+            return json.call(this, body);
+        };
+        collectFailedMovies(failedMovies, next);
+    };
+}
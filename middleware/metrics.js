@@ -0,0 +1,30 @@
+import { metrics as appMetrics } from '../utils/metrics.js';
+
+/**
+ * Gets the route template a request matched, e.g. "/movies/:id/cast", so each
+ * route is one series whatever its parameters. Requests answered before routing,
+ * such as rate limited ones, or matching no route are labelled "unmatched".
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+export function routeLabelOf(req) {
+    return req.route ? req.baseUrl + req.route.path : 'unmatched';
+}
+
+/**
+ * Creates middleware recording the latency and status of every response per route.
+ * Must run before the routes.
+ * @param {Object} [options]
+ * @param {import('../utils/metrics.js').AppMetrics} [options.metrics] - Defaults to the app's metrics
+ * @returns {import('express').RequestHandler}
+ */
+export function createMetricsMiddleware({ metrics = appMetrics } = {}) {
+    return (req, res, next) => {
+        const endTimer = metrics.httpRequestDuration.startTimer({ method: req.method });
+        // Also emitted when the client went away before the response was sent
+        res.once('close', () => {
+            endTimer({ route: routeLabelOf(req), status: res.statusCode });
+        });
+        next();
+    };
+}
@@ -0,0 +1,74 @@
+import { AuthError, RateLimitError } from '../utils/errors.js';
+
+/**
+ * Takes a token from a bucket, sending the RateLimit headers.
+ * @param {import('../auth/memoryRateLimitStore.js').RateLimitStore} store
+ * @param {string} bucket
+ * @param {import('../utils/tokenBucket.js').RateLimit} limit
+ * @param {import('express').Response} res
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} If the bucket is empty
+ */
+async function chargeBucket(store, bucket, limit, res) {
+    const { allowed, remaining, resetMs, retryAfterMs } = await store.take(bucket, limit);
+
+    res.set({
+        'RateLimit-Limit': String(limit.capacity),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(Math.ceil(resetMs / 1000)),
+        'RateLimit-Policy': `${limit.capacity};w=${Math.ceil(limit.windowMs / 1000)}`
+    });
+
+    if (!allowed) {
+        throw new RateLimitError(`Rate limit of ${limit.capacity} requests reached, retry later`, retryAfterMs);
+    }
+}
+
+/**
+ * Creates middleware limiting each client with a token bucket: one per API key for
+ * requests with a verified key, one per IP address for the others. Every response carries
+ * RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds until the bucket
+ * is full again) and RateLimit-Policy headers; requests over the limit are answered
+ * with 429 and Retry-After. Must run after the API key middleware.
+ * @param {Object} options
+ * @param {import('../auth/memoryRateLimitStore.js').RateLimitStore} options.store
+ * @param {import('../utils/tokenBucket.js').RateLimit} options.keyLimit - Limit per API key
+ * @param {import('../utils/tokenBucket.js').RateLimit} options.ipLimit - Limit per IP without a key
+ * @returns {import('express').RequestHandler}
+ */
+export function createRateLimitMiddleware({ store, keyLimit, ipLimit }) {
+    return async (req, res, next) => {
+        try {
+            if (req.client) {
+                await chargeBucket(store, `key:${req.client.id}`, keyLimit, res);
+            } else {
+                await chargeBucket(store, `ip:${req.ip}`, ipLimit, res);
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Creates error middleware charging requests the API key middleware rejected, for an
+ * unknown or missing key, to the bucket of their IP address like requests without a key.
+ * Trying out keys thus can't get around the IP limit; once it is reached, such requests
+ * are answered with 429 instead of 401. Must run right after the API key middleware.
+ * @param {Object} options
+ * @param {import('../auth/memoryRateLimitStore.js').RateLimitStore} options.store
+ * @param {import('../utils/tokenBucket.js').RateLimit} options.ipLimit - Limit per IP without a key
+ * @returns {import('express').ErrorRequestHandler}
+ */
+export function createRejectedKeyRateLimitMiddleware({ store, ipLimit }) {
+    return async (error, req, res, next) => {
+        if (!(error instanceof AuthError)) return next(error);
+        try {
+            await chargeBucket(store, `ip:${req.ip}`, ipLimit, res);
+            next(error);
+        } catch (limitError) {
+            next(limitError);
+        }
+    };
+}
@@ -0,0 +1,20 @@
+import { randomUUID } from 'node:crypto';
+
+// Incoming IDs are only reused if they look like an ID, so they can't inject into logs
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Creates middleware giving every request an ID, sent back in the X-Request-Id header
+ * and included in error responses. A valid X-Request-Id sent by the client is reused.
+ * @param {Object} [options]
+ * @param {() => string} [options.createId] - ID generator, injectable for tests
+ * @returns {import('express').RequestHandler}
+ */
+export function createRequestIdMiddleware({ createId = randomUUID } = {}) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : createId();
+        res.set('X-Request-Id', req.id);
+        next();
+    };
+}
@@ -0,0 +1,61 @@
+import { pinoHttp } from 'pino-http';
+import defaultLogger from '../utils/logger.js';
+
+/**
+ * Picks the level of a request's log line from its outcome.
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ * @param {Error} [error] - Set when the response stream failed
+ * @returns {'info'|'warn'|'error'}
+ */
+function levelOf(_req, res, error) {
+    if (error || res.statusCode >= 500) return 'error';
+    if (res.statusCode >= 400 || !res.writableEnded) return 'warn';
+    return 'info';
+}
+
+/**
+ * Describes a request once answered: the same fields whatever its outcome.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {number} responseTime - Milliseconds
+ * @returns {Object}
+ */
+function summaryOf(req, res, responseTime) {
+    return { method: req.method, url: req.originalUrl, status: res.statusCode, responseTimeMs: responseTime };
+}
+
+/**
+ * @param {import('express').Request} _req
+ * @param {import('express').Response} res
+ * @returns {string}
+ */
+function messageOf(_req, res) {
+    return res.writableEnded ? 'Request completed' : 'Request aborted';
+}
+
+/**
+ * Creates pino-http middleware giving every request a child logger, `req.log`,
+ * that tags each line with the request ID, and logging one line per request
+ * once answered. Must run after the request ID middleware.
+ * @param {Object} [options]
+ * @param {import('pino').Logger} [options.logger] - Parent logger; defaults to the app's
+ * @returns {import('express').RequestHandler}
+ */
+export function createRequestLoggerMiddleware({ logger = defaultLogger } = {}) {
+    return pinoHttp({
+        logger,
+        genReqId: req => req.id,
+        customAttributeKeys: { reqId: 'requestId' },
+        // Tag lines with the request ID only, rather than the whole request
+        quietReqLogger: true,
+        quietResLogger: true,
+        customLogLevel: levelOf,
+        // Read once answered, after the API key middleware identified the client
+        customProps: req => ({ clientId: req.client?.id ?? null }),
+        customSuccessObject: (req, res, { responseTime }) => summaryOf(req, res, responseTime),
+        customErrorObject: (req, res, _error, { responseTime }) => summaryOf(req, res, responseTime),
+        customSuccessMessage: messageOf,
+        customErrorMessage: messageOf
+    });
+}
@@ -0,0 +1,591 @@
+import { franchisePresets } from '../data/franchises.js';
+import { CHANGE_EVENT_TYPES } from '../utils/changeEvents.js';
+import { LIST_QUERY_FIELDS } from '../controllers/moviesController.js';
+import { FILTER_FIELDS, CREW_FILTER_FIELDS, movieSortField } from '../utils/queryFilters.js';
+import { field, createValidator } from '../utils/validation.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { buildOpenApiDocument } from '../utils/openapi.js';
+import { RESPONSE_SCHEMAS, ref } from './responses.js';
+
+/**
+ * @typedef {Object} Route
+ * @property {'get'|'post'|'delete'} method
+ * @property {string} path - Express path, e.g. "/movies/:id/cast"
+ * @property {string} summary - One line for the API description
+ * @property {string} tag - Group of the route in the API description
+ * @property {boolean} [admin] - Whether the route needs an admin API key
+ * @property {boolean} [probe] - Whether the route is a health probe, registered ahead of API key
+ *   checks and rate limits so orchestrators can call it without a key
+ * @property {import('../utils/validation.js').RequestSchema} schema - Accepted params, query and body
+ * @property {import('../utils/openapi.js').RouteResponse} response - Success status and body schema
+ * @property {import('express').RequestHandler} handler
+ */
+
+const EXPLAIN = field.boolean({ description: 'Respond with { result, explanation } of the character matching' });
+const ACTOR_NAME = field.string({ description: 'Tracked actor name, ignoring case, accents and punctuation' });
+const PERSON_NAME = field.string({ required: true, maxLength: 200, description: 'Name as credited in TMDB' });
+const TMDB_IDS = description => field.array(field.integer({ minimum: 1 }), { description });
+const WEBHOOK_ID = field.string({ description: 'Subscription ID' });
+const NAMES = description => field.array(field.string({ maxLength: 200 }), { description });
+
+/**
+ * Lists every route with its request schema. Routes are registered from this
+ * table and the API description is generated from it, so both always agree.
+ * @param {Object} controllers
+ * @param {ReturnType<typeof import('../controllers/moviesController.js').createMoviesController>} controllers.moviesController
+ * @param {ReturnType<typeof import('../controllers/trackingController.js').createTrackingController>} controllers.trackingController
+ * @param {ReturnType<typeof import('../controllers/discoveryController.js').createDiscoveryController>} controllers.discoveryController
+ * @param {ReturnType<typeof import('../controllers/debugController.js').createDebugController>} controllers.debugController
+ * @param {ReturnType<typeof import('../controllers/cacheController.js').createCacheController>} controllers.cacheController
+ * @param {ReturnType<typeof import('../controllers/docsController.js').createDocsController>} controllers.docsController
+ * @param {ReturnType<typeof import('../controllers/metricsController.js').createMetricsController>} controllers.metricsController
+ * @param {ReturnType<typeof import('../controllers/healthController.js').createHealthController>} controllers.healthController
+ * @param {ReturnType<typeof import('../controllers/eventsController.js').createEventsController>} controllers.eventsController
+ * @param {ReturnType<typeof import('../controllers/webhooksController.js').createWebhooksController>} controllers.webhooksController
+ * @param {ReturnType<typeof import('../controllers/graphqlController.js').createGraphqlController>} controllers.graphqlController
+ * @returns {Route[]}
+ */
+export function createRoutes({
+    moviesController,
+    trackingController,
+    discoveryController,
+    debugController,
+    cacheController,
+    docsController,
+    metricsController,
+    healthController,
+    eventsController,
+    webhooksController,
+    graphqlController
+}) {
+    return [
+        // Aggregate routes
+        {
+            method: 'get',
+            path: '/moviesPerActor',
+            summary: 'Movies of each tracked actor',
+            tag: 'Aggregates',
+            schema: { query: { ...FILTER_FIELDS, sort: movieSortField() } },
+            response: { schema: ref('MoviesPerActor') },
+            handler: moviesController.getMoviesPerActor
+        },
+        {
+            method: 'get',
+            path: '/actorsWithMultipleCharacters',
+            summary: 'Tracked actors who played more than one character',
+            tag: 'Aggregates',
+            schema: { query: { ...FILTER_FIELDS, sort: movieSortField(), explain: EXPLAIN } },
+            response: { schema: { anyOf: [ref('ActorsWithMultipleCharacters'), ref('ExplainedActorsWithMultipleCharacters')] } },
+            handler: moviesController.getActorsWithMultipleCharacters
+        },
+        {
+            method: 'get',
+            path: '/charactersWithMultipleActors',
+            summary: 'Characters played by more than one tracked actor',
+            tag: 'Aggregates',
+            schema: { query: { ...FILTER_FIELDS, sort: movieSortField(), explain: EXPLAIN } },
+            response: { schema: { anyOf: [ref('CharactersWithMultipleActors'), ref('ExplainedCharactersWithMultipleActors')] } },
+            handler: moviesController.getCharactersWithMultipleActors
+        },
+        {
+            method: 'get',
+            path: '/timeline',
+            summary: 'Tracked movies, actors, debuts and recasts per release year',
+            tag: 'Aggregates',
+            schema: {},
+            response: { schema: ref('Timeline') },
+            handler: moviesController.getTimeline
+        },
+        {
+            method: 'get',
+            path: '/recasts',
+            summary: 'Chronological succession of actors per recast character',
+            tag: 'Aggregates',
+            schema: { query: FILTER_FIELDS },
+            response: { schema: ref('Recasts') },
+            handler: moviesController.getRecasts
+        },
+        {
+            method: 'get',
+            path: '/crewPerPerson',
+            summary: 'Crew credits of each tracked crew member',
+            tag: 'Aggregates',
+            schema: {
+                query: {
+                    movie: FILTER_FIELDS.movie,
+                    minCount: FILTER_FIELDS.minCount,
+                    search: FILTER_FIELDS.search,
+                    ...CREW_FILTER_FIELDS
+                }
+            },
+            response: { schema: ref('CrewPerPerson') },
+            handler: moviesController.getCrewPerPerson
+        },
+        {
+            method: 'get',
+            path: '/actorsOnCrew',
+            summary: 'Tracked people credited both in the cast and on the crew',
+            tag: 'Aggregates',
+            schema: { query: { movie: FILTER_FIELDS.movie, search: FILTER_FIELDS.search, ...CREW_FILTER_FIELDS } },
+            response: { schema: ref('ActorsOnCrew') },
+            handler: moviesController.getActorsOnCrew
+        },
+        {
+            method: 'get',
+            path: '/collaborations',
+            summary: 'Co-appearance graph of tracked actors',
+            tag: 'Aggregates',
+            schema: { query: FILTER_FIELDS },
+            response: { schema: ref('Collaborations') },
+            handler: moviesController.getCollaborations
+        },
+        {
+            method: 'get',
+            path: '/collaborations/path',
+            summary: 'Shortest chain of collaborations between two tracked actors',
+            tag: 'Aggregates',
+            schema: {
+                query: {
+                    from: { ...ACTOR_NAME, required: true },
+                    to: { ...ACTOR_NAME, required: true }
+                }
+            },
+            response: { schema: ref('CollaborationPath') },
+            handler: moviesController.getCollaborationPath
+        },
+
+        // Paginated list routes, in a { items, total, nextCursor } envelope. Unlike the
+        // original routes, they reject query parameters they do not know
+        {
+            method: 'get',
+            path: '/v2/moviesPerActor',
+            summary: 'Paginated movies of each tracked actor',
+            tag: 'Lists',
+            schema: { query: LIST_QUERY_FIELDS.moviesPerActor, strictQuery: true },
+            response: { schema: ref('MoviesPerActorPage') },
+            handler: moviesController.listMoviesPerActor
+        },
+        {
+            method: 'get',
+            path: '/v2/actorsWithMultipleCharacters',
+            summary: 'Paginated tracked actors who played more than one character',
+            tag: 'Lists',
+            schema: { query: LIST_QUERY_FIELDS.actorsWithMultipleCharacters, strictQuery: true },
+            response: { schema: ref('ActorsWithMultipleCharactersPage') },
+            handler: moviesController.listActorsWithMultipleCharacters
+        },
+        {
+            method: 'get',
+            path: '/v2/charactersWithMultipleActors',
+            summary: 'Paginated characters played by more than one tracked actor',
+            tag: 'Lists',
+            schema: { query: LIST_QUERY_FIELDS.charactersWithMultipleActors, strictQuery: true },
+            response: { schema: ref('CharactersWithMultipleActorsPage') },
+            handler: moviesController.listCharactersWithMultipleActors
+        },
+
+        // Tracked set routes
+        {
+            method: 'get',
+            path: '/movies',
+            summary: 'Tracked movies',
+            tag: 'Tracked set',
+            schema: {},
+            response: { schema: { type: 'array', items: ref('TrackedMovie') } },
+            handler: trackingController.listMovies
+        },
+        {
+            method: 'post',
+            path: '/movies',
+            summary: 'Track a movie',
+            tag: 'Tracked set',
+            admin: true,
+            schema: {
+                body: {
+                    id: field.integer({ required: true, minimum: 1, description: 'TMDB movie ID' }),
+                    name: field.string({ maxLength: 200, description: 'Defaults to the TMDB title' })
+                }
+            },
+            response: { status: 201, schema: ref('TrackedMovie') },
+            handler: trackingController.addMovie
+        },
+        {
+            method: 'delete',
+            path: '/movies/:id',
+            summary: 'Stop tracking a movie',
+            tag: 'Tracked set',
+            admin: true,
+            schema: { params: { id: field.integer({ minimum: 1, description: 'TMDB movie ID' }) } },
+            response: { status: 204 },
+            handler: trackingController.removeMovie
+        },
+        {
+            method: 'get',
+            path: '/movies/:id/cast',
+            summary: 'Details and tracked cast of a tracked movie',
+            tag: 'Tracked set',
+            schema: { params: { id: field.string({ description: 'TMDB movie ID or tracked movie name' }) } },
+            response: { schema: ref('MovieCast') },
+            handler: moviesController.getMovieCast
+        },
+        {
+            method: 'get',
+            path: '/actors',
+            summary: 'Tracked actors',
+            tag: 'Tracked set',
+            schema: {},
+            response: { schema: ref('Names') },
+            handler: trackingController.listActors
+        },
+        {
+            method: 'post',
+            path: '/actors',
+            summary: 'Track an actor',
+            tag: 'Tracked set',
+            admin: true,
+            schema: { body: { name: PERSON_NAME } },
+            response: { status: 201, schema: ref('TrackedPerson') },
+            handler: trackingController.addActor
+        },
+        {
+            method: 'get',
+            path: '/actors/:name',
+            summary: 'Filmography of a tracked actor',
+            tag: 'Tracked set',
+            schema: {
+                params: { name: ACTOR_NAME },
+                query: { sort: movieSortField('Order of the movies, release date by default') }
+            },
+            response: { schema: ref('ActorFilmography') },
+            handler: moviesController.getActor
+        },
+        {
+            method: 'delete',
+            path: '/actors/:name',
+            summary: 'Stop tracking an actor',
+            tag: 'Tracked set',
+            admin: true,
+            schema: { params: { name: ACTOR_NAME } },
+            response: { status: 204 },
+            handler: trackingController.removeActor
+        },
+        {
+            method: 'get',
+            path: '/crew',
+            summary: 'Tracked crew members',
+            tag: 'Tracked set',
+            schema: {},
+            response: { schema: ref('Names') },
+            handler: trackingController.listCrew
+        },
+        {
+            method: 'post',
+            path: '/crew',
+            summary: 'Track a crew member',
+            tag: 'Tracked set',
+            admin: true,
+            schema: { body: { name: PERSON_NAME } },
+            response: { status: 201, schema: ref('TrackedPerson') },
+            handler: trackingController.addCrewMember
+        },
+        {
+            method: 'delete',
+            path: '/crew/:name',
+            summary: 'Stop tracking a crew member',
+            tag: 'Tracked set',
+            admin: true,
+            schema: { params: { name: field.string({ description: 'Tracked crew member name, ignoring case, accents and punctuation' }) } },
+            response: { status: 204 },
+            handler: trackingController.removeCrewMember
+        },
+
+        // Franchise discovery routes
+        {
+            method: 'post',
+            path: '/discovery/proposals',
+            summary: 'Discover franchise movies in TMDB as a pending proposal',
+            tag: 'Discovery',
+            admin: true,
+            schema: {
+                body: {
+                    preset: field.string({ enum: Object.keys(franchisePresets), description: 'Named criteria, see data/franchises.js' }),
+                    collections: TMDB_IDS('TMDB collection IDs'),
+                    companies: TMDB_IDS('TMDB production company IDs'),
+                    keywords: TMDB_IDS('TMDB keyword IDs'),
+                    query: field.string({ maxLength: 200, description: 'Movie title search' }),
+                    releasedOnly: field.boolean({ description: 'Leave out unreleased movies, true by default' })
+                }
+            },
+            response: { status: 201, schema: ref('Proposal') },
+            handler: discoveryController.createProposal
+        },
+        {
+            method: 'get',
+            path: '/discovery/proposals',
+            summary: 'Proposals, newest first',
+            tag: 'Discovery',
+            schema: {},
+            response: { schema: { type: 'array', items: ref('ProposalSummary') } },
+            handler: discoveryController.listProposals
+        },
+        {
+            method: 'get',
+            path: '/discovery/proposals/:id',
+            summary: 'A proposal with its movies and changes to the tracked set',
+            tag: 'Discovery',
+            schema: { params: { id: field.string({ description: 'Proposal ID' }) } },
+            response: { schema: ref('Proposal') },
+            handler: discoveryController.getProposal
+        },
+        {
+            method: 'post',
+            path: '/discovery/proposals/:id/approve',
+            summary: 'Replace the tracked movies with a proposal\'s',
+            tag: 'Discovery',
+            admin: true,
+            schema: {
+                params: { id: field.string({ description: 'Proposal ID' }) },
+                body: { exclude: TMDB_IDS('TMDB IDs of proposed movies to leave out') }
+            },
+            response: { schema: ref('ApprovedProposal') },
+            handler: discoveryController.approveProposal
+        },
+        {
+            method: 'post',
+            path: '/discovery/proposals/:id/reject',
+            summary: 'Reject a proposal',
+            tag: 'Discovery',
+            admin: true,
+            schema: { params: { id: field.string({ description: 'Proposal ID' }) } },
+            response: { schema: ref('Proposal') },
+            handler: discoveryController.rejectProposal
+        },
+
+        // Debug routes
+        {
+            method: 'get',
+            path: '/debug/characterMatches',
+            summary: 'Character groups with their match scores and near misses',
+            tag: 'Debug',
+            admin: true,
+            schema: {},
+            response: { schema: ref('CharacterMatchReport') },
+            handler: debugController.getCharacterMatches
+        },
+        {
+            method: 'get',
+            path: '/debug/actorResolution',
+            summary: 'How tracked actor names were resolved to TMDB people',
+            tag: 'Debug',
+            admin: true,
+            schema: {},
+            response: { schema: ref('ActorResolutionReport') },
+            handler: debugController.getActorResolution
+        },
+
+        // Change feed
+        {
+            method: 'get',
+            path: '/events',
+            summary: 'Stream of change events, as Server-Sent Events',
+            tag: 'Changes',
+            schema: {
+                query: {
+                    types: field.list({ enum: CHANGE_EVENT_TYPES, description: 'Comma-separated event types to receive' }),
+                    actors: field.list({ description: 'Comma-separated tracked actor names to receive events of' }),
+                    movies: field.list({ description: 'Comma-separated tracked movie names to receive events of' })
+                }
+            },
+            response: { contentType: 'text/event-stream', schema: { type: 'string' } },
+            handler: eventsController.streamEvents
+        },
+        {
+            method: 'post',
+            path: '/webhooks',
+            summary: 'Subscribe a URL to change events',
+            tag: 'Changes',
+            admin: true,
+            schema: {
+                body: {
+                    url: field.string({ required: true, maxLength: 2000, description: 'http(s) URL the events are POSTed to' }),
+                    types: field.array(field.string({ enum: CHANGE_EVENT_TYPES }), { description: 'Event types to send; all by default' }),
+                    actors: NAMES('Only send events about these tracked actors'),
+                    movies: NAMES('Only send events about these tracked movies')
+                }
+            },
+            response: { status: 201, schema: ref('NewWebhook') },
+            handler: webhooksController.createWebhook
+        },
+        {
+            method: 'get',
+            path: '/webhooks',
+            summary: 'Webhook subscriptions, oldest first',
+            tag: 'Changes',
+            admin: true,
+            schema: {},
+            response: { schema: { type: 'array', items: ref('Webhook') } },
+            handler: webhooksController.listWebhooks
+        },
+        {
+            method: 'get',
+            path: '/webhooks/deadLetters',
+            summary: 'Webhook deliveries given up on, newest first',
+            tag: 'Changes',
+            admin: true,
+            schema: { query: { subscriptionId: WEBHOOK_ID } },
+            response: { schema: { type: 'array', items: ref('DeadLetter') } },
+            handler: webhooksController.listDeadLetters
+        },
+        {
+            method: 'get',
+            path: '/webhooks/:id',
+            summary: 'A webhook subscription and its delivery counts',
+            tag: 'Changes',
+            admin: true,
+            schema: { params: { id: WEBHOOK_ID } },
+            response: { schema: ref('Webhook') },
+            handler: webhooksController.getWebhook
+        },
+        {
+            method: 'delete',
+            path: '/webhooks/:id',
+            summary: 'Remove a webhook subscription',
+            tag: 'Changes',
+            admin: true,
+            schema: { params: { id: WEBHOOK_ID } },
+            response: { status: 204 },
+            handler: webhooksController.deleteWebhook
+        },
+
+        // GraphQL
+        {
+            method: 'post',
+            path: '/graphql',
+            summary: 'Run a GraphQL query over tracked actors, movies, characters and appearances',
+            tag: 'GraphQL',
+            schema: {
+                body: {
+                    query: field.string({ required: true, maxLength: 20000, description: 'GraphQL document' }),
+                    variables: field.object({ nullable: true, description: 'Values of the variables the document declares' }),
+                    operationName: field.string({ nullable: true, maxLength: 200, description: 'Operation to run, when the document has several' })
+                }
+            },
+            response: { schema: ref('GraphqlResponse') },
+            handler: graphqlController.executeQuery
+        },
+        {
+            method: 'get',
+            path: '/graphql/schema',
+            summary: 'GraphQL schema, in the schema definition language',
+            tag: 'GraphQL',
+            schema: {},
+            response: { contentType: 'text/plain', schema: { type: 'string' } },
+            handler: graphqlController.getSchema
+        },
+
+        // Admin routes
+        {
+            method: 'post',
+            path: '/cache/refresh',
+            summary: 'Refetch the credits that changed in TMDB, or all of them',
+            tag: 'Admin',
+            admin: true,
+            schema: {
+                query: {
+                    full: field.boolean({ description: 'Refetch every movie instead of checking for changes' })
+                }
+            },
+            response: { schema: ref('CacheStatus') },
+            handler: cacheController.refreshCache
+        },
+        {
+            method: 'get',
+            path: '/cache/status',
+            summary: 'State of the credits cache',
+            tag: 'Admin',
+            admin: true,
+            schema: {},
+            response: { schema: ref('CacheStatus') },
+            handler: cacheController.getCacheStatus
+        },
+
+        // API description
+        {
+            method: 'get',
+            path: '/openapi.json',
+            summary: 'OpenAPI 3.1 document of every route',
+            tag: 'Docs',
+            schema: {},
+            response: { schema: { type: 'object' } },
+            handler: docsController.getOpenApiDocument
+        },
+        {
+            method: 'get',
+            path: '/docs',
+            summary: 'HTML page to browse the OpenAPI document',
+            tag: 'Docs',
+            schema: {},
+            response: { contentType: 'text/html', schema: { type: 'string' } },
+            handler: docsController.getDocsPage
+        },
+
+        // Observability
+        {
+            method: 'get',
+            path: '/metrics',
+            summary: 'HTTP, TMDB, cache and processing metrics in the Prometheus text format',
+            tag: 'Observability',
+            schema: {},
+            response: { contentType: 'text/plain', schema: { type: 'string' } },
+            handler: metricsController.getMetrics
+        },
+        {
+            method: 'get',
+            path: '/healthz',
+            summary: 'Liveness probe: the process is up',
+            tag: 'Observability',
+            probe: true,
+            schema: {},
+            response: { schema: ref('Liveness') },
+            handler: healthController.getLiveness
+        },
+        {
+            method: 'get',
+            path: '/readyz',
+            summary: 'Readiness probe: TMDB is configured and data is cached or can be fetched',
+            tag: 'Observability',
+            probe: true,
+            schema: {},
+            response: { schema: ref('Readiness'), alternatives: { 503: 'Not ready, or shutting down; see the checks' } },
+            handler: healthController.getReadiness
+        }
+    ];
+}
+
+/**
+ * Builds the OpenAPI document of a route table.
+ * @param {Route[]} routes
+ * @returns {Object}
+ */
+export function describeApi(routes) {
+    return buildOpenApiDocument(routes, {
+        info: {
+            title: 'Marvel Movies API',
+            version: '1.0.0',
+            description: 'Which tracked actors played in which Marvel movies, as which characters, with whom and on which crews.'
+        },
+        schemas: RESPONSE_SCHEMAS
+    });
+}
+
+/**
+ * Registers routes on an Express app, each behind a validator for its schema,
+ * and admin routes behind an admin key check.
+ * @param {import('express').Express} app
+ * @param {Route[]} routes
+ */
+export function registerRoutes(app, routes) {
+    for (const { method, path, admin, schema, handler } of routes) {
+        app[method](path, ...(admin ? [requireAdmin] : []), createValidator(schema), handler);
+    }
+}
@@ -0,0 +1,345 @@
+/**
+ * JSON Schemas of the response bodies, registered as OpenAPI components and
+ * referenced from the route table. Objects list every property the handlers
+ * send and reject others, so the contract tests catch a response that drifts
+ * from its description.
+ */
+
+import { CHANGE_EVENT_TYPES } from '../utils/changeEvents.js';
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const nullable = type => ({ type: [type, 'null'] });
+const arrayOf = items => ({ type: 'array', items });
+const mapOf = values => ({ type: 'object', additionalProperties: values });
+const component = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Describes an object with exactly the given properties.
+ * @param {Object.<string, Object>} properties - JSON Schema per property
+ * @param {Object} [options]
+ * @param {string[]} [options.optional] - Properties that may be left out
+ * @param {boolean} [options.open] - Whether other properties are allowed
+ * @returns {Object}
+ */
+function object(properties, { optional = [], open = false } = {}) {
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties).filter(name => !optional.includes(name)),
+        additionalProperties: open
+    };
+}
+
+/**
+ * Describes a page of a /v2 list. Item properties are all optional, since ?fields= selects them.
+ * @param {Object.<string, Object>} itemProperties
+ * @returns {Object}
+ */
+function page(itemProperties) {
+    return object({
+        items: arrayOf(object(itemProperties, { optional: Object.keys(itemProperties) })),
+        total: integer,
+        nextCursor: nullable('string')
+    });
+}
+
+/**
+ * Describes the items added and removed by a change.
+ * @param {Object.<string, Object>} itemProperties
+ * @returns {Object}
+ */
+function addedRemoved(itemProperties) {
+    const item = object(itemProperties);
+    return object({ added: arrayOf(item), removed: arrayOf(item) });
+}
+
+// Shared by the webhook schemas with and without the secret
+const WEBHOOK_PROPERTIES = {
+    id: string,
+    url: string,
+    filter: object({ types: arrayOf(string), actors: arrayOf(string), movies: arrayOf(string) }),
+    createdAt: string,
+    deliveredCount: integer,
+    failedCount: integer,
+    lastDeliveryAt: nullable('string')
+};
+
+/**
+ * References a schema of RESPONSE_SCHEMAS.
+ * @param {string} name
+ * @returns {{$ref: string}}
+ */
+export function ref(name) {
+    if (!Object.hasOwn(RESPONSE_SCHEMAS, name)) {
+        throw new Error(`Unknown response schema "${name}"`);
+    }
+    return component(name);
+}
+
+/**
+ * Response schemas by name, for `components.schemas`.
+ * @type {Object.<string, Object>}
+ */
+export const RESPONSE_SCHEMAS = {
+    FieldError: object({ in: { type: 'string', enum: ['params', 'query', 'body'] }, name: string, message: string }),
+    CacheStatus: object({
+        cached: boolean,
+        stale: boolean,
+        refreshing: boolean,
+        ttlMs: integer,
+        lastFetchedAt: nullable('string'),
+        ageMs: nullable('integer'),
+        failureCount: integer,
+        consecutiveFailures: integer,
+        lastError: { anyOf: [{ type: 'null' }, object({ message: string, at: string })] },
+        lastRefresh: { anyOf: [{ type: 'null' }, component('RefreshSummary')] }
+    }),
+    RefreshSummary: object({
+        at: string,
+        mode: { type: 'string', enum: ['incremental', 'full'] },
+        checked: integer,
+        refetched: arrayOf(string),
+        changed: arrayOf(string),
+        rebuilt: arrayOf(string),
+        updated: arrayOf(string),
+        failedMovies: arrayOf(string),
+        diff: object({
+            actors: addedRemoved({ actorName: string, movieName: string }),
+            characters: addedRemoved({ characterName: string, actorName: string, movieName: string }),
+            recasts: addedRemoved({ characterId: string, characterName: string, actorName: string, replaces: arrayOf(string), movieName: string })
+        })
+    }),
+    Liveness: object({ status: { type: 'string', enum: ['ok'] }, uptimeMs: integer }),
+    Readiness: object({
+        ready: boolean,
+        status: { type: 'string', enum: ['ready', 'not-ready', 'draining'] },
+        checks: object({
+            tmdbConfig: object({ ok: boolean }),
+            cacheWarm: object(
+                { ok: boolean, required: boolean, lastFetchedAt: nullable('string'), error: string },
+                { optional: ['error'] }
+            ),
+            lastFetch: object(
+                {
+                    ok: boolean,
+                    consecutiveFailures: nullable('integer'),
+                    lastError: { anyOf: [{ type: 'null' }, object({ message: string, at: string })] },
+                    error: string
+                },
+                { optional: ['error'] }
+            )
+        })
+    }),
+    Error: object({
+        error: string,
+        code: string,
+        requestId: string,
+        fields: arrayOf(component('FieldError')),
+        status: component('CacheStatus')
+    }, { optional: ['fields', 'status'] }),
+
+    // Aggregates
+    MoviesPerActor: mapOf(arrayOf(string)),
+    ActorsWithMultipleCharacters: mapOf(arrayOf(object({ movieName: string, characterName: string, characterId: string }))),
+    CharactersWithMultipleActors: mapOf(arrayOf(object({ movieName: string, actorName: string }))),
+    MatchThresholds: object({ tokenSet: number, ratio: number }),
+    CharacterMatchGroup: object({
+        characterId: string,
+        anchor: string,
+        members: arrayOf({ type: 'object' }),
+        rejected: arrayOf({ type: 'object' })
+    }),
+    ExplainedActorsWithMultipleCharacters: object({
+        result: component('ActorsWithMultipleCharacters'),
+        explanation: object({
+            thresholds: component('MatchThresholds'),
+            actors: mapOf(arrayOf(component('CharacterMatchGroup')))
+        })
+    }),
+    ExplainedCharactersWithMultipleActors: object({
+        result: component('CharactersWithMultipleActors'),
+        explanation: object({
+            thresholds: component('MatchThresholds'),
+            groups: arrayOf(component('CharacterMatchGroup'))
+        })
+    }),
+    MovieDate: object({ name: string, releaseDate: nullable('string') }),
+    Timeline: object({
+        years: arrayOf(object({
+            year: integer,
+            movies: arrayOf(component('MovieDate')),
+            actors: arrayOf(string),
+            debuts: arrayOf(object({ characterId: string, characterName: string, movieName: string, actors: arrayOf(string) })),
+            recasts: arrayOf(object({
+                characterId: string,
+                characterName: string,
+                movieName: string,
+                actorName: string,
+                previousActors: arrayOf(string)
+            }))
+        })),
+        undatedMovies: arrayOf(string)
+    }),
+    Recasts: mapOf(object({
+        characterName: string,
+        recastCount: integer,
+        actors: arrayOf(object({
+            actorName: string,
+            type: { type: 'string', enum: ['original', 'recast', 'simultaneous'] },
+            replaces: arrayOf(string),
+            firstMovie: component('MovieDate'),
+            lastMovie: component('MovieDate'),
+            movieCount: integer,
+            movies: arrayOf(string)
+        }))
+    })),
+    CrewCredit: object({ movieName: string, department: string, job: string }),
+    CrewPerPerson: mapOf(arrayOf(component('CrewCredit'))),
+    ActorsOnCrew: mapOf(object({
+        cast: arrayOf(object({ movieName: string, characterName: string })),
+        crew: arrayOf(component('CrewCredit'))
+    })),
+    Collaborations: object({
+        nodes: mapOf(object({
+            movieCount: integer,
+            degree: integer,
+            sharedMovieCount: integer,
+            topPartners: arrayOf(object({ actor: string, sharedCount: integer }))
+        })),
+        edges: arrayOf(object({ actors: arrayOf(string), sharedCount: integer, movies: arrayOf(string) }))
+    }),
+    CollaborationPath: object({
+        from: string,
+        to: string,
+        connected: boolean,
+        distance: nullable('integer'),
+        path: arrayOf(object({ actor: string, movies: arrayOf(string) }))
+    }),
+
+    // /v2 lists
+    MoviesPerActorPage: page({
+        actorName: string,
+        movieCount: integer,
+        movies: arrayOf(string),
+        firstReleaseDate: nullable('string')
+    }),
+    ActorsWithMultipleCharactersPage: page({
+        actorName: string,
+        characterCount: integer,
+        characters: arrayOf(object({ movieName: string, characterName: string, characterId: string })),
+        firstReleaseDate: nullable('string')
+    }),
+    CharactersWithMultipleActorsPage: page({
+        characterId: string,
+        actorCount: integer,
+        appearances: arrayOf(object({ movieName: string, actorName: string })),
+        firstReleaseDate: nullable('string')
+    }),
+
+    // Tracked set
+    ActorFilmography: object({
+        name: string,
+        movieCount: integer,
+        movies: arrayOf(object({
+            movieName: string,
+            characterName: string,
+            releaseYear: nullable('integer'),
+            phase: nullable('integer'),
+            billingOrder: nullable('integer')
+        }))
+    }),
+    MovieCast: object({
+        id: integer,
+        name: string,
+        releaseDate: nullable('string'),
+        runtime: nullable('integer'),
+        posterPath: nullable('string'),
+        phase: nullable('integer'),
+        cast: arrayOf(object({ actorName: string, characterName: string, billingOrder: nullable('integer') }))
+    }),
+    TrackedMovie: object({ name: string, id: integer }),
+    TrackedPerson: object({ name: string }),
+    Names: arrayOf(string),
+
+    // Discovery
+    Proposal: object({
+        id: string,
+        status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+        createdAt: string,
+        reviewedAt: nullable('string'),
+        criteria: { type: 'object' },
+        movies: arrayOf(object({ id: integer, name: string, releaseDate: nullable('string'), sources: arrayOf(string) })),
+        changes: object({
+            added: arrayOf(component('TrackedMovie')),
+            removed: arrayOf(component('TrackedMovie')),
+            unchanged: integer
+        })
+    }),
+    ProposalSummary: object({
+        id: string,
+        status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+        createdAt: string,
+        reviewedAt: nullable('string'),
+        criteria: { type: 'object' },
+        movieCount: integer
+    }),
+    ApprovedProposal: object({
+        proposal: component('Proposal'),
+        added: arrayOf(component('TrackedMovie')),
+        removed: arrayOf(component('TrackedMovie'))
+    }),
+
+    // Changes
+    ChangeEvent: object({
+        id: string,
+        type: { type: 'string', enum: CHANGE_EVENT_TYPES },
+        at: string,
+        data: object({
+            actorName: string,
+            movieName: string,
+            characterName: string,
+            characterId: string,
+            replaces: arrayOf(string)
+        }, { optional: ['characterName', 'characterId', 'replaces'] })
+    }),
+    Webhook: object(WEBHOOK_PROPERTIES),
+    NewWebhook: object({ ...WEBHOOK_PROPERTIES, secret: string }),
+    DeadLetter: object({
+        id: string,
+        subscriptionId: string,
+        url: string,
+        event: component('ChangeEvent'),
+        attempts: integer,
+        lastError: object({ status: nullable('integer'), message: string }),
+        failedAt: string
+    }),
+
+    // GraphQL
+    GraphqlResponse: object({
+        data: nullable('object'),
+        errors: arrayOf(object({
+            message: string,
+            locations: arrayOf(object({ line: integer, column: integer })),
+            path: arrayOf({ type: ['string', 'integer'] }),
+            extensions: object({ code: string })
+        }, { optional: ['locations', 'path'] })),
+        extensions: object({
+            cost: object({ depth: integer, complexity: integer, maxDepth: integer, maxComplexity: integer })
+        })
+    }, { optional: ['data', 'errors', 'extensions'] }),
+
+    // Debug
+    CharacterMatchReport: object({
+        thresholds: component('MatchThresholds'),
+        groups: arrayOf(component('CharacterMatchGroup'))
+    }),
+    ActorResolutionReport: object({
+        resolved: arrayOf({ type: 'object' }),
+        ambiguous: arrayOf({ type: 'object' }),
+        unresolved: arrayOf({ type: 'object' }),
+        failed: arrayOf({ type: 'object' })
+    })
+};
@@ -0,0 +1,40 @@
+/**
+ * Records TMDB credits and details for every tracked movie, and the person searches that
+ * resolve tracked actors, into a snapshot directory,
+ * so the API can later run with TMDB_SNAPSHOT_MODE=replay and no network access.
+ *
+ * Usage: npm run snapshot:record [-- <dir>]
+ */
+import 'dotenv/config';
+import { movies, actors, crew } from '../data/marvelMovies.js';
+import { createTmdbClient } from '../services/tmdbService.js';
+import { SnapshotStore } from '../services/snapshotStore.js';
+import { ActorResolver } from '../services/actorResolver.js';
+import logger from '../utils/logger.js';
+
+const dir = process.argv[2] || process.env.TMDB_SNAPSHOT_DIR || 'snapshots';
+const snapshotStore = new SnapshotStore({ dir });
+
+const client = createTmdbClient({
+    apiKey: process.env.TMDB_API_KEY,
+    baseUrl: process.env.TMDB_BASE_URL,
+    snapshotMode: 'record',
+    snapshotStore
+});
+
+const moviesArray = Object.entries(movies).map(([name, id]) => ({ name, id }));
+const { credits, failures: creditFailures } = await client.getAllMoviesCredits(moviesArray);
+const { failures: detailFailures } = await client.getAllMoviesDetails(moviesArray);
+const failures = [...creditFailures, ...detailFailures];
+const { report } = await new ActorResolver({ tmdbService: client }).resolve(actors);
+await snapshotStore.writeTrackedSet({ movies, actors, crew });
+
+logger.info({ dir, recorded: credits.length, failed: failures.length }, 'Snapshot recorded');
+
+if (report.failed.length > 0) {
+    logger.warn({ actors: report.failed.map(f => f.name) }, 'Failed to record person searches');
+}
+
+if (failures.length > 0 || report.failed.length > 0) {
+    process.exitCode = 1;
+}
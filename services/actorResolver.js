@@ -0,0 +1,106 @@
+import { actorAliases, pinnedActorIds } from '../data/actorAliases.js';
+import { MemoryCacheStore } from '../cache/memoryCacheStore.js';
+import { createActorMatcher, pickPersonMatch } from '../utils/actorMatching.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+// Person IDs don't change, so resolutions are cached without expiry
+const personKey = name => `person:${name}`;
+
+/**
+ * Resolves tracked actor names to TMDB person IDs with `/search/person`,
+ * so credits can be matched on `cast[].id` instead of exact display names.
+ */
+export class ActorResolver {
+    #tmdbService;
+    #cacheStore;
+    #aliases;
+    #pinnedIds;
+    #concurrency;
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.tmdbService - TMDB service with a searchPeople method
+     * @param {import('../cache/memoryCacheStore.js').CacheStore} [options.cacheStore] - Where resolutions are kept
+     * @param {Object.<string, string[]>} [options.aliases] - Other names per actor, see data/actorAliases.js
+     * @param {Object.<string, number>} [options.pinnedIds] - Person IDs that skip the search
+     * @param {number} [options.concurrency=5] - Maximum number of searches in flight
+     */
+    constructor({
+        tmdbService,
+        cacheStore = new MemoryCacheStore(),
+        aliases = actorAliases,
+        pinnedIds = pinnedActorIds,
+        concurrency = 5
+    }) {
+        this.#tmdbService = tmdbService;
+        this.#cacheStore = cacheStore;
+        this.#aliases = aliases;
+        this.#pinnedIds = pinnedIds;
+        this.#concurrency = concurrency;
+    }
+
+    /**
+     * Resolves one name: pinned IDs first, then a cached resolution, then a TMDB search.
+     * A failed search is not cached, so it is retried next time.
+     * @param {string} name
+     * @returns {Promise<import('../utils/actorMatching.js').PersonMatch & {status: string, message?: string}>}
+     */
+    async #resolveName(name) {
+        if (this.#pinnedIds[name]) {
+            return { status: 'pinned', id: this.#pinnedIds[name], tmdbName: null, candidates: [] };
+        }
+
+        const cached = await this.#cacheStore.get(personKey(name));
+        if (cached !== undefined) return cached;
+
+        try {
+            const { results } = await this.#tmdbService.searchPeople(name);
+            const match = pickPersonMatch(name, results, this.#aliases[name]);
+            await this.#cacheStore.set(personKey(name), match);
+            return match;
+        } catch (error) {
+            logger.warn({ err: error, actor: name }, 'Failed to resolve actor, matching by name');
+            return { status: 'failed', id: null, tmdbName: null, candidates: [], message: error.message };
+        }
+    }
+
+    /**
+     * Resolves actor names to TMDB person IDs.
+     * Unresolved names, and names whose search failed, are still matched by name.
+     * @param {string[]} names - Tracked actor display names
+     * @returns {Promise<{
+     *   matcher: import('../utils/actorMatching.js').ActorMatcher,
+     *   report: {
+     *     resolved: Array<{name: string, id: number, tmdbName: string|null, pinned: boolean}>,
+     *     ambiguous: Array<{name: string, id: number, candidates: Array<Object>}>,
+     *     unresolved: Array<{name: string, candidates: Array<Object>}>,
+     *     failed: Array<{name: string, message: string}>
+     *   }
+     * }>}
+     */
+    async resolve(names) {
+        const outcomes = await mapWithConcurrency(names, this.#concurrency, async name => ({
+            name,
+            ...(await this.#resolveName(name))
+        }));
+
+        const report = { resolved: [], ambiguous: [], unresolved: [], failed: [] };
+        for (const { name, status, id, tmdbName, candidates, message } of outcomes) {
+            if (status === 'resolved' || status === 'pinned') {
+                report.resolved.push({ name, id, tmdbName, pinned: status === 'pinned' });
+            } else if (status === 'ambiguous') {
+                report.ambiguous.push({ name, id, candidates });
+            } else if (status === 'unresolved') {
+                report.unresolved.push({ name, candidates });
+            } else {
+                report.failed.push({ name, message });
+            }
+        }
+
+        return {
+            matcher: createActorMatcher(outcomes.map(({ name, id }) => ({ name, id }))),
+            report
+        };
+    }
+}
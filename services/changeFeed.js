@@ -0,0 +1,77 @@
+import { EventEmitter } from 'node:events';
+import { eventsFromDiff } from '../utils/changeEvents.js';
+
+/**
+ * Turns the changes MovieDataService finds in the credits into numbered events,
+ * and keeps the latest ones so a reconnecting /events client can catch up.
+ * Emits "event" with each ChangeEvent, and "close" once when the app shuts down.
+ */
+export class ChangeFeed extends EventEmitter {
+    #recent = [];
+    #bufferSize;
+    #lastId = 0;
+    #closed = false;
+
+    /**
+     * @param {Object} options
+     * @param {import('./movieDataService.js').MovieDataService} options.movieDataService - Emits "change"
+     *   with `{ at, diff }` when fetched credits changed
+     * @param {number} [options.bufferSize=500] - Events kept for catching up
+     */
+    constructor({ movieDataService, bufferSize = 500 }) {
+        super();
+        this.#bufferSize = bufferSize;
+        // Every stream and the webhook service listen here
+        this.setMaxListeners(0);
+
+        movieDataService.on('change', ({ at, diff }) => this.publish(diff, at));
+    }
+
+    /**
+     * Publishes the events of a diff of credits.
+     * @param {import('../utils/dataProcessor.js').CreditsDiff} diff
+     * @param {string} at - When the change was found, as an ISO timestamp
+     * @returns {import('../utils/changeEvents.js').ChangeEvent[]} The published events
+     */
+    publish(diff, at) {
+        const events = eventsFromDiff(diff).map(({ type, data }) => ({ id: String(++this.#lastId), type, at, data }));
+
+        for (const event of events) {
+            this.#recent.push(event);
+            if (this.#recent.length > this.#bufferSize) this.#recent.shift();
+            this.emit('event', event);
+        }
+        return events;
+    }
+
+    /**
+     * Lists the kept events published after the given one. IDs restart with the
+     * process, so an ID above the last one is treated as coming from a previous
+     * run, and every kept event is listed.
+     * @param {string|undefined} lastEventId - ID of the last event the client received
+     * @returns {import('../utils/changeEvents.js').ChangeEvent[]}
+     */
+    since(lastEventId) {
+        const after = Number(lastEventId);
+        if (lastEventId === undefined || !Number.isInteger(after)) return [];
+        if (after > this.#lastId) return [...this.#recent];
+        return this.#recent.filter(event => Number(event.id) > after);
+    }
+
+    /**
+     * Whether close was called.
+     * @returns {boolean}
+     */
+    get closed() {
+        return this.#closed;
+    }
+
+    /**
+     * Tells listeners the app is shutting down, so open streams end and the server can close.
+     */
+    close() {
+        if (this.#closed) return;
+        this.#closed = true;
+        this.emit('close');
+    }
+}
@@ -0,0 +1,371 @@
+import { randomUUID } from 'node:crypto';
+import { franchisePresets } from '../data/franchises.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Error thrown when a discovery request or review step is rejected.
+ * `reason` tells callers how to report it:
+ * - 'invalid': the criteria are malformed or name an unknown preset
+ * - 'not-found': there is no proposal with the given ID
+ * - 'already-reviewed': the proposal was already approved or rejected
+ */
+export class DiscoveryError extends Error {
+    /**
+     * @param {'invalid'|'not-found'|'already-reviewed'} reason
+     * @param {string} message
+     */
+    constructor(reason, message) {
+        super(message);
+        this.name = 'DiscoveryError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * @typedef {Object} DiscoveryCriteria
+ * @property {number[]} collections - TMDB collection IDs
+ * @property {number[]} companies - TMDB production company IDs
+ * @property {number[]} keywords - TMDB keyword IDs
+ * @property {string|null} query - Movie title search
+ * @property {boolean} releasedOnly - Leave out movies without a past release date
+ */
+
+/**
+ * @typedef {Object} Proposal
+ * @property {string} id
+ * @property {'pending'|'approved'|'rejected'} status
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} reviewedAt - ISO timestamp of approval or rejection
+ * @property {DiscoveryCriteria} criteria
+ * @property {Array<{id: number, name: string, releaseDate: string|null, sources: string[]}>} movies
+ */
+
+/**
+ * Checks that a criteria field is a list of positive integer IDs.
+ * @param {*} value
+ * @param {string} field - Field name for the error message
+ * @returns {number[]}
+ */
+function parseIds(value, field) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || !value.every(id => Number.isInteger(id) && id > 0)) {
+        throw new DiscoveryError('invalid', `${field} must be an array of positive integer IDs`);
+    }
+    return value;
+}
+
+/**
+ * Discovers franchise movies from TMDB collections, company/keyword filters and
+ * title searches, and proposes them as the new tracked movie set. Proposals are
+ * only applied to the tracking registry once approved.
+ */
+export class DiscoveryService {
+    #tmdbService;
+    #trackingRegistry;
+    #presets;
+    #maxPages;
+    #now;
+    #createId;
+    #proposals = new Map();
+
+    /**
+     * @param {Object} options
+     * @param {Object} options.tmdbService - TMDB service with getCollection, discoverMovies and searchMovies
+     * @param {import('./trackingRegistry.js').TrackingRegistry} options.trackingRegistry - Updated on approval
+     * @param {Object.<string, Object>} [options.presets] - Named criteria, see data/franchises.js
+     * @param {number} [options.maxPages=10] - Result pages read per discover or search request
+     * @param {() => number} [options.now] - Clock function, injectable for tests
+     * @param {() => string} [options.createId] - Proposal ID generator, injectable for tests
+     */
+    constructor({
+        tmdbService,
+        trackingRegistry,
+        presets = franchisePresets,
+        maxPages = 10,
+        now = Date.now,
+        createId = randomUUID
+    }) {
+        this.#tmdbService = tmdbService;
+        this.#trackingRegistry = trackingRegistry;
+        this.#presets = presets;
+        this.#maxPages = maxPages;
+        this.#now = now;
+        this.#createId = createId;
+    }
+
+    /**
+     * Validates discovery input and merges in the named preset, if any.
+     * @param {Object} input
+     * @returns {DiscoveryCriteria}
+     * @throws {DiscoveryError}
+     */
+    #parseCriteria({ preset, collections, companies, keywords, query, releasedOnly = true } = {}) {
+        let base = {};
+        if (preset !== undefined) {
+            base = this.#presets[preset];
+            if (!base) {
+                throw new DiscoveryError('invalid', `Unknown preset "${preset}"`);
+            }
+        }
+
+        if (query !== undefined && (typeof query !== 'string' || !query.trim())) {
+            throw new DiscoveryError('invalid', 'query must be a non-empty string');
+        }
+        if (typeof releasedOnly !== 'boolean') {
+            throw new DiscoveryError('invalid', 'releasedOnly must be a boolean');
+        }
+
+        const merge = (field, value) => [...new Set([...(base[field] ?? []), ...parseIds(value, field)])];
+        const criteria = {
+            collections: merge('collections', collections),
+            companies: merge('companies', companies),
+            keywords: merge('keywords', keywords),
+            query: query?.trim() ?? base.query ?? null,
+            releasedOnly
+        };
+
+        if (!criteria.collections.length && !criteria.companies.length && !criteria.keywords.length && !criteria.query) {
+            throw new DiscoveryError('invalid', 'Give a preset, collections, companies, keywords or a query');
+        }
+
+        return criteria;
+    }
+
+    /**
+     * Reads result pages until the last one or the page limit.
+     * @param {(page: number) => Promise<{total_pages: number, results: Array<Object>}>} fetchPage
+     * @param {string} source - Source label, for the truncation warning
+     * @returns {Promise<Array<Object>>} Results of every page read
+     */
+    async #collectPages(fetchPage, source) {
+        const results = [];
+
+        for (let page = 1; ; page++) {
+            const data = await fetchPage(page);
+            results.push(...data.results);
+
+            if (page >= data.total_pages) break;
+            if (page >= this.#maxPages) {
+                logger.warn({ source, totalPages: data.total_pages, maxPages: this.#maxPages }, 'Discovery results truncated');
+                break;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Fetches every source of the criteria, labelling each result with where it came from.
+     * @param {DiscoveryCriteria} criteria
+     * @returns {Promise<Array<{source: string, movie: Object}>>}
+     */
+    async #fetchSources({ collections, companies, keywords, query }) {
+        const found = [];
+        const add = (source, movies) => found.push(...movies.map(movie => ({ source, movie })));
+
+        for (const collectionId of collections) {
+            const collection = await this.#tmdbService.getCollection(collectionId);
+            add(`collection:${collectionId}`, collection.parts ?? []);
+        }
+
+        if (companies.length || keywords.length) {
+            const source = [
+                ...companies.map(id => `company:${id}`),
+                ...keywords.map(id => `keyword:${id}`)
+            ].join(',');
+            add(source, await this.#collectPages(
+                page => this.#tmdbService.discoverMovies({ companies, keywords, page }),
+                source
+            ));
+        }
+
+        if (query) {
+            const source = `search:${query}`;
+            add(source, await this.#collectPages(page => this.#tmdbService.searchMovies(query, { page }), source));
+        }
+
+        return found;
+    }
+
+    /**
+     * Builds a movie set from discovery results: one entry per TMDB ID, oldest first.
+     * Already tracked movies keep their tracked name; other titles shared by several
+     * movies get their release year appended, e.g. "Fantastic Four (2015)", so every
+     * name in the set is unique.
+     * @param {Array<{source: string, movie: Object}>} found
+     * @param {boolean} releasedOnly
+     * @returns {Proposal['movies']}
+     */
+    #buildMovieSet(found, releasedOnly) {
+        const today = new Date(this.#now()).toISOString().slice(0, 10);
+        const byId = new Map();
+
+        for (const { source, movie } of found) {
+            const releaseDate = movie.release_date || null;
+            if (releasedOnly && (!releaseDate || releaseDate > today)) continue;
+
+            if (!byId.has(movie.id)) {
+                byId.set(movie.id, { id: movie.id, title: movie.title, releaseDate, sources: [] });
+            }
+            const entry = byId.get(movie.id);
+            if (!entry.sources.includes(source)) entry.sources.push(source);
+        }
+
+        const movies = [...byId.values()].sort((a, b) =>
+            (a.releaseDate ?? '9999') < (b.releaseDate ?? '9999') ? -1
+                : (a.releaseDate ?? '9999') > (b.releaseDate ?? '9999') ? 1
+                    : a.id - b.id
+        );
+
+        const trackedNames = new Map(
+            Object.entries(this.#trackingRegistry.getMovies()).map(([name, id]) => [id, name])
+        );
+        const titleCounts = new Map();
+        for (const { title } of movies) {
+            titleCounts.set(title, (titleCounts.get(title) ?? 0) + 1);
+        }
+
+        // Tracked names are claimed first so new movies can't take them
+        const usedNames = new Set(movies.filter(({ id }) => trackedNames.has(id)).map(({ id }) => trackedNames.get(id)));
+
+        return movies.map(({ id, title, releaseDate, sources }) => {
+            if (trackedNames.has(id)) {
+                return { id, name: trackedNames.get(id), releaseDate, sources };
+            }
+
+            let name = title;
+            if ((titleCounts.get(title) > 1 || usedNames.has(name)) && releaseDate) {
+                name = `${title} (${releaseDate.slice(0, 4)})`;
+            }
+            if (usedNames.has(name)) {
+                // Same title and year, or no year to tell them apart
+                name = `${title} [${id}]`;
+            }
+            usedNames.add(name);
+            return { id, name, releaseDate, sources };
+        });
+    }
+
+    /**
+     * Adds the changes a proposal would make to the current tracked set.
+     * Computed on every read, so it stays accurate if the tracked set is edited meanwhile.
+     * @param {Proposal} proposal
+     * @returns {Proposal & {changes: {added: Array<Object>, removed: Array<Object>, unchanged: number}}}
+     */
+    #withChanges(proposal) {
+        const tracked = Object.entries(this.#trackingRegistry.getMovies()).map(([name, id]) => ({ name, id }));
+        const proposedIds = new Set(proposal.movies.map(movie => movie.id));
+        const trackedIds = new Set(tracked.map(movie => movie.id));
+
+        return {
+            ...proposal,
+            changes: {
+                added: proposal.movies.filter(movie => !trackedIds.has(movie.id)).map(({ name, id }) => ({ name, id })),
+                removed: tracked.filter(movie => !proposedIds.has(movie.id)),
+                unchanged: proposal.movies.filter(movie => trackedIds.has(movie.id)).length
+            }
+        };
+    }
+
+    /**
+     * Gets a proposal that is still awaiting review.
+     * @param {string} id
+     * @returns {Proposal}
+     * @throws {DiscoveryError}
+     */
+    #getPending(id) {
+        const proposal = this.#proposals.get(id);
+        if (!proposal) {
+            throw new DiscoveryError('not-found', `No proposal with id ${id}`);
+        }
+        if (proposal.status !== 'pending') {
+            throw new DiscoveryError('already-reviewed', `Proposal ${id} was already ${proposal.status}`);
+        }
+        return proposal;
+    }
+
+    /**
+     * Runs discovery and stores the result as a pending proposal.
+     * @param {Object} input - Criteria: preset, collections, companies, keywords, query, releasedOnly
+     * @returns {Promise<Proposal>} The proposal, with the changes it would make
+     * @throws {DiscoveryError} If the criteria are invalid; TMDB failures are rethrown as-is
+     */
+    async propose(input) {
+        const criteria = this.#parseCriteria(input);
+        const found = await this.#fetchSources(criteria);
+
+        const proposal = {
+            id: this.#createId(),
+            status: 'pending',
+            createdAt: new Date(this.#now()).toISOString(),
+            reviewedAt: null,
+            criteria,
+            movies: this.#buildMovieSet(found, criteria.releasedOnly)
+        };
+        this.#proposals.set(proposal.id, proposal);
+
+        logger.info({ proposalId: proposal.id, movies: proposal.movies.length }, 'Created discovery proposal');
+        return this.#withChanges(proposal);
+    }
+
+    /**
+     * Lists all proposals, newest first, without their movie lists.
+     * @returns {Array<Object>}
+     */
+    listProposals() {
+        return [...this.#proposals.values()]
+            .reverse()
+            .map(({ movies, ...summary }) => ({ ...summary, movieCount: movies.length }));
+    }
+
+    /**
+     * Gets a proposal with the changes it would make.
+     * @param {string} id
+     * @returns {Proposal}
+     * @throws {DiscoveryError}
+     */
+    getProposal(id) {
+        const proposal = this.#proposals.get(id);
+        if (!proposal) {
+            throw new DiscoveryError('not-found', `No proposal with id ${id}`);
+        }
+        return this.#withChanges(proposal);
+    }
+
+    /**
+     * Approves a proposal, replacing the tracked movies with its movie set.
+     * @param {string} id
+     * @param {Object} [options]
+     * @param {number[]} [options.exclude] - TMDB IDs of proposed movies to leave out
+     * @returns {Promise<{proposal: Proposal, added: Array<Object>, removed: Array<Object>}>}
+     * @throws {DiscoveryError}
+     */
+    async approve(id, { exclude } = {}) {
+        const proposal = this.#getPending(id);
+        const excluded = new Set(parseIds(exclude, 'exclude'));
+
+        const movies = Object.fromEntries(
+            proposal.movies.filter(movie => !excluded.has(movie.id)).map(({ name, id: movieId }) => [name, movieId])
+        );
+        const { added, removed } = await this.#trackingRegistry.replaceMovies(movies);
+
+        proposal.status = 'approved';
+        proposal.reviewedAt = new Date(this.#now()).toISOString();
+        logger.info({ proposalId: id, added: added.length, removed: removed.length }, 'Approved discovery proposal');
+
+        return { proposal: this.getProposal(id), added, removed };
+    }
+
+    /**
+     * Rejects a proposal, leaving the tracked movies as they are.
+     * @param {string} id
+     * @returns {Proposal}
+     * @throws {DiscoveryError}
+     */
+    reject(id) {
+        const proposal = this.#getPending(id);
+        proposal.status = 'rejected';
+        proposal.reviewedAt = new Date(this.#now()).toISOString();
+        return this.getProposal(id);
+    }
+}
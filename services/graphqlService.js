@@ -0,0 +1,503 @@
+import { buildSchema, executeQuery, printSchema } from '../utils/graphql.js';
+import { NotFoundError } from '../utils/errors.js';
+import { FilterError } from '../utils/queryFilters.js';
+import { DEFAULT_LIMIT, MAX_LIMIT } from '../utils/pagination.js';
+import { createMovieComparator, releaseYearOf, MOVIE_SORTS } from '../utils/movieDetails.js';
+import { simplifyName } from '../utils/text.js';
+
+/**
+ * @typedef {import('../utils/dataProcessor.js').Appearance} Appearance
+ */
+
+/**
+ * @typedef {Object} GraphData
+ * The tracked appearances of one request, indexed the ways resolvers look them up.
+ * @property {Appearance[]} appearances - In release order, then billing order, as are the indexes
+ * @property {Map<string, Appearance[]>} byActor
+ * @property {Map<string, Appearance[]>} byMovie
+ * @property {Map<string, Appearance[]>} byCharacter - By character ID
+ * @property {Object.<string, {name: string}>} characters - By character ID
+ * @property {Map<string, import('../utils/movieDetails.js').MovieInfo>} movieInfo - By tracked movie name
+ */
+
+// Arguments of every list field: how many items to return, after how many. Nested
+// lists take a limit too, so no list resolves more than MAX_LIMIT items
+const LIMIT_ARG = { type: 'Int', minimum: 0, maximum: MAX_LIMIT, defaultValue: DEFAULT_LIMIT, description: 'Maximum number of items' };
+const PAGE_ARGS = {
+    limit: LIMIT_ARG,
+    offset: { type: 'Int', minimum: 0, defaultValue: 0, description: 'Number of items to skip' }
+};
+// Items a nested list typically holds, for complexity when the query sets no limit
+const NESTED_LIST_SIZE = 10;
+const SORT_ARG = { type: 'MovieSort', defaultValue: 'releaseDate', description: 'Movie order' };
+
+/**
+ * Groups appearances by a key, keeping their order.
+ * @param {Appearance[]} appearances
+ * @param {(appearance: Appearance) => string|null} keyOf - Appearances with a null key are left out
+ * @returns {Map<string, Appearance[]>}
+ */
+function groupBy(appearances, keyOf) {
+    const groups = new Map();
+    for (const appearance of appearances) {
+        const key = keyOf(appearance);
+        if (key === null) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(appearance);
+    }
+    return groups;
+}
+
+/**
+ * Keeps one page of a list.
+ * @template T
+ * @param {T[]} items
+ * @param {{limit?: number, offset?: number}} args - All items when limit is left out
+ * @returns {T[]}
+ */
+function page(items, { limit, offset = 0 }) {
+    return items.slice(offset, limit === undefined ? undefined : offset + limit);
+}
+
+/**
+ * Lists distinct values in first-seen order.
+ * @template T
+ * @param {T[]} values
+ * @returns {T[]}
+ */
+function distinct(values) {
+    return [...new Set(values)];
+}
+
+/**
+ * Serves the GraphQL API: actors, movies and characters with the appearances
+ * linking them, resolved from MovieDataService's tracked appearances. Every query
+ * loads the data once and resolves nested fields from indexes of it.
+ */
+export class GraphqlService {
+    #movieDataService;
+    #maxDepth;
+    #maxComplexity;
+    #schema;
+
+    /**
+     * @param {Object} options
+     * @param {import('./movieDataService.js').MovieDataService} options.movieDataService
+     * @param {number} [options.maxDepth=10] - Deepest field nesting a query may have
+     * @param {number} [options.maxComplexity=1000] - Most objects a query may resolve, as estimated
+     *   from its list limits, see utils/graphql.js
+     */
+    constructor({ movieDataService, maxDepth = 10, maxComplexity = 1000 }) {
+        this.#movieDataService = movieDataService;
+        this.#maxDepth = maxDepth;
+        this.#maxComplexity = maxComplexity;
+        this.#schema = buildSchema(this.#defineSchema());
+    }
+
+    /**
+     * Runs a GraphQL query.
+     * @param {Object} request
+     * @param {string} request.query
+     * @param {Object|null} [request.variables]
+     * @param {string|null} [request.operationName]
+     * @returns {Promise<import('../utils/graphql.js').QueryResult>}
+     */
+    async execute({ query, variables, operationName }) {
+        return executeQuery(this.#schema, {
+            query,
+            variables: variables ?? {},
+            operationName: operationName ?? undefined
+        }, {
+            context: this.#createContext(),
+            maxDepth: this.#maxDepth,
+            maxComplexity: this.#maxComplexity
+        });
+    }
+
+    /**
+     * Describes the schema in the GraphQL schema definition language.
+     * @returns {string}
+     */
+    describeSchema() {
+        return printSchema(this.#schema);
+    }
+
+    /**
+     * Gets the query limits, for clients to size their queries.
+     * @returns {{maxDepth: number, maxComplexity: number}}
+     */
+    getLimits() {
+        return { maxDepth: this.#maxDepth, maxComplexity: this.#maxComplexity };
+    }
+
+    /**
+     * Creates the context of one query, loading its data on first use.
+     * @returns {{load: () => Promise<GraphData>}}
+     */
+    #createContext() {
+        let loading = null;
+        return {
+            load: () => (loading ??= this.#loadData())
+        };
+    }
+
+    /**
+     * Loads the tracked appearances and movie details, and indexes them.
+     * @returns {Promise<GraphData>}
+     */
+    async #loadData() {
+        const [{ appearances: tracked, characters }, movieInfo] = await Promise.all([
+            this.#movieDataService.getAppearances(),
+            this.#movieDataService.getMovieInfo()
+        ]);
+        // Sorting is stable, so billing order is kept within each movie
+        const compareMovies = createMovieComparator('releaseDate', movieInfo);
+        const appearances = [...tracked].sort((a, b) => compareMovies(a.movieName, b.movieName));
+        return {
+            appearances,
+            byActor: groupBy(appearances, appearance => appearance.actorName),
+            byMovie: groupBy(appearances, appearance => appearance.movieName),
+            byCharacter: groupBy(appearances, appearance => appearance.characterId),
+            characters,
+            movieInfo
+        };
+    }
+
+    /**
+     * Finds a tracked actor named in an argument.
+     * @param {string} name
+     * @returns {string} Tracked display name
+     * @throws {NotFoundError} If the actor is not tracked
+     */
+    #requireActor(name) {
+        const actorName = this.#movieDataService.findActor(name);
+        if (!actorName) throw new NotFoundError(`Unknown actor "${name}"`);
+        return actorName;
+    }
+
+    /**
+     * Finds a tracked movie named in an argument.
+     * @param {string|number} ref - Name or TMDB ID
+     * @returns {string} Tracked movie name
+     * @throws {NotFoundError} If the movie is not tracked
+     */
+    #requireMovie(ref) {
+        const movie = this.#movieDataService.findMovie(ref);
+        if (!movie) throw new NotFoundError(`Unknown movie "${ref}"`);
+        return movie.name;
+    }
+
+    /**
+     * Sorts appearances or movie names by movie, keeping billing order within a movie.
+     * @template T
+     * @param {GraphData} data
+     * @param {T[]} items
+     * @param {'releaseDate'|'phase'|undefined} sort - Tracked order when undefined
+     * @param {(item: T) => string} movieNameOf
+     * @returns {T[]}
+     */
+    #sortByMovie(data, items, sort, movieNameOf) {
+        if (!sort) return items;
+        const compareMovies = createMovieComparator(sort, data.movieInfo);
+        return [...items].sort((a, b) => compareMovies(movieNameOf(a), movieNameOf(b)));
+    }
+
+    /**
+     * Builds the Movie object of a tracked movie.
+     * @param {GraphData} data
+     * @param {string} name
+     * @returns {Object}
+     */
+    #movie(data, name) {
+        const info = data.movieInfo.get(name);
+        return { name, ...info, releaseYear: releaseYearOf(info) };
+    }
+
+    /**
+     * Declares the types of the API and their resolvers.
+     * @returns {Parameters<typeof buildSchema>[0]}
+     */
+    #defineSchema() {
+        const actor = name => ({ name });
+        const character = (data, id) => ({ id, name: data.characters[id].name });
+
+        return {
+            query: 'Query',
+            types: {
+                Query: {
+                    fields: {
+                        actor: {
+                            type: 'Actor',
+                            description: 'A tracked actor, or null if the name matches none',
+                            args: { name: { type: 'String!', description: 'Name, ignoring case, accents and punctuation' } },
+                            resolve: (_, args) => {
+                                const name = this.#movieDataService.findActor(args.name);
+                                return name ? actor(name) : null;
+                            }
+                        },
+                        actors: {
+                            type: '[Actor!]!',
+                            description: 'Tracked actors credited in tracked movies, by name',
+                            args: {
+                                search: { type: 'String', description: 'Substring the name must contain' },
+                                movie: { type: 'String', description: 'Tracked movie name or TMDB ID they appear in' },
+                                minMovies: { type: 'Int', minimum: 1, description: 'Minimum number of tracked movies' },
+                                ...PAGE_ARGS
+                            },
+                            resolve: async (_, args, context) => {
+                                const data = await context.load();
+                                const movieName = args.movie === undefined ? null : this.#requireMovie(args.movie);
+                                const search = args.search === undefined ? null : simplifyName(args.search);
+                                const names = [...data.byActor.keys()]
+                                    .filter(name =>
+                                        (search === null || simplifyName(name).includes(search)) &&
+                                        (movieName === null || data.byActor.get(name).some(appearance => appearance.movieName === movieName)) &&
+                                        (args.minMovies === undefined || distinct(data.byActor.get(name).map(appearance => appearance.movieName)).length >= args.minMovies)
+                                    )
+                                    .sort((a, b) => a.localeCompare(b));
+                                return page(names, args).map(actor);
+                            }
+                        },
+                        movie: {
+                            type: 'Movie',
+                            description: 'A tracked movie by TMDB ID or name, or null if it matches none',
+                            args: {
+                                id: { type: 'Int', description: 'TMDB movie ID' },
+                                name: { type: 'String', description: 'Name, ignoring case, accents and punctuation' }
+                            },
+                            resolve: async (_, args, context) => {
+                                if ((args.id === undefined) === (args.name === undefined)) {
+                                    throw new FilterError('Give exactly one of "id" and "name"');
+                                }
+                                const movie = this.#movieDataService.findMovie(args.id ?? args.name);
+                                return movie ? this.#movie(await context.load(), movie.name) : null;
+                            }
+                        },
+                        movies: {
+                            type: '[Movie!]!',
+                            description: 'Tracked movies, in tracked order unless sorted',
+                            args: {
+                                phase: { type: 'Int', description: 'MCU phase' },
+                                fromYear: { type: 'Int', description: 'Earliest release year' },
+                                toYear: { type: 'Int', description: 'Latest release year' },
+                                actor: { type: 'String', description: 'Tracked actor credited in the movie' },
+                                sort: { type: 'MovieSort', description: 'Movie order' },
+                                ...PAGE_ARGS
+                            },
+                            resolve: async (_, args, context) => {
+                                const data = await context.load();
+                                const actorName = args.actor === undefined ? null : this.#requireActor(args.actor);
+                                const names = [...data.movieInfo.keys()].filter(name => {
+                                    const info = data.movieInfo.get(name);
+                                    const year = releaseYearOf(info);
+                                    return (args.phase === undefined || info.phase === args.phase) &&
+                                        (args.fromYear === undefined || (year !== null && year >= args.fromYear)) &&
+                                        (args.toYear === undefined || (year !== null && year <= args.toYear)) &&
+                                        (actorName === null || (data.byMovie.get(name) ?? []).some(appearance => appearance.actorName === actorName));
+                                });
+                                return page(this.#sortByMovie(data, names, args.sort, name => name), args)
+                                    .map(name => this.#movie(data, name));
+                            }
+                        },
+                        character: {
+                            type: 'Character',
+                            description: 'A character by ID, as in /recasts, or null if there is none',
+                            args: { id: { type: 'ID!' } },
+                            resolve: async (_, args, context) => {
+                                const data = await context.load();
+                                return Object.hasOwn(data.characters, args.id) ? character(data, args.id) : null;
+                            }
+                        },
+                        characters: {
+                            type: '[Character!]!',
+                            description: 'Characters played by tracked actors, in order of first appearance',
+                            args: {
+                                search: { type: 'String', description: 'Substring the name must contain' },
+                                minActors: { type: 'Int', minimum: 1, description: 'Minimum number of actors who played the character' },
+                                ...PAGE_ARGS
+                            },
+                            resolve: async (_, args, context) => {
+                                const data = await context.load();
+                                const search = args.search === undefined ? null : simplifyName(args.search);
+                                const ids = [...data.byCharacter.keys()].filter(id =>
+                                    (search === null || simplifyName(data.characters[id].name).includes(search)) &&
+                                    (args.minActors === undefined || distinct(data.byCharacter.get(id).map(appearance => appearance.actorName)).length >= args.minActors)
+                                );
+                                return page(ids, args).map(id => character(data, id));
+                            }
+                        }
+                    }
+                },
+                Actor: {
+                    description: 'A tracked actor',
+                    fields: {
+                        name: { type: 'String!' },
+                        movieCount: {
+                            type: 'Int!',
+                            description: 'Number of tracked movies they are credited in',
+                            resolve: async (parent, _, context) => {
+                                const appearances = (await context.load()).byActor.get(parent.name) ?? [];
+                                return distinct(appearances.map(appearance => appearance.movieName)).length;
+                            }
+                        },
+                        appearances: {
+                            type: '[Appearance!]!',
+                            description: 'Their credits in tracked movies',
+                            args: {
+                                movie: { type: 'String', description: 'Tracked movie name or TMDB ID' },
+                                phase: { type: 'Int', description: 'MCU phase' },
+                                sort: SORT_ARG,
+                                limit: LIMIT_ARG
+                            },
+                            listSize: NESTED_LIST_SIZE,
+                            resolve: async (parent, args, context) => {
+                                const data = await context.load();
+                                const movieName = args.movie === undefined ? null : this.#requireMovie(args.movie);
+                                const appearances = (data.byActor.get(parent.name) ?? []).filter(appearance =>
+                                    (movieName === null || appearance.movieName === movieName) &&
+                                    (args.phase === undefined || data.movieInfo.get(appearance.movieName)?.phase === args.phase)
+                                );
+                                return page(this.#sortByMovie(data, appearances, args.sort, appearance => appearance.movieName), args);
+                            }
+                        },
+                        movies: {
+                            type: '[Movie!]!',
+                            description: 'Tracked movies they are credited in',
+                            args: {
+                                phase: { type: 'Int', description: 'MCU phase' },
+                                sort: SORT_ARG,
+                                limit: LIMIT_ARG
+                            },
+                            listSize: NESTED_LIST_SIZE,
+                            resolve: async (parent, args, context) => {
+                                const data = await context.load();
+                                const names = distinct((data.byActor.get(parent.name) ?? []).map(appearance => appearance.movieName))
+                                    .filter(name => args.phase === undefined || data.movieInfo.get(name)?.phase === args.phase);
+                                return page(this.#sortByMovie(data, names, args.sort, name => name), args)
+                                    .map(name => this.#movie(data, name));
+                            }
+                        },
+                        characters: {
+                            type: '[Character!]!',
+                            description: 'Characters they played, in order of first appearance',
+                            args: { limit: LIMIT_ARG },
+                            listSize: 3,
+                            resolve: async (parent, args, context) => {
+                                const data = await context.load();
+                                const ids = distinct((data.byActor.get(parent.name) ?? [])
+                                    .map(appearance => appearance.characterId)
+                                    .filter(id => id !== null));
+                                return page(ids, args).map(id => character(data, id));
+                            }
+                        }
+                    }
+                },
+                Movie: {
+                    description: 'A tracked movie',
+                    fields: {
+                        id: { type: 'Int!', description: 'TMDB movie ID' },
+                        name: { type: 'String!' },
+                        releaseDate: { type: 'String', description: 'YYYY-MM-DD' },
+                        releaseYear: { type: 'Int' },
+                        runtime: { type: 'Int', description: 'Minutes' },
+                        posterPath: { type: 'String', description: 'TMDB image path' },
+                        phase: { type: 'Int', description: 'MCU phase, null outside the MCU' },
+                        cast: {
+                            type: '[Appearance!]!',
+                            description: 'Tracked actors credited in the movie, in billing order',
+                            args: {
+                                excludeActors: { type: '[String!]', description: 'Tracked actors to leave out' },
+                                limit: LIMIT_ARG
+                            },
+                            listSize: NESTED_LIST_SIZE,
+                            resolve: async (parent, args, context) => {
+                                const data = await context.load();
+                                const excluded = new Set((args.excludeActors ?? []).map(name => this.#requireActor(name)));
+                                const cast = (data.byMovie.get(parent.name) ?? []).filter(appearance => !excluded.has(appearance.actorName));
+                                return page(cast, args);
+                            }
+                        },
+                        characters: {
+                            type: '[Character!]!',
+                            description: 'Characters played by tracked actors in the movie, in billing order',
+                            args: { limit: LIMIT_ARG },
+                            listSize: NESTED_LIST_SIZE,
+                            resolve: async (parent, args, context) => {
+                                const data = await context.load();
+                                const ids = distinct((data.byMovie.get(parent.name) ?? [])
+                                    .map(appearance => appearance.characterId)
+                                    .filter(id => id !== null));
+                                return page(ids, args).map(id => character(data, id));
+                            }
+                        }
+                    }
+                },
+                Character: {
+                    description: 'A character, with its credited names grouped as in /recasts',
+                    fields: {
+                        id: { type: 'ID!' },
+                        name: { type: 'String!', description: 'Most common credited name' },
+                        actorCount: {
+                            type: 'Int!',
+                            description: 'Number of tracked actors who played the character',
+                            resolve: async (parent, _, context) => {
+                                const appearances = (await context.load()).byCharacter.get(parent.id) ?? [];
+                                return distinct(appearances.map(appearance => appearance.actorName)).length;
+                            }
+                        },
+                        actors: {
+                            type: '[Actor!]!',
+                            description: 'Tracked actors who played the character, in order of first appearance',
+                            args: { limit: LIMIT_ARG },
+                            listSize: 3,
+                            resolve: async (parent, args, context) => {
+                                const appearances = (await context.load()).byCharacter.get(parent.id) ?? [];
+                                return page(distinct(appearances.map(appearance => appearance.actorName)), args).map(actor);
+                            }
+                        },
+                        appearances: {
+                            type: '[Appearance!]!',
+                            description: 'Credits of the character in tracked movies',
+                            args: {
+                                actor: { type: 'String', description: 'Tracked actor name' },
+                                sort: SORT_ARG,
+                                limit: LIMIT_ARG
+                            },
+                            listSize: NESTED_LIST_SIZE,
+                            resolve: async (parent, args, context) => {
+                                const data = await context.load();
+                                const actorName = args.actor === undefined ? null : this.#requireActor(args.actor);
+                                const appearances = (data.byCharacter.get(parent.id) ?? [])
+                                    .filter(appearance => actorName === null || appearance.actorName === actorName);
+                                return page(this.#sortByMovie(data, appearances, args.sort, appearance => appearance.movieName), args);
+                            }
+                        }
+                    }
+                },
+                Appearance: {
+                    description: 'A tracked actor credited in a tracked movie',
+                    fields: {
+                        actor: { type: 'Actor!', resolve: parent => actor(parent.actorName) },
+                        movie: {
+                            type: 'Movie!',
+                            resolve: async (parent, _, context) => this.#movie(await context.load(), parent.movieName)
+                        },
+                        character: {
+                            type: 'Character',
+                            description: 'Null when the credit names no character',
+                            resolve: async (parent, _, context) =>
+                                parent.characterId === null ? null : character(await context.load(), parent.characterId)
+                        },
+                        characterName: { type: 'String!', description: 'Character as credited in this movie' },
+                        billingOrder: { type: 'Int' }
+                    }
+                },
+                MovieSort: {
+                    kind: 'enum',
+                    description: 'releaseDate: oldest first; phase: by MCU phase, then release date',
+                    values: MOVIE_SORTS
+                }
+            }
+        };
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * @typedef {Object} Readiness
+ * @property {boolean} ready
+ * @property {'ready'|'not-ready'|'draining'} status
+ * @property {{
+ *   tmdbConfig: {ok: boolean},
+ *   cacheWarm: {ok: boolean, required: boolean, lastFetchedAt: string|null, error?: string},
+ *   lastFetch: {ok: boolean, consecutiveFailures: number|null, lastError: Object|null, error?: string}
+ * }} checks
+ */
+
+/**
+ * Answers liveness and readiness probes from the state of the app's dependencies.
+ */
+export class HealthService {
+    #movieDataService;
+    #isTmdbConfigured;
+    #requireWarmCache;
+    #now;
+    #startedAt;
+    #draining = false;
+
+    /**
+     * @param {Object} options
+     * @param {import('./movieDataService.js').MovieDataService} options.movieDataService
+     * @param {() => boolean} options.isTmdbConfigured - Whether TMDB credentials are set, see tmdbService
+     * @param {boolean} [options.requireWarmCache=false] - Whether the app is only ready once data is cached,
+     *   for when the cache is warmed up at startup
+     * @param {() => number} [options.now] - Clock function, injectable for tests
+     */
+    constructor({ movieDataService, isTmdbConfigured, requireWarmCache = false, now = Date.now }) {
+        this.#movieDataService = movieDataService;
+        this.#isTmdbConfigured = isTmdbConfigured;
+        this.#requireWarmCache = requireWarmCache;
+        this.#now = now;
+        this.#startedAt = now();
+    }
+
+    /**
+     * Marks the app as shutting down, so readiness fails and traffic moves elsewhere
+     * while requests in flight finish.
+     */
+    startDraining() {
+        this.#draining = true;
+    }
+
+    /**
+     * Reports that the process is up. Dependencies are left to readiness, so a TMDB
+     * outage doesn't get the process restarted.
+     * @returns {{status: 'ok', uptimeMs: number}}
+     */
+    getLiveness() {
+        return { status: 'ok', uptimeMs: this.#now() - this.#startedAt };
+    }
+
+    /**
+     * Checks whether the app can serve data: TMDB is configured, and either data is
+     * cached or the last fetch succeeded. A warm cache is only required with
+     * requireWarmCache, since a cold cache is otherwise filled by the first request.
+     * A failed refresh doesn't make an app with cached data unready, as it keeps serving that data.
+     * @returns {Promise<Readiness>}
+     */
+    async getReadiness() {
+        const tmdbConfig = { ok: this.#isTmdbConfigured() };
+        let cacheWarm;
+        let lastFetch;
+
+        try {
+            const status = await this.#movieDataService.getCacheStatus();
+            cacheWarm = { ok: status.cached, required: this.#requireWarmCache, lastFetchedAt: status.lastFetchedAt };
+            lastFetch = {
+                ok: status.consecutiveFailures === 0,
+                consecutiveFailures: status.consecutiveFailures,
+                lastError: status.lastError
+            };
+        } catch (error) {
+            // The cache store itself is down, e.g. Redis is unreachable
+            cacheWarm = { ok: false, required: this.#requireWarmCache, lastFetchedAt: null, error: error.message };
+            lastFetch = { ok: false, consecutiveFailures: null, lastError: null, error: error.message };
+        }
+
+        const ready = !this.#draining
+            && tmdbConfig.ok
+            && (cacheWarm.ok || !this.#requireWarmCache)
+            && (cacheWarm.ok || lastFetch.ok);
+
+        return {
+            ready,
+            status: this.#draining ? 'draining' : ready ? 'ready' : 'not-ready',
+            checks: { tmdbConfig, cacheWarm, lastFetch }
+        };
+    }
+}
@@ -1,100 +1,1015 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
 import {
     buildMoviesPerActor,
     buildActorsWithMultipleCharacters,
-    buildCharactersWithMultipleActors
+    buildCharactersWithMultipleActors,
+    buildCharacterMatchReport,
+    buildActorCharacterMatchReport,
+    buildActorFilmography,
+    buildMovieCast,
+    buildTimeline,
+    buildCollaborationGraph,
+    findCollaborationPath,
+    buildRecastHistory,
+    buildCrewPerPerson,
+    buildActorsOnCrew,
+    buildAppearances,
+    mergePerPerson,
+    diffCredits
 } from '../utils/dataProcessor.js';
+import { MemoryCacheStore } from '../cache/memoryCacheStore.js';
+import { TrackingRegistry } from './trackingRegistry.js';
+import { summarizeMovieDetails, createMovieComparator } from '../utils/movieDetails.js';
+import { mcuPhases as defaultMcuPhases } from '../data/mcuPhases.js';
+import { TmdbError } from '../utils/errors.js';
+import { metrics as appMetrics } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+// Cache keys. Raw credits are stored per movie and each build* output separately,
+// so a lost processed entry can be rebuilt without calling TMDB again.
+const META_KEY = 'meta';
+const creditsKey = movieId => `credits:${movieId}`;
+const creditsMetaKey = movieId => `creditsMeta:${movieId}`;
+const processedKey = name => `processed:${name}`;
+const processedPartsKey = name => `processedParts:${name}`;
+const detailsKey = movieId => `details:${movieId}`;
+
+// Processed structures, each built from the credits and the tracked actor and crew filters.
+// `uses` lists the parts of the credits a structure is built from: a refresh only
+// rebuilds the structures whose parts changed in some movie. Structures with `buildMovie`
+// are built one movie at a time and merged, so only the changed movies are rebuilt;
+// the others span every movie (e.g. character clustering) and are rebuilt whole.
+const BUILDERS = {
+    moviesPerActor: {
+        uses: ['cast'],
+        buildMovie: ({ movieCredits, actorFilter }) => buildMoviesPerActor([movieCredits], actorFilter),
+        merge: mergePerPerson
+    },
+    actorsWithMultipleCharacters: {
+        uses: ['cast'],
+        build: ({ creditsData, actorFilter }) => buildActorsWithMultipleCharacters(creditsData, actorFilter)
+    },
+    charactersWithMultipleActors: {
+        uses: ['cast'],
+        build: ({ creditsData, actorFilter }) => buildCharactersWithMultipleActors(creditsData, actorFilter)
+    },
+    collaborations: {
+        uses: ['cast'],
+        build: ({ creditsData, actorFilter }) => buildCollaborationGraph(creditsData, actorFilter)
+    },
+    crewPerPerson: {
+        uses: ['crew'],
+        buildMovie: ({ movieCredits, crewFilter }) => buildCrewPerPerson([movieCredits], crewFilter),
+        merge: mergePerPerson
+    },
+    actorsOnCrew: {
+        uses: ['cast', 'crew'],
+        build: ({ creditsData, actorFilter, crewFilter }) => buildActorsOnCrew(creditsData, actorFilter, crewFilter)
+    },
+    appearances: {
+        uses: ['cast'],
+        build: ({ creditsData, actorFilter }) => buildAppearances(creditsData, actorFilter)
+    }
+};
+
+const CREDIT_PARTS = ['cast', 'crew'];
+
+/**
+ * Fingerprints the cast and crew of each movie, so a later build can tell
+ * which parts of which movies changed since.
+ * @param {Array<{movieName: string, credits: Object}>} creditsData
+ * @returns {Object.<string, {cast: string, crew: string}>} Fingerprints per movie name
+ */
+function fingerprintCredits(creditsData) {
+    const hash = value => createHash('sha256').update(JSON.stringify(value ?? [])).digest('hex').slice(0, 16);
+    return Object.fromEntries(creditsData.map(({ movieName, credits }) => [
+        movieName,
+        { cast: hash(credits?.cast), crew: hash(credits?.crew) }
+    ]));
+}
+
+/**
+ * Lists the movies whose credits differ between two fingerprints, in one of the given parts.
+ * Movies only in `after` count as changed; movies only in `before` are ignored.
+ * @param {Object.<string, {cast: string, crew: string}>} before
+ * @param {Object.<string, {cast: string, crew: string}>} after
+ * @param {string[]} [parts] - Parts of the credits to compare
+ * @returns {string[]} Names of the changed movies
+ */
+function changedMovies(before, after, parts = CREDIT_PARTS) {
+    return Object.keys(after).filter(name => parts.some(part => before[name]?.[part] !== after[name][part]));
+}
+
+/**
+ * Checks whether a diff of credits found nothing.
+ * @param {import('../utils/dataProcessor.js').CreditsDiff} diff
+ * @returns {boolean}
+ */
+function isEmptyDiff(diff) {
+    return Object.values(diff).every(({ added, removed }) => added.length === 0 && removed.length === 0);
+}
+
+/**
+ * Describes a fetch where every movie failed, most likely for the same reason; reports the first one's.
+ * @param {Array<{reason?: string, status?: number|null, retryAfterMs?: number|null}>} failures
+ * @param {string} what - What could not be fetched, e.g. "fetch credits"
+ * @returns {TmdbError}
+ */
+function allFailedError(failures, what) {
+    const [{ reason = 'failed', status = null, retryAfterMs = null }] = failures;
+    return new TmdbError(reason, `Failed to ${what} for all ${failures.length} movies`, {
+        upstreamStatus: status,
+        retryAfterMs
+    });
+}
+
+// Names of the movies missing from the data served within collectFailedMovies
+const failedMoviesScope = new AsyncLocalStorage();
+
+/**
+ * Runs a function, adding the movies missing from any partial data a MovieDataService
+ * serves to it, or to code it awaits, to a set. Data misses the movies whose credits
+ * TMDB could not be asked for; such partial data is never cached.
+ * @template T
+ * @param {Set<string>} failedMovies - Where the missing movie names are added
+ * @param {() => T} callback
+ * @returns {T} What the callback returns
+ */
+export function collectFailedMovies(failedMovies, callback) {
+    return failedMoviesScope.run(failedMovies, callback);
+}
+
+/**
+ * @typedef {Object} RefreshSummary
+ * What a refresh did, emitted as the service's "refresh" event and reported in the cache status.
+ * @property {string} at - When the refresh finished
+ * @property {'incremental'|'full'} mode - Whether cached credits were checked for changes or all refetched
+ * @property {number} checked - Movies whose cached credits were checked for changes
+ * @property {string[]} refetched - Movies whose credits were downloaded
+ * @property {string[]} changed - Movies whose cast or crew differ from before
+ * @property {string[]} rebuilt - Processed structures rebuilt from the new credits
+ * @property {string[]} updated - Structures of `rebuilt` where only the changed movies were rebuilt
+ * @property {string[]} failedMovies - Movies left out of the results
+ * @property {import('../utils/dataProcessor.js').CreditsDiff} diff - Tracked actors, characters and recasts added or removed
+ */
 
 /**
  * Service for fetching and processing Marvel movie data.
  * Uses dependency injection for flexibility and testability.
+ * Emits "refresh" with a RefreshSummary after each successful refresh, and "change" with
+ * `{ at, changed, diff }` whenever fetched credits differ from the ones data was built from before.
  */
-export class MovieDataService {
-    #cache = null;
+export class MovieDataService extends EventEmitter {
     #fetchPromise = null;
     #tmdbService;
-    #movies;
-    #actorFilter;
+    #cacheStore;
+    #trackingRegistry;
+    #actorResolver;
+    #mcuPhases;
+    #cacheTtlMs;
+    #now;
+    #metrics;
+    #lastError = null;
+    #failureCount = 0;
+    #consecutiveFailures = 0;
+    #lastRefresh = null;
 
     /**
      * @param {Object} options
-     * @param {Object} options.tmdbService - TMDB API service with getAllMoviesCredits method
-     * @param {Object.<string, number>} options.movies - Map of movie names to TMDB IDs
-     * @param {string[]} options.actors - List of actor names to track
+     * @param {Object} options.tmdbService - TMDB API service with getAllMoviesCredits resolving to
+     *   `{ credits, failures }`, and checkAllMoviesCredits to `{ updates, failures }` for refreshes
+     * @param {TrackingRegistry} [options.trackingRegistry] - Tracked movies and actors, editable at runtime
+     * @param {Object.<string, number>} [options.movies] - Map of movie names to TMDB IDs, used
+     *   when no trackingRegistry is given
+     * @param {string[]} [options.actors] - List of actor names to track, used when no trackingRegistry is given
+     * @param {string[]} [options.crew] - List of crew member names to track, used when no trackingRegistry is given
+     * @param {import('./actorResolver.js').ActorResolver} [options.actorResolver] - Resolves actors to
+     *   TMDB person IDs; without it actors are matched by name
+     * @param {Object.<number, number>} [options.mcuPhases] - MCU phase per TMDB movie ID, see data/mcuPhases.js
+     * @param {import('../cache/memoryCacheStore.js').CacheStore} [options.cacheStore] - Where raw credits
+     *   and processed data are kept; defaults to an in-memory store
+     * @param {number} [options.cacheTtlMs=0] - How long cached data stays fresh; 0 keeps it forever
+     * @param {() => number} [options.now] - Clock function, injectable for tests
+     * @param {import('../utils/metrics.js').AppMetrics} [options.metrics] - Where cache lookups and
+     *   processing time are recorded; defaults to the app's metrics
      */
-    constructor({ tmdbService, movies, actors }) {
+    constructor({
+        tmdbService,
+        movies,
+        actors,
+        crew,
+        trackingRegistry = new TrackingRegistry({ movies, actors, crew }),
+        actorResolver = null,
+        mcuPhases = defaultMcuPhases,
+        cacheStore = new MemoryCacheStore(),
+        cacheTtlMs = 0,
+        now = Date.now,
+        metrics = appMetrics
+    }) {
+        super();
         this.#tmdbService = tmdbService;
-        this.#movies = movies;
-        this.#actorFilter = new Set(actors);
+        this.#cacheStore = cacheStore;
+        this.#trackingRegistry = trackingRegistry;
+        this.#actorResolver = actorResolver;
+        this.#mcuPhases = mcuPhases;
+        this.#cacheTtlMs = cacheTtlMs;
+        this.#now = now;
+        this.#metrics = metrics;
+
+        trackingRegistry.on('change', change => {
+            this.#onTrackingChange(change).catch(error => {
+                logger.warn({ err: error, change }, 'Failed to drop cached credits of untracked movie');
+            });
+        });
+    }
+
+    /**
+     * Reacts to an edit of the tracked set. Processed data is rebuilt lazily because
+     * cached results are tied to the tracked set's fingerprint, and credits of other
+     * movies stay cached, so only a newly added movie is fetched from TMDB.
+     * A removed movie's credits are dropped; a renamed movie keeps them, as credits are cached by TMDB ID.
+     * @param {import('./trackingRegistry.js').TrackingChange} change
+     * @returns {Promise<void>}
+     */
+    async #onTrackingChange(change) {
+        if (change.type === 'movieRemoved') {
+            await Promise.all([
+                this.#cacheStore.delete(creditsKey(change.movie.id)),
+                this.#cacheStore.delete(creditsMetaKey(change.movie.id)),
+                this.#cacheStore.delete(detailsKey(change.movie.id))
+            ]);
+        }
+    }
+
+    /**
+     * Gets one processed data structure, fetching from TMDB if not cached.
+     * Stale data is served immediately while a refresh runs in the background
+     * (stale-while-revalidate). Concurrent requests share a single fetch.
+     * Movies missing from freshly fetched data are reported to collectFailedMovies.
+     * @param {keyof BUILDERS} name - Which processed structure to return
+     * @returns {Promise<Object>} Processed movie data
+     */
+    async #getProcessedData(name) {
+        const meta = await this.#cacheStore.get(META_KEY);
+
+        // Processed data built for a different tracked set is treated as missing
+        if (meta?.trackedSet === this.#trackingRegistry.fingerprint()) {
+            if (this.#isStale(meta.fetchedAt)) {
+                this.#refreshInBackground();
+            }
+
+            const cached = await this.#cacheStore.get(processedKey(name));
+            this.#recordLookup('processed', cached !== undefined);
+            if (cached !== undefined) {
+                return cached;
+            }
+        } else {
+            this.#recordLookup('processed', false);
+        }
+
+        const data = await this.#fetch();
+        const failedMovies = failedMoviesScope.getStore();
+        for (const { movieName } of data.failedMovies) failedMovies?.add(movieName);
+        return data[name];
+    }
+
+    /**
+     * Records a cache lookup in the hit and miss counters.
+     * @param {'processed'|'credits'|'details'} kind - Kind of cache entry
+     * @param {boolean} hit
+     */
+    #recordLookup(kind, hit) {
+        this.#metrics.cacheLookups.inc({ kind, result: hit ? 'hit' : 'miss' });
+    }
+
+    /**
+     * Runs a dataProcessor builder, recording the time it took.
+     * @template T
+     * @param {string} builder - Name of the built structure
+     * @param {() => T} build
+     * @returns {T}
+     */
+    #timed(builder, build) {
+        const endTimer = this.#metrics.processingDuration.startTimer({ builder });
+        try {
+            return build();
+        } finally {
+            endTimer();
+        }
+    }
+
+    /**
+     * Checks whether data fetched at the given time is older than the configured TTL.
+     * @param {number|undefined} fetchedAt - Timestamp of the last successful fetch
+     * @returns {boolean}
+     */
+    #isStale(fetchedAt) {
+        if (fetchedAt === undefined || this.#cacheTtlMs <= 0) return false;
+        return this.#now() - fetchedAt >= this.#cacheTtlMs;
     }
 
     /**
-     * Gets all processed data, fetching from TMDB if not cached.
-     * Handles concurrent requests to prevent duplicate fetches.
+     * Starts an incremental refresh without waiting for it. Failures are logged and the
+     * stale data keeps being served until a refresh succeeds.
+     */
+    #refreshInBackground() {
+        if (this.#fetchPromise) return;
+
+        this.#fetch({ mode: 'incremental' }).catch(error => {
+            logger.warn({ err: error }, 'Background cache refresh failed, serving stale data');
+        });
+    }
+
+    /**
+     * Fetches and processes data, deduplicating concurrent calls.
+     * The in-flight promise is always cleared when it settles, so a failed
+     * fetch does not affect later requests.
+     * @param {Object} [options]
+     * @param {'cached'|'incremental'|'full'} [options.mode='cached'] - Whether cached credits are used
+     *   as they are, checked for changes, or all refetched
      * @returns {Promise<Object>} Processed movie data
      */
-    async #getProcessedData() {
-        if (this.#cache) {
-            return this.#cache;
+    #fetch({ mode = 'cached' } = {}) {
+        if (!this.#fetchPromise) {
+            this.#fetchPromise = this.#fetchAndProcess({ mode })
+                .then(data => {
+                    this.#consecutiveFailures = 0;
+                    this.#lastError = null;
+                    return data;
+                })
+                .catch(error => {
+                    this.#failureCount++;
+                    this.#consecutiveFailures++;
+                    this.#lastError = { message: error.message, at: this.#now() };
+                    throw error;
+                })
+                .finally(() => {
+                    this.#fetchPromise = null;
+                });
+        }
+
+        return this.#fetchPromise;
+    }
+
+    /**
+     * Loads credits for all tracked movies, calling TMDB only for movies whose
+     * credits are not cached, plus the cached ones that changed on an incremental
+     * refresh (or every movie on a full one), and processes them into the data structures.
+     * Structures whose inputs did not change since they were cached are reused.
+     * Movies that failed to fetch are left out of the results and reported in `failedMovies`.
+     * Partial results are returned but not cached, so the next request retries the failed movies.
+     * @param {Object} options
+     * @param {'cached'|'incremental'|'full'} options.mode - See #fetch
+     * @returns {Promise<Object>} Object containing all processed data structures
+     * @throws {TmdbError} If credits could not be fetched, or checked, for any movie
+     */
+    async #fetchAndProcess({ mode }) {
+        // Captured before loading, so results of a set edited mid-fetch are never cached as current
+        const trackedSet = this.#trackingRegistry.fingerprint();
+        const meta = await this.#cacheStore.get(META_KEY);
+        const actorFilter = await this.#getActorFilter();
+        const { creditsData, previousData, failures, checked, refetched } = await this.#loadCredits({ mode });
+        // Details only enrich results, so they are fetched next to the credits but never fail the fetch
+        await this.#loadMovieDetails(this.#getMoviesArray(), { force: mode === 'full' });
+
+        if (creditsData.length === 0 && failures.length > 0) {
+            throw allFailedError(failures, 'fetch credits');
+        }
+
+        const sources = fingerprintCredits(creditsData);
+        // Cached structures were built from the credits fingerprinted in the metadata
+        const builtFrom = meta?.trackedSet === trackedSet ? meta.sources : undefined;
+        const processed = {};
+        const processedParts = {};
+        const rebuilt = [];
+        const updated = [];
+        const inputs = { creditsData, actorFilter, crewFilter: this.#getCrewFilter() };
+        for (const [name, builder] of Object.entries(BUILDERS)) {
+            const unchanged = builtFrom !== undefined &&
+                Object.keys(builtFrom).length === Object.keys(sources).length &&
+                changedMovies(builtFrom, sources, builder.uses).length === 0;
+            const cached = unchanged ? await this.#cacheStore.get(processedKey(name)) : undefined;
+            if (cached !== undefined) {
+                processed[name] = cached;
+                continue;
+            }
+
+            rebuilt.push(name);
+            if (builder.buildMovie) {
+                const { data, parts, patched } = await this.#buildPerMovie(name, builder, inputs, { builtFrom, sources });
+                processed[name] = data;
+                processedParts[name] = parts;
+                if (patched) updated.push(name);
+            } else {
+                processed[name] = this.#timed(name, () => builder.build(inputs));
+            }
         }
 
-        if (this.#fetchPromise) {
-            return this.#fetchPromise;
+        if (failures.length > 0) {
+            logger.warn({ failedMovies: failures.map(f => f.movieName) }, 'Serving partial movie data');
+        } else {
+            await Promise.all([
+                ...rebuilt.map(name => this.#cacheStore.set(processedKey(name), processed[name])),
+                ...Object.entries(processedParts).map(([name, parts]) => this.#cacheStore.set(processedPartsKey(name), parts))
+            ]);
+            await this.#cacheStore.set(META_KEY, { fetchedAt: this.#now(), trackedSet, sources });
         }
 
-        this.#fetchPromise = this.#fetchAndProcess();
-        this.#cache = await this.#fetchPromise;
-        this.#fetchPromise = null;
+        // The first build has nothing to compare with
+        const builtBefore = meta !== undefined;
+        if (mode !== 'cached' || builtBefore) {
+            const at = new Date(this.#now()).toISOString();
+            const { changed, diff } = await this.#diffCredits(previousData, creditsData, actorFilter, {
+                knownMovies: new Set(Object.keys(meta?.sources ?? {}))
+            });
+
+            if (mode !== 'cached') {
+                this.#lastRefresh = {
+                    at,
+                    mode,
+                    checked,
+                    refetched,
+                    changed,
+                    rebuilt,
+                    updated,
+                    failedMovies: failures.map(({ movieName }) => movieName),
+                    diff
+                };
+                this.emit('refresh', this.#lastRefresh);
+            }
+            if (builtBefore && !isEmptyDiff(diff)) {
+                this.emit('change', { at, changed, diff });
+            }
+        }
+
+        return { ...processed, failedMovies: failures };
+    }
+
+    /**
+     * Builds a structure one movie at a time and merges the parts. When the parts cached
+     * with the previous build still apply, only the movies whose credits changed in the
+     * parts the structure uses are rebuilt.
+     * @param {string} name - Name of the structure
+     * @param {{uses: string[], buildMovie: Function, merge: Function}} builder
+     * @param {{creditsData: Array<{movieName: string, credits: Object}>, actorFilter: Object, crewFilter: Object}} inputs
+     * @param {Object} fingerprints
+     * @param {Object|undefined} fingerprints.builtFrom - Credits the cached data was built from, if it applies
+     * @param {Object} fingerprints.sources - Credits being built from
+     * @returns {Promise<{data: Object, parts: Object.<string, Object>, patched: boolean}>} The structure,
+     *   its part per movie name, and whether cached parts were reused
+     */
+    async #buildPerMovie(name, { uses, buildMovie, merge }, { creditsData, ...filters }, { builtFrom, sources }) {
+        const previousParts = builtFrom !== undefined ? await this.#cacheStore.get(processedPartsKey(name)) : undefined;
+        const changed = new Set(previousParts !== undefined ? changedMovies(builtFrom, sources, uses) : Object.keys(sources));
+
+        return this.#timed(name, () => {
+            const parts = {};
+            for (const movieCredits of creditsData) {
+                const { movieName } = movieCredits;
+                const reusable = !changed.has(movieName) && previousParts[movieName] !== undefined;
+                parts[movieName] = reusable ? previousParts[movieName] : buildMovie({ movieCredits, ...filters });
+            }
+            const data = merge(creditsData.map(({ movieName }) => parts[movieName]));
+            return { data, parts, patched: previousParts !== undefined };
+        });
+    }
+
+    /**
+     * Compares the credits from before and after a fetch. Movies that failed this
+     * time are left out of both sides rather than reported as emptied, and so are
+     * movies whose cached credits were lost since the last build, which are neither
+     * new nor comparable. A newly tracked movie's credits are all reported as added.
+     * @param {Array<{movieName: string, credits: Object}>} previousData - Credits cached before the fetch
+     * @param {Array<{movieName: string, credits: Object}>} creditsData - Credits after the fetch
+     * @param {Set<string>|import('../utils/actorMatching.js').ActorMatcher} actorFilter
+     * @param {Object} options
+     * @param {Set<string>} options.knownMovies - Movies the cached processed data was built from
+     * @returns {Promise<{changed: string[], diff: import('../utils/dataProcessor.js').CreditsDiff}>}
+     */
+    async #diffCredits(previousData, creditsData, actorFilter, { knownMovies }) {
+        const previous = new Set(previousData.map(({ movieName }) => movieName));
+        const after = creditsData.filter(({ movieName }) => previous.has(movieName) || !knownMovies.has(movieName));
+        const compared = new Set(after.map(({ movieName }) => movieName));
+        const before = previousData.filter(({ movieName }) => compared.has(movieName));
+
+        const changed = changedMovies(fingerprintCredits(before), fingerprintCredits(after));
+        if (changed.length === 0) {
+            return { changed, diff: diffCredits([], [], actorFilter) };
+        }
 
-        return this.#cache;
+        const movieInfo = await this.getMovieInfo();
+        return { changed, diff: this.#timed('diff', () => diffCredits(before, after, actorFilter, { movieInfo })) };
     }
 
     /**
-     * Fetches all movie credits and processes them into the three data structures.
-     * @returns {Promise<Object>} Object containing all three processed data structures
+     * Loads credits for all tracked movies from the cache store, fetching the
+     * missing ones (or every movie on a full refresh) from TMDB and caching them.
+     * On an incremental refresh, the cached credits are first checked for changes
+     * and replaced by the new ones. A movie that could not be checked keeps its
+     * cached credits, unless no movie could be checked at all.
+     * @param {Object} options
+     * @param {'cached'|'incremental'|'full'} options.mode - See #fetch
+     * @returns {Promise<{
+     *   creditsData: Array<{movieName: string, credits: Object}>,
+     *   previousData: Array<{movieName: string, credits: Object}>,
+     *   failures: Array<Object>,
+     *   checked: number,
+     *   refetched: string[]
+     * }>} The credits, the ones cached before, the movies that failed and what was requested from TMDB
+     * @throws {TmdbError} If no cached movie could be checked for changes
      */
-    async #fetchAndProcess() {
+    async #loadCredits({ mode }) {
         const moviesArray = this.#getMoviesArray();
-        const creditsData = await this.#tmdbService.getAllMoviesCredits(moviesArray);
+        const previousById = new Map();
+
+        const cachedCredits = await Promise.all(
+            moviesArray.map(({ id }) => this.#cacheStore.get(creditsKey(id)))
+        );
+        moviesArray.forEach(({ id }, index) => {
+            if (mode !== 'full') this.#recordLookup('credits', cachedCredits[index] !== undefined);
+            if (cachedCredits[index] !== undefined) {
+                previousById.set(id, cachedCredits[index]);
+            }
+        });
+
+        const creditsById = new Map(mode === 'full' ? [] : previousById);
+        const refetched = [];
+        let checked = 0;
+
+        if (mode === 'incremental' && creditsById.size > 0) {
+            const cached = moviesArray.filter(({ id }) => creditsById.has(id));
+            checked = cached.length;
+            refetched.push(...await this.#checkCachedCredits(cached, creditsById));
+        }
+
+        const missing = moviesArray.filter(({ id }) => !creditsById.has(id));
+        let failures = [];
+
+        if (missing.length > 0) {
+            const idByName = new Map(missing.map(({ name, id }) => [name, id]));
+            const fetchedAt = this.#now();
+            const result = await this.#tmdbService.getAllMoviesCredits(missing);
+            failures = result.failures;
+
+            await Promise.all(result.credits.map(({ movieName, credits, etag = null }) => {
+                const id = idByName.get(movieName);
+                creditsById.set(id, credits);
+                refetched.push(movieName);
+                return Promise.all([
+                    this.#cacheStore.set(creditsKey(id), credits),
+                    this.#cacheStore.set(creditsMetaKey(id), { etag, fetchedAt, checkedAt: fetchedAt })
+                ]);
+            }));
+        }
+
+        const toCreditsData = byId => moviesArray
+            .filter(({ id }) => byId.has(id))
+            .map(({ name, id }) => ({ movieName: name, credits: byId.get(id) }));
 
         return {
-            moviesPerActor: buildMoviesPerActor(creditsData, this.#actorFilter),
-            actorsWithMultipleCharacters: buildActorsWithMultipleCharacters(creditsData, this.#actorFilter),
-            charactersWithMultipleActors: buildCharactersWithMultipleActors(creditsData, this.#actorFilter)
+            creditsData: toCreditsData(creditsById),
+            previousData: toCreditsData(previousById),
+            failures,
+            checked,
+            refetched
         };
     }
 
+    /**
+     * Checks cached credits for changes in TMDB, replacing the changed ones in
+     * `creditsById` and in the cache store, and recording when each was checked.
+     * @param {Array<{name: string, id: number}>} movies - Movies with cached credits
+     * @param {Map<number, Object>} creditsById - Cached credits, updated in place
+     * @returns {Promise<string[]>} Names of the movies whose credits were downloaded again
+     * @throws {TmdbError} If no movie could be checked
+     */
+    async #checkCachedCredits(movies, creditsById) {
+        const metas = await Promise.all(movies.map(({ id }) => this.#cacheStore.get(creditsMetaKey(id))));
+        // Taken before asking, so changes made during the check are found next time
+        const checkedAt = this.#now();
+        const { updates, failures } = await this.#tmdbService.checkAllMoviesCredits(
+            movies.map(({ name, id }, index) => ({ name, id, etag: metas[index]?.etag ?? null, checkedAt: metas[index]?.checkedAt }))
+        );
+
+        if (updates.length === 0 && failures.length > 0) {
+            throw allFailedError(failures, 'check credits');
+        }
+        if (failures.length > 0) {
+            logger.warn({ failedMovies: failures.map(f => f.movieName) }, 'Keeping cached credits that could not be checked');
+        }
+
+        const indexByName = new Map(movies.map(({ name }, index) => [name, index]));
+        await Promise.all(updates.map(({ movieName, update }) => {
+            const index = indexByName.get(movieName);
+            const { id } = movies[index];
+            const writes = [this.#cacheStore.set(creditsMetaKey(id), {
+                etag: update.etag,
+                fetchedAt: update.changed ? checkedAt : metas[index]?.fetchedAt ?? null,
+                checkedAt
+            })];
+            if (update.changed) {
+                creditsById.set(id, update.credits);
+                writes.push(this.#cacheStore.set(creditsKey(id), update.credits));
+            }
+            return Promise.all(writes);
+        }));
+
+        return updates.filter(({ update }) => update.changed).map(({ movieName }) => movieName);
+    }
+
+    /**
+     * Gets raw credits for all tracked movies, making sure data has been fetched first
+     * so concurrent callers share the regular fetch instead of calling TMDB themselves.
+     * @returns {Promise<Array<{movieName: string, credits: Object}>>}
+     */
+    async #getCreditsData() {
+        await this.#getProcessedData('moviesPerActor');
+        const { creditsData } = await this.#loadCredits({ mode: 'cached' });
+        return creditsData;
+    }
+
+    /**
+     * Loads details (release date, runtime, poster) for the given movies from the
+     * cache store, fetching the missing ones (or every movie when forced) from TMDB.
+     * Only the fields used here are cached. Movies whose details could not be
+     * fetched map to null and are retried next time.
+     * @param {Array<{name: string, id: number}>} movies
+     * @param {Object} [options]
+     * @param {boolean} [options.force=false] - Refetch details even if they are cached
+     * @returns {Promise<Map<number, Object|null>>} Summarized details per movie ID
+     */
+    async #loadMovieDetails(movies, { force = false } = {}) {
+        const detailsById = new Map(movies.map(({ id }) => [id, null]));
+
+        if (!force) {
+            const cached = await Promise.all(movies.map(({ id }) => this.#cacheStore.get(detailsKey(id))));
+            movies.forEach(({ id }, index) => {
+                this.#recordLookup('details', cached[index] !== undefined);
+                if (cached[index] !== undefined) detailsById.set(id, cached[index]);
+            });
+        }
+
+        const missing = movies.filter(({ id }) => detailsById.get(id) === null);
+        if (missing.length === 0) return detailsById;
+
+        try {
+            const idByName = new Map(missing.map(({ name, id }) => [name, id]));
+            const { details } = await this.#tmdbService.getAllMoviesDetails(missing);
+
+            await Promise.all(details.map(({ movieName, details: movie }) => {
+                const id = idByName.get(movieName);
+                detailsById.set(id, summarizeMovieDetails(movie));
+                return this.#cacheStore.set(detailsKey(id), detailsById.get(id));
+            }));
+        } catch (error) {
+            logger.warn({ err: error }, 'Failed to fetch movie details');
+        }
+
+        return detailsById;
+    }
+
+    /**
+     * Gets details and MCU phase of every tracked movie, keyed by tracked name.
+     * @returns {Promise<Map<string, import('../utils/movieDetails.js').MovieInfo>>}
+     */
+    async getMovieInfo() {
+        const moviesArray = this.#getMoviesArray();
+        const details = await this.#loadMovieDetails(moviesArray);
+
+        return new Map(moviesArray.map(({ name, id }) => [name, {
+            id,
+            releaseDate: details.get(id)?.releaseDate ?? null,
+            runtime: details.get(id)?.runtime ?? null,
+            posterPath: details.get(id)?.posterPath ?? null,
+            phase: this.#mcuPhases[id] ?? null
+        }]));
+    }
+
+    /**
+     * Sorts the movie-related list of every entry of a processed result.
+     * The cached result is not modified.
+     * @template T
+     * @param {Object.<string, T[]>} data - Processed result
+     * @param {'releaseDate'|'phase'|undefined} sort - No sorting when undefined
+     * @param {(item: T) => string} movieNameOf - Movie of a list item
+     * @returns {Promise<Object.<string, T[]>>}
+     */
+    async #sortMovies(data, sort, movieNameOf) {
+        if (!sort) return data;
+
+        const compareMovies = createMovieComparator(sort, await this.getMovieInfo());
+        return Object.fromEntries(Object.entries(data).map(([key, items]) => [
+            key,
+            [...items].sort((a, b) => compareMovies(movieNameOf(a), movieNameOf(b)))
+        ]));
+    }
+
     /**
      * Converts the movies object to an array format for the TMDB service.
      * @returns {Array<{name: string, id: number}>}
      */
     #getMoviesArray() {
-        return Object.entries(this.#movies).map(([name, id]) => ({ name, id }));
+        return Object.entries(this.#trackingRegistry.getMovies()).map(([name, id]) => ({ name, id }));
+    }
+
+    /**
+     * Gets a filter for the currently tracked actors: a matcher by TMDB person ID
+     * when an actor resolver is configured, otherwise the set of names.
+     * @returns {Promise<Set<string>|import('../utils/actorMatching.js').ActorMatcher>}
+     */
+    async #getActorFilter() {
+        const actors = this.#trackingRegistry.getActors();
+        if (!this.#actorResolver) return new Set(actors);
+
+        const { matcher } = await this.#actorResolver.resolve(actors);
+        return matcher;
+    }
+
+    /**
+     * Gets the tracked crew members to match crew credits against. Crew members
+     * are matched by name, ignoring case, diacritics and punctuation.
+     * @returns {Set<string>}
+     */
+    #getCrewFilter() {
+        return new Set(this.#trackingRegistry.getCrew());
     }
 
     /**
      * Gets the map of actors to movies they appeared in.
+     * @param {Object} [options]
+     * @param {'releaseDate'|'phase'} [options.sort] - Movie order; tracked order by default
      * @returns {Promise<Object.<string, string[]>>}
      */
-    async getMoviesPerActor() {
-        const data = await this.#getProcessedData();
-        return data.moviesPerActor;
+    async getMoviesPerActor({ sort } = {}) {
+        return this.#sortMovies(await this.#getProcessedData('moviesPerActor'), sort, movieName => movieName);
     }
 
     /**
      * Gets actors who played multiple distinct characters.
+     * @param {Object} [options]
+     * @param {'releaseDate'|'phase'} [options.sort] - Order of each actor's characters; tracked order by default
      * @returns {Promise<Object.<string, Array<{movieName: string, characterName: string}>>>}
      */
-    async getActorsWithMultipleCharacters() {
-        const data = await this.#getProcessedData();
-        return data.actorsWithMultipleCharacters;
+    async getActorsWithMultipleCharacters({ sort } = {}) {
+        return this.#sortMovies(
+            await this.#getProcessedData('actorsWithMultipleCharacters'), sort, item => item.movieName
+        );
     }
 
     /**
      * Gets characters played by multiple actors.
+     * @param {Object} [options]
+     * @param {'releaseDate'|'phase'} [options.sort] - Order of each character's appearances; tracked order by default
      * @returns {Promise<Object.<string, Array<{movieName: string, actorName: string}>>>}
      */
-    async getCharactersWithMultipleActors() {
-        const data = await this.#getProcessedData();
-        return data.charactersWithMultipleActors;
+    async getCharactersWithMultipleActors({ sort } = {}) {
+        return this.#sortMovies(
+            await this.#getProcessedData('charactersWithMultipleActors'), sort, item => item.movieName
+        );
+    }
+
+    /**
+     * Gets the crew credits (department and job per movie) of each tracked crew member.
+     * @returns {Promise<Object.<string, Array<{movieName: string, department: string, job: string}>>>}
+     */
+    async getCrewPerPerson() {
+        return this.#getProcessedData('crewPerPerson');
+    }
+
+    /**
+     * Gets tracked actors and crew members who both acted in and worked on the crew of tracked movies.
+     * @returns {Promise<Object.<string, {cast: Array<Object>, crew: Array<Object>}>>}
+     */
+    async getActorsOnCrew() {
+        return this.#getProcessedData('actorsOnCrew');
+    }
+
+    /**
+     * Gets the weighted co-appearance graph of tracked actors.
+     * @returns {Promise<import('../utils/dataProcessor.js').CollaborationGraph>}
+     */
+    async getCollaborations() {
+        return this.#getProcessedData('collaborations');
+    }
+
+    /**
+     * Gets every tracked appearance with its character, as the GraphQL API's model
+     * of actors, movies and characters is resolved from.
+     * @returns {Promise<ReturnType<typeof buildAppearances>>}
+     */
+    async getAppearances() {
+        return this.#getProcessedData('appearances');
+    }
+
+    /**
+     * Finds a shortest chain of collaborations between two tracked actors.
+     * @param {string} from - Actor name, matched like findActor
+     * @param {string} to - Actor name, matched like findActor
+     * @returns {Promise<ReturnType<typeof findCollaborationPath>|null>} Null if either actor is not tracked
+     */
+    async getCollaborationPath(from, to) {
+        const [fromName, toName] = [this.findActor(from), this.findActor(to)];
+        if (!fromName || !toName) return null;
+
+        return findCollaborationPath(await this.getCollaborations(), fromName, toName);
+    }
+
+    /**
+     * Gets the chronological succession of actors for every character played by
+     * more than one tracked actor, separating recasts from simultaneous portrayals.
+     * @returns {Promise<ReturnType<typeof buildRecastHistory>>}
+     */
+    async getRecasts() {
+        const creditsData = await this.#getCreditsData();
+        const actorFilter = await this.#getActorFilter();
+        const movieInfo = await this.getMovieInfo();
+        return this.#timed('recasts', () => buildRecastHistory(creditsData, actorFilter, { movieInfo }));
+    }
+
+    /**
+     * Gets a year-by-year timeline of tracked movies, with the tracked actors
+     * appearing each year and the characters that debuted or were recast.
+     * @returns {Promise<ReturnType<typeof buildTimeline>>}
+     */
+    async getTimeline() {
+        const creditsData = await this.#getCreditsData();
+        const actorFilter = await this.#getActorFilter();
+        const movieInfo = await this.getMovieInfo();
+        return this.#timed('timeline', () => buildTimeline(creditsData, actorFilter, { movieInfo }));
+    }
+
+    /**
+     * Explains how character names are grouped across all tracked actors,
+     * as used by getCharactersWithMultipleActors.
+     * @returns {Promise<{thresholds: Object, groups: Array<Object>}>}
+     */
+    async getCharacterMatchReport() {
+        const creditsData = await this.#getCreditsData();
+        const actorFilter = await this.#getActorFilter();
+        return this.#timed('characterMatchReport', () => buildCharacterMatchReport(creditsData, actorFilter));
+    }
+
+    /**
+     * Explains how each actor's character names are grouped,
+     * as used by getActorsWithMultipleCharacters.
+     * @returns {Promise<{thresholds: Object, actors: Object.<string, Array<Object>>}>}
+     */
+    async getActorCharacterMatchReport() {
+        const creditsData = await this.#getCreditsData();
+        const actorFilter = await this.#getActorFilter();
+        return this.#timed('actorCharacterMatchReport', () => buildActorCharacterMatchReport(creditsData, actorFilter));
+    }
+
+    /**
+     * Finds a tracked actor by name, ignoring case, diacritics and punctuation.
+     * @param {string} name
+     * @returns {string|null} Tracked display name
+     */
+    findActor(name) {
+        return this.#trackingRegistry.findActor(name);
+    }
+
+    /**
+     * Finds a tracked movie by TMDB ID or name.
+     * @param {string|number} ref
+     * @returns {{name: string, id: number}|null}
+     */
+    findMovie(ref) {
+        return this.#trackingRegistry.findMovie(ref);
+    }
+
+    /**
+     * Gets a tracked actor's filmography: every tracked movie they appeared in with
+     * their character, release year, MCU phase and billing order.
+     * @param {string} name - Actor name, matched like findActor
+     * @param {Object} [options]
+     * @param {'releaseDate'|'phase'} [options.sort='releaseDate']
+     * @returns {Promise<{name: string, movieCount: number, movies: Array<Object>}|null>}
+     *   Null if the actor is not tracked
+     */
+    async getActorFilmography(name, { sort = 'releaseDate' } = {}) {
+        const actorName = this.findActor(name);
+        if (!actorName) return null;
+
+        const creditsData = await this.#getCreditsData();
+        const movieInfo = await this.getMovieInfo();
+        const actorFilter = await this.#getActorFilter();
+        const movies = this.#timed('actorFilmography', () =>
+            buildActorFilmography(creditsData, actorFilter, actorName, { movieInfo, sort })
+        );
+        return { name: actorName, movieCount: new Set(movies.map(movie => movie.movieName)).size, movies };
+    }
+
+    /**
+     * Gets a tracked movie's details and the tracked actors in its cast, in billing order.
+     * @param {string|number} ref - TMDB ID or movie name, matched like findMovie
+     * @returns {Promise<{id: number, name: string, releaseDate: string|null, runtime: number|null,
+     *   posterPath: string|null, phase: number|null, cast: Array<Object>}|null>} Null if the movie is not tracked
+     */
+    async getMovieCast(ref) {
+        const movie = this.findMovie(ref);
+        if (!movie) return null;
+
+        const creditsData = await this.#getCreditsData();
+        const { releaseDate, runtime, posterPath, phase } = (await this.getMovieInfo()).get(movie.name);
+        const actorFilter = await this.#getActorFilter();
+        const cast = this.#timed('movieCast', () => buildMovieCast(creditsData, actorFilter, movie.name));
+        return { id: movie.id, name: movie.name, releaseDate, runtime, posterPath, phase, cast };
+    }
+
+    /**
+     * Reports how tracked actor names were resolved to TMDB person IDs,
+     * including ambiguous and unresolved names.
+     * @returns {Promise<Object|null>} Resolution report, or null without an actor resolver
+     */
+    async getActorResolutionReport() {
+        if (!this.#actorResolver) return null;
+
+        const { report } = await this.#actorResolver.resolve(this.#trackingRegistry.getActors());
+        return report;
+    }
+
+    /**
+     * Forces a refresh from TMDB, replacing the cached data once it succeeds.
+     * By default only the credits that changed since they were cached are
+     * downloaded again; a full refresh refetches every movie's credits and details.
+     * If a refresh is already running, waits for that one instead of starting another.
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Refetch everything instead of checking for changes
+     * @returns {Promise<Object>} Cache status after the refresh
+     */
+    async refresh({ full = false } = {}) {
+        await this.#fetch({ mode: full ? 'full' : 'incremental' });
+        return this.getCacheStatus();
+    }
+
+    /**
+     * Fills the cache before the first request: resolves actors and fetches the
+     * credits and details that are not cached yet, then builds the processed data.
+     * Unlike refresh, credits already cached (e.g. in a file or Redis store) are kept.
+     * @returns {Promise<Object>} Cache status once warm
+     */
+    async warmUp() {
+        await this.#getProcessedData('moviesPerActor');
+        return this.getCacheStatus();
+    }
+
+    /**
+     * Waits for the fetch in flight, including a background refresh, to settle,
+     * so shutting down does not cut it off halfway through writing the cache.
+     * Its failure is left to the callers that started it.
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        await this.#fetchPromise?.catch(() => {});
+    }
+
+    /**
+     * Drops the cached credits, movie details and processed data so the next request fetches from TMDB again.
+     * @returns {Promise<void>}
+     */
+    async invalidate() {
+        const keys = [
+            META_KEY,
+            ...Object.keys(BUILDERS).flatMap(name => [processedKey(name), processedPartsKey(name)]),
+            ...this.#getMoviesArray().flatMap(({ id }) => [creditsKey(id), creditsMetaKey(id), detailsKey(id)])
+        ];
+        await Promise.all(keys.map(key => this.#cacheStore.delete(key)));
+    }
+
+    /**
+     * Reports the state of the cache.
+     * @returns {Promise<{
+     *   cached: boolean,
+     *   stale: boolean,
+     *   refreshing: boolean,
+     *   ttlMs: number,
+     *   lastFetchedAt: string|null,
+     *   ageMs: number|null,
+     *   failureCount: number,
+     *   consecutiveFailures: number,
+     *   lastError: {message: string, at: string}|null,
+     *   lastRefresh: RefreshSummary|null
+     * }>}
+     */
+    async getCacheStatus() {
+        const meta = await this.#cacheStore.get(META_KEY);
+        const fetchedAt = meta?.fetchedAt;
+        const toIso = timestamp => new Date(timestamp).toISOString();
+
+        return {
+            cached: meta !== undefined,
+            stale: this.#isStale(fetchedAt),
+            refreshing: this.#fetchPromise !== null,
+            ttlMs: this.#cacheTtlMs,
+            lastFetchedAt: fetchedAt === undefined ? null : toIso(fetchedAt),
+            ageMs: fetchedAt === undefined ? null : this.#now() - fetchedAt,
+            failureCount: this.#failureCount,
+            consecutiveFailures: this.#consecutiveFailures,
+            lastError: this.#lastError && { message: this.#lastError.message, at: toIso(this.#lastError.at) },
+            lastRefresh: this.#lastRefresh
+        };
     }
 }
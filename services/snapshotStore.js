@@ -0,0 +1,211 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Bump when the on-disk layout changes; replay refuses snapshots of another version
+export const SNAPSHOT_FORMAT_VERSION = 1;
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Error thrown when replaying a request that was never recorded.
+ */
+export class SnapshotMissError extends Error {
+    /**
+     * @param {string} key - Snapshot key of the missing request
+     */
+    constructor(key) {
+        super(`No snapshot recorded for ${key}`);
+        this.name = 'SnapshotMissError';
+        this.key = key;
+    }
+}
+
+/**
+ * Computes the SHA-256 checksum of a string.
+ * @param {string} content
+ * @returns {string} Hex digest
+ */
+function sha256(content) {
+    return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Builds a stable snapshot key from an API path and its query parameters.
+ * The API key is never part of the key so snapshots can be shared.
+ * @param {string} apiPath - e.g. "/movie/1726/credits"
+ * @param {Object} [params] - Query parameters
+ * @returns {string} e.g. "/movie/1726/credits" or "/search/person?query=Tom%20Holland"
+ */
+export function snapshotKey(apiPath, params = {}) {
+    const query = Object.keys(params)
+        .filter(name => name !== 'api_key' && params[name] !== undefined)
+        .sort()
+        .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+        .join('&');
+
+    return query ? `${apiPath}?${query}` : apiPath;
+}
+
+/**
+ * Maps a snapshot key to a file name. Query strings are hashed to keep names short and safe.
+ * @param {string} key
+ * @returns {string}
+ */
+function snapshotFileName(key) {
+    const [apiPath, query] = key.split('?');
+    const base = apiPath.replace(/^\//, '').replace(/[^a-zA-Z0-9-]+/g, '_');
+    const suffix = query ? `__${sha256(query).slice(0, 12)}` : '';
+    return `${base}${suffix}.json`;
+}
+
+/**
+ * Versioned, checksummed directory of recorded TMDB responses.
+ * A manifest lists every recorded request with its file and checksum, plus the
+ * tracked movies and actors the snapshot was taken for.
+ */
+export class SnapshotStore {
+    #dir;
+    #now;
+    #manifestPromise = null;
+    #writeQueue = Promise.resolve();
+
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Snapshot directory
+     * @param {() => number} [options.now] - Clock function, injectable for tests
+     */
+    constructor({ dir, now = Date.now }) {
+        this.#dir = dir;
+        this.#now = now;
+    }
+
+    /**
+     * Loads the manifest once, creating an empty one if the directory has none yet.
+     * @returns {Promise<Object>}
+     * @throws {Error} If the manifest was written by another format version
+     */
+    #getManifest() {
+        if (!this.#manifestPromise) {
+            this.#manifestPromise = this.#readManifest();
+        }
+        return this.#manifestPromise;
+    }
+
+    async #readManifest() {
+        let manifest;
+        try {
+            manifest = JSON.parse(await readFile(path.join(this.#dir, MANIFEST_FILE), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return { version: SNAPSHOT_FORMAT_VERSION, recordedAt: null, movies: null, actors: null, entries: {} };
+        }
+
+        if (manifest.version !== SNAPSHOT_FORMAT_VERSION) {
+            throw new Error(
+                `Snapshot in ${this.#dir} has format version ${manifest.version}, expected ${SNAPSHOT_FORMAT_VERSION}`
+            );
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Writes the manifest atomically.
+     * @param {Object} manifest
+     */
+    async #saveManifest(manifest) {
+        const manifestPath = path.join(this.#dir, MANIFEST_FILE);
+        await writeFile(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2) + '\n');
+        await rename(`${manifestPath}.tmp`, manifestPath);
+    }
+
+    /**
+     * Serializes manifest updates so concurrent recordings don't overwrite each other.
+     * @param {(manifest: Object) => Promise<void>|void} update
+     * @returns {Promise<void>}
+     */
+    #updateManifest(update) {
+        const run = this.#writeQueue.then(async () => {
+            const manifest = await this.#getManifest();
+            await mkdir(this.#dir, { recursive: true });
+            await update(manifest);
+            manifest.recordedAt = new Date(this.#now()).toISOString();
+            await this.#saveManifest(manifest);
+        });
+
+        // Keep the queue alive after a failed write
+        this.#writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Reads a recorded response, verifying its checksum.
+     * @param {string} apiPath - API path
+     * @param {Object} [params] - Query parameters
+     * @returns {Promise<Object>} Recorded response body
+     * @throws {SnapshotMissError} If the request was never recorded
+     * @throws {Error} If the file does not match its recorded checksum
+     */
+    async read(apiPath, params) {
+        const key = snapshotKey(apiPath, params);
+        const manifest = await this.#getManifest();
+        const entry = manifest.entries[key];
+
+        if (!entry) {
+            throw new SnapshotMissError(key);
+        }
+
+        const content = await readFile(path.join(this.#dir, entry.file), 'utf8');
+        if (sha256(content) !== entry.sha256) {
+            throw new Error(`Snapshot checksum mismatch for ${key} (${entry.file})`);
+        }
+
+        return JSON.parse(content);
+    }
+
+    /**
+     * Records a response and adds it to the manifest.
+     * @param {string} apiPath - API path
+     * @param {Object|undefined} params - Query parameters
+     * @param {Object} data - Response body
+     * @returns {Promise<void>}
+     */
+    async write(apiPath, params, data) {
+        const key = snapshotKey(apiPath, params);
+        const file = snapshotFileName(key);
+        const content = JSON.stringify(data, null, 2) + '\n';
+
+        await this.#updateManifest(async manifest => {
+            await writeFile(path.join(this.#dir, file), content);
+            manifest.entries[key] = { file, sha256: sha256(content) };
+        });
+    }
+
+    /**
+     * Records the tracked movies, actors and crew the snapshot belongs to.
+     * @param {Object} trackedSet
+     * @param {Object.<string, number>} trackedSet.movies - Map of movie names to TMDB IDs
+     * @param {string[]} trackedSet.actors - Tracked actor names
+     * @param {string[]} [trackedSet.crew=[]] - Tracked crew member names
+     * @returns {Promise<void>}
+     */
+    async writeTrackedSet({ movies, actors, crew = [] }) {
+        await this.#updateManifest(manifest => {
+            manifest.movies = movies;
+            manifest.actors = actors;
+            manifest.crew = crew;
+        });
+    }
+
+    /**
+     * Gets the tracked movies, actors and crew recorded with the snapshot.
+     * Snapshots recorded before crew was tracked have no crew.
+     * @returns {Promise<{movies: Object.<string, number>, actors: string[], crew: string[]}|null>}
+     *   Null if none were recorded
+     */
+    async readTrackedSet() {
+        const { movies, actors, crew = [] } = await this.#getManifest();
+        return movies ? { movies, actors, crew } : null;
+    }
+}
@@ -1,39 +1,501 @@
 import axios from 'axios';
+import logger from '../utils/logger.js';
+import { readIntEnv } from '../utils/env.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { computeBackoffDelay, parseRetryAfter, sleep } from '../utils/retry.js';
+import { TmdbError, toTmdbError } from '../utils/errors.js';
+import { metrics as appMetrics } from '../utils/metrics.js';
+import { SnapshotStore, SnapshotMissError } from './snapshotStore.js';
 
-const API_KEY = process.env.TMDB_API_KEY;
-const BASE_URL = process.env.TMDB_BASE_URL;
+// Network error codes that indicate a transient failure worth retrying
+const RETRYABLE_ERROR_CODES = new Set([
+    'ECONNABORTED',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EAI_AGAIN'
+]);
+
+// TMDB keeps a movie's change history for this long; older changes can't be polled
+const CHANGES_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Keys of /movie/{id}/changes entries that affect the credits
+const CREDIT_CHANGE_KEYS = new Set(['cast', 'crew']);
+
+/**
+ * Formats a timestamp as the YYYY-MM-DD date TMDB expects.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function toTmdbDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
 
 /**
- * Fetches the cast and crew credits for a movie
- * @param {number} movieId - The TMDB movie ID
- * @returns {Promise<{cast: Array, crew: Array}>} The movie credits
+ * Checks whether a failed TMDB request should be retried.
+ * Retries rate limiting (429), server errors (5xx) and network/timeout errors.
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {boolean}
  */
-export async function getMovieCredits(movieId) {
-    if (!API_KEY || !BASE_URL) {
-        throw new Error('TMDB_API_KEY and TMDB_BASE_URL environment variables must be set');
+function isRetryableError(error) {
+    const status = error.response?.status;
+    if (status) {
+        return status === 429 || status >= 500;
     }
+    return RETRYABLE_ERROR_CODES.has(error.code);
+}
 
-    const url = `${BASE_URL}/movie/${movieId}/credits`;
+/**
+ * Metric labels of a TMDB request: the endpoint, with IDs replaced by "{id}" so each
+ * endpoint is one series, and the movie ID for per-movie requests.
+ * @param {string} path - API path, e.g. "/movie/1726/credits"
+ * @returns {{endpoint: string, movie_id: string}} e.g. `{ endpoint: '/movie/{id}/credits', movie_id: '1726' }`
+ */
+function metricLabelsOf(path) {
+    return {
+        endpoint: path.replace(/\/\d+(?=\/|$)/g, '/{id}'),
+        movie_id: path.match(/^\/movie\/(\d+)/)?.[1] ?? ''
+    };
+}
 
-    const response = await axios.get(url, {
-        params: { api_key: API_KEY }
-    });
+/**
+ * @typedef {Object} CreditsCheck
+ * A movie whose cached credits are checked for changes.
+ * @property {string} name
+ * @property {number} id
+ * @property {string|null} [etag] - ETag of the cached credits
+ * @property {number} [checkedAt] - When the cached credits were last known to be current
+ */
 
-    return response.data;
-}
+/**
+ * @typedef {Object} CreditsUpdate
+ * @property {boolean} changed - Whether new credits were downloaded
+ * @property {Object} [credits] - The new credits, when changed
+ * @property {string|null} etag - ETag of the current credits
+ */
 
 /**
- * Fetches credits for multiple movies in parallel
- * @param {Array<{name: string, id: number}>} movies - Array of movie objects with name and id
- * @returns {Promise<Array<{movieName: string, credits: Object}>>} Credits for each movie
+ * @typedef {Object} TmdbFailure
+ * @property {string} movieName
+ * @property {number} movieId
+ * @property {number|null} status - Status TMDB answered with
+ * @property {string} reason - TmdbError reason
+ * @property {number|null} retryAfterMs - Delay TMDB asked for with Retry-After
+ * @property {string} message
  */
-export async function getAllMoviesCredits(movies) {
-    const results = await Promise.all(
-        movies.map(async ({ name, id }) => {
-            const credits = await getMovieCredits(id);
-            return { movieName: name, credits };
-        })
-    );
-
-    return results;
+
+/**
+ * Creates a TMDB API client with retries, backoff and bounded concurrency.
+ * @param {Object} [options]
+ * @param {{get: Function}} [options.httpClient] - Axios-compatible HTTP client
+ * @param {string} [options.apiKey] - TMDB API key
+ * @param {string} [options.baseUrl] - TMDB API base URL
+ * @param {number} [options.concurrency=5] - Maximum number of requests in flight
+ * @param {number} [options.maxRetries=3] - Retries per request after the first attempt
+ * @param {number} [options.timeoutMs=10000] - Per-request timeout
+ * @param {number} [options.baseDelayMs=500] - Backoff ceiling for the first retry
+ * @param {number} [options.maxDelayMs=10000] - Upper bound for a single retry delay, Retry-After included
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Delay function, injectable for tests
+ * @param {() => number} [options.random] - Jitter source, injectable for tests
+ * @param {'record'|'replay'} [options.snapshotMode] - Record live responses to, or replay them from,
+ *   the snapshot store. Replay needs no API key and never touches the network.
+ * @param {import('./snapshotStore.js').SnapshotStore} [options.snapshotStore] - Required with snapshotMode
+ * @param {import('../utils/metrics.js').AppMetrics} [options.metrics] - Where request counts, latencies,
+ *   errors and retries are recorded; defaults to the app's metrics
+ * @param {() => number} [options.now] - Clock function, injectable for tests
+ * @returns {{
+ *   isConfigured: () => boolean,
+ *   getMovieCredits: Function,
+ *   getMovieChanges: Function,
+ *   checkMovieCredits: Function,
+ *   getMovieDetails: Function,
+ *   getCollection: Function,
+ *   discoverMovies: Function,
+ *   searchMovies: Function,
+ *   searchPeople: Function,
+ *   getAllMoviesCredits: Function,
+ *   checkAllMoviesCredits: Function,
+ *   getAllMoviesDetails: Function
+ * }}
+ */
+export function createTmdbClient({
+    httpClient = axios,
+    apiKey,
+    baseUrl,
+    concurrency = 5,
+    maxRetries = 3,
+    timeoutMs = 10000,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    sleep: sleepFn = sleep,
+    random = Math.random,
+    snapshotMode,
+    snapshotStore,
+    metrics = appMetrics,
+    now = Date.now
+} = {}) {
+    if (snapshotMode && !snapshotStore) {
+        throw new Error(`A snapshot store is required in ${snapshotMode} mode`);
+    }
+
+    /**
+     * Checks whether requests can be made: TMDB credentials are set, or responses are replayed.
+     * @returns {boolean}
+     */
+    function isConfigured() {
+        return snapshotMode === 'replay' || Boolean(apiKey && baseUrl);
+    }
+
+    function assertConfigured() {
+        if (!isConfigured()) {
+            throw new TmdbError('not-configured', 'TMDB_API_KEY and TMDB_BASE_URL environment variables must be set');
+        }
+    }
+
+    /**
+     * Performs a GET request against TMDB, or against the snapshot store in replay mode.
+     * In record mode every successful response is also saved to the snapshot store.
+     * @param {string} path - API path, e.g. "/movie/1726/credits"
+     * @param {Object} [params] - Query parameters, excluding the API key
+     * @returns {Promise<Object>} Response body
+     * @throws {TmdbError} If TMDB is not configured, the request failed for good, or was never recorded
+     */
+    async function request(path, params = {}) {
+        return (await send(path, params)).data;
+    }
+
+    /**
+     * Performs a GET request like request, conditionally when an ETag is given:
+     * TMDB then answers 304 without a body if the resource still has that ETag.
+     * Replayed responses have no ETag and are always returned in full.
+     * @param {string} path - API path
+     * @param {Object} [params] - Query parameters, excluding the API key
+     * @param {Object} [options]
+     * @param {string|null} [options.etag] - ETag of the copy the caller has
+     * @returns {Promise<{data: Object|null, etag: string|null, notModified: boolean}>}
+     *   The body and its ETag, or `notModified` with no body
+     * @throws {TmdbError} If TMDB is not configured, the request failed for good, or was never recorded
+     */
+    async function send(path, params = {}, { etag = null } = {}) {
+        assertConfigured();
+
+        if (snapshotMode === 'replay') {
+            try {
+                return { data: await snapshotStore.read(path, params), etag: null, notModified: false };
+            } catch (error) {
+                // A request that was never recorded fails like an unreachable TMDB
+                if (error instanceof SnapshotMissError) {
+                    throw new TmdbError('unreachable', error.message, { cause: error });
+                }
+                throw error;
+            }
+        }
+
+        const response = await requestWithRetry(path, params, etag ? { 'If-None-Match': etag } : {});
+        if (response.status === 304) {
+            return { data: null, etag, notModified: true };
+        }
+
+        if (snapshotMode === 'record') {
+            await snapshotStore.write(path, params, response.data);
+        }
+
+        return { data: response.data, etag: response.headers?.etag ?? null, notModified: false };
+    }
+
+    /**
+     * Performs a GET request against TMDB, retrying transient failures.
+     * Honors the Retry-After header when TMDB sends one, otherwise uses
+     * exponential backoff with full jitter.
+     * @param {string} path - API path
+     * @param {Object} params - Query parameters, excluding the API key
+     * @param {Object.<string, string>} [headers] - Request headers; with If-None-Match, a 304 is a success
+     * @returns {Promise<{status?: number, headers?: Object, data: Object}>} The HTTP response
+     * @throws {TmdbError} Once retries are exhausted or the failure is not retryable
+     */
+    async function requestWithRetry(path, params, headers = {}) {
+        const labels = metricLabelsOf(path);
+        const conditional = 'If-None-Match' in headers;
+
+        for (let attempt = 0; ; attempt++) {
+            const endTimer = metrics.tmdbRequestDuration.startTimer(labels);
+            try {
+                const response = await httpClient.get(`${baseUrl}${path}`, {
+                    params: { ...params, api_key: apiKey },
+                    timeout: timeoutMs,
+                    ...(conditional && { headers, validateStatus: status => (status >= 200 && status < 300) || status === 304 })
+                });
+                endTimer();
+                metrics.tmdbRequests.inc({ ...labels, outcome: response.status === 304 ? 'not-modified' : 'success' });
+                return response;
+            } catch (error) {
+                endTimer();
+                const tmdbError = toTmdbError(error);
+                metrics.tmdbErrors.inc({ ...labels, reason: tmdbError.reason });
+
+                if (attempt >= maxRetries || !isRetryableError(error)) {
+                    metrics.tmdbRequests.inc({ ...labels, outcome: 'failure' });
+                    throw tmdbError;
+                }
+                metrics.tmdbRetries.inc(labels);
+
+                // A long Retry-After is capped too: every caller waiting on this fetch would stall
+                const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+                const delayMs = Math.min(
+                    retryAfterMs ?? computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs, random }),
+                    maxDelayMs
+                );
+
+                logger.warn(
+                    { path, attempt: attempt + 1, delayMs, status: error.response?.status, code: error.code },
+                    'Retrying TMDB request'
+                );
+                await sleepFn(delayMs);
+            }
+        }
+    }
+
+    /**
+     * Fetches the cast and crew credits for a movie
+     * @param {number} movieId - The TMDB movie ID
+     * @returns {Promise<{cast: Array, crew: Array}>} The movie credits
+     */
+    async function getMovieCredits(movieId) {
+        return request(`/movie/${movieId}/credits`);
+    }
+
+    /**
+     * Fetches the changes made to a movie in TMDB between two dates, at most 14 days apart.
+     * @param {number} movieId - The TMDB movie ID
+     * @param {Object} range
+     * @param {string} range.startDate - First day, as YYYY-MM-DD
+     * @param {string} [range.endDate] - Last day, as YYYY-MM-DD; today by default
+     * @returns {Promise<{changes: Array<{key: string, items: Array<Object>}>}>} Changes grouped by field
+     */
+    async function getMovieChanges(movieId, { startDate, endDate }) {
+        return request(`/movie/${movieId}/changes`, { start_date: startDate, end_date: endDate });
+    }
+
+    /**
+     * Checks whether a movie's credits changed since they were cached, downloading them only if so.
+     * Credits checked less than 14 days ago are first looked up in the movie's changes,
+     * which is answered without credits when the cast and crew were not edited; older
+     * ones, and ones TMDB reports changed, are requested conditionally on their ETag.
+     * @param {number} movieId - The TMDB movie ID
+     * @param {Object} [cached]
+     * @param {string|null} [cached.etag] - ETag of the cached credits
+     * @param {number} [cached.checkedAt] - When the cached credits were last known to be current
+     * @returns {Promise<CreditsUpdate>}
+     */
+    async function checkMovieCredits(movieId, { etag = null, checkedAt } = {}) {
+        // Replayed snapshots never change, and hold no changes to poll
+        if (snapshotMode !== 'replay' && checkedAt !== undefined && now() - checkedAt < CHANGES_WINDOW_MS) {
+            const { changes = [] } = await getMovieChanges(movieId, { startDate: toTmdbDate(checkedAt) });
+            if (!changes.some(change => CREDIT_CHANGE_KEYS.has(change.key))) {
+                return { changed: false, etag };
+            }
+        }
+
+        const response = await send(`/movie/${movieId}/credits`, {}, { etag });
+        return response.notModified
+            ? { changed: false, etag }
+            : { changed: true, credits: response.data, etag: response.etag };
+    }
+
+    /**
+     * Fetches a movie's details (title, release date, runtime, ...)
+     * @param {number} movieId - The TMDB movie ID
+     * @returns {Promise<Object>} The movie details
+     */
+    async function getMovieDetails(movieId) {
+        return request(`/movie/${movieId}`);
+    }
+
+    /**
+     * Fetches a collection (e.g. a film series) with its movies
+     * @param {number} collectionId - The TMDB collection ID
+     * @returns {Promise<{id: number, name: string, parts: Array<Object>}>} The collection
+     */
+    async function getCollection(collectionId) {
+        return request(`/collection/${collectionId}`);
+    }
+
+    /**
+     * Fetches one page of movies matching company and/or keyword filters, oldest first.
+     * Multiple IDs of the same filter match movies having any of them; when both
+     * filters are given, a movie must match both.
+     * @param {Object} filters
+     * @param {number[]} [filters.companies] - TMDB production company IDs
+     * @param {number[]} [filters.keywords] - TMDB keyword IDs
+     * @param {number} [filters.page=1]
+     * @returns {Promise<{page: number, total_pages: number, results: Array<Object>}>} One page of results
+     */
+    async function discoverMovies({ companies = [], keywords = [], page = 1 } = {}) {
+        return request('/discover/movie', {
+            with_companies: companies.length > 0 ? companies.join('|') : undefined,
+            with_keywords: keywords.length > 0 ? keywords.join('|') : undefined,
+            sort_by: 'primary_release_date.asc',
+            page
+        });
+    }
+
+    /**
+     * Searches movies by title.
+     * @param {string} query - Title to search for
+     * @param {Object} [options]
+     * @param {number} [options.page=1]
+     * @returns {Promise<{page: number, total_pages: number, results: Array<Object>}>} One page of results
+     */
+    async function searchMovies(query, { page = 1 } = {}) {
+        return request('/search/movie', { query, page });
+    }
+
+    /**
+     * Searches people by name.
+     * @param {string} query - Name to search for
+     * @param {Object} [options]
+     * @param {number} [options.page=1]
+     * @returns {Promise<{page: number, total_pages: number, results: Array<Object>}>} One page of results
+     */
+    async function searchPeople(query, { page = 1 } = {}) {
+        return request('/search/person', { query, page });
+    }
+
+    /**
+     * Runs a per-movie request for multiple movies with bounded concurrency.
+     * A movie that still fails after all retries does not fail the whole batch;
+     * it is reported in `failures` instead.
+     * @param {Array<{name: string, id: number}>} movies - Array of movie objects with name and id
+     * @param {'response'|'details'|'update'} field - Name of the result field
+     * @param {(movieId: number, movie: Object) => Promise<Object>} fetchOne - Request for one movie
+     * @returns {Promise<Object>} `{ [field]: [...], failures: [...] }`
+     */
+    async function fetchForMovies(movies, field, fetchOne) {
+        assertConfigured();
+
+        const outcomes = await mapWithConcurrency(movies, concurrency, async movie => {
+            const { name, id } = movie;
+            try {
+                return { movieName: name, [field]: await fetchOne(id, movie) };
+            } catch (error) {
+                return {
+                    movieName: name,
+                    movieId: id,
+                    status: error.upstreamStatus ?? null,
+                    reason: error.reason ?? 'failed',
+                    retryAfterMs: error.retryAfterMs ?? null,
+                    message: error.message
+                };
+            }
+        });
+
+        const succeeded = outcomes.filter(outcome => outcome[field]);
+        const failures = outcomes.filter(outcome => !outcome[field]);
+
+        if (failures.length > 0) {
+            logger.warn({ failedMovies: failures.map(f => f.movieName) }, `Failed to fetch ${field} for some movies`);
+        }
+
+        return { [field]: succeeded, failures };
+    }
+
+    /**
+     * Fetches credits for multiple movies with bounded concurrency, with the ETag of each,
+     * so they can later be checked for changes with a conditional request.
+     * A movie that still fails after all retries does not fail the whole batch;
+     * it is reported in `failures` instead.
+     * @param {Array<{name: string, id: number}>} movies - Array of movie objects with name and id
+     * @returns {Promise<{
+     *   credits: Array<{movieName: string, credits: Object, etag: string|null}>,
+     *   failures: Array<TmdbFailure>
+     * }>} Credits for each movie that succeeded and the movies that failed
+     */
+    async function getAllMoviesCredits(movies) {
+        const { response, failures } = await fetchForMovies(movies, 'response', movieId => send(`/movie/${movieId}/credits`));
+        return {
+            credits: response.map(({ movieName, response: { data, etag } }) => ({ movieName, credits: data, etag })),
+            failures
+        };
+    }
+
+    /**
+     * Checks multiple movies' cached credits for changes with bounded concurrency,
+     * like checkMovieCredits, reporting failed movies like getAllMoviesCredits.
+     * @param {CreditsCheck[]} movies
+     * @returns {Promise<{
+     *   updates: Array<{movieName: string, update: CreditsUpdate}>,
+     *   failures: Array<TmdbFailure>
+     * }>} An update for each movie that could be checked and the movies that failed
+     */
+    async function checkAllMoviesCredits(movies) {
+        const { update, failures } = await fetchForMovies(movies, 'update', checkMovieCredits);
+        return { updates: update, failures };
+    }
+
+    /**
+     * Fetches details (release date, runtime, poster...) for multiple movies with
+     * bounded concurrency, reporting failed movies like getAllMoviesCredits.
+     * @param {Array<{name: string, id: number}>} movies - Array of movie objects with name and id
+     * @returns {Promise<{
+     *   details: Array<{movieName: string, details: Object}>,
+     *   failures: Array<TmdbFailure>
+     * }>} Details for each movie that succeeded and the movies that failed
+     */
+    async function getAllMoviesDetails(movies) {
+        return fetchForMovies(movies, 'details', getMovieDetails);
+    }
+
+    return {
+        isConfigured,
+        getMovieCredits,
+        getMovieChanges,
+        checkMovieCredits,
+        getMovieDetails,
+        getCollection,
+        discoverMovies,
+        searchMovies,
+        searchPeople,
+        getAllMoviesCredits,
+        checkAllMoviesCredits,
+        getAllMoviesDetails
+    };
 }
+
+// Snapshot store for offline record/replay, enabled with TMDB_SNAPSHOT_MODE
+export const snapshotMode = process.env.TMDB_SNAPSHOT_MODE || undefined;
+
+if (snapshotMode && !['record', 'replay'].includes(snapshotMode)) {
+    throw new Error(`TMDB_SNAPSHOT_MODE must be "record" or "replay", got "${snapshotMode}"`);
+}
+
+export const snapshotStore = snapshotMode
+    ? new SnapshotStore({ dir: process.env.TMDB_SNAPSHOT_DIR || 'snapshots' })
+    : null;
+
+// Default client configured from the environment
+const defaultClient = createTmdbClient({
+    apiKey: process.env.TMDB_API_KEY,
+    baseUrl: process.env.TMDB_BASE_URL,
+    concurrency: readIntEnv('TMDB_CONCURRENCY', 5),
+    maxRetries: readIntEnv('TMDB_MAX_RETRIES', 3),
+    timeoutMs: readIntEnv('TMDB_TIMEOUT_MS', 10000),
+    baseDelayMs: readIntEnv('TMDB_RETRY_BASE_DELAY_MS', 500),
+    maxDelayMs: readIntEnv('TMDB_RETRY_MAX_DELAY_MS', 10000),
+    snapshotMode,
+    snapshotStore
+});
+
+export const {
+    isConfigured,
+    getMovieCredits,
+    getMovieChanges,
+    checkMovieCredits,
+    getMovieDetails,
+    getCollection,
+    discoverMovies,
+    searchMovies,
+    searchPeople,
+    getAllMoviesCredits,
+    checkAllMoviesCredits,
+    getAllMoviesDetails
+} = defaultClient;
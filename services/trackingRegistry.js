@@ -0,0 +1,444 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { simplifyName } from '../utils/text.js';
+import { TmdbError } from '../utils/errors.js';
+
+/**
+ * Error thrown when a tracking change is rejected.
+ * `reason` tells callers how to report it:
+ * - 'invalid': the input is malformed
+ * - 'duplicate': the movie or person is already tracked
+ * - 'not-found': the movie or person is not tracked
+ * - 'unknown-movie': TMDB has no movie with the given ID
+ */
+export class TrackingError extends Error {
+    /**
+     * @param {'invalid'|'duplicate'|'not-found'|'unknown-movie'} reason
+     * @param {string} message
+     */
+    constructor(reason, message) {
+        super(message);
+        this.name = 'TrackingError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Finds a name in a set, ignoring case, diacritics and punctuation.
+ * @param {Set<string>} names
+ * @param {string} name
+ * @returns {string|null} The name as stored
+ */
+function findName(names, name) {
+    if (names.has(name)) return name;
+    const wanted = simplifyName(name);
+    return [...names].find(candidate => simplifyName(candidate) === wanted) ?? null;
+}
+
+/**
+ * @typedef {Object} TrackingChange
+ * @property {'movieAdded'|'movieRemoved'|'movieRenamed'|'actorAdded'|'actorRemoved'|'crewAdded'|'crewRemoved'} type
+ * @property {{name: string, id: number}} [movie] - Set for movie changes
+ * @property {string} [previousName] - Set for movieRenamed: the name the movie was tracked as
+ * @property {string} [actor] - Set for actor changes
+ * @property {string} [crewMember] - Set for crew changes
+ */
+
+/**
+ * The set of tracked movies, actors and crew members, editable at runtime and optionally persisted
+ * to a JSON file. Emits a 'change' event with a TrackingChange after every edit.
+ */
+export class TrackingRegistry extends EventEmitter {
+    #movies;
+    #actors;
+    #crew;
+    #filePath;
+    #tmdbService;
+    #queue = Promise.resolve();
+
+    /**
+     * @param {Object} options
+     * @param {Object.<string, number>} options.movies - Initial map of movie names to TMDB IDs
+     * @param {string[]} options.actors - Initial tracked actor names
+     * @param {string[]} [options.crew] - Initial tracked crew member names (directors, writers...)
+     * @param {string} [options.filePath] - JSON file to load from and persist to; in-memory only if omitted
+     * @param {{getMovieDetails: Function}} [options.tmdbService] - Used to check that added movies exist
+     */
+    constructor({ movies, actors, crew = [], filePath, tmdbService }) {
+        super();
+        this.#movies = new Map(Object.entries(movies));
+        this.#actors = new Set(actors);
+        this.#crew = new Set(crew);
+        this.#filePath = filePath;
+        this.#tmdbService = tmdbService;
+    }
+
+    /**
+     * Replaces the initial tracked set with the persisted one, if the file exists.
+     * @returns {Promise<this>}
+     */
+    async load() {
+        if (!this.#filePath) return this;
+
+        let saved;
+        try {
+            saved = JSON.parse(await readFile(this.#filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return this;
+            throw error;
+        }
+
+        this.#movies = new Map(Object.entries(saved.movies));
+        this.#actors = new Set(saved.actors);
+        // Files saved before crew was tracked keep the initial crew
+        if (saved.crew) this.#crew = new Set(saved.crew);
+        return this;
+    }
+
+    /**
+     * Gets the tracked movies.
+     * @returns {Object.<string, number>} Map of movie names to TMDB IDs
+     */
+    getMovies() {
+        return Object.fromEntries(this.#movies);
+    }
+
+    /**
+     * Gets the tracked actor names.
+     * @returns {string[]}
+     */
+    getActors() {
+        return [...this.#actors];
+    }
+
+    /**
+     * Gets the tracked crew member names.
+     * @returns {string[]}
+     */
+    getCrew() {
+        return [...this.#crew];
+    }
+
+    /**
+     * Finds a tracked actor by name, ignoring case, diacritics and punctuation.
+     * @param {string} name
+     * @returns {string|null} Tracked display name
+     */
+    findActor(name) {
+        return findName(this.#actors, name);
+    }
+
+    /**
+     * Finds a tracked crew member by name, ignoring case, diacritics and punctuation.
+     * @param {string} name
+     * @returns {string|null} Tracked display name
+     */
+    findCrewMember(name) {
+        return findName(this.#crew, name);
+    }
+
+    /**
+     * Finds a tracked movie by TMDB ID or by name, ignoring case, diacritics and punctuation.
+     * @param {string|number} ref - TMDB ID, or movie name
+     * @returns {{name: string, id: number}|null}
+     */
+    findMovie(ref) {
+        const id = Number(ref);
+        if (Number.isInteger(id) && id > 0) {
+            const name = this.#findMovieName(id);
+            if (name) return { name, id };
+        }
+
+        const wanted = simplifyName(String(ref));
+        for (const [name, movieId] of this.#movies) {
+            if (simplifyName(name) === wanted) return { name, id: movieId };
+        }
+        return null;
+    }
+
+    /**
+     * Gets the tracked set in the same shape as data/marvelMovies.js.
+     * @returns {{movies: Object.<string, number>, actors: string[], crew: string[]}}
+     */
+    toJSON() {
+        return { movies: this.getMovies(), actors: this.getActors(), crew: this.getCrew() };
+    }
+
+    /**
+     * Hash of the tracked set, so cached results can tell which set they were built from.
+     * @returns {string}
+     */
+    fingerprint() {
+        const movies = [...this.#movies].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        const actors = [...this.#actors].sort();
+        const crew = [...this.#crew].sort();
+        return createHash('sha256').update(JSON.stringify({ movies, actors, crew })).digest('hex').slice(0, 16);
+    }
+
+    /**
+     * Starts tracking a movie after checking that TMDB knows its ID.
+     * @param {Object} movie
+     * @param {number} movie.id - TMDB movie ID
+     * @param {string} [movie.name] - Display name; defaults to the TMDB title
+     * @returns {Promise<{name: string, id: number}>} The tracked movie
+     * @throws {TrackingError}
+     */
+    addMovie({ id, name }) {
+        return this.#serialize(async () => {
+            if (!Number.isInteger(id) || id <= 0) {
+                throw new TrackingError('invalid', 'Movie id must be a positive integer');
+            }
+            if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+                throw new TrackingError('invalid', 'Movie name must be a non-empty string');
+            }
+
+            const existing = this.#findMovieName(id);
+            if (existing) {
+                throw new TrackingError('duplicate', `Movie ${id} is already tracked as "${existing}"`);
+            }
+
+            const details = await this.#getMovieDetails(id);
+            const movie = { name: name?.trim() ?? details.title, id };
+
+            if (this.#movies.has(movie.name)) {
+                throw new TrackingError('duplicate', `A movie named "${movie.name}" is already tracked`);
+            }
+
+            this.#movies.set(movie.name, movie.id);
+            await this.#commit({ type: 'movieAdded', movie }, () => this.#movies.delete(movie.name));
+            return movie;
+        });
+    }
+
+    /**
+     * Stops tracking a movie.
+     * @param {number} id - TMDB movie ID
+     * @returns {Promise<{name: string, id: number}>} The removed movie
+     * @throws {TrackingError}
+     */
+    removeMovie(id) {
+        return this.#serialize(async () => {
+            const name = this.#findMovieName(id);
+            if (!name) {
+                throw new TrackingError('not-found', `Movie ${id} is not tracked`);
+            }
+
+            this.#movies.delete(name);
+            const movie = { name, id };
+            await this.#commit({ type: 'movieRemoved', movie }, () => this.#movies.set(name, id));
+            return movie;
+        });
+    }
+
+    /**
+     * Replaces the tracked movies with another set, e.g. an approved discovery proposal.
+     * The movies are trusted to exist in TMDB. Movies are compared by TMDB ID: emits a change
+     * per added or removed movie, and a movieRenamed change for a movie tracked under another name.
+     * @param {Object.<string, number>} movies - Map of movie names to TMDB IDs
+     * @returns {Promise<{
+     *   added: Array<{name: string, id: number}>,
+     *   removed: Array<{name: string, id: number}>,
+     *   renamed: Array<{name: string, id: number, previousName: string}>
+     * }>}
+     */
+    replaceMovies(movies) {
+        return this.#serialize(async () => {
+            const next = new Map(Object.entries(movies));
+            for (const [name, id] of next) {
+                if (!Number.isInteger(id) || id <= 0) {
+                    throw new TrackingError('invalid', `Movie id of "${name}" must be a positive integer`);
+                }
+            }
+            if (new Set(next.values()).size !== next.size) {
+                throw new TrackingError('invalid', 'Each movie id may only be tracked once');
+            }
+
+            const previous = this.#movies;
+            const previousNames = new Map([...previous].map(([name, id]) => [id, name]));
+            const nextIds = new Set(next.values());
+            const removed = [...previous]
+                .filter(([, id]) => !nextIds.has(id))
+                .map(([name, id]) => ({ name, id }));
+            const added = [...next]
+                .filter(([, id]) => !previousNames.has(id))
+                .map(([name, id]) => ({ name, id }));
+            const renamed = [...next]
+                .filter(([name, id]) => previousNames.has(id) && previousNames.get(id) !== name)
+                .map(([name, id]) => ({ name, id, previousName: previousNames.get(id) }));
+
+            this.#movies = next;
+            try {
+                await this.#save();
+            } catch (error) {
+                this.#movies = previous;
+                throw error;
+            }
+
+            for (const movie of removed) this.emit('change', { type: 'movieRemoved', movie });
+            for (const movie of added) this.emit('change', { type: 'movieAdded', movie });
+            for (const { previousName, ...movie } of renamed) {
+                this.emit('change', { type: 'movieRenamed', movie, previousName });
+            }
+            return { added, removed, renamed };
+        });
+    }
+
+    /**
+     * Starts tracking an actor.
+     * @param {string} name - Actor name as credited by TMDB
+     * @returns {Promise<string>} The tracked name
+     * @throws {TrackingError}
+     */
+    addActor(name) {
+        return this.#addPerson(this.#actors, name, { label: 'Actor', type: 'actorAdded', field: 'actor' });
+    }
+
+    /**
+     * Stops tracking an actor.
+     * @param {string} name - Actor name, ignoring case, diacritics and punctuation
+     * @returns {Promise<string>} The removed name, as it was tracked
+     * @throws {TrackingError}
+     */
+    removeActor(name) {
+        return this.#removePerson(this.#actors, name, { label: 'Actor', type: 'actorRemoved', field: 'actor' });
+    }
+
+    /**
+     * Starts tracking a crew member.
+     * @param {string} name - Name as credited by TMDB
+     * @returns {Promise<string>} The tracked name
+     * @throws {TrackingError}
+     */
+    addCrewMember(name) {
+        return this.#addPerson(this.#crew, name, { label: 'Crew member', type: 'crewAdded', field: 'crewMember' });
+    }
+
+    /**
+     * Stops tracking a crew member.
+     * @param {string} name - Ignoring case, diacritics and punctuation
+     * @returns {Promise<string>} The removed name, as it was tracked
+     * @throws {TrackingError}
+     */
+    removeCrewMember(name) {
+        return this.#removePerson(this.#crew, name, { label: 'Crew member', type: 'crewRemoved', field: 'crewMember' });
+    }
+
+    /**
+     * Adds a name to the tracked actors or crew, unless it is already tracked under a
+     * spelling that only differs in case, diacritics or punctuation.
+     * @param {Set<string>} names - The set to edit
+     * @param {string} name
+     * @param {{label: string, type: string, field: string}} kind - Wording of errors and the change event
+     * @returns {Promise<string>} The tracked name
+     */
+    #addPerson(names, name, { label, type, field }) {
+        return this.#serialize(async () => {
+            if (typeof name !== 'string' || !name.trim()) {
+                throw new TrackingError('invalid', `${label} name must be a non-empty string`);
+            }
+
+            const person = name.trim();
+            const existing = findName(names, person);
+            if (existing) {
+                const as = existing === person ? '' : ` as "${existing}"`;
+                throw new TrackingError('duplicate', `${label} "${person}" is already tracked${as}`);
+            }
+
+            names.add(person);
+            await this.#commit({ type, [field]: person }, () => names.delete(person));
+            return person;
+        });
+    }
+
+    /**
+     * Removes a name from the tracked actors or crew, found like findActor finds it.
+     * @param {Set<string>} names - The set to edit
+     * @param {string} name
+     * @param {{label: string, type: string, field: string}} kind - Wording of errors and the change event
+     * @returns {Promise<string>} The removed name, as it was tracked
+     */
+    #removePerson(names, name, { label, type, field }) {
+        return this.#serialize(async () => {
+            const person = typeof name === 'string' ? findName(names, name) : null;
+            if (!person) {
+                throw new TrackingError('not-found', `${label} "${name}" is not tracked`);
+            }
+
+            names.delete(person);
+            await this.#commit({ type, [field]: person }, () => names.add(person));
+            return person;
+        });
+    }
+
+    /**
+     * Finds the tracked name of a movie ID.
+     * @param {number} id
+     * @returns {string|undefined}
+     */
+    #findMovieName(id) {
+        for (const [name, movieId] of this.#movies) {
+            if (movieId === id) return name;
+        }
+        return undefined;
+    }
+
+    /**
+     * Looks a movie up in TMDB, translating a 404 into a TrackingError.
+     * Other failures (TMDB unreachable) are rethrown as-is.
+     * @param {number} id
+     * @returns {Promise<Object>} TMDB movie details
+     */
+    async #getMovieDetails(id) {
+        try {
+            return await this.#tmdbService.getMovieDetails(id);
+        } catch (error) {
+            if (error instanceof TmdbError && error.reason === 'not-found') {
+                throw new TrackingError('unknown-movie', `TMDB has no movie with id ${id}`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Persists the tracked set and announces the change.
+     * If persisting fails the in-memory edit is undone, so memory and file never disagree.
+     * @param {TrackingChange} change
+     * @param {() => void} undo - Reverts the in-memory edit
+     */
+    async #commit(change, undo) {
+        try {
+            await this.#save();
+        } catch (error) {
+            undo();
+            throw error;
+        }
+        this.emit('change', change);
+    }
+
+    /**
+     * Writes the tracked set atomically, if a file was configured.
+     */
+    async #save() {
+        if (!this.#filePath) return;
+
+        await mkdir(path.dirname(this.#filePath), { recursive: true });
+        const tempPath = `${this.#filePath}.${process.pid}.tmp`;
+        await writeFile(tempPath, JSON.stringify(this.toJSON(), null, 2) + '\n');
+        await rename(tempPath, this.#filePath);
+    }
+
+    /**
+     * Runs edits one at a time, so concurrent requests can't both pass a duplicate check.
+     * @template T
+     * @param {() => Promise<T>} edit
+     * @returns {Promise<T>}
+     */
+    #serialize(edit) {
+        const run = this.#queue.then(edit);
+        // Keep the queue alive after a rejected edit
+        this.#queue = run.catch(() => {});
+        return run;
+    }
+}
@@ -0,0 +1,450 @@
+import axios from 'axios';
+import { randomUUID, randomBytes } from 'node:crypto';
+import logger from '../utils/logger.js';
+import { CHANGE_EVENT_TYPES, matchesFilter } from '../utils/changeEvents.js';
+import { signPayload } from '../utils/webhookSignature.js';
+import { computeBackoffDelay, parseRetryAfter, sleep } from '../utils/retry.js';
+import { metrics as appMetrics } from '../utils/metrics.js';
+import { MemoryCacheStore } from '../cache/memoryCacheStore.js';
+
+// Cache key of the subscriptions, their secrets and the dead letters
+const STATE_KEY = 'webhooks';
+
+// Receiver statuses worth retrying; other error statuses mean the delivery itself is refused
+const RETRYABLE_STATUSES = new Set([408, 429]);
+
+/**
+ * Error thrown when a webhook subscription request is rejected.
+ * `reason` tells callers how to report it:
+ * - 'invalid': the URL or filters are malformed
+ * - 'not-found': there is no subscription with the given ID
+ */
+export class WebhookError extends Error {
+    /**
+     * @param {'invalid'|'not-found'} reason
+     * @param {string} message
+     */
+    constructor(reason, message) {
+        super(message);
+        this.name = 'WebhookError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * @typedef {Object} Subscription
+ * @property {string} id
+ * @property {string} url - Where events are POSTed
+ * @property {import('../utils/changeEvents.js').ChangeEventFilter} filter - Which events are sent
+ * @property {string} createdAt - ISO timestamp
+ * @property {number} deliveredCount - Events the receiver accepted
+ * @property {number} failedCount - Events dead-lettered
+ * @property {string|null} lastDeliveryAt - ISO timestamp of the last accepted event
+ */
+
+/**
+ * @typedef {Object} DeadLetter
+ * A delivery given up on, kept for inspection.
+ * @property {string} id
+ * @property {string} subscriptionId
+ * @property {string} url
+ * @property {import('../utils/changeEvents.js').ChangeEvent} event
+ * @property {number} attempts - Attempts made, retries included
+ * @property {{status: number|null, message: string}} lastError - Why the last attempt failed
+ * @property {string} failedAt - ISO timestamp
+ */
+
+/**
+ * Checks a list of strings given as a subscription filter.
+ * @param {*} value
+ * @param {string} field - Field name for the error message
+ * @param {string[]} [allowed] - Accepted values
+ * @returns {string[]}
+ * @throws {WebhookError}
+ */
+function parseFilterList(value, field, allowed) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item.trim())) {
+        throw new WebhookError('invalid', `${field} must be an array of non-empty strings`);
+    }
+    const unknown = allowed && value.find(item => !allowed.includes(item));
+    if (unknown) {
+        throw new WebhookError('invalid', `Unknown ${field} value "${unknown}"`);
+    }
+    return [...new Set(value.map(item => item.trim()))];
+}
+
+/**
+ * Registers webhook subscriptions and POSTs them the change feed's events,
+ * signed with each subscription's secret. Each subscription gets its events in
+ * order, one at a time. Failed deliveries are retried with exponential backoff,
+ * then recorded in a dead-letter log. Subscriptions, with their secrets and delivery
+ * counts, and dead letters are persisted to a cache store, so they survive restarts.
+ */
+export class WebhookService {
+    #httpClient;
+    #maxAttempts;
+    #baseDelayMs;
+    #maxDelayMs;
+    #timeoutMs;
+    #deadLetterSize;
+    #sleep;
+    #random;
+    #now;
+    #createId;
+    #createSecret;
+    #metrics;
+    #cacheStore;
+    #saving = Promise.resolve();
+    #subscriptions = new Map();
+    #secrets = new Map();
+    #queues = new Map();
+    #deadLetters = [];
+    #closed = false;
+    #resolveClosed;
+    // Settles on close, cutting the wait before a retry short
+    #whenClosed = new Promise(resolve => {
+        this.#resolveClosed = resolve;
+    });
+
+    /**
+     * @param {Object} options
+     * @param {import('./changeFeed.js').ChangeFeed} options.changeFeed - Source of the events
+     * @param {Object} [options.httpClient] - HTTP client with an axios-like `post`
+     * @param {number} [options.maxAttempts=5] - Attempts per event, the first one included
+     * @param {number} [options.baseDelayMs=1000] - Backoff ceiling of the first retry
+     * @param {number} [options.maxDelayMs=60000] - Longest wait between attempts
+     * @param {number} [options.timeoutMs=5000] - Time a receiver has to answer
+     * @param {number} [options.deadLetterSize=1000] - Dead letters kept, oldest dropped first
+     * @param {(ms: number) => Promise<void>} [options.sleep] - Waits between attempts, injectable for tests
+     * @param {() => number} [options.random] - Random source for the backoff jitter, injectable for tests
+     * @param {() => number} [options.now] - Clock function, injectable for tests
+     * @param {() => string} [options.createId] - ID generator, injectable for tests
+     * @param {() => string} [options.createSecret] - Secret generator, injectable for tests
+     * @param {import('../utils/metrics.js').AppMetrics} [options.metrics] - Where delivery outcomes are
+     *   counted; defaults to the app's metrics
+     * @param {import('../cache/memoryCacheStore.js').CacheStore} [options.cacheStore] - Where subscriptions
+     *   and dead letters are persisted; defaults to an in-memory store
+     */
+    constructor({
+        changeFeed,
+        httpClient = axios,
+        maxAttempts = 5,
+        baseDelayMs = 1000,
+        maxDelayMs = 60000,
+        timeoutMs = 5000,
+        deadLetterSize = 1000,
+        sleep: sleepFn = sleep,
+        random = Math.random,
+        now = Date.now,
+        createId = randomUUID,
+        createSecret = () => randomBytes(32).toString('hex'),
+        metrics = appMetrics,
+        cacheStore = new MemoryCacheStore()
+    }) {
+        this.#httpClient = httpClient;
+        this.#maxAttempts = Math.max(1, maxAttempts);
+        this.#baseDelayMs = baseDelayMs;
+        this.#maxDelayMs = maxDelayMs;
+        this.#timeoutMs = timeoutMs;
+        this.#deadLetterSize = deadLetterSize;
+        this.#sleep = sleepFn;
+        this.#random = random;
+        this.#now = now;
+        this.#createId = createId;
+        this.#createSecret = createSecret;
+        this.#metrics = metrics;
+        this.#cacheStore = cacheStore;
+
+        changeFeed.on('event', event => this.#dispatch(event));
+    }
+
+    /**
+     * Restores the persisted subscriptions and dead letters, if any.
+     * @returns {Promise<this>}
+     */
+    async load() {
+        const saved = await this.#cacheStore.get(STATE_KEY);
+        if (!saved) return this;
+
+        for (const { secret, ...subscription } of saved.subscriptions) {
+            this.#subscriptions.set(subscription.id, subscription);
+            this.#secrets.set(subscription.id, secret);
+        }
+        this.#deadLetters = saved.deadLetters.slice(-this.#deadLetterSize);
+        return this;
+    }
+
+    /**
+     * Registers a subscription. Its secret is only returned here.
+     * @param {Object} input
+     * @param {string} input.url - http(s) URL events are POSTed to
+     * @param {string[]} [input.types] - Event types to send, see CHANGE_EVENT_TYPES; all by default
+     * @param {string[]} [input.actors] - Only send events about these actors
+     * @param {string[]} [input.movies] - Only send events about these movies
+     * @returns {Promise<Subscription & {secret: string}>}
+     * @throws {WebhookError} If the URL or a filter is invalid
+     */
+    async subscribe({ url, types, actors, movies } = {}) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new WebhookError('invalid', 'url must be an absolute URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new WebhookError('invalid', 'url must use http or https');
+        }
+
+        const subscription = {
+            id: this.#createId(),
+            url: parsed.href,
+            filter: {
+                types: parseFilterList(types, 'types', CHANGE_EVENT_TYPES),
+                actors: parseFilterList(actors, 'actors'),
+                movies: parseFilterList(movies, 'movies')
+            },
+            createdAt: new Date(this.#now()).toISOString(),
+            deliveredCount: 0,
+            failedCount: 0,
+            lastDeliveryAt: null
+        };
+        const secret = this.#createSecret();
+        this.#subscriptions.set(subscription.id, subscription);
+        this.#secrets.set(subscription.id, secret);
+        await this.#commit(() => {
+            this.#subscriptions.delete(subscription.id);
+            this.#secrets.delete(subscription.id);
+        });
+
+        logger.info({ subscriptionId: subscription.id, url: subscription.url }, 'Registered webhook');
+        return { ...subscription, secret };
+    }
+
+    /**
+     * Lists subscriptions, oldest first, without their secrets.
+     * @returns {Subscription[]}
+     */
+    listSubscriptions() {
+        return [...this.#subscriptions.values()].map(subscription => ({ ...subscription }));
+    }
+
+    /**
+     * Gets a subscription, without its secret.
+     * @param {string} id
+     * @returns {Subscription}
+     * @throws {WebhookError}
+     */
+    getSubscription(id) {
+        const subscription = this.#subscriptions.get(id);
+        if (!subscription) {
+            throw new WebhookError('not-found', `No webhook with id ${id}`);
+        }
+        return { ...subscription };
+    }
+
+    /**
+     * Removes a subscription. Deliveries already queued for it are dropped.
+     * @param {string} id
+     * @returns {Promise<void>}
+     * @throws {WebhookError}
+     */
+    async unsubscribe(id) {
+        this.getSubscription(id);
+        const subscription = this.#subscriptions.get(id);
+        const secret = this.#secrets.get(id);
+        this.#subscriptions.delete(id);
+        this.#secrets.delete(id);
+        await this.#commit(() => {
+            this.#subscriptions.set(id, subscription);
+            this.#secrets.set(id, secret);
+        });
+        logger.info({ subscriptionId: id }, 'Removed webhook');
+    }
+
+    /**
+     * Lists the deliveries given up on, newest first.
+     * @param {Object} [options]
+     * @param {string} [options.subscriptionId] - Only list those of one subscription
+     * @returns {DeadLetter[]}
+     */
+    getDeadLetters({ subscriptionId } = {}) {
+        return this.#deadLetters
+            .filter(letter => subscriptionId === undefined || letter.subscriptionId === subscriptionId)
+            .reverse();
+    }
+
+    /**
+     * Queues an event for every subscription whose filter it passes. Deliveries of
+     * one subscription are chained, so its receiver gets events in order.
+     * @param {import('../utils/changeEvents.js').ChangeEvent} event
+     */
+    #dispatch(event) {
+        if (this.#closed) return;
+
+        for (const subscription of this.#subscriptions.values()) {
+            if (!matchesFilter(event, subscription.filter)) continue;
+
+            const previous = this.#queues.get(subscription.id) ?? Promise.resolve();
+            const next = previous.then(() => this.#deliver(subscription, event));
+            this.#queues.set(subscription.id, next);
+            next.finally(() => {
+                if (this.#queues.get(subscription.id) === next) this.#queues.delete(subscription.id);
+            });
+        }
+    }
+
+    /**
+     * POSTs an event to a subscription, retrying transient failures, and records
+     * the outcome. Never rejects: deliveries given up on go to the dead-letter log.
+     * @param {Subscription} subscription
+     * @param {import('../utils/changeEvents.js').ChangeEvent} event
+     * @returns {Promise<void>}
+     */
+    async #deliver(subscription, event) {
+        let lastError;
+        let attempt = 0;
+
+        // Queued events get their first attempt even when closing; only retries are cut short
+        while (attempt < this.#maxAttempts && (attempt === 0 || !this.#closed)) {
+            attempt++;
+            // A removed subscription gets nothing more, its secret being gone
+            const secret = this.#secrets.get(subscription.id);
+            if (secret === undefined) return;
+
+            try {
+                await this.#post(subscription.url, secret, event, attempt);
+                subscription.deliveredCount++;
+                subscription.lastDeliveryAt = new Date(this.#now()).toISOString();
+                this.#metrics.webhookDeliveries.inc({ outcome: 'delivered' });
+                this.#persist();
+                return;
+            } catch (error) {
+                const status = error.response?.status ?? null;
+                lastError = { status, message: error.message };
+                const retryable = status === null || status >= 500 || RETRYABLE_STATUSES.has(status);
+                if (!retryable || attempt === this.#maxAttempts) break;
+
+                const delayMs = parseRetryAfter(error.response?.headers?.['retry-after']) ??
+                    computeBackoffDelay(attempt - 1, {
+                        baseDelayMs: this.#baseDelayMs,
+                        maxDelayMs: this.#maxDelayMs,
+                        random: this.#random
+                    });
+                this.#metrics.webhookDeliveries.inc({ outcome: 'retried' });
+                logger.warn({ subscriptionId: subscription.id, eventId: event.id, attempt, status, delayMs }, 'Webhook delivery failed, retrying');
+                await Promise.race([this.#sleep(Math.min(delayMs, this.#maxDelayMs)), this.#whenClosed]);
+            }
+        }
+
+        this.#deadLetter(subscription, event, { attempts: attempt, lastError });
+    }
+
+    /**
+     * Sends one attempt. The body is signed as sent, so receivers verify the raw bytes.
+     * @param {string} url
+     * @param {string} secret
+     * @param {import('../utils/changeEvents.js').ChangeEvent} event
+     * @param {number} attempt - One-based attempt number
+     * @returns {Promise<void>}
+     * @throws {Error} If the receiver could not be reached or did not answer 2xx
+     */
+    async #post(url, secret, event, attempt) {
+        const body = JSON.stringify(event);
+        await this.#httpClient.post(url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': event.id,
+                'X-Webhook-Event': event.type,
+                'X-Webhook-Attempt': String(attempt),
+                'X-Webhook-Signature': signPayload(secret, Math.floor(this.#now() / 1000), body)
+            },
+            timeout: this.#timeoutMs,
+            // The body is already serialized and signed; axios must not transform it
+            transformRequest: [data => data],
+            maxRedirects: 0
+        });
+    }
+
+    /**
+     * Records a delivery given up on.
+     * @param {Subscription} subscription
+     * @param {import('../utils/changeEvents.js').ChangeEvent} event
+     * @param {Object} failure
+     * @param {number} failure.attempts
+     * @param {{status: number|null, message: string}} failure.lastError
+     */
+    #deadLetter(subscription, event, { attempts, lastError }) {
+        const letter = {
+            id: this.#createId(),
+            subscriptionId: subscription.id,
+            url: subscription.url,
+            event,
+            attempts,
+            lastError,
+            failedAt: new Date(this.#now()).toISOString()
+        };
+        this.#deadLetters.push(letter);
+        if (this.#deadLetters.length > this.#deadLetterSize) this.#deadLetters.shift();
+        subscription.failedCount++;
+        this.#metrics.webhookDeliveries.inc({ outcome: 'dead-lettered' });
+        this.#persist();
+        logger.error({ subscriptionId: subscription.id, eventId: event.id, lastError }, 'Webhook delivery failed for good');
+    }
+
+    /**
+     * Persists the subscriptions and dead letters. If persisting fails the in-memory
+     * edit is undone, so memory and store never disagree.
+     * @param {() => void} undo - Reverts the in-memory edit
+     * @returns {Promise<void>}
+     */
+    async #commit(undo) {
+        try {
+            await this.#save();
+        } catch (error) {
+            undo();
+            throw error;
+        }
+    }
+
+    /**
+     * Persists delivery counts and dead letters in the background; a failure only
+     * loses them if the process restarts before the next save.
+     */
+    #persist() {
+        this.#save().catch(error => {
+            logger.warn({ err: error }, 'Failed to persist webhook deliveries');
+        });
+    }
+
+    /**
+     * Writes the subscriptions, with their secrets, and the dead letters. Writes run one
+     * at a time, each with the state as it is when it starts, so the last one always wins.
+     * @returns {Promise<void>}
+     */
+    #save() {
+        const run = this.#saving.then(() => this.#cacheStore.set(STATE_KEY, {
+            subscriptions: [...this.#subscriptions.values()].map(subscription => ({
+                ...subscription,
+                secret: this.#secrets.get(subscription.id)
+            })),
+            deadLetters: this.#deadLetters
+        }));
+        // Keep the chain alive after a failed write
+        this.#saving = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Stops taking new events and retrying, then waits for the deliveries queued
+     * to make their current attempt and for their outcomes to be persisted.
+     * Events whose retries are cut short are dead-lettered.
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.#closed = true;
+        this.#resolveClosed();
+        await Promise.all(this.#queues.values());
+        await this.#saving;
+    }
+}
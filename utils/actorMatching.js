@@ -0,0 +1,134 @@
+/**
+ * Pure functions for matching tracked actors to TMDB people and cast entries.
+ */
+
+import { simplifyName } from './text.js';
+
+// Number of candidates kept per name in resolution reports
+const MAX_CANDIDATES = 3;
+
+/**
+ * @typedef {Object} ActorMatcher
+ * @property {(castMember: {id?: number, name: string}) => string|null} match - Tracked display
+ *   name of a cast member, or null if the cast member is not tracked
+ */
+
+/**
+ * @typedef {Object} PersonMatch
+ * @property {'resolved'|'ambiguous'|'unresolved'} status
+ * @property {number|null} id - Chosen TMDB person ID; the most popular candidate when ambiguous
+ * @property {string|null} tmdbName - Name of the chosen person in TMDB
+ * @property {Array<{id: number, name: string, department: string, popularity: number, knownFor: string[]}>} candidates
+ *   Matching people when ambiguous, closest search results when unresolved, empty otherwise
+ */
+
+/**
+ * Creates a matcher for tracked actors. Actors with a TMDB person ID are matched by
+ * `cast[].id`; actors without one fall back to diacritic-insensitive name matching.
+ * Matches are reported under the tracked display name.
+ * @param {Array<{name: string, id?: number|null}>} actors - Tracked actors
+ * @returns {ActorMatcher}
+ */
+export function createActorMatcher(actors) {
+    const nameById = new Map();
+    const nameBySimplified = new Map();
+
+    for (const { name, id } of actors) {
+        if (id) {
+            if (!nameById.has(id)) nameById.set(id, name);
+        } else {
+            nameBySimplified.set(simplifyName(name), name);
+        }
+    }
+
+    return {
+        match({ id, name }) {
+            if (id && nameById.has(id)) return nameById.get(id);
+            if (nameBySimplified.size === 0 || !name) return null;
+            return nameBySimplified.get(simplifyName(name)) ?? null;
+        }
+    };
+}
+
+/**
+ * Accepts either a set of actor names or an ActorMatcher, so callers that only
+ * know names keep working.
+ * @param {Set<string>|ActorMatcher} actorFilter
+ * @returns {ActorMatcher}
+ */
+export function toActorMatcher(actorFilter) {
+    if (typeof actorFilter.match === 'function') return actorFilter;
+    return createActorMatcher([...actorFilter].map(name => ({ name })));
+}
+
+/**
+ * Combines several filters into one matcher; a credit is reported under the name
+ * given by the first filter that matches it.
+ * @param {...(Set<string>|ActorMatcher)} filters
+ * @returns {ActorMatcher}
+ */
+export function combineMatchers(...filters) {
+    const matchers = filters.map(toActorMatcher);
+    return {
+        match(person) {
+            for (const matcher of matchers) {
+                const name = matcher.match(person);
+                if (name) return name;
+            }
+            return null;
+        }
+    };
+}
+
+/**
+ * Summarizes a TMDB person search result for reports.
+ * @param {Object} person
+ * @returns {{id: number, name: string, department: string, popularity: number, knownFor: string[]}}
+ */
+function summarizePerson(person) {
+    return {
+        id: person.id,
+        name: person.name,
+        department: person.known_for_department ?? null,
+        popularity: person.popularity ?? 0,
+        knownFor: (person.known_for ?? []).map(work => work.title ?? work.name).filter(Boolean).slice(0, MAX_CANDIDATES)
+    };
+}
+
+/**
+ * Picks the TMDB person a tracked actor name refers to from `/search/person` results.
+ * A result matches if its name or original name equals the tracked name or one of its
+ * aliases after normalization. Actors are preferred over crew; among several matching
+ * people the most popular is chosen, but the name is reported as ambiguous.
+ * @param {string} name - Tracked display name
+ * @param {Array<Object>} results - `/search/person` results
+ * @param {string[]} [aliases] - Other names the actor goes by
+ * @returns {PersonMatch}
+ */
+export function pickPersonMatch(name, results, aliases = []) {
+    const accepted = new Set([name, ...aliases].map(simplifyName));
+    const isMatch = person => [person.name, person.original_name]
+        .some(candidate => candidate && accepted.has(simplifyName(candidate)));
+
+    const matches = results.filter(isMatch);
+    const acting = matches.filter(person => person.known_for_department === 'Acting');
+    const pool = (acting.length > 0 ? acting : matches)
+        .sort((a, b) => (b.popularity ?? 0) - (a.popularity ?? 0));
+
+    if (pool.length === 0) {
+        return {
+            status: 'unresolved',
+            id: null,
+            tmdbName: null,
+            candidates: results.slice(0, MAX_CANDIDATES).map(summarizePerson)
+        };
+    }
+
+    const [chosen] = pool;
+    return {
+        status: pool.length === 1 ? 'resolved' : 'ambiguous',
+        id: chosen.id,
+        tmdbName: chosen.name,
+        candidates: pool.length === 1 ? [] : pool.slice(0, MAX_CANDIDATES).map(summarizePerson)
+    };
+}
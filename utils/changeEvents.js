@@ -0,0 +1,64 @@
+/**
+ * Change events derived from a diff of credits (see diffCredits in dataProcessor.js),
+ * as published on the change feed, the /events stream and webhooks.
+ */
+
+/**
+ * Event types, one per added or removed item of a CreditsDiff:
+ * - 'actor.added', 'actor.removed': a tracked actor joined or left a movie's cast
+ * - 'character.added', 'character.removed': a tracked actor is (no longer) credited as a character in a movie
+ * - 'recast.added', 'recast.removed': a character was (no longer) taken over by another actor
+ */
+export const CHANGE_EVENT_TYPES = [
+    'actor.added',
+    'actor.removed',
+    'character.added',
+    'character.removed',
+    'recast.added',
+    'recast.removed'
+];
+
+// Diff section of each event type prefix
+const DIFF_SECTIONS = { actor: 'actors', character: 'characters', recast: 'recasts' };
+
+/**
+ * @typedef {Object} ChangeEvent
+ * @property {string} id - Increasing sequence number, as a string
+ * @property {string} type - One of CHANGE_EVENT_TYPES
+ * @property {string} at - When the change was found, as an ISO timestamp
+ * @property {{actorName: string, movieName: string, characterName?: string,
+ *   characterId?: string, replaces?: string[]}} data - The added or removed item
+ */
+
+/**
+ * @typedef {Object} ChangeEventFilter
+ * @property {string[]} [types] - Event types to keep; all by default
+ * @property {string[]} [actors] - Actors to keep events of, as tracked display names
+ * @property {string[]} [movies] - Movies to keep events of, as tracked names
+ */
+
+/**
+ * Lists the events of a diff of credits, without IDs and timestamps.
+ * @param {import('./dataProcessor.js').CreditsDiff} diff
+ * @returns {Array<{type: string, data: Object}>}
+ */
+export function eventsFromDiff(diff) {
+    return CHANGE_EVENT_TYPES.flatMap(type => {
+        const [prefix, change] = type.split('.');
+        return diff[DIFF_SECTIONS[prefix]][change].map(data => ({ type, data }));
+    });
+}
+
+/**
+ * Checks whether an event passes a filter. Each given criterion must match;
+ * the actor criterion also matches the actors a recast replaced.
+ * @param {{type: string, data: Object}} event
+ * @param {ChangeEventFilter} [filter]
+ * @returns {boolean}
+ */
+export function matchesFilter({ type, data }, { types, actors, movies } = {}) {
+    if (types?.length && !types.includes(type)) return false;
+    if (actors?.length && ![data.actorName, ...(data.replaces ?? [])].some(actor => actors.includes(actor))) return false;
+    if (movies?.length && !movies.includes(data.movieName)) return false;
+    return true;
+}
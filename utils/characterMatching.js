@@ -0,0 +1,357 @@
+/**
+ * Character name matching and clustering.
+ * Pure functions: pairwise match decisions and an order-independent clustering
+ * pass that turns raw TMDB character names into stable character groups.
+ */
+
+import * as fuzz from 'fuzzball';
+import { defaultCharacterRegistry } from './characterRegistry.js';
+
+// Thresholds for fuzzy matching (0-100)
+export const TOKEN_SET_THRESHOLD = 80;  // For token_set_ratio (handles word reordering)
+export const RATIO_THRESHOLD = 50;       // Minimum basic ratio to avoid false positives
+
+// Tokens too common to be useful as blocking keys
+const BLOCKING_STOPWORDS = new Set(['the', 'of', 'and', 'mr', 'mrs', 'ms', 'young', 'old']);
+const BLOCKING_PREFIX_LENGTH = 4;
+// Token blocks larger than this ("Soldier #1" ... "Soldier #300") are too generic to
+// be worth comparing pairwise, so they are skipped. Joined-name blocks are always used.
+const MAX_TOKEN_BLOCK_SIZE = 50;
+
+// Decisions by rule strength, used to union the most certain pairs first
+const REASON_PRIORITY = { 'merge-override': 0, 'canonical-match': 1, 'fuzzy-match': 2 };
+
+/**
+ * @typedef {Object} MatchExplanation
+ * @property {boolean} matched - Whether the names are treated as the same character
+ * @property {'empty-name'|'merge-override'|'split-override'|'canonical-match'|'canonical-mismatch'|'fuzzy-match'|'fuzzy-reject'} reason
+ *   Which rule decided
+ * @property {[string|null, string|null]} canonicalIds - Registry IDs of both names, null if unknown
+ * @property {{
+ *   tokenSet: {score: number, threshold: number, passed: boolean},
+ *   ratio: {score: number, threshold: number, passed: boolean}
+ * }} scores - Fuzzy scores, computed even when another rule decided, for tuning
+ */
+
+/**
+ * Explains whether two character names represent the same character.
+ * Explicit merge/split overrides are applied first, then canonical identities from
+ * the character registry. Names the registry doesn't know fall back to fuzzy matching,
+ * combining token_set_ratio (handles word order) and basic ratio
+ * (prevents false positives like "Hero" matching "Different Hero").
+ * Rank titles, quoted nicknames and parenthetical notes are removed before comparing.
+ * @param {string} name1 - First character name
+ * @param {string} name2 - Second character name
+ * @param {Object} [registry] - Character registry, see utils/characterRegistry.js
+ * @returns {MatchExplanation}
+ */
+export function explainCharacterMatch(name1, name2, registry = defaultCharacterRegistry) {
+    const clean1 = registry.normalizedName(name1);
+    const clean2 = registry.normalizedName(name2);
+
+    // token_set_ratio handles word reordering and partial matches well
+    const tokenSetScore = clean1 && clean2 ? fuzz.token_set_ratio(clean1, clean2) : 0;
+    // Basic ratio prevents false positives when one name is a subset of another
+    const ratioScore = clean1 && clean2 ? fuzz.ratio(clean1, clean2) : 0;
+
+    const id1 = registry.resolve(name1);
+    const id2 = registry.resolve(name2);
+
+    const explanation = (matched, reason) => ({
+        matched,
+        reason,
+        canonicalIds: [id1, id2],
+        scores: {
+            tokenSet: { score: tokenSetScore, threshold: TOKEN_SET_THRESHOLD, passed: tokenSetScore >= TOKEN_SET_THRESHOLD },
+            ratio: { score: ratioScore, threshold: RATIO_THRESHOLD, passed: ratioScore >= RATIO_THRESHOLD }
+        }
+    });
+
+    if (!clean1 || !clean2) return explanation(false, 'empty-name');
+
+    const override = registry.getOverride(name1, name2);
+    if (override) return explanation(override === 'merge', `${override}-override`);
+
+    if (id1 && id2) {
+        return id1 === id2
+            ? explanation(true, 'canonical-match')
+            : explanation(false, 'canonical-mismatch');
+    }
+
+    const fuzzyMatch = tokenSetScore >= TOKEN_SET_THRESHOLD && ratioScore >= RATIO_THRESHOLD;
+    return explanation(fuzzyMatch, fuzzyMatch ? 'fuzzy-match' : 'fuzzy-reject');
+}
+
+/**
+ * Checks if two character names represent the same character.
+ * See explainCharacterMatch for the rules applied.
+ * @param {string} name1 - First character name
+ * @param {string} name2 - Second character name
+ * @param {Object} [registry] - Character registry, see utils/characterRegistry.js
+ * @returns {boolean} True if names are similar enough
+ */
+export function isSameCharacter(name1, name2, registry = defaultCharacterRegistry) {
+    return explainCharacterMatch(name1, name2, registry).matched;
+}
+
+/**
+ * Computes blocking keys for a name: its tokens, their prefixes and each segment
+ * with spaces removed. Only names sharing a key are compared, which keeps
+ * clustering far below O(n²) while still pairing "Spiderman" with "Spider-Man".
+ * @param {string} name - Raw character name
+ * @param {Object} registry - Character registry
+ * @returns {Set<string>}
+ */
+function blockingKeys(name, registry) {
+    const { segments, nicknames } = registry.normalize(name);
+    const keys = new Set();
+
+    for (const text of [...segments, ...nicknames]) {
+        keys.add(`joined:${text.replace(/ /g, '')}`);
+
+        for (const token of text.split(' ')) {
+            if (token.length < 3 || BLOCKING_STOPWORDS.has(token)) continue;
+            keys.add(`token:${token}`);
+            keys.add(`prefix:${token.slice(0, BLOCKING_PREFIX_LENGTH)}`);
+        }
+    }
+
+    return keys;
+}
+
+/**
+ * Key for an unordered pair of names.
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function pairKey(a, b) {
+    return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+}
+
+/**
+ * Chooses a cluster's representative name deterministically: the most credited
+ * name, then the one with the most "/"-separated parts (e.g. "Tony Stark / Iron Man"
+ * over "Tony Stark"), then the alphabetically first.
+ * @param {string[]} names
+ * @param {Map<string, number>} counts - Appearance count per name
+ * @param {Object} registry - Character registry
+ * @returns {string}
+ */
+function chooseRepresentative(names, counts, registry) {
+    const partCount = name => registry.normalize(name).segments.length;
+
+    return [...names].sort((a, b) =>
+        (counts.get(b) ?? 1) - (counts.get(a) ?? 1) ||
+        partCount(b) - partCount(a) ||
+        (a < b ? -1 : a > b ? 1 : 0)
+    )[0];
+}
+
+/**
+ * Derives the ID of a cluster without a canonical ID: the alphabetically first slug
+ * of its names. Unlike the representative it does not depend on appearance counts,
+ * so the ID stays the same as credits are added.
+ * @param {string[]} names
+ * @param {Object} registry - Character registry
+ * @returns {string}
+ */
+function deriveClusterId(names, registry) {
+    return names.map(name => registry.characterId(name)).sort()[0];
+}
+
+/**
+ * @typedef {Object} CharacterCluster
+ * @property {string} id - Canonical character ID, or the first slug of the cluster's names
+ * @property {string} representative - Name chosen to stand for the cluster
+ * @property {string[]} names - Every raw name in the cluster, sorted
+ */
+
+/**
+ * Clusters raw character names into characters, independently of input order.
+ *
+ * 1. Names sharing a blocking key or a canonical ID become candidate pairs, and every
+ *    candidate pair is decided with explainCharacterMatch. Merge overrides are always candidates.
+ * 2. Matched pairs are unioned (union-find), most certain rules and highest scores
+ *    first, with ties broken by name. A union is refused if it would put two
+ *    different canonical characters, or a split-override pair, in one cluster,
+ *    so transitive fuzzy matches cannot chain distinct characters together.
+ *
+ * Because both the pair decisions and the union order depend only on the set of
+ * names, the resulting clusters are the same for any ordering of the input.
+ * @param {string[]} names - Raw character names (duplicates are ignored)
+ * @param {Object} [registry] - Character registry, see utils/characterRegistry.js
+ * @param {Object} [options]
+ * @param {Map<string, number>} [options.counts] - Appearance count per name, used to pick representatives
+ * @returns {{
+ *   clusters: CharacterCluster[],
+ *   clusterOf: (name: string) => CharacterCluster|undefined,
+ *   comparisonsOf: (name: string) => Array<{name: string, explanation: MatchExplanation}>,
+ *   linkOf: (name: string) => {name: string, explanation: MatchExplanation}|null
+ * }}
+ */
+export function clusterCharacterNames(names, registry = defaultCharacterRegistry, { counts = new Map() } = {}) {
+    const uniqueNames = [...new Set(names.filter(Boolean))].sort();
+    const normalizedOf = new Map(uniqueNames.map(name => [name, registry.normalizedName(name)]));
+
+    // Blocking index: key -> names sharing it
+    const blocks = new Map();
+    for (const name of uniqueNames) {
+        for (const key of blockingKeys(name, registry)) {
+            if (!blocks.has(key)) blocks.set(key, []);
+            blocks.get(key).push(name);
+        }
+    }
+
+    // Candidate pairs from shared blocking keys, shared canonical IDs and merge overrides
+    const namesByNormalized = new Map();
+    for (const name of uniqueNames) {
+        const normalized = normalizedOf.get(name);
+        if (!namesByNormalized.has(normalized)) namesByNormalized.set(normalized, []);
+        namesByNormalized.get(normalized).push(name);
+    }
+
+    const candidates = new Map();
+    const addCandidate = (a, b) => {
+        if (a !== b) candidates.set(pairKey(a, b), [a < b ? a : b, a < b ? b : a]);
+    };
+
+    for (const [key, block] of blocks) {
+        if (block.length > MAX_TOKEN_BLOCK_SIZE && !key.startsWith('joined:')) continue;
+        for (let i = 0; i < block.length; i++) {
+            for (let j = i + 1; j < block.length; j++) {
+                addCandidate(block[i], block[j]);
+            }
+        }
+    }
+    const namesByCanonicalId = new Map();
+    for (const name of uniqueNames) {
+        const id = registry.resolve(name);
+        if (!id) continue;
+        // Chaining each name to the previous one is enough to connect them all
+        const previous = namesByCanonicalId.get(id);
+        if (previous) addCandidate(previous, name);
+        namesByCanonicalId.set(id, name);
+    }
+    for (const name of uniqueNames) {
+        for (const partner of registry.getOverridePartners(name, 'merge')) {
+            for (const other of namesByNormalized.get(partner) ?? []) {
+                addCandidate(name, other);
+            }
+        }
+    }
+
+    // Decide every candidate pair
+    const comparisons = new Map(uniqueNames.map(name => [name, []]));
+    const edges = [];
+
+    for (const [a, b] of candidates.values()) {
+        const explanation = explainCharacterMatch(a, b, registry);
+        comparisons.get(a).push({ name: b, explanation });
+        comparisons.get(b).push({ name: a, explanation });
+        if (explanation.matched) {
+            edges.push({ a, b, explanation });
+        }
+    }
+
+    const edgeScore = ({ explanation: { scores } }) => scores.tokenSet.score + scores.ratio.score;
+    edges.sort((x, y) =>
+        REASON_PRIORITY[x.explanation.reason] - REASON_PRIORITY[y.explanation.reason] ||
+        edgeScore(y) - edgeScore(x) ||
+        (x.a < y.a ? -1 : x.a > y.a ? 1 : 0) ||
+        (x.b < y.b ? -1 : x.b > y.b ? 1 : 0)
+    );
+
+    // Union-find with per-component canonical ID and members, to refuse conflicting unions
+    const parent = new Map(uniqueNames.map(name => [name, name]));
+    const canonical = new Map(uniqueNames.map(name => [name, registry.resolve(name)]));
+    const members = new Map(uniqueNames.map(name => [name, [name]]));
+    const links = new Map();
+
+    const find = name => {
+        let root = name;
+        while (parent.get(root) !== root) root = parent.get(root);
+        // Path compression
+        while (parent.get(name) !== root) {
+            const next = parent.get(name);
+            parent.set(name, root);
+            name = next;
+        }
+        return root;
+    };
+
+    const hasSplitConflict = (rootA, rootB) => {
+        const normalizedB = new Set(members.get(rootB).map(name => normalizedOf.get(name)));
+        return members.get(rootA).some(name =>
+            [...registry.getOverridePartners(name, 'split')].some(partner => normalizedB.has(partner))
+        );
+    };
+
+    for (const { a, b, explanation } of edges) {
+        let rootA = find(a);
+        let rootB = find(b);
+        if (rootA === rootB) continue;
+
+        const [idA, idB] = [canonical.get(rootA), canonical.get(rootB)];
+        if (idA && idB && idA !== idB) continue;
+        if (hasSplitConflict(rootA, rootB)) continue;
+
+        // Attach the smaller component to the larger one
+        if (members.get(rootA).length < members.get(rootB).length) {
+            [rootA, rootB] = [rootB, rootA];
+        }
+        parent.set(rootB, rootA);
+        members.set(rootA, [...members.get(rootA), ...members.get(rootB)]);
+        members.delete(rootB);
+        canonical.set(rootA, idA ?? idB);
+
+        // Remember the first accepted comparison that joined each name, for explanations
+        if (!links.has(a)) links.set(a, { name: b, explanation });
+        if (!links.has(b)) links.set(b, { name: a, explanation });
+    }
+
+    // Build clusters, ordered by representative
+    const components = [...members.entries()]
+        .map(([root, clusterNames]) => {
+            const sortedNames = [...clusterNames].sort();
+            return {
+                baseId: canonical.get(root) ?? deriveClusterId(sortedNames, registry),
+                representative: chooseRepresentative(clusterNames, counts, registry),
+                names: sortedNames
+            };
+        })
+        .sort((x, y) => (x.representative < y.representative ? -1 : x.representative > y.representative ? 1 : 0));
+
+    // Colliding IDs get a suffix in order of their names, which appearance counts don't change
+    const ids = new Map();
+    const usedIds = new Set();
+    const byId = [...components].sort((x, y) =>
+        (x.baseId < y.baseId ? -1 : x.baseId > y.baseId ? 1 : 0) || (x.names[0] < y.names[0] ? -1 : 1)
+    );
+    for (const component of byId) {
+        let id = component.baseId;
+        for (let suffix = 2; usedIds.has(id); suffix++) {
+            id = `${component.baseId}-${suffix}`;
+        }
+        usedIds.add(id);
+        ids.set(component, id);
+    }
+
+    const clusterByName = new Map();
+
+    const clusters = components.map(component => {
+        const { representative, names: clusterNames } = component;
+        const cluster = { id: ids.get(component), representative, names: clusterNames };
+        for (const name of clusterNames) {
+            clusterByName.set(name, cluster);
+        }
+        return cluster;
+    });
+
+    return {
+        clusters,
+        clusterOf: name => clusterByName.get(name),
+        comparisonsOf: name => comparisons.get(name) ?? [],
+        linkOf: name => links.get(name) ?? null
+    };
+}
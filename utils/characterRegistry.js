@@ -0,0 +1,224 @@
+/**
+ * Canonical character identities for matching TMDB character names.
+ * Resolves raw names like "Lt. Col. James 'Rhodey' Rhodes" to a stable ID
+ * before any fuzzy matching takes place.
+ */
+
+import { canonicalCharacters, rankTitles, characterOverrides } from '../data/characterAliases.js';
+import { simplifyName as simplify } from './text.js';
+
+// Quoted nickname preceded by whitespace, e.g. the 'Rhodey' in "James 'Rhodey' Rhodes".
+// Requiring whitespace before the quote leaves apostrophes in "T'Challa" alone.
+const NICKNAME_PATTERN = /(^|\s)['"‘“]([^'"‘’“”]+)['"’”](?=\s|$)/g;
+
+/**
+ * Removes parenthetical notes like "(uncredited)" or "(voice)".
+ * @param {string} name - Raw character name
+ * @returns {string} Cleaned name
+ */
+export function cleanCharacterName(name) {
+    if (!name) return '';
+    return name.replace(/\s*\([^)]*\)\s*/g, ' ').trim();
+}
+
+/**
+ * Converts a name to a URL-safe slug, used as the ID of characters not in the registry.
+ * @param {string} text
+ * @returns {string}
+ */
+export function slugify(text) {
+    return simplify(text).replace(/\s+/g, '-');
+}
+
+/**
+ * Creates a character registry from canonical characters, rank titles and overrides.
+ * @param {Object} [options]
+ * @param {Array<{id: string, name: string, aliases: string[]}>} [options.characters]
+ * @param {string[]} [options.ranks] - Normalized rank titles to strip from the start of names
+ * @param {{merge: Array<[string, string]>, split: Array<[string, string]>}} [options.overrides]
+ * @returns {{
+ *   normalize: (name: string) => {segments: string[], nicknames: string[]},
+ *   normalizedName: (name: string) => string,
+ *   resolve: (name: string) => string|null,
+ *   getCharacter: (id: string) => {id: string, name: string, aliases: string[]}|undefined,
+ *   getOverride: (name1: string, name2: string) => 'merge'|'split'|null,
+ *   getOverridePartners: (name: string, type: 'merge'|'split') => Set<string>,
+ *   characterId: (name: string) => string
+ * }}
+ */
+export function createCharacterRegistry({
+    characters = canonicalCharacters,
+    ranks = rankTitles,
+    overrides = characterOverrides
+} = {}) {
+    const charactersById = new Map(characters.map(character => [character.id, character]));
+    // Names repeat across movies and comparisons, so normalization results are memoized
+    const normalizeCache = new Map();
+
+    /**
+     * Strips rank titles from the start of an already simplified name, repeatedly
+     * so "lt col james rhodes" loses both titles. A bare title is kept as-is.
+     * @param {string} text
+     * @returns {string}
+     */
+    function stripRanks(text) {
+        let result = text;
+        let stripped = true;
+
+        while (stripped) {
+            stripped = false;
+            for (const rank of ranks) {
+                if (result.startsWith(`${rank} `)) {
+                    result = result.slice(rank.length + 1);
+                    stripped = true;
+                    break;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Splits a raw character name into normalized segments and quoted nicknames.
+     * "Lt. Col. James 'Rhodey' Rhodes / War Machine" ->
+     * { segments: ['james rhodes', 'war machine'], nicknames: ['rhodey'] }
+     * @param {string} name - Raw character name
+     * @returns {{segments: string[], nicknames: string[]}}
+     */
+    function normalize(name) {
+        if (normalizeCache.has(name)) {
+            return normalizeCache.get(name);
+        }
+
+        const segments = [];
+        const nicknames = [];
+
+        for (const segment of cleanCharacterName(name).split('/')) {
+            const withoutNicknames = segment.replace(NICKNAME_PATTERN, (_match, prefix, nickname) => {
+                nicknames.push(simplify(nickname));
+                return prefix;
+            });
+
+            const normalized = stripRanks(simplify(withoutNicknames));
+            if (normalized) {
+                segments.push(normalized);
+            }
+        }
+
+        const result = { segments, nicknames: nicknames.filter(Boolean) };
+        normalizeCache.set(name, result);
+        return result;
+    }
+
+    /**
+     * Normalizes a raw name into a single comparable string.
+     * @param {string} name
+     * @returns {string}
+     */
+    function normalizedName(name) {
+        return normalize(name).segments.join(' / ');
+    }
+
+    // Index every name and alias by its normalized form
+    const aliasIndex = new Map();
+    for (const character of characters) {
+        for (const alias of [character.name, ...character.aliases]) {
+            for (const segment of normalize(alias).segments) {
+                aliasIndex.set(segment, character.id);
+            }
+        }
+    }
+
+    const pairKey = (name1, name2) => [normalizedName(name1), normalizedName(name2)].sort().join('|');
+    const mergePairs = new Set(overrides.merge.map(([a, b]) => pairKey(a, b)));
+    const splitPairs = new Set(overrides.split.map(([a, b]) => pairKey(a, b)));
+
+    /**
+     * Indexes override pairs by each side's normalized name.
+     * @param {Array<[string, string]>} pairs
+     * @returns {Map<string, Set<string>>}
+     */
+    function indexPartners(pairs) {
+        const index = new Map();
+        for (const [a, b] of pairs) {
+            const [normalizedA, normalizedB] = [normalizedName(a), normalizedName(b)];
+            if (!index.has(normalizedA)) index.set(normalizedA, new Set());
+            if (!index.has(normalizedB)) index.set(normalizedB, new Set());
+            index.get(normalizedA).add(normalizedB);
+            index.get(normalizedB).add(normalizedA);
+        }
+        return index;
+    }
+
+    const mergePartners = indexPartners(overrides.merge);
+    const splitPartners = indexPartners(overrides.split);
+    const noPartners = new Set();
+
+    /**
+     * Resolves a raw character name to a canonical character ID.
+     * Tries each "/"-separated segment in order, then quoted nicknames.
+     * @param {string} name - Raw character name
+     * @returns {string|null} Canonical ID, or null if the name is not in the registry
+     */
+    function resolve(name) {
+        const { segments, nicknames } = normalize(name);
+
+        for (const candidate of [...segments, ...nicknames]) {
+            const id = aliasIndex.get(candidate);
+            if (id) return id;
+        }
+
+        return null;
+    }
+
+    /**
+     * Looks up an explicit merge/split decision for a pair of names.
+     * @param {string} name1
+     * @param {string} name2
+     * @returns {'merge'|'split'|null}
+     */
+    function getOverride(name1, name2) {
+        const key = pairKey(name1, name2);
+        if (splitPairs.has(key)) return 'split';
+        if (mergePairs.has(key)) return 'merge';
+        return null;
+    }
+
+    /**
+     * Gets the normalized names a name must be merged with, or kept apart from, by override.
+     * Lets callers find override pairs without comparing every pair of names.
+     * @param {string} name
+     * @param {'merge'|'split'} type
+     * @returns {Set<string>} Normalized partner names
+     */
+    function getOverridePartners(name, type) {
+        const index = type === 'merge' ? mergePartners : splitPartners;
+        return index.get(normalizedName(name)) ?? noPartners;
+    }
+
+    /**
+     * Gets a stable ID for a raw name: its canonical ID if registered,
+     * otherwise a slug of its first normalized segment.
+     * @param {string} name
+     * @returns {string}
+     */
+    function characterId(name) {
+        return resolve(name) ?? slugify(normalize(name).segments[0] ?? name);
+    }
+
+    return {
+        normalize,
+        normalizedName,
+        resolve,
+        getCharacter: id => charactersById.get(id),
+        getOverride,
+        getOverridePartners,
+        characterId
+    };
+}
+
+/**
+ * Registry built from the curated data in data/characterAliases.js.
+ */
+export const defaultCharacterRegistry = createCharacterRegistry();
@@ -0,0 +1,29 @@
+/**
+ * Helpers for running async work with bounded parallelism.
+ */
+
+/**
+ * Maps over items with an async mapper, running at most `limit` mappers at once.
+ * Results are returned in the same order as the input items.
+ * @template T, R
+ * @param {T[]} items - Items to process
+ * @param {number} limit - Maximum number of mappers in flight
+ * @param {(item: T, index: number) => Promise<R>} mapper - Async mapping function
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return results;
+}
@@ -3,59 +3,120 @@
  * No side effects, no external dependencies - easy to test.
  */
 
-import * as fuzz from 'fuzzball';
+import { defaultCharacterRegistry } from './characterRegistry.js';
+import { toActorMatcher, combineMatchers } from './actorMatching.js';
+import { createMovieComparator, releaseYearOf } from './movieDetails.js';
+import {
+    TOKEN_SET_THRESHOLD,
+    RATIO_THRESHOLD,
+    explainCharacterMatch,
+    clusterCharacterNames
+} from './characterMatching.js';
 
-// Thresholds for fuzzy matching (0-100)
-const TOKEN_SET_THRESHOLD = 80;  // For token_set_ratio (handles word reordering)
-const RATIO_THRESHOLD = 50;       // Minimum basic ratio to avoid false positives
+export {
+    TOKEN_SET_THRESHOLD,
+    RATIO_THRESHOLD,
+    explainCharacterMatch,
+    isSameCharacter,
+    clusterCharacterNames
+} from './characterMatching.js';
+
+// Number of most frequent partners listed per actor in the collaboration graph
+const TOP_PARTNERS = 3;
+
+/**
+ * @typedef {import('./actorMatching.js').ActorMatcher} ActorMatcher
+ * @typedef {import('./movieDetails.js').MovieInfo} MovieInfo
+ */
+
+/**
+ * Compares two strings by code unit, like Array.prototype.sort does by default.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareText(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
 
 /**
- * Cleans a character name for comparison.
- * Removes parenthetical notes like "(uncredited)".
- * @param {string} name - Raw character name
- * @returns {string} Cleaned name
+ * Collects every tracked cast appearance in credit order.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @returns {Array<{movieName: string, actorName: string, characterName: string, order: number|null}>}
  */
-function cleanCharacterName(name) {
-    if (!name) return '';
-    return name.replace(/\s*\([^)]*\)\s*/g, '').trim();
+function collectAppearances(creditsData, actorFilter) {
+    const matcher = toActorMatcher(actorFilter);
+    const appearances = [];
+
+    for (const { movieName, credits } of creditsData) {
+        if (!credits?.cast) continue;
+
+        for (const castMember of credits.cast) {
+            const actorName = matcher.match(castMember);
+            if (!actorName) continue;
+            appearances.push({ movieName, actorName, characterName: castMember.character, order: castMember.order ?? null });
+        }
+    }
+
+    return appearances;
 }
 
 /**
- * Checks if two character names represent the same character using fuzzy matching.
- * Uses a combination of token_set_ratio (handles word order) and basic ratio
- * (prevents false positives like "Hero" matching "Different Hero").
- * @param {string} name1 - First character name
- * @param {string} name2 - Second character name
- * @returns {boolean} True if names are similar enough
+ * Clusters the character names of a set of appearances. Appearance counts decide
+ * each cluster's representative name, but not its ID.
+ * @param {Array<{characterName: string}>} appearances
+ * @param {Object} registry - Character registry
+ * @returns {ReturnType<typeof clusterCharacterNames>}
  */
-export function isSameCharacter(name1, name2) {
-    const clean1 = cleanCharacterName(name1);
-    const clean2 = cleanCharacterName(name2);
+function clusterAppearances(appearances, registry) {
+    const counts = new Map();
+    for (const { characterName } of appearances) {
+        counts.set(characterName, (counts.get(characterName) ?? 0) + 1);
+    }
+    return clusterCharacterNames([...counts.keys()], registry, { counts });
+}
 
-    if (!clean1 || !clean2) return false;
+/**
+ * Groups items by the cluster of their character name, in order of first appearance.
+ * @template {{characterName: string}} T
+ * @param {T[]} items
+ * @param {ReturnType<typeof clusterCharacterNames>} clustering
+ * @returns {Array<{cluster: import('./characterMatching.js').CharacterCluster, items: T[]}>}
+ */
+function groupByCluster(items, clustering) {
+    const groups = new Map();
 
-    // token_set_ratio handles word reordering and partial matches well
-    const tokenSetScore = fuzz.token_set_ratio(clean1, clean2);
-    // Basic ratio prevents false positives when one name is a subset of another
-    const ratioScore = fuzz.ratio(clean1, clean2);
+    for (const item of items) {
+        const cluster = clustering.clusterOf(item.characterName);
+        // Appearances without a usable character name form their own group
+        const key = cluster?.id ?? `\u0000${item.characterName}`;
+        if (!groups.has(key)) {
+            groups.set(key, { cluster, items: [] });
+        }
+        groups.get(key).items.push(item);
+    }
 
-    return tokenSetScore >= TOKEN_SET_THRESHOLD && ratioScore >= RATIO_THRESHOLD;
+    return [...groups.values()];
 }
 
 /**
  * Builds a map of actors to the movies they appeared in.
+ * Results are keyed by the tracked display name, whatever name TMDB credits the actor under.
  * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
- * @param {Set<string>} actorFilter - Set of actor names to include
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
  * @returns {Object.<string, string[]>} Map of actor name to array of movie names
  */
 export function buildMoviesPerActor(creditsData, actorFilter) {
+    const matcher = toActorMatcher(actorFilter);
     const result = {};
 
     for (const { movieName, credits } of creditsData) {
         if (!credits?.cast) continue;
 
-        for (const { name: actorName } of credits.cast) {
-            if (!actorFilter.has(actorName)) continue;
+        for (const castMember of credits.cast) {
+            const actorName = matcher.match(castMember);
+            if (!actorName) continue;
 
             if (!result[actorName]) {
                 result[actorName] = [];
@@ -68,52 +129,205 @@ export function buildMoviesPerActor(creditsData, actorFilter) {
 }
 
 /**
- * Finds actors who played more than one distinct character across movies.
- * Uses fuzzy matching to group similar character names.
- * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
- * @param {Set<string>} actorFilter - Set of actor names to include
- * @returns {Object.<string, Array<{movieName: string, characterName: string}>>}
+ * Collects every tracked crew credit in credit order.
+ * @param {Array<{movieName: string, credits: {crew: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} crewFilter - Crew member names to include, or a matcher
+ * @returns {Array<{movieName: string, personName: string, department: string, job: string}>}
  */
-export function buildActorsWithMultipleCharacters(creditsData, actorFilter) {
-    // Collect all appearances per actor
-    const actorAppearances = {};
+function collectCrewCredits(creditsData, crewFilter) {
+    const matcher = toActorMatcher(crewFilter);
+    const crewCredits = [];
 
     for (const { movieName, credits } of creditsData) {
-        if (!credits?.cast) continue;
-
-        for (const { name: actorName, character: characterName } of credits.cast) {
-            if (!actorFilter.has(actorName)) continue;
+        if (!credits?.crew) continue;
 
-            if (!actorAppearances[actorName]) {
-                actorAppearances[actorName] = [];
-            }
-            actorAppearances[actorName].push({ movieName, characterName });
+        for (const crewMember of credits.crew) {
+            const personName = matcher.match(crewMember);
+            if (!personName) continue;
+            crewCredits.push({ movieName, personName, department: crewMember.department, job: crewMember.job });
         }
     }
 
-    // Filter to only actors with multiple distinct characters (using fuzzy matching)
+    return crewCredits;
+}
+
+/**
+ * Builds a map of tracked crew members to their crew credits. A person with several
+ * jobs on one movie (e.g. director and writer) gets one credit per job.
+ * @param {Array<{movieName: string, credits: {crew: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} crewFilter - Crew member names to include, or a matcher
+ * @returns {Object.<string, Array<{movieName: string, department: string, job: string}>>}
+ */
+export function buildCrewPerPerson(creditsData, crewFilter) {
     const result = {};
 
-    for (const [actorName, appearances] of Object.entries(actorAppearances)) {
-        // Group appearances by similar character names
-        const characterGroups = [];
+    for (const { movieName, personName, department, job } of collectCrewCredits(creditsData, crewFilter)) {
+        if (!result[personName]) {
+            result[personName] = [];
+        }
+        result[personName].push({ movieName, department, job });
+    }
+
+    return result;
+}
 
-        for (const appearance of appearances) {
-            const matchingGroup = characterGroups.find(group =>
-                isSameCharacter(group[0].characterName, appearance.characterName)
-            );
+/**
+ * Merges results of buildMoviesPerActor or buildCrewPerPerson, each built from one movie,
+ * into the result of a build from all of them. People and their entries come out in the
+ * order a single build gives, so a refresh can rebuild only the movies that changed.
+ * @template T
+ * @param {Array<Object.<string, T[]>>} results - One result per movie, in tracked movie order
+ * @returns {Object.<string, T[]>}
+ */
+export function mergePerPerson(results) {
+    const merged = {};
 
-            if (matchingGroup) {
-                matchingGroup.push(appearance);
-            } else {
-                characterGroups.push([appearance]);
+    for (const result of results) {
+        for (const [person, entries] of Object.entries(result)) {
+            if (!merged[person]) {
+                merged[person] = [];
             }
+            merged[person].push(...entries);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Finds tracked people, actors or crew members, who both acted in and worked on
+ * the crew of tracked movies (e.g. a director with a cameo).
+ * A person tracked in both lists is reported under their actor name.
+ * @param {Array<{movieName: string, credits: {cast: Array, crew: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Set<string>|ActorMatcher} crewFilter - Crew member names to include, or a matcher
+ * @returns {Object.<string, {
+ *   cast: Array<{movieName: string, characterName: string}>,
+ *   crew: Array<{movieName: string, department: string, job: string}>
+ * }>}
+ */
+export function buildActorsOnCrew(creditsData, actorFilter, crewFilter) {
+    const people = combineMatchers(actorFilter, crewFilter);
+    const cast = collectAppearances(creditsData, people);
+    const crewPerPerson = buildCrewPerPerson(creditsData, people);
+    const result = {};
+
+    for (const { movieName, actorName, characterName } of cast) {
+        if (!crewPerPerson[actorName]) continue;
+
+        if (!result[actorName]) {
+            result[actorName] = { cast: [], crew: crewPerPerson[actorName] };
         }
+        result[actorName].cast.push({ movieName, characterName });
+    }
+
+    return result;
+}
+
+/**
+ * Lists one actor's tracked appearances, oldest movie first by default.
+ * Movies without a known release date come last, ordered by name.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {string} actorName - Tracked display name
+ * @param {Object} [options]
+ * @param {Map<string, MovieInfo>} [options.movieInfo] - Details per movie name
+ * @param {'releaseDate'|'phase'} [options.sort='releaseDate']
+ * @returns {Array<{movieName: string, characterName: string, releaseYear: number|null, phase: number|null, billingOrder: number|null}>}
+ */
+export function buildActorFilmography(creditsData, actorFilter, actorName, { movieInfo = new Map(), sort = 'releaseDate' } = {}) {
+    const compareMovies = createMovieComparator(sort, movieInfo);
+
+    return collectAppearances(creditsData, actorFilter)
+        .filter(appearance => appearance.actorName === actorName)
+        .sort((a, b) => compareMovies(a.movieName, b.movieName))
+        .map(({ movieName, characterName, order }) => ({
+            movieName,
+            characterName,
+            releaseYear: releaseYearOf(movieInfo.get(movieName)),
+            phase: movieInfo.get(movieName)?.phase ?? null,
+            billingOrder: order
+        }));
+}
+
+/**
+ * Lists the tracked cast of one movie in billing order.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {string} movieName
+ * @returns {Array<{actorName: string, characterName: string, billingOrder: number|null}>}
+ */
+export function buildMovieCast(creditsData, actorFilter, movieName) {
+    return collectAppearances(creditsData.filter(movie => movie.movieName === movieName), actorFilter)
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+        .map(({ actorName, characterName, order }) => ({ actorName, characterName, billingOrder: order }));
+}
+
+/**
+ * @typedef {Object} Appearance
+ * One tracked actor credited in one tracked movie.
+ * @property {string} actorName - Tracked display name
+ * @property {string} movieName - Tracked movie name
+ * @property {string} characterName - Character as credited in this movie
+ * @property {string|null} characterId - Character the credit belongs to; null without a usable character name
+ * @property {number|null} billingOrder
+ */
+
+/**
+ * Lists every tracked appearance with the character it belongs to, in tracked
+ * movie order then billing order, plus the name of each character. Characters are
+ * clustered across all tracked actors like buildCharactersWithMultipleActors, so
+ * their IDs are the ones /recasts and /charactersWithMultipleActors use.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - Character registry, see utils/characterRegistry.js
+ * @returns {{appearances: Appearance[], characters: Object.<string, {name: string}>}} Characters keyed by ID
+ */
+export function buildAppearances(creditsData, actorFilter, { registry = defaultCharacterRegistry } = {}) {
+    const collected = collectAppearances(creditsData, actorFilter);
+    const clustering = clusterAppearances(collected, registry);
+    const characters = {};
+
+    const appearances = creditsData.flatMap(({ movieName }) => collected
+        .filter(appearance => appearance.movieName === movieName)
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+        .map(({ actorName, characterName, order }) => {
+            const cluster = clustering.clusterOf(characterName);
+            if (cluster) characters[cluster.id] = { name: cluster.representative };
+            return { actorName, movieName, characterName, characterId: cluster?.id ?? null, billingOrder: order };
+        }));
+
+    return { appearances, characters };
+}
+
+/**
+ * Finds actors who played more than one distinct character across movies.
+ * Character names are clustered with the registry and fuzzy matching, see clusterCharacterNames.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - Character registry, see utils/characterRegistry.js
+ * @returns {Object.<string, Array<{movieName: string, characterName: string, characterId: string}>>}
+ */
+export function buildActorsWithMultipleCharacters(creditsData, actorFilter, { registry = defaultCharacterRegistry } = {}) {
+    const appearances = collectAppearances(creditsData, actorFilter);
+    const clustering = clusterAppearances(appearances, registry);
+    const result = {};
+
+    for (const actorName of new Set(appearances.map(a => a.actorName))) {
+        const actorAppearances = appearances.filter(a => a.actorName === actorName);
+        const characterGroups = groupByCluster(actorAppearances, clustering);
 
-        // If there are multiple distinct character groups, include this actor
+        // If there are multiple distinct characters, include this actor
         if (characterGroups.length > 1) {
-            // Return one representative appearance per character group
-            result[actorName] = characterGroups.map(group => group[0]);
+            // One representative appearance per character: the first credited under the
+            // cluster's representative name, or the actor's first appearance as it
+            result[actorName] = characterGroups.map(({ cluster, items }) => {
+                const { movieName, characterName } =
+                    items.find(a => a.characterName === cluster?.representative) ?? items[0];
+                return { movieName, characterName, characterId: cluster?.id ?? null };
+            });
         }
     }
 
@@ -122,47 +336,466 @@ export function buildActorsWithMultipleCharacters(creditsData, actorFilter) {
 
 /**
  * Finds characters that were played by more than one actor.
- * Uses fuzzy matching to group similar character names.
+ * Character names are clustered with the registry and fuzzy matching, see clusterCharacterNames.
  * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
- * @param {Set<string>} actorFilter - Set of actor names to include
- * @returns {Object.<string, Array<{movieName: string, actorName: string}>>}
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - Character registry, see utils/characterRegistry.js
+ * @returns {Object.<string, Array<{movieName: string, actorName: string}>>} Keyed by stable character ID
  */
-export function buildCharactersWithMultipleActors(creditsData, actorFilter) {
-    // Group appearances by similar character names using fuzzy matching
-    const characterGroups = []; // Array of { name: string, appearances: Array }
+export function buildCharactersWithMultipleActors(creditsData, actorFilter, { registry = defaultCharacterRegistry } = {}) {
+    const appearances = collectAppearances(creditsData, actorFilter);
+    const clustering = clusterAppearances(appearances, registry);
 
-    for (const { movieName, credits } of creditsData) {
-        if (!credits?.cast) continue;
+    // Filter to only characters with multiple distinct actors
+    const result = {};
+
+    for (const { cluster, items } of groupByCluster(appearances, clustering)) {
+        const uniqueActors = new Set(items.map(a => a.actorName));
+
+        if (cluster && uniqueActors.size > 1) {
+            result[cluster.id] = items.map(({ movieName, actorName }) => ({ movieName, actorName }));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @typedef {Object} Tenure
+ * @property {string} actorName
+ * @property {'original'|'recast'|'simultaneous'} type - 'original' for the first actor to play
+ *   the character; 'recast' when the actor took over the role in a movie where nobody else
+ *   played it; 'simultaneous' when the actor first played it next to another actor in the
+ *   same movie (a variant, a younger or older version)
+ * @property {string[]} replaces - For a recast, the actors who played the character in the
+ *   most recent earlier movie; empty otherwise
+ * @property {{name: string, releaseDate: string|null}} firstMovie
+ * @property {{name: string, releaseDate: string|null}} lastMovie
+ * @property {number} movieCount
+ * @property {string[]} movies - Every movie of the tenure, in order
+ */
+
+/**
+ * Builds the chronological succession of actors for every character played by
+ * more than one tracked actor. Characters are clustered like
+ * buildCharactersWithMultipleActors; movies are ordered by release date (undated
+ * movies last), and actors sharing a movie by billing order.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Object} [options]
+ * @param {Map<string, MovieInfo>} [options.movieInfo] - Details per movie name
+ * @param {Object} [options.registry] - Character registry, see utils/characterRegistry.js
+ * @returns {Object.<string, {characterName: string, recastCount: number, actors: Tenure[]}>} Keyed by character ID
+ */
+export function buildRecastHistory(creditsData, actorFilter, { movieInfo = new Map(), registry = defaultCharacterRegistry } = {}) {
+    const appearances = collectAppearances(creditsData, actorFilter);
+    const clustering = clusterAppearances(appearances, registry);
+    const compareMovies = createMovieComparator('releaseDate', movieInfo);
+    const movieRef = name => ({ name, releaseDate: movieInfo.get(name)?.releaseDate ?? null });
+    const result = {};
+
+    for (const { cluster, items } of groupByCluster(appearances, clustering)) {
+        if (!cluster || new Set(items.map(item => item.actorName)).size < 2) continue;
+
+        const sorted = [...items].sort((a, b) =>
+            compareMovies(a.movieName, b.movieName) || (a.order ?? Infinity) - (b.order ?? Infinity)
+        );
+        const movieNames = [...new Set(sorted.map(item => item.movieName))];
+        const tenures = new Map();
+        let previousCast = [];
+
+        for (const movieName of movieNames) {
+            const cast = [...new Set(sorted.filter(item => item.movieName === movieName).map(item => item.actorName))];
+
+            for (const actorName of cast) {
+                if (!tenures.has(actorName)) {
+                    let type = 'recast';
+                    if (tenures.size === 0) type = 'original';
+                    else if (cast.length > 1) type = 'simultaneous';
+
+                    tenures.set(actorName, {
+                        actorName,
+                        type,
+                        replaces: type === 'recast' ? previousCast.filter(actor => actor !== actorName) : [],
+                        firstMovie: movieRef(movieName),
+                        lastMovie: null,
+                        movieCount: 0,
+                        movies: []
+                    });
+                }
+
+                const tenure = tenures.get(actorName);
+                tenure.lastMovie = movieRef(movieName);
+                tenure.movieCount++;
+                tenure.movies.push(movieName);
+            }
+
+            previousCast = cast;
+        }
+
+        const actors = [...tenures.values()];
+        result[cluster.id] = {
+            characterName: cluster.representative,
+            recastCount: actors.filter(tenure => tenure.type === 'recast').length,
+            actors
+        };
+    }
+
+    return result;
+}
+
+/**
+ * Explains the character groups of a set of appearances: each group's member names
+ * with their scores against the group anchor (its representative name) and the
+ * accepted comparison that linked them in, plus near-miss names the anchor rejected.
+ * Rejections are only kept when at least one fuzzy threshold passed, since every
+ * unrelated name is otherwise a rejection too.
+ * @param {Array<{movieName: string, actorName: string, characterName: string}>} appearances
+ * @param {ReturnType<typeof clusterCharacterNames>} clustering
+ * @param {Object} registry - Character registry
+ * @returns {Array<Object>} Explained groups
+ */
+function explainGroups(appearances, clustering, registry) {
+    return groupByCluster(appearances, clustering)
+        .filter(({ cluster }) => cluster)
+        .map(({ cluster, items }) => {
+            const anchor = cluster.representative;
+            const members = new Map();
+
+            for (const { characterName, movieName, actorName } of items) {
+                if (!members.has(characterName)) {
+                    const link = clustering.linkOf(characterName);
+                    members.set(characterName, {
+                        name: characterName,
+                        movies: [],
+                        actors: [],
+                        match: characterName === anchor ? null : explainCharacterMatch(anchor, characterName, registry),
+                        linkedVia: link && { name: link.name, reason: link.explanation.reason }
+                    });
+                }
+                const member = members.get(characterName);
+                if (!member.movies.includes(movieName)) member.movies.push(movieName);
+                if (!member.actors.includes(actorName)) member.actors.push(actorName);
+            }
+
+            const rejected = clustering.comparisonsOf(anchor)
+                .filter(({ name, explanation }) =>
+                    !cluster.names.includes(name) &&
+                    (explanation.scores.tokenSet.passed || explanation.scores.ratio.passed)
+                )
+                .map(({ name, explanation }) => ({ name, match: explanation }));
+
+            return { characterId: cluster.id, anchor, members: [...members.values()], rejected };
+        });
+}
+
+/**
+ * Explains how character names across all tracked actors are grouped, as used by
+ * buildCharactersWithMultipleActors: each group's member names with their scores
+ * against the group anchor, plus near-miss candidates the anchor rejected.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - Character registry, see utils/characterRegistry.js
+ * @returns {{thresholds: {tokenSet: number, ratio: number}, groups: Array<Object>}}
+ */
+export function buildCharacterMatchReport(creditsData, actorFilter, { registry = defaultCharacterRegistry } = {}) {
+    const appearances = collectAppearances(creditsData, actorFilter);
+
+    return {
+        thresholds: { tokenSet: TOKEN_SET_THRESHOLD, ratio: RATIO_THRESHOLD },
+        groups: explainGroups(appearances, clusterAppearances(appearances, registry), registry)
+    };
+}
+
+/**
+ * Explains how each actor's character names are grouped, as used by
+ * buildActorsWithMultipleCharacters.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Object} [options]
+ * @param {Object} [options.registry] - Character registry, see utils/characterRegistry.js
+ * @returns {{thresholds: {tokenSet: number, ratio: number}, actors: Object.<string, Array<Object>>}}
+ */
+export function buildActorCharacterMatchReport(creditsData, actorFilter, { registry = defaultCharacterRegistry } = {}) {
+    const actors = {};
+    const appearances = collectAppearances(creditsData, actorFilter);
+    const clustering = clusterAppearances(appearances, registry);
+
+    for (const actorName of new Set(appearances.map(a => a.actorName))) {
+        actors[actorName] = explainGroups(appearances.filter(a => a.actorName === actorName), clustering, registry);
+    }
+
+    return {
+        thresholds: { tokenSet: TOKEN_SET_THRESHOLD, ratio: RATIO_THRESHOLD },
+        actors
+    };
+}
+
+/**
+ * Builds a year-by-year timeline of the tracked movies: which tracked actors
+ * appeared each year, which characters debuted, and which were recast, i.e.
+ * played by an actor who had not played them in an earlier movie, with nobody
+ * else playing them in that movie (see buildRecastHistory).
+ * Characters are clustered like buildCharactersWithMultipleActors. Movies are
+ * processed in release order; movies without a release date are listed separately
+ * and don't count towards debuts or recasts.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Object} [options]
+ * @param {Map<string, MovieInfo>} [options.movieInfo] - Details per movie name
+ * @param {Object} [options.registry] - Character registry, see utils/characterRegistry.js
+ * @returns {{
+ *   years: Array<{
+ *     year: number,
+ *     movies: Array<{name: string, releaseDate: string}>,
+ *     actors: string[],
+ *     debuts: Array<{characterId: string, characterName: string, movieName: string, actors: string[]}>,
+ *     recasts: Array<{characterId: string, characterName: string, movieName: string, actorName: string, previousActors: string[]}>
+ *   }>,
+ *   undatedMovies: string[]
+ * }}
+ */
+export function buildTimeline(creditsData, actorFilter, { movieInfo = new Map(), registry = defaultCharacterRegistry } = {}) {
+    const appearances = collectAppearances(creditsData, actorFilter);
+    const clustering = clusterAppearances(appearances, registry);
+    const compareMovies = createMovieComparator('releaseDate', movieInfo);
+
+    const movieNames = creditsData.map(movie => movie.movieName).sort(compareMovies);
+    const undatedMovies = movieNames.filter(name => !movieInfo.get(name)?.releaseDate);
+    const actorsByCharacter = new Map();
+    const years = new Map();
+
+    for (const movieName of movieNames) {
+        const info = movieInfo.get(movieName);
+        if (!info?.releaseDate) continue;
+
+        const year = releaseYearOf(info);
+        if (!years.has(year)) {
+            years.set(year, { year, movies: [], actors: new Set(), debuts: [], recasts: [] });
+        }
+        const entry = years.get(year);
+        entry.movies.push({ name: movieName, releaseDate: info.releaseDate });
+
+        const movieAppearances = appearances.filter(appearance => appearance.movieName === movieName);
+        for (const { actorName } of movieAppearances) {
+            entry.actors.add(actorName);
+        }
+
+        for (const { cluster, items } of groupByCluster(movieAppearances, clustering)) {
+            if (!cluster) continue;
 
-        for (const { name: actorName, character: characterName } of credits.cast) {
-            if (!actorFilter.has(actorName)) continue;
+            const actors = [...new Set(items.map(item => item.actorName))];
+            const previousActors = actorsByCharacter.get(cluster.id);
 
-            // Find matching character group
-            const matchingGroup = characterGroups.find(group =>
-                isSameCharacter(group.name, characterName)
-            );
+            if (!previousActors) {
+                entry.debuts.push({ characterId: cluster.id, characterName: cluster.representative, movieName, actors });
+                actorsByCharacter.set(cluster.id, new Set(actors));
+                continue;
+            }
 
-            if (matchingGroup) {
-                matchingGroup.appearances.push({ movieName, actorName });
-            } else {
-                characterGroups.push({
-                    name: characterName,
-                    appearances: [{ movieName, actorName }]
+            // A new actor next to another one in the same movie is a variant, not a recast
+            const newActors = actors.length === 1 ? actors.filter(actor => !previousActors.has(actor)) : [];
+            for (const actorName of newActors) {
+                entry.recasts.push({
+                    characterId: cluster.id,
+                    characterName: cluster.representative,
+                    movieName,
+                    actorName,
+                    previousActors: [...previousActors]
                 });
             }
+            actors.forEach(actor => previousActors.add(actor));
         }
     }
 
-    // Filter to only characters with multiple distinct actors
-    const result = {};
+    return {
+        years: [...years.values()].map(entry => ({ ...entry, actors: [...entry.actors].sort() })),
+        undatedMovies
+    };
+}
+
+/**
+ * @typedef {Object} CollaborationGraph
+ * @property {Object.<string, {movieCount: number, degree: number, sharedMovieCount: number,
+ *   topPartners: Array<{actor: string, sharedCount: number}>}>} nodes - Metrics per actor
+ * @property {Array<{actors: [string, string], sharedCount: number, movies: string[]}>} edges - Actor
+ *   pairs who appeared in at least one movie together, most shared movies first
+ */
+
+/**
+ * Builds a weighted co-appearance graph of tracked actors: an edge links two actors
+ * who appeared in the same movie, weighted by the number of movies they share.
+ * Each actor node carries its degree (number of distinct partners), the sum of its
+ * edge weights and its most frequent partners. Actors without partners are kept as
+ * nodes with degree 0.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} creditsData - Raw credits from TMDB
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @returns {CollaborationGraph}
+ */
+export function buildCollaborationGraph(creditsData, actorFilter) {
+    const moviesPerActor = buildMoviesPerActor(creditsData, actorFilter);
+    const edgesByKey = new Map();
 
-    for (const group of characterGroups) {
-        const uniqueActors = new Set(group.appearances.map(a => a.actorName));
+    for (const { movieName } of creditsData) {
+        const cast = Object.keys(moviesPerActor)
+            .filter(actor => moviesPerActor[actor].includes(movieName))
+            .sort();
 
-        if (uniqueActors.size > 1) {
-            result[group.name] = group.appearances;
+        for (let i = 0; i < cast.length; i++) {
+            for (let j = i + 1; j < cast.length; j++) {
+                const key = `${cast[i]}\u0000${cast[j]}`;
+                if (!edgesByKey.has(key)) {
+                    edgesByKey.set(key, { actors: [cast[i], cast[j]], sharedCount: 0, movies: [] });
+                }
+                const edge = edgesByKey.get(key);
+                // An actor credited twice in one movie still shares it once
+                if (!edge.movies.includes(movieName)) {
+                    edge.movies.push(movieName);
+                    edge.sharedCount++;
+                }
+            }
         }
     }
 
-    return result;
+    const edges = [...edgesByKey.values()].sort((a, b) =>
+        b.sharedCount - a.sharedCount ||
+        compareText(a.actors[0], b.actors[0]) ||
+        compareText(a.actors[1], b.actors[1])
+    );
+
+    const nodes = {};
+    for (const actor of Object.keys(moviesPerActor).sort()) {
+        const partners = edges
+            .filter(edge => edge.actors.includes(actor))
+            .map(edge => ({ actor: edge.actors.find(other => other !== actor), sharedCount: edge.sharedCount }));
+
+        nodes[actor] = {
+            movieCount: new Set(moviesPerActor[actor]).size,
+            degree: partners.length,
+            sharedMovieCount: partners.reduce((sum, partner) => sum + partner.sharedCount, 0),
+            topPartners: partners.slice(0, TOP_PARTNERS)
+        };
+    }
+
+    return { nodes, edges };
+}
+
+/**
+ * Finds a shortest chain of collaborations between two actors (fewest hops, like
+ * degrees of separation). Among equally short chains, the one through the
+ * alphabetically first actors is returned, so results are deterministic.
+ * @param {CollaborationGraph} graph
+ * @param {string} from - Tracked actor name
+ * @param {string} to - Tracked actor name
+ * @returns {{from: string, to: string, connected: boolean, distance: number|null,
+ *   path: Array<{actor: string, movies: string[]}>}} Each path step lists the movies
+ *   shared with the previous actor; the first step has none
+ */
+export function findCollaborationPath(graph, from, to) {
+    const neighbors = new Map();
+    for (const { actors: [a, b], movies } of graph.edges) {
+        if (!neighbors.has(a)) neighbors.set(a, []);
+        if (!neighbors.has(b)) neighbors.set(b, []);
+        neighbors.get(a).push({ actor: b, movies });
+        neighbors.get(b).push({ actor: a, movies });
+    }
+    for (const list of neighbors.values()) {
+        list.sort((x, y) => compareText(x.actor, y.actor));
+    }
+
+    // Breadth-first search, remembering how each actor was reached
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length > 0 && !previous.has(to)) {
+        const actor = queue.shift();
+        for (const next of neighbors.get(actor) ?? []) {
+            if (previous.has(next.actor)) continue;
+            previous.set(next.actor, { actor, movies: next.movies });
+            queue.push(next.actor);
+        }
+    }
+
+    if (!previous.has(to)) {
+        return { from, to, connected: false, distance: null, path: [] };
+    }
+
+    const path = [];
+    for (let actor = to; actor !== from; actor = previous.get(actor).actor) {
+        path.unshift({ actor, movies: previous.get(actor).movies });
+    }
+    path.unshift({ actor: from, movies: [] });
+
+    return { from, to, connected: true, distance: path.length - 1, path };
+}
+
+/**
+ * @typedef {Object} CreditsDiff
+ * @property {{added: Array<{actorName: string, movieName: string}>,
+ *   removed: Array<{actorName: string, movieName: string}>}} actors - Tracked actors who joined or left a movie's cast
+ * @property {{added: Array<{characterName: string, actorName: string, movieName: string}>,
+ *   removed: Array<{characterName: string, actorName: string, movieName: string}>}} characters - Characters
+ *   credited to tracked actors, as TMDB names them
+ * @property {{added: Array<Recast>, removed: Array<Recast>}} recasts - Recasts in the recast history
+ */
+
+/**
+ * @typedef {Object} Recast
+ * @property {string} characterId
+ * @property {string} characterName
+ * @property {string} actorName - Actor who took over the character
+ * @property {string[]} replaces - Actors they took over from
+ * @property {string} movieName - First movie of the new actor in the role
+ */
+
+/**
+ * Lists the items of `after` missing from `before`, and the other way around.
+ * @template T
+ * @param {T[]} before
+ * @param {T[]} after
+ * @param {(item: T) => string} keyOf - Identity of an item
+ * @returns {{added: T[], removed: T[]}}
+ */
+function diffBy(before, after, keyOf) {
+    const beforeKeys = new Set(before.map(keyOf));
+    const afterKeys = new Set(after.map(keyOf));
+    return {
+        added: after.filter(item => !beforeKeys.has(keyOf(item))),
+        removed: before.filter(item => !afterKeys.has(keyOf(item)))
+    };
+}
+
+/**
+ * Compares two versions of the credits of the tracked movies: the tracked actors
+ * added to or removed from a movie's cast, the characters they were credited as,
+ * and the recasts of buildRecastHistory that appeared or disappeared. An actor
+ * whose character was renamed shows as one character removed and one added.
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} beforeData - Credits before the change
+ * @param {Array<{movieName: string, credits: {cast: Array}}>} afterData - Credits after the change
+ * @param {Set<string>|ActorMatcher} actorFilter - Actor names to include, or a matcher by TMDB person ID
+ * @param {Object} [options]
+ * @param {Map<string, MovieInfo>} [options.movieInfo] - Details per movie name, to order recasts
+ * @param {Object} [options.registry] - Character registry, see utils/characterRegistry.js
+ * @returns {CreditsDiff}
+ */
+export function diffCredits(beforeData, afterData, actorFilter, { movieInfo = new Map(), registry = defaultCharacterRegistry } = {}) {
+    const before = collectAppearances(beforeData, actorFilter);
+    const after = collectAppearances(afterData, actorFilter);
+    const uniqueBy = (items, keyOf) => [...new Map(items.map(item => [keyOf(item), item])).values()];
+    const actorKey = ({ actorName, movieName }) => `${actorName}\u0000${movieName}`;
+    const characterKey = item => `${actorKey(item)}\u0000${item.characterName}`;
+    const actorsOf = appearances => uniqueBy(appearances, actorKey).map(({ actorName, movieName }) => ({ actorName, movieName }));
+    const charactersOf = appearances => uniqueBy(appearances, characterKey)
+        .map(({ characterName, actorName, movieName }) => ({ characterName, actorName, movieName }));
+    const recastsOf = creditsData => Object.entries(buildRecastHistory(creditsData, actorFilter, { movieInfo, registry }))
+        .flatMap(([characterId, { characterName, actors }]) => actors
+            .filter(tenure => tenure.type === 'recast')
+            .map(({ actorName, replaces, firstMovie }) => ({ characterId, characterName, actorName, replaces, movieName: firstMovie.name })));
+
+    return {
+        actors: diffBy(actorsOf(before), actorsOf(after), actorKey),
+        characters: diffBy(charactersOf(before), charactersOf(after), characterKey),
+        recasts: diffBy(recastsOf(beforeData), recastsOf(afterData), ({ characterId, actorName }) => `${characterId}\u0000${actorName}`)
+    };
 }
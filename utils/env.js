@@ -0,0 +1,32 @@
+/**
+ * Helpers for reading typed configuration from environment variables.
+ */
+
+/**
+ * Reads a non-negative integer from an environment variable.
+ * Falls back to the default when the variable is unset or not a valid number.
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value to use when the variable is missing or invalid
+ * @returns {number}
+ */
+export function readIntEnv(name, defaultValue) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return defaultValue;
+
+    const value = Number.parseInt(raw, 10);
+    return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * Reads a boolean from an environment variable: "true" or "1" is true, "false" or "0" is false.
+ * Falls back to the default when the variable is unset or anything else.
+ * @param {string} name - Environment variable name
+ * @param {boolean} defaultValue - Value to use when the variable is missing or invalid
+ * @returns {boolean}
+ */
+export function readBoolEnv(name, defaultValue) {
+    const raw = process.env[name]?.trim().toLowerCase();
+    if (raw === 'true' || raw === '1') return true;
+    if (raw === 'false' || raw === '0') return false;
+    return defaultValue;
+}
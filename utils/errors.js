@@ -0,0 +1,109 @@
+/**
+ * Error types shared by services, controllers and middleware. The error middleware
+ * (middleware/errorHandler.js) turns them into HTTP responses.
+ */
+
+import { parseRetryAfter } from './retry.js';
+
+// Network error codes meaning TMDB did not answer in time
+const TIMEOUT_ERROR_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT']);
+
+/**
+ * Error thrown when a request names something that does not exist,
+ * e.g. an actor or movie that is not tracked.
+ */
+export class NotFoundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Error thrown when a request lacks the API key a route needs.
+ * `reason` is one of:
+ * - 'missing-key': the route needs a key and none was sent
+ * - 'invalid-key': the key sent is unknown
+ * - 'not-admin': the route needs an admin key
+ */
+export class AuthError extends Error {
+    /**
+     * @param {'missing-key'|'invalid-key'|'not-admin'} reason
+     * @param {string} message
+     */
+    constructor(reason, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Error thrown when a client has used up its rate limit.
+ */
+export class RateLimitError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} retryAfterMs - Time until the client may retry
+     */
+    constructor(message, retryAfterMs) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Error thrown when a TMDB request fails for good, after retries.
+ * `reason` tells callers how to report it:
+ * - 'not-configured': TMDB_API_KEY or TMDB_BASE_URL is not set
+ * - 'unauthorized': TMDB rejected the API key (401)
+ * - 'not-found': TMDB has no such resource (404)
+ * - 'rate-limited': TMDB kept answering 429
+ * - 'server-error': TMDB answered with a 5xx
+ * - 'timeout': TMDB did not answer in time
+ * - 'unreachable': TMDB could not be reached, or a replayed request was never recorded
+ * - 'failed': any other error response
+ */
+export class TmdbError extends Error {
+    /**
+     * @param {'not-configured'|'unauthorized'|'not-found'|'rate-limited'|'server-error'|'timeout'|'unreachable'|'failed'} reason
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {number|null} [options.upstreamStatus] - Status TMDB answered with
+     * @param {number|null} [options.retryAfterMs] - Delay TMDB asked for with Retry-After
+     * @param {Error} [options.cause]
+     */
+    constructor(reason, message, { upstreamStatus = null, retryAfterMs = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'TmdbError';
+        this.reason = reason;
+        this.upstreamStatus = upstreamStatus;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Wraps an error thrown by the HTTP client into a TmdbError, keeping its message.
+ * @param {Error} error - Error thrown by the HTTP client
+ * @returns {TmdbError}
+ */
+export function toTmdbError(error) {
+    if (error instanceof TmdbError) return error;
+
+    const status = error.response?.status ?? null;
+    let reason;
+    if (status === 401) reason = 'unauthorized';
+    else if (status === 404) reason = 'not-found';
+    else if (status === 429) reason = 'rate-limited';
+    else if (status >= 500) reason = 'server-error';
+    else if (status) reason = 'failed';
+    else if (TIMEOUT_ERROR_CODES.has(error.code)) reason = 'timeout';
+    else reason = 'unreachable';
+
+    return new TmdbError(reason, error.message, {
+        upstreamStatus: status,
+        retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after']),
+        cause: error
+    });
+}
@@ -0,0 +1,456 @@
+/**
+ * GraphQL for read-only APIs, on graphql-js: schemas declared as plain objects,
+ * and what graphql-js leaves to servers as validation rules: argument ranges and
+ * depth and complexity limits. Parsing, validation, introspection, execution and
+ * printing the schema in the GraphQL schema definition language (SDL) are
+ * graphql-js's own.
+ */
+
+import {
+    GraphQLBoolean,
+    GraphQLEnumType,
+    GraphQLError,
+    GraphQLFloat,
+    GraphQLID,
+    GraphQLIncludeDirective,
+    GraphQLInt,
+    GraphQLList,
+    GraphQLNonNull,
+    GraphQLObjectType,
+    GraphQLSchema,
+    GraphQLSkipDirective,
+    GraphQLString,
+    Kind,
+    execute,
+    getArgumentValues,
+    getDirectiveValues,
+    getNamedType,
+    getNullableType,
+    getOperationAST,
+    getVariableValues,
+    isListType,
+    parse,
+    parseType,
+    validate
+} from 'graphql';
+
+export { GraphQLError, printSchema } from 'graphql';
+
+// Lists without a `limit` argument or `listSize` hint count as this many objects for complexity
+const DEFAULT_LIST_SIZE = 10;
+
+const SCALARS = { Int: GraphQLInt, Float: GraphQLFloat, String: GraphQLString, Boolean: GraphQLBoolean, ID: GraphQLID };
+
+/**
+ * @typedef {Object} ArgumentDefinition
+ * @property {string} type - Type reference such as "Int" or "[String!]"; scalars and enums only
+ * @property {string} [description]
+ * @property {*} [defaultValue] - Value used when the argument is left out or null
+ * @property {number} [minimum] - Smallest accepted number
+ * @property {number} [maximum] - Largest accepted number
+ */
+
+/**
+ * @typedef {Object} FieldDefinition
+ * @property {string} type - Type reference such as "Actor!" or "[Movie!]!"
+ * @property {string} [description]
+ * @property {Object.<string, ArgumentDefinition>} [args]
+ * @property {(parent: *, args: Object, context: *) => *} [resolve] - Resolves the value, possibly
+ *   as a promise; the parent's property of the field's name by default
+ * @property {number} [listSize] - Objects a list is expected to hold when the query sets no `limit`, for complexity
+ */
+
+/**
+ * @typedef {Object} TypeDefinition
+ * @property {'object'|'enum'} [kind='object']
+ * @property {string} [description]
+ * @property {Object.<string, FieldDefinition>} [fields] - Object types only
+ * @property {string[]} [values] - Enum types only
+ */
+
+/**
+ * Maps the values of an object.
+ * @template T, U
+ * @param {Object.<string, T>} object
+ * @param {(value: T, key: string) => U} map
+ * @returns {Object.<string, U>}
+ */
+function mapValues(object, map) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, map(value, key)]));
+}
+
+/**
+ * Wraps a resolver so it sees arguments given as null like missing ones: with
+ * their default, or left out.
+ * @param {FieldDefinition['resolve']} resolve
+ * @param {Object.<string, ArgumentDefinition>} args
+ * @returns {import('graphql').GraphQLFieldResolver<*, *>}
+ */
+function ignoringNullArguments(resolve, args) {
+    return (parent, values, context) => {
+        const given = {};
+        for (const [name, value] of Object.entries(values)) {
+            const kept = value ?? args[name].defaultValue;
+            if (kept !== undefined) given[name] = kept;
+        }
+        return resolve(parent, given, context);
+    };
+}
+
+/**
+ * Builds a graphql-js schema from type definitions.
+ * @param {Object} definition
+ * @param {string} definition.query - Name of the root query type
+ * @param {Object.<string, TypeDefinition>} definition.types
+ * @returns {GraphQLSchema}
+ * @throws {Error} If a type reference is unknown
+ */
+export function buildSchema({ query, types }) {
+    const named = new Map(Object.entries(SCALARS));
+
+    const typeOf = (reference, where) => {
+        const build = node => {
+            if (node.kind === Kind.LIST_TYPE) return new GraphQLList(build(node.type));
+            if (node.kind === Kind.NON_NULL_TYPE) return new GraphQLNonNull(build(node.type));
+            if (!named.has(node.name.value)) throw new Error(`Unknown type "${node.name.value}" of ${where}`);
+            return named.get(node.name.value);
+        };
+        return build(parseType(reference));
+    };
+
+    for (const [name, type] of Object.entries(types)) {
+        named.set(name, type.kind === 'enum'
+            ? new GraphQLEnumType({
+                name,
+                description: type.description,
+                values: Object.fromEntries(type.values.map(value => [value, {}]))
+            })
+            // Fields are declared lazily, so types can refer to each other
+            : new GraphQLObjectType({
+                name,
+                description: type.description,
+                fields: () => mapValues(type.fields, ({ args = {}, resolve, listSize, ...field }, fieldName) => ({
+                    type: typeOf(field.type, `${name}.${fieldName}`),
+                    description: field.description,
+                    args: mapValues(args, ({ minimum, maximum, ...arg }, argName) => ({
+                        type: typeOf(arg.type, `${name}.${fieldName}(${argName})`),
+                        description: arg.description,
+                        defaultValue: arg.defaultValue,
+                        extensions: { minimum, maximum }
+                    })),
+                    resolve: resolve && ignoringNullArguments(resolve, args),
+                    extensions: { listSize }
+                }))
+            }));
+    }
+
+    // Building the schema collects every type, so unknown type references throw here
+    return new GraphQLSchema({
+        query: named.get(query),
+        types: Object.keys(types).map(name => named.get(name))
+    });
+}
+
+/**
+ * Copies an error of graphql-js with the reason it failed for, see GRAPHQL_ERRORS
+ * in middleware/errorHandler.js.
+ * @param {GraphQLError} error
+ * @param {'syntax'|'validation'} reason
+ * @returns {GraphQLError}
+ */
+function withReason(error, reason) {
+    return new GraphQLError(error.message, {
+        nodes: error.nodes,
+        source: error.source,
+        positions: error.positions,
+        originalError: error.originalError,
+        extensions: { ...error.extensions, reason }
+    });
+}
+
+/**
+ * Checks whether a selection is kept by its @include and @skip directives.
+ * @param {import('graphql').SelectionNode} node
+ * @param {Object} variables - Coerced variable values
+ * @returns {boolean}
+ */
+function isIncluded(node, variables) {
+    return getDirectiveValues(GraphQLSkipDirective, node, variables)?.if !== true &&
+        getDirectiveValues(GraphQLIncludeDirective, node, variables)?.if !== false;
+}
+
+/**
+ * Finds the fields a selection set selects, merging fields selected more than
+ * once under the same response name and expanding fragments. Like the
+ * specification's CollectFields, each named fragment is expanded once.
+ * @param {import('graphql').ValidationContext} context
+ * @param {import('graphql').SelectionSetNode} selectionSet
+ * @param {Object} variables
+ * @param {Map<string, import('graphql').FieldNode[]>} [fields] - Collected so far
+ * @param {Set<string>} [visited] - Names of the fragments expanded so far
+ * @returns {Map<string, import('graphql').FieldNode[]>} Field nodes by response name, in selection order
+ */
+function collectFields(context, selectionSet, variables, fields = new Map(), visited = new Set()) {
+    for (const selection of selectionSet.selections) {
+        if (!isIncluded(selection, variables)) continue;
+
+        if (selection.kind === Kind.FIELD) {
+            const responseName = (selection.alias ?? selection.name).value;
+            if (!fields.has(responseName)) fields.set(responseName, []);
+            fields.get(responseName).push(selection);
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            collectFields(context, selection.selectionSet, variables, fields, visited);
+        } else if (!visited.has(selection.name.value)) {
+            visited.add(selection.name.value);
+            collectFields(context, context.getFragment(selection.name.value).selectionSet, variables, fields, visited);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Finds the fields selected on the value of a field, from every node selecting it.
+ * @param {import('graphql').ValidationContext} context
+ * @param {import('graphql').FieldNode[]} nodes
+ * @param {Object} variables
+ * @returns {Map<string, import('graphql').FieldNode[]>}
+ */
+function collectSubfields(context, nodes, variables) {
+    const fields = new Map();
+    const visited = new Set();
+    for (const node of nodes) {
+        if (node.selectionSet) collectFields(context, node.selectionSet, variables, fields, visited);
+    }
+    return fields;
+}
+
+/**
+ * Checks whether a field is one of the introspection fields, like `__schema`.
+ * They describe the schema rather than data, and count for neither limit.
+ * @param {import('graphql').FieldNode} node
+ * @returns {boolean}
+ */
+function isIntrospectionField(node) {
+    return node.name.value.startsWith('__');
+}
+
+/**
+ * Measures how deep a selection set nests fields. Each fragment is measured once,
+ * however often it is spread.
+ * @param {import('graphql').ValidationContext} context
+ * @param {import('graphql').SelectionSetNode} selectionSet
+ * @param {Object} variables
+ * @param {Map<string, number>} fragmentDepths - Depths of the fragments measured so far
+ * @returns {number}
+ */
+function measureDepth(context, selectionSet, variables, fragmentDepths) {
+    let depth = 0;
+    for (const selection of selectionSet.selections) {
+        if (!isIncluded(selection, variables)) continue;
+
+        if (selection.kind === Kind.FIELD) {
+            if (isIntrospectionField(selection)) continue;
+            const child = selection.selectionSet ? measureDepth(context, selection.selectionSet, variables, fragmentDepths) : 0;
+            depth = Math.max(depth, child + 1);
+        } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+            depth = Math.max(depth, measureDepth(context, selection.selectionSet, variables, fragmentDepths));
+        } else {
+            const name = selection.name.value;
+            if (!fragmentDepths.has(name)) {
+                fragmentDepths.set(name, measureDepth(context, context.getFragment(name).selectionSet, variables, fragmentDepths));
+            }
+            depth = Math.max(depth, fragmentDepths.get(name));
+        }
+    }
+    return depth;
+}
+
+/**
+ * Estimates how many objects a query resolves, its complexity. An object field
+ * counts its objects, each plus the complexity of its selection; lists are expected
+ * to hold the `limit` the query sets, else their `listSize` hint, else their default
+ * `limit`, else DEFAULT_LIST_SIZE objects. Scalar fields count nothing, and a field
+ * selected more than once under the same response name counts once, as it resolves once.
+ * Counting stops as soon as the complexity passes `measure.maxComplexity`, so
+ * queries far too large to run are not measured in full either.
+ * @param {Object} measure - context, variables, maxComplexity and the complexity counted so far
+ * @param {Map<string, import('graphql').FieldNode[]>} fields - See collectFields
+ * @param {GraphQLObjectType} parentType
+ * @param {number} [scale=1] - Objects of the parent type expected to be resolved
+ */
+function measureComplexity(measure, fields, parentType, scale = 1) {
+    for (const nodes of fields.values()) {
+        const [node] = nodes;
+        if (!node.selectionSet || isIntrospectionField(node)) continue;
+
+        const field = parentType.getFields()[node.name.value];
+        let items = 1;
+        if (isListType(getNullableType(field.type))) {
+            const { limit } = getArgumentValues(field, node, measure.variables);
+            const limitSet = node.arguments.some(argument => argument.name.value === 'limit');
+            items = (limitSet ? limit : undefined) ?? field.extensions.listSize ?? limit ?? DEFAULT_LIST_SIZE;
+        }
+        const objects = scale * items;
+        if (objects === 0) continue;
+
+        measure.complexity += objects;
+        if (measure.complexity > measure.maxComplexity) return;
+        const subfields = collectSubfields(measure.context, nodes, measure.variables);
+        measureComplexity(measure, subfields, getNamedType(field.type), objects);
+        if (measure.complexity > measure.maxComplexity) return;
+    }
+}
+
+/**
+ * Creates a validation rule checking numeric arguments against their `minimum`
+ * and `maximum`, whether written in the query or given as variables.
+ * @param {Object} variables - Coerced variable values of the operation to run
+ * @returns {import('graphql').ValidationRule}
+ */
+export function createArgumentRangeRule(variables) {
+    return context => ({
+        Argument(node) {
+            const argument = context.getArgument();
+            const { minimum, maximum } = argument?.extensions ?? {};
+            if (minimum === undefined && maximum === undefined) return;
+
+            // Other values, such as null, are left to graphql-js
+            const value = node.value.kind === Kind.VARIABLE ? variables[node.value.name.value] : Number(node.value.value);
+            if (typeof value !== 'number' || Number.isNaN(value)) return;
+
+            let problem = null;
+            if (minimum !== undefined && value < minimum) problem = `must be at least ${minimum}`;
+            if (maximum !== undefined && value > maximum) problem = `must be at most ${maximum}`;
+            if (problem) {
+                context.reportError(new GraphQLError(`Argument "${argument.name}" has an invalid value: ${problem}.`, {
+                    nodes: [node],
+                    extensions: { reason: 'validation' }
+                }));
+            }
+        }
+    });
+}
+
+/**
+ * Creates a validation rule limiting how deep the operation to run nests fields.
+ * @param {Object} options
+ * @param {import('graphql').OperationDefinitionNode} options.operation - Other operations are not measured
+ * @param {Object} options.variables - Coerced variable values, for @include and @skip
+ * @param {number} options.maxDepth
+ * @param {(depth: number) => void} [options.onMeasured]
+ * @returns {import('graphql').ValidationRule}
+ */
+export function createDepthLimitRule({ operation, variables, maxDepth, onMeasured = () => {} }) {
+    return context => ({
+        OperationDefinition(node) {
+            if (node !== operation) return false;
+
+            const depth = measureDepth(context, node.selectionSet, variables, new Map());
+            if (depth > maxDepth) {
+                context.reportError(new GraphQLError(`Query is nested ${depth} levels deep, more than the ${maxDepth} allowed.`, {
+                    extensions: { reason: 'too-deep' }
+                }));
+            }
+            onMeasured(depth);
+            return false;
+        }
+    });
+}
+
+/**
+ * Creates a validation rule limiting the complexity of the operation to run,
+ * see measureComplexity.
+ * @param {Object} options
+ * @param {import('graphql').OperationDefinitionNode} options.operation - Other operations are not measured
+ * @param {Object} options.variables - Coerced variable values
+ * @param {number} options.maxComplexity
+ * @param {(complexity: number) => void} [options.onMeasured]
+ * @returns {import('graphql').ValidationRule}
+ */
+export function createComplexityLimitRule({ operation, variables, maxComplexity, onMeasured = () => {} }) {
+    return context => ({
+        OperationDefinition(node) {
+            if (node !== operation) return false;
+
+            const measure = { context, variables, maxComplexity, complexity: 0 };
+            measureComplexity(measure, collectFields(context, node.selectionSet, variables), context.getSchema().getQueryType());
+            if (measure.complexity > maxComplexity) {
+                context.reportError(new GraphQLError(`Query has a complexity of at least ${measure.complexity}, more than the ${maxComplexity} allowed. Ask for fewer fields or lower the limit arguments.`, {
+                    extensions: { reason: 'too-complex' }
+                }));
+            }
+            onMeasured(measure.complexity);
+            return false;
+        }
+    });
+}
+
+/**
+ * @typedef {Object} QueryResult
+ * @property {Object|null} [data] - Left out when the request failed before execution
+ * @property {ReadonlyArray<GraphQLError>} [errors] - Left out when there are none
+ * @property {{depth: number, complexity: number}} [cost] - Measures of the executed query
+ */
+
+/**
+ * Parses, validates, measures and executes a query. Requests that can't run
+ * (syntax or validation errors, invalid variables, limits exceeded) get errors
+ * with a `reason` extension and no `data`, as the GraphQL specification has it;
+ * failed fields resolve to null with an error each.
+ * @param {GraphQLSchema} schema - See buildSchema
+ * @param {Object} request
+ * @param {string} request.query - GraphQL document
+ * @param {Object} [request.variables]
+ * @param {string} [request.operationName] - Operation to run, when the document has several
+ * @param {Object} [options]
+ * @param {*} [options.context] - Passed to every resolver
+ * @param {number} [options.maxDepth=Infinity] - Deepest field nesting allowed
+ * @param {number} [options.maxComplexity=Infinity] - Most objects the query may resolve, see measureComplexity
+ * @returns {Promise<QueryResult>}
+ */
+export async function executeQuery(schema, { query, variables = {}, operationName }, {
+    context,
+    maxDepth = Infinity,
+    maxComplexity = Infinity
+} = {}) {
+    let document;
+    try {
+        document = parse(query);
+    } catch (error) {
+        if (error instanceof GraphQLError) return { errors: [withReason(error, 'syntax')] };
+        throw error;
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) return { errors: validationErrors.map(error => withReason(error, 'validation')) };
+
+    const operation = getOperationAST(document, operationName);
+    let unsupported = null;
+    if (!operation) {
+        unsupported = operationName ? `Unknown operation named "${operationName}".` : 'Must provide operation name if query contains multiple operations.';
+    } else if (operation.operation !== 'query') {
+        unsupported = `This API only supports queries, not ${operation.operation}s.`;
+    }
+    if (unsupported) return { errors: [new GraphQLError(unsupported, { extensions: { reason: 'validation' } })] };
+
+    const coerced = getVariableValues(schema, operation.variableDefinitions ?? [], variables ?? {});
+    if (coerced.errors) return { errors: coerced.errors.map(error => withReason(error, 'validation')) };
+
+    const cost = { depth: 0, complexity: 0 };
+    const limitErrors = validate(schema, document, [
+        createArgumentRangeRule(coerced.coerced),
+        createDepthLimitRule({ operation, variables: coerced.coerced, maxDepth, onMeasured: depth => (cost.depth = depth) }),
+        createComplexityLimitRule({ operation, variables: coerced.coerced, maxComplexity, onMeasured: complexity => (cost.complexity = complexity) })
+    ]);
+    if (limitErrors.length > 0) return { errors: limitErrors };
+
+    const { data, errors } = await execute({
+        schema,
+        document,
+        rootValue: {},
+        contextValue: context,
+        variableValues: variables,
+        operationName
+    });
+    return { data, ...(errors && { errors }), cost };
+}
@@ -0,0 +1,98 @@
+/**
+ * Checks values against the subset of JSON Schema used by the API description:
+ * type (or a list of types), enum, properties, required, additionalProperties,
+ * items, anyOf, minimum, maximum, maxLength and local $ref. The contract tests
+ * use it to hold responses to the OpenAPI document.
+ */
+
+/**
+ * Gets the JSON type of a value; integers are reported as 'integer'.
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Resolves a local reference such as "#/components/schemas/Error".
+ * @param {Object} root - Document the reference points into
+ * @param {string} ref
+ * @returns {Object}
+ */
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) throw new Error(`Unsupported reference "${ref}"`);
+
+    const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+    if (target === undefined) throw new Error(`Unresolved reference "${ref}"`);
+    return target;
+}
+
+/**
+ * Checks a value against a schema.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {Object} [options.root] - Document $refs are resolved in, e.g. the OpenAPI document
+ * @param {string} [options.path] - Location of the value, for messages
+ * @returns {string[]} One message per mismatch, e.g. '$.movies[0].releaseYear must be integer or null'
+ */
+export function checkJsonSchema(schema, value, { root = schema, path = '$' } = {}) {
+    if (schema.$ref) {
+        return checkJsonSchema(resolveRef(root, schema.$ref), value, { root, path });
+    }
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(option => checkJsonSchema(option, value, { root, path }));
+        if (results.some(errors => errors.length === 0)) return [];
+        return [`${path} must match one of ${schema.anyOf.length} schemas (${results.map(errors => errors[0]).join('; ')})`];
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        const actual = typeOf(value);
+        const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+        if (!matches) return [`${path} must be ${types.join(' or ')}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...checkJsonSchema(schema.items, item, { root, path: `${path}[${index}]` }));
+        });
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties ?? {};
+        for (const name of schema.required ?? []) {
+            if (!Object.hasOwn(value, name)) errors.push(`${path}.${name} is required`);
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            const propertyPath = `${path}.${name}`;
+            if (Object.hasOwn(properties, name)) {
+                errors.push(...checkJsonSchema(properties[name], propertyValue, { root, path: propertyPath }));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${propertyPath} is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...checkJsonSchema(schema.additionalProperties, propertyValue, { root, path: propertyPath }));
+            }
+        }
+    }
+
+    return errors;
+}
@@ -1,8 +1,16 @@
 import pino from 'pino';
 
+const isTest = process.env.NODE_ENV === 'test';
+const isPretty = process.env.NODE_ENV !== 'production' && !isTest;
+
+/**
+ * Logs are pretty-printed in development. Under Jest (NODE_ENV=test) they are silent
+ * unless LOG_LEVEL says otherwise, and never go through the pino-pretty worker thread,
+ * whose open ports would keep the test run from exiting.
+ */
 const logger = pino({
-    level: process.env.LOG_LEVEL || 'info',
-    transport: process.env.NODE_ENV !== 'production'
+    level: process.env.LOG_LEVEL || (isTest ? 'silent' : 'info'),
+    transport: isPretty
         ? { target: 'pino-pretty', options: { colorize: true } }
         : undefined
 });
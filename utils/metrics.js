@@ -0,0 +1,80 @@
+import { Counter, Histogram, Registry } from 'prom-client';
+
+/**
+ * The app's Prometheus metrics, kept with prom-client. They live in one shared
+ * registry, imported like the logger; services take them as an option so tests
+ * can pass their own.
+ */
+
+// Latency buckets in seconds, from a cached lookup to a slow TMDB request
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Creates the app's metrics in a registry.
+ * @param {Registry} registry
+ */
+export function createAppMetrics(registry) {
+    const registers = [registry];
+    return {
+        httpRequestDuration: new Histogram({
+            name: 'http_request_duration_seconds',
+            help: 'HTTP request latency by route and status',
+            labelNames: ['method', 'route', 'status'],
+            buckets: DEFAULT_BUCKETS,
+            registers
+        }),
+        tmdbRequests: new Counter({
+            name: 'tmdb_requests_total',
+            help: 'TMDB requests by outcome, counting retries as one request',
+            labelNames: ['endpoint', 'movie_id', 'outcome'],
+            registers
+        }),
+        tmdbRequestDuration: new Histogram({
+            name: 'tmdb_request_duration_seconds',
+            help: 'Latency of each attempt at a TMDB request',
+            labelNames: ['endpoint', 'movie_id'],
+            buckets: DEFAULT_BUCKETS,
+            registers
+        }),
+        tmdbErrors: new Counter({
+            name: 'tmdb_errors_total',
+            help: 'Failed attempts at TMDB requests by reason, including the retried ones',
+            labelNames: ['endpoint', 'movie_id', 'reason'],
+            registers
+        }),
+        tmdbRetries: new Counter({
+            name: 'tmdb_retries_total',
+            help: 'TMDB requests retried after a transient failure',
+            labelNames: ['endpoint', 'movie_id'],
+            registers
+        }),
+        cacheLookups: new Counter({
+            name: 'movie_data_cache_lookups_total',
+            help: 'MovieDataService cache lookups by kind of entry and result',
+            labelNames: ['kind', 'result'],
+            registers
+        }),
+        processingDuration: new Histogram({
+            name: 'data_processor_duration_seconds',
+            help: 'Time spent building processed data in dataProcessor, matching actors and characters',
+            labelNames: ['builder'],
+            buckets: DEFAULT_BUCKETS,
+            registers
+        }),
+        webhookDeliveries: new Counter({
+            name: 'webhook_deliveries_total',
+            help: 'Webhook delivery attempts by outcome: delivered, retried or dead-lettered',
+            labelNames: ['outcome'],
+            registers
+        })
+    };
+}
+
+/**
+ * @typedef {ReturnType<typeof createAppMetrics>} AppMetrics
+ */
+
+export const registry = new Registry();
+
+/** @type {AppMetrics} */
+export const metrics = createAppMetrics(registry);
@@ -0,0 +1,75 @@
+/**
+ * Pure functions for movie details (release date, runtime, poster, MCU phase)
+ * and chronological ordering of movies.
+ */
+
+/**
+ * Ways movie lists can be sorted
+ * @type {string[]}
+ */
+export const MOVIE_SORTS = ['releaseDate', 'phase'];
+
+/**
+ * @typedef {Object} MovieInfo
+ * @property {number} id - TMDB movie ID
+ * @property {string|null} releaseDate - YYYY-MM-DD
+ * @property {number|null} runtime - Minutes
+ * @property {string|null} posterPath - TMDB image path, e.g. "/poster.jpg"
+ * @property {number|null} phase - MCU phase, null for movies outside the MCU
+ */
+
+/**
+ * Keeps the fields of a TMDB `/movie/{id}` response that are used here,
+ * so only those are cached.
+ * @param {Object} details - TMDB movie details
+ * @returns {{id: number, title: string, releaseDate: string|null, runtime: number|null, posterPath: string|null}}
+ */
+export function summarizeMovieDetails(details) {
+    return {
+        id: details.id,
+        title: details.title,
+        releaseDate: details.release_date || null,
+        runtime: details.runtime || null,
+        posterPath: details.poster_path ?? null
+    };
+}
+
+/**
+ * Gets the release year of a movie.
+ * @param {MovieInfo|undefined} info
+ * @returns {number|null}
+ */
+export function releaseYearOf(info) {
+    return info?.releaseDate ? Number(info.releaseDate.slice(0, 4)) : null;
+}
+
+/**
+ * Compares two possibly missing values ascending, missing values last.
+ * @param {string|number|null} a
+ * @param {string|number|null} b
+ * @returns {number}
+ */
+function compareNullable(a, b) {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Creates a comparator of movie names.
+ * 'releaseDate' orders oldest first; 'phase' orders by MCU phase, then release date.
+ * Movies without a release date or phase come last; ties are ordered by name.
+ * @param {'releaseDate'|'phase'} sort
+ * @param {Map<string, MovieInfo>} infoByName - Details per tracked movie name
+ * @returns {(a: string, b: string) => number}
+ */
+export function createMovieComparator(sort, infoByName) {
+    const dateOf = name => infoByName.get(name)?.releaseDate ?? null;
+    const phaseOf = name => infoByName.get(name)?.phase ?? null;
+
+    return (a, b) =>
+        (sort === 'phase' ? compareNullable(phaseOf(a), phaseOf(b)) : 0) ||
+        compareNullable(dateOf(a), dateOf(b)) ||
+        compareNullable(a, b);
+}
@@ -0,0 +1,211 @@
+/**
+ * Builds the OpenAPI 3.1 description of the API from the route table, and a
+ * self-contained HTML page to browse it.
+ */
+
+import { STATUS_CODES } from 'node:http';
+import { describeRequest } from './validation.js';
+
+const ERROR_SCHEMA_REF = '#/components/schemas/Error';
+
+// API keys are sent in a header; see middleware/auth.js
+const SECURITY_SCHEMES = {
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key', description: 'Client API key; admin routes need an admin key' }
+};
+
+/**
+ * @typedef {Object} RouteResponse
+ * @property {number} [status] - Success status, 200 by default
+ * @property {Object} [schema] - JSON Schema of the body; none for bodiless responses such as 204
+ * @property {string} [contentType] - 'application/json' by default
+ * @property {Object.<number, string>} [alternatives] - Other statuses answered with the same body,
+ *   with their meaning, e.g. `{ 503: 'Not ready' }`
+ */
+
+/**
+ * Converts an Express path to an OpenAPI path: "/movies/:id/cast" becomes "/movies/{id}/cast".
+ * @param {string} path
+ * @returns {string}
+ */
+export function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Derives an operation ID from a route: "get /movies/:id/cast" becomes "getMoviesByIdCast".
+ * @param {string} method
+ * @param {string} path
+ * @returns {string}
+ */
+function operationIdOf(method, path) {
+    const words = path.split('/').filter(Boolean).map(segment => segment.startsWith(':') ? `by-${segment.slice(1)}` : segment);
+    return method + words.flatMap(word => word.split('-')).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Describes an error response.
+ * @param {string} description
+ * @returns {Object}
+ */
+function errorResponse(description) {
+    return { description, content: { 'application/json': { schema: { $ref: ERROR_SCHEMA_REF } } } };
+}
+
+/**
+ * Describes one route as an OpenAPI operation.
+ * @param {import('../routes/index.js').Route} route
+ * @returns {Object}
+ */
+function describeOperation({ method, path, summary, tag, admin, probe, schema, response = {} }) {
+    const { status = 200, schema: bodySchema, contentType = 'application/json', alternatives = {} } = response;
+    const { parameters, requestBody } = describeRequest(schema);
+    const takesInput = parameters.length > 0 || requestBody !== undefined;
+    const content = bodySchema && { content: { [contentType]: { schema: bodySchema } } };
+
+    return {
+        operationId: operationIdOf(method, path),
+        summary,
+        ...(tag && { tags: [tag] }),
+        // Admin routes need a key, where others accept requests without one
+        ...(admin && { security: [{ apiKey: [] }] }),
+        // Probes are answered ahead of API key checks and rate limits
+        ...(probe && { security: [] }),
+        ...(parameters.length > 0 && { parameters }),
+        ...(requestBody && { requestBody }),
+        responses: {
+            [status]: { description: STATUS_CODES[status], ...content },
+            ...Object.fromEntries(Object.entries(alternatives).map(([other, description]) => [other, { description, ...content }])),
+            ...(takesInput && { 400: errorResponse('Invalid request, see VALIDATION_FAILED') }),
+            ...(admin && { 403: errorResponse('Not an admin API key, see ADMIN_KEY_REQUIRED') }),
+            ...(!probe && { 429: errorResponse('Rate limit reached, see Retry-After') }),
+            default: errorResponse('Error, see the code')
+        }
+    };
+}
+
+/**
+ * Builds the OpenAPI document of a route table.
+ * @param {import('../routes/index.js').Route[]} routes
+ * @param {Object} options
+ * @param {{title: string, version: string, description?: string}} options.info
+ * @param {Object.<string, Object>} options.schemas - Component schemas referenced by the routes,
+ *   including "Error"
+ * @returns {Object}
+ */
+export function buildOpenApiDocument(routes, { info, schemas }) {
+    const paths = {};
+    for (const route of routes) {
+        const path = toOpenApiPath(route.path);
+        paths[path] = { ...paths[path], [route.method]: describeOperation(route) };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info,
+        // An API key is optional unless the server requires one
+        security: [{}, { apiKey: [] }],
+        paths,
+        components: { schemas, securitySchemes: SECURITY_SCHEMES }
+    };
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Summarizes a JSON Schema in a few words, e.g. "string: releaseDate | phase" or "Error".
+ * @param {Object} [schema]
+ * @returns {string}
+ */
+function describeSchema(schema) {
+    if (!schema) return '';
+    if (schema.$ref) return schema.$ref.split('/').pop();
+    if (schema.anyOf) return schema.anyOf.map(describeSchema).join(' | ');
+    if (schema.type === 'array') return `array of ${describeSchema(schema.items)}`;
+    if (schema.enum) return `${schema.type}: ${schema.enum.join(' | ')}`;
+    return [].concat(schema.type ?? 'any').join(' | ');
+}
+
+/**
+ * Renders an operation for the docs page.
+ * @param {string} path
+ * @param {string} method
+ * @param {Object} operation
+ * @returns {string}
+ */
+function renderOperation(path, method, operation) {
+    const parameters = operation.parameters ?? [];
+    const body = operation.requestBody?.content['application/json'].schema;
+    const responses = Object.entries(operation.responses).map(([status, { description, content }]) => {
+        const [contentType, media] = Object.entries(content ?? {})[0] ?? [];
+        return `<li><code>${escapeHtml(status)}</code> ${escapeHtml(description)}`
+            + (media ? ` <code>${escapeHtml(describeSchema(media.schema))}</code> (${escapeHtml(contentType)})` : '')
+            + '</li>';
+    });
+
+    return `<section class="operation" id="${escapeHtml(operation.operationId)}">
+<h3><span class="method ${escapeHtml(method)}">${escapeHtml(method.toUpperCase())}</span> <code>${escapeHtml(path)}</code></h3>
+<p>${escapeHtml(operation.summary)}</p>
+${operation.security?.length > 0 ? '<p><strong>Needs an admin API key</strong> in the <code>X-Api-Key</code> header.</p>' : ''}
+${parameters.length === 0 ? '' : `<table>
+<tr><th>Parameter</th><th>In</th><th>Type</th><th>Description</th></tr>
+${parameters.map(parameter => `<tr><td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' *' : ''}</td><td>${escapeHtml(parameter.in)}</td><td>${escapeHtml(describeSchema(parameter.schema))}</td><td>${escapeHtml(parameter.description ?? '')}</td></tr>`).join('\n')}
+</table>`}
+${body ? `<p>Body:</p>\n<pre>${escapeHtml(JSON.stringify(body, null, 2))}</pre>` : ''}
+<ul>${responses.join('')}</ul>
+</section>`;
+}
+
+/**
+ * Renders an OpenAPI document as a standalone HTML page: operations grouped by tag,
+ * then the schemas. It loads nothing else, so it works offline.
+ * @param {Object} document - As built by buildOpenApiDocument
+ * @returns {string}
+ */
+export function renderDocsPage(document) {
+    const groups = new Map();
+    for (const [path, operations] of Object.entries(document.paths)) {
+        for (const [method, operation] of Object.entries(operations)) {
+            const tag = operation.tags?.[0] ?? 'Other';
+            if (!groups.has(tag)) groups.set(tag, []);
+            groups.get(tag).push(renderOperation(path, method, operation));
+        }
+    }
+
+    const schemas = Object.entries(document.components?.schemas ?? {}).map(([name, schema]) =>
+        `<section id="schema-${escapeHtml(name)}"><h3>${escapeHtml(name)}</h3>\n<pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre></section>`
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.info.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #222; }
+code, pre { font-family: ui-monospace, monospace; }
+pre { background: #f5f5f5; padding: 0.75em; overflow-x: auto; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+.operation { border-top: 1px solid #ddd; }
+.method { display: inline-block; min-width: 4.5em; color: #fff; background: #555; padding: 0.1em 0.4em; font-size: 0.8em; }
+.get { background: #2a7ab0; } .post { background: #2e8b57; } .delete { background: #b03a2e; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(document.info.version)}</small></h1>
+<p>${escapeHtml(document.info.description ?? '')}</p>
+<p>Machine-readable description: <a href="/openapi.json">/openapi.json</a> (OpenAPI ${escapeHtml(document.openapi)})</p>
+${[...groups].map(([tag, operations]) => `<h2>${escapeHtml(tag)}</h2>\n${operations.join('\n')}`).join('\n')}
+<h2>Schemas</h2>
+${schemas.join('\n')}
+</body>
+</html>
+`;
+}
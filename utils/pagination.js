@@ -0,0 +1,146 @@
+/**
+ * Pagination, sorting and field selection for the /v2 list endpoints.
+ * Lists are returned in an envelope: `{ items, total, nextCursor }`.
+ */
+
+import { FilterError } from './queryFilters.js';
+import { field } from './validation.js';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+/**
+ * @typedef {Object} ListQuery
+ * @property {string} sort - Sort as given, e.g. "-count"
+ * @property {string} sortField - Field name without the direction prefix
+ * @property {boolean} descending
+ * @property {number} limit - Maximum number of items per page
+ * @property {number} offset - Index of the first item of the page
+ * @property {string[]|null} fields - Item fields to keep, or null for all
+ */
+
+/**
+ * Encodes a page position as an opaque cursor. The sort is part of the cursor,
+ * so a cursor can't be reused with a different order.
+ * @param {{offset: number, sort: string}} position
+ * @returns {string}
+ */
+export function encodeCursor({ offset, sort }) {
+    return Buffer.from(JSON.stringify({ offset, sort })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor made by encodeCursor.
+ * @param {string} cursor
+ * @returns {{offset: number, sort: string}}
+ * @throws {FilterError} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const { offset, sort } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(offset) && offset >= 0 && typeof sort === 'string') {
+            return { offset, sort };
+        }
+    } catch {
+        // Reported below
+    }
+    throw new FilterError('Query parameter "cursor" is not a valid cursor');
+}
+
+/**
+ * Describes the ?sort=, ?limit=, ?cursor=, ?offset= and ?fields= query parameters
+ * of a list endpoint, for its route schema.
+ * Sorts are a field name, prefixed with "-" for descending order.
+ * @param {Object} options
+ * @param {string[]} options.sortFields - Accepted sort field names
+ * @param {string} options.defaultSort
+ * @param {string[]} options.fields - Item fields that can be selected
+ * @returns {Object.<string, import('./validation.js').FieldSpec>}
+ */
+export function listQueryFields({ sortFields, defaultSort, fields }) {
+    return {
+        sort: field.string({
+            enum: sortFields.flatMap(sortField => [sortField, `-${sortField}`]),
+            default: defaultSort,
+            description: 'Item order; prefix "-" to reverse'
+        }),
+        limit: field.integer({ minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT, description: 'Items per page' }),
+        cursor: field.string({ description: 'nextCursor of the previous page' }),
+        offset: field.integer({ minimum: 0, description: 'Index of the first item, instead of a cursor' }),
+        fields: field.list({ enum: fields, description: 'Item fields to return' })
+    };
+}
+
+/**
+ * Reads the page position and field selection from a query validated
+ * against listQueryFields. A page starts at ?cursor= (taken from the previous
+ * page's nextCursor) or ?offset=, not both.
+ * @param {{sort: string, limit: number, cursor?: string, offset?: number, fields?: string[]}} query
+ * @returns {ListQuery}
+ * @throws {FilterError} If the cursor is malformed, comes with an offset or was issued for another sort
+ */
+export function parseListQuery({ sort, limit, cursor, offset, fields }) {
+    const descending = sort.startsWith('-');
+
+    if (cursor !== undefined) {
+        if (offset !== undefined) {
+            throw new FilterError('Query parameters "cursor" and "offset" can\'t be combined');
+        }
+        const position = decodeCursor(cursor);
+        if (position.sort !== sort) {
+            throw new FilterError('Query parameter "cursor" was issued for a different sort');
+        }
+        offset = position.offset;
+    }
+
+    return {
+        sort,
+        sortField: descending ? sort.slice(1) : sort,
+        descending,
+        limit,
+        offset: offset ?? 0,
+        fields: fields ?? null
+    };
+}
+
+/**
+ * Compares two sort values ascending; null values sort last whatever the direction.
+ * @param {string|number|null} a
+ * @param {string|number|null} b
+ * @param {boolean} descending
+ * @returns {number}
+ */
+function compareValues(a, b, descending) {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    const order = a < b ? -1 : 1;
+    return descending ? -order : order;
+}
+
+/**
+ * Sorts, pages and projects a list of items into the /v2 envelope.
+ * Items tied on the sort field are ordered by `tieBreaker` ascending, so pages are stable.
+ * @template T
+ * @param {T[]} items
+ * @param {ListQuery} listQuery
+ * @param {Object} options
+ * @param {Object.<string, (item: T) => string|number|null>} options.sortValues - Value of each sort field
+ * @param {(item: T) => string} options.tieBreaker
+ * @returns {{items: Array<Object>, total: number, nextCursor: string|null}}
+ */
+export function paginate(items, { sort, sortField, descending, limit, offset, fields }, { sortValues, tieBreaker }) {
+    const valueOf = sortValues[sortField];
+    const sorted = [...items].sort((a, b) =>
+        compareValues(valueOf(a), valueOf(b), descending) || compareValues(tieBreaker(a), tieBreaker(b), false)
+    );
+
+    const page = sorted.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    return {
+        items: fields ? page.map(item => Object.fromEntries(fields.map(field => [field, item[field]]))) : page,
+        total: sorted.length,
+        nextCursor: nextOffset < sorted.length ? encodeCursor({ offset: nextOffset, sort }) : null
+    };
+}
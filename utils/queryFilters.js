@@ -0,0 +1,126 @@
+/**
+ * Describing, reading and applying the ?actor=, ?movie=, ?minCount= and ?search=
+ * filters, the ?department= and ?job= crew filters and the ?sort= movie order
+ * shared by the aggregate endpoints.
+ */
+
+import { simplifyName } from './text.js';
+import { MOVIE_SORTS } from './movieDetails.js';
+import { field } from './validation.js';
+
+/**
+ * Error thrown when query parameters are valid one by one but can't be honored together,
+ * e.g. a pagination cursor issued for another sort.
+ */
+export class FilterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FilterError';
+    }
+}
+
+/**
+ * @typedef {Object} Filters
+ * @property {string} [actor] - Raw actor name from the query
+ * @property {string} [movie] - Raw movie name or TMDB ID from the query
+ * @property {number} [minCount] - Minimum count an entry needs to be kept
+ * @property {string} [search] - Simplified substring the entry key must contain
+ */
+
+/**
+ * Query fields of the filters, for route schemas.
+ * @type {Object.<string, import('./validation.js').FieldSpec>}
+ */
+export const FILTER_FIELDS = {
+    actor: field.string({ description: 'Tracked actor name, ignoring case, accents and punctuation' }),
+    movie: field.string({ description: 'Tracked movie name or TMDB ID' }),
+    minCount: field.integer({ minimum: 1, description: 'Minimum count an entry needs' }),
+    search: field.string({ description: 'Substring the entry key must contain' })
+};
+
+/**
+ * Query fields of the crew filters, for route schemas.
+ * @type {Object.<string, import('./validation.js').FieldSpec>}
+ */
+export const CREW_FILTER_FIELDS = {
+    department: field.string({ description: 'Crew department, e.g. Directing, ignoring case' }),
+    job: field.string({ description: 'Crew job, e.g. Director, ignoring case' })
+};
+
+/**
+ * Query field of the movie order, for route schemas.
+ * @param {string} [description]
+ * @returns {import('./validation.js').FieldSpec}
+ */
+export function movieSortField(description = 'Order of movie lists') {
+    return field.string({ enum: MOVIE_SORTS, description });
+}
+
+/**
+ * Reads the filters from a query validated against FILTER_FIELDS.
+ * Actor and movie names are returned as given; resolving them to tracked names is
+ * left to the caller, so unknown names can be answered with 404.
+ * @param {Object} query - Validated req.query
+ * @returns {Filters}
+ */
+export function parseFilterQuery({ actor, movie, minCount, search }) {
+    const filters = {};
+    if (actor !== undefined) filters.actor = actor;
+    if (movie !== undefined) filters.movie = movie;
+    if (minCount !== undefined) filters.minCount = minCount;
+    if (search !== undefined) filters.search = simplifyName(search);
+    return filters;
+}
+
+/**
+ * Reads the crew filters from a query validated against CREW_FILTER_FIELDS.
+ * Both are compared ignoring case.
+ * @param {Object} query - Validated req.query
+ * @returns {{department?: string, job?: string}} Lowercased values
+ */
+export function parseCrewQuery({ department, job }) {
+    const filters = {};
+    if (department !== undefined) filters.department = department.toLowerCase();
+    if (job !== undefined) filters.job = job.toLowerCase();
+    return filters;
+}
+
+/**
+ * Keeps the crew credits matching the ?department= and ?job= filters.
+ * @template {{department: string, job: string}} T
+ * @param {T[]} crewCredits
+ * @param {{department?: string, job?: string}} filters - As returned by parseCrewQuery
+ * @returns {T[]}
+ */
+export function filterCrewCredits(crewCredits, { department, job }) {
+    return crewCredits.filter(credit =>
+        (department === undefined || credit.department?.toLowerCase() === department) &&
+        (job === undefined || credit.job?.toLowerCase() === job)
+    );
+}
+
+/**
+ * Filters the entries of an aggregate result object.
+ * @template T
+ * @param {Object.<string, T>} data - Result keyed by actor name or character ID
+ * @param {Object} filters
+ * @param {string} [filters.actor] - Tracked actor name an entry must involve
+ * @param {string} [filters.movie] - Tracked movie name an entry must involve
+ * @param {number} [filters.minCount] - Minimum count an entry needs
+ * @param {string} [filters.search] - Simplified substring the key must contain
+ * @param {Object} accessors - How to read an entry
+ * @param {(key: string, value: T) => string[]} accessors.actorsOf - Actors involved in an entry
+ * @param {(key: string, value: T) => string[]} accessors.moviesOf - Movies involved in an entry
+ * @param {(key: string, value: T) => number} accessors.countOf - What minCount is compared against
+ * @returns {Object.<string, T>}
+ */
+export function filterEntries(data, { actor, movie, minCount, search }, { actorsOf, moviesOf, countOf }) {
+    return Object.fromEntries(
+        Object.entries(data).filter(([key, value]) =>
+            (actor === undefined || actorsOf(key, value).includes(actor)) &&
+            (movie === undefined || moviesOf(key, value).includes(movie)) &&
+            (minCount === undefined || countOf(key, value) >= minCount) &&
+            (search === undefined || simplifyName(key).includes(search))
+        )
+    );
+}
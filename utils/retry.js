@@ -0,0 +1,48 @@
+/**
+ * Helpers for retrying transient failures with exponential backoff.
+ */
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Computes an exponential backoff delay with full jitter.
+ * The delay is a random value between 0 and min(maxDelayMs, baseDelayMs * 2^attempt).
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options
+ * @param {number} options.baseDelayMs - Delay ceiling for the first retry
+ * @param {number} options.maxDelayMs - Upper bound for any single delay
+ * @param {() => number} [options.random] - Random source in [0, 1), injectable for tests
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs, random = Math.random }) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.floor(random() * ceiling);
+}
+
+/**
+ * Parses an HTTP Retry-After header value.
+ * Supports both delta-seconds ("120") and HTTP-date formats.
+ * @param {string|number|undefined} value - Raw header value
+ * @param {number} [now] - Current timestamp in ms, injectable for tests
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+
+    return Math.max(0, date - now);
+}
@@ -0,0 +1,39 @@
+// How often connections that became idle are closed while shutting down
+const IDLE_SWEEP_MS = 50;
+
+/**
+ * Closes an HTTP server gracefully: stops accepting connections, lets the requests
+ * in flight finish, then runs the cleanup. If that takes longer than the timeout,
+ * the remaining connections are cut and the cleanup is no longer waited for.
+ * @param {import('node:http').Server} server
+ * @param {Object} [options]
+ * @param {() => Promise<void>} [options.cleanup] - Runs once every request is answered
+ * @param {number} [options.timeoutMs=10000] - Time allowed for requests and cleanup together
+ * @returns {Promise<{timedOut: boolean}>}
+ */
+export async function closeGracefully(server, { cleanup = async () => {}, timeoutMs = 10000 } = {}) {
+    let timer;
+    // Keep-alive connections are only idle once their request is answered, and would
+    // then hold the server open until they time out, so they are closed as they get there
+    const sweeper = setInterval(() => server.closeIdleConnections(), IDLE_SWEEP_MS);
+    const deadline = new Promise(resolve => {
+        timer = setTimeout(() => resolve('timeout'), timeoutMs);
+    });
+    const drained = (async () => {
+        await new Promise((resolve, reject) => {
+            server.close(error => (error ? reject(error) : resolve()));
+            server.closeIdleConnections();
+        });
+        await cleanup();
+        return 'closed';
+    })();
+
+    try {
+        const outcome = await Promise.race([drained, deadline]);
+        if (outcome === 'timeout') server.closeAllConnections();
+        return { timedOut: outcome === 'timeout' };
+    } finally {
+        clearTimeout(timer);
+        clearInterval(sweeper);
+    }
+}
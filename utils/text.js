@@ -0,0 +1,19 @@
+/**
+ * Text helpers shared by character and actor name matching.
+ */
+
+/**
+ * Lowercases a name and strips diacritics, apostrophes and punctuation,
+ * e.g. "Zoë Saldaña" -> "zoe saldana", "Robert Downey Jr." -> "robert downey jr".
+ * @param {string} text
+ * @returns {string}
+ */
+export function simplifyName(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’.]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,50 @@
+/**
+ * Pure token bucket arithmetic shared by rate limit stores.
+ */
+
+/**
+ * @typedef {Object} RateLimit
+ * @property {number} capacity - Requests allowed in a burst
+ * @property {number} windowMs - Time for an empty bucket to refill completely
+ */
+
+/**
+ * @typedef {Object} BucketState
+ * @property {number} tokens - Tokens left, possibly fractional
+ * @property {number} updatedAt - Timestamp tokens were counted at
+ */
+
+/**
+ * @typedef {Object} TakeResult
+ * @property {boolean} allowed - Whether a token was taken
+ * @property {number} remaining - Whole tokens left
+ * @property {number} resetMs - Time until the bucket is full again
+ * @property {number} retryAfterMs - Time until a token is available; 0 if allowed
+ */
+
+/**
+ * Takes one token from a bucket, refilling it for the time elapsed since it was last counted.
+ * A missing state is a full bucket.
+ * @param {BucketState|undefined} state
+ * @param {RateLimit} limit
+ * @param {number} now - Current timestamp
+ * @returns {{state: BucketState, result: TakeResult}}
+ */
+export function takeToken(state, { capacity, windowMs }, now) {
+    const refillPerMs = capacity / windowMs;
+    const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+    let tokens = state ? Math.min(capacity, state.tokens + elapsed * refillPerMs) : capacity;
+
+    const allowed = tokens >= 1;
+    if (allowed) tokens -= 1;
+
+    return {
+        state: { tokens, updatedAt: now },
+        result: {
+            allowed,
+            remaining: Math.floor(tokens),
+            resetMs: Math.ceil((capacity - tokens) / refillPerMs),
+            retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+        }
+    };
+}
@@ -0,0 +1,280 @@
+/**
+ * Declarative request validation. A route's schema lists the fields of its path
+ * params, query and JSON body; validateRequest checks and coerces a request against
+ * it, and describeRequest turns the same schema into OpenAPI parameter and request
+ * body objects, so the API description can't drift from what routes accept.
+ */
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {'string'|'integer'|'boolean'|'list'|'array'|'object'} type - 'list' is a comma-separated
+ *   query value read as an array of strings; 'array' is a JSON array in a body, 'object' a JSON object
+ * @property {string} [description]
+ * @property {boolean} [required]
+ * @property {boolean} [nullable] - Whether a null body value is accepted, as if the field were missing
+ * @property {*} [default] - Value used when the field is missing
+ * @property {Array<string>} [enum] - Accepted strings, or accepted list items
+ * @property {number} [minimum] - Smallest accepted integer
+ * @property {number} [maximum] - Largest accepted integer
+ * @property {number} [maxLength] - Longest accepted string
+ * @property {FieldSpec} [items] - Spec of each array item
+ */
+
+/**
+ * @typedef {Object} RequestSchema
+ * @property {Object.<string, FieldSpec>} [params] - Path parameters
+ * @property {Object.<string, FieldSpec>} [query] - Query parameters; others are ignored and left
+ *   out of the coerced query, so clients may add cache-busting parameters
+ * @property {boolean} [strictQuery] - Reject query parameters the schema does not list, so a schema
+ *   without query fields accepts none
+ * @property {Object.<string, FieldSpec>} [body] - JSON body fields; others are rejected
+ */
+
+/**
+ * @typedef {Object} FieldError
+ * @property {'params'|'query'|'body'} in - Where the field is
+ * @property {string} name - Field name, empty for the body itself
+ * @property {string} message - What is wrong, e.g. "must be at least 1"
+ */
+
+/**
+ * Error thrown when a request does not match its route's schema.
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {FieldError[]} errors - Every invalid field
+     */
+    constructor(errors) {
+        super(`Invalid request: ${errors.map(error => `${error.in} "${error.name}" ${error.message}`).join('; ')}`);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Field spec builders.
+ * @type {Object.<string, (options?: Object) => FieldSpec>}
+ */
+export const field = {
+    string: (options = {}) => ({ ...options, type: 'string' }),
+    integer: (options = {}) => ({ ...options, type: 'integer' }),
+    boolean: (options = {}) => ({ ...options, type: 'boolean' }),
+    list: (options = {}) => ({ ...options, type: 'list' }),
+    array: (items, options = {}) => ({ ...options, type: 'array', items }),
+    object: (options = {}) => ({ ...options, type: 'object' })
+};
+
+/**
+ * Checks and coerces one value. Values from the path or query string are strings;
+ * body values must already have the right JSON type.
+ * @param {FieldSpec} spec
+ * @param {*} value - Present (not undefined)
+ * @param {boolean} fromString - Whether the value comes from the URL
+ * @returns {{value: *}|{error: string}}
+ */
+function coerceValue(spec, value, fromString) {
+    if (fromString && typeof value !== 'string') {
+        return { error: 'must be given once' };
+    }
+
+    switch (spec.type) {
+        case 'string': {
+            if (typeof value !== 'string') return { error: 'must be a string' };
+            const trimmed = value.trim();
+            if (trimmed === '') return { error: 'must not be empty' };
+            if (spec.maxLength !== undefined && trimmed.length > spec.maxLength) {
+                return { error: `must be at most ${spec.maxLength} characters` };
+            }
+            if (spec.enum && !spec.enum.includes(trimmed)) {
+                return { error: `must be one of: ${spec.enum.join(', ')}` };
+            }
+            return { value: trimmed };
+        }
+        case 'integer': {
+            const number = fromString && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+            if (!Number.isInteger(number)) return { error: 'must be an integer' };
+            if (spec.minimum !== undefined && number < spec.minimum) {
+                return { error: `must be at least ${spec.minimum}` };
+            }
+            if (spec.maximum !== undefined && number > spec.maximum) {
+                return { error: `must be at most ${spec.maximum}` };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            if (fromString && (value === 'true' || value === 'false')) return { value: value === 'true' };
+            if (typeof value !== 'boolean') return { error: 'must be true or false' };
+            return { value };
+        }
+        case 'list': {
+            const items = [...new Set(String(value).split(',').map(item => item.trim()).filter(Boolean))];
+            if (items.length === 0) return { error: 'must list at least one value' };
+            const unknown = spec.enum ? items.filter(item => !spec.enum.includes(item)) : [];
+            if (unknown.length > 0) return { error: `must list values among: ${spec.enum.join(', ')}` };
+            return { value: items };
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return { error: 'must be an array' };
+            const coerced = [];
+            for (const [index, item] of value.entries()) {
+                const result = coerceValue(spec.items, item, false);
+                if (result.error) return { error: `item ${index} ${result.error}` };
+                coerced.push(result.value);
+            }
+            return { value: coerced };
+        }
+        case 'object': {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) return { error: 'must be a JSON object' };
+            return { value };
+        }
+        default:
+            throw new Error(`Unknown field type "${spec.type}"`);
+    }
+}
+
+/**
+ * Validates one part of a request (params, query or body) against its fields.
+ * @param {Object.<string, FieldSpec>} fields
+ * @param {Object} values
+ * @param {'params'|'query'|'body'} location
+ * @param {FieldError[]} errors - Collects invalid fields
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=true] - Whether values without a field are errors; they are dropped otherwise
+ * @returns {Object} Coerced values; missing optional fields are left out unless they have a default
+ */
+function validatePart(fields, values, location, errors, { strict = true } = {}) {
+    const fromString = location !== 'body';
+    const coerced = {};
+
+    for (const name of Object.keys(values)) {
+        if (strict && !Object.hasOwn(fields, name)) {
+            errors.push({ in: location, name, message: 'is not supported here' });
+        }
+    }
+
+    for (const [name, spec] of Object.entries(fields)) {
+        const value = values[name];
+        if (value === undefined || (value === null && spec.nullable)) {
+            if (spec.required) errors.push({ in: location, name, message: 'is required' });
+            else if (spec.default !== undefined) coerced[name] = spec.default;
+            continue;
+        }
+
+        const result = coerceValue(spec, value, fromString);
+        if (result.error) {
+            errors.push({ in: location, name, message: result.error });
+        } else {
+            coerced[name] = result.value;
+        }
+    }
+
+    return coerced;
+}
+
+/**
+ * Validates and coerces a request against a schema. Every invalid field is reported at once.
+ * Params and body are passed through unchecked if the schema leaves them out.
+ * @param {RequestSchema} schema
+ * @param {{params?: Object, query?: Object, body?: *}} request
+ * @returns {{params: Object, query: Object, body: *}} Coerced request parts
+ * @throws {ValidationError}
+ */
+export function validateRequest(schema, { params = {}, query = {}, body }) {
+    const errors = [];
+    const validated = { params, query, body };
+
+    if (schema.params) validated.params = validatePart(schema.params, params, 'params', errors);
+    validated.query = validatePart(schema.query ?? {}, query, 'query', errors, { strict: Boolean(schema.strictQuery) });
+    if (schema.body) {
+        if (body !== undefined && (typeof body !== 'object' || body === null || Array.isArray(body))) {
+            errors.push({ in: 'body', name: '', message: 'must be a JSON object' });
+        } else {
+            validated.body = validatePart(schema.body, body ?? {}, 'body', errors);
+        }
+    }
+
+    if (errors.length > 0) throw new ValidationError(errors);
+    return validated;
+}
+
+/**
+ * Creates middleware validating requests against a schema. The coerced params,
+ * query and body replace the raw ones, so handlers only see valid input.
+ * @param {RequestSchema} schema
+ * @returns {import('express').RequestHandler}
+ */
+export function createValidator(schema) {
+    return (req, _res, next) => {
+        try {
+            Object.assign(req, validateRequest(schema, req));
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Converts a field spec to a JSON Schema.
+ * @param {FieldSpec} spec
+ * @returns {Object}
+ */
+function toJsonSchema({ type, description, nullable, enum: values, minimum, maximum, maxLength, items, default: defaultValue }) {
+    const schema = type === 'list'
+        ? { type: 'array', items: { type: 'string', ...(values && { enum: values }) } }
+        : { type: nullable ? [type, 'null'] : type, ...(values && { enum: values }) };
+
+    if (description !== undefined) schema.description = description;
+    if (minimum !== undefined) schema.minimum = minimum;
+    if (maximum !== undefined) schema.maximum = maximum;
+    if (maxLength !== undefined) schema.maxLength = maxLength;
+    if (items !== undefined) schema.items = toJsonSchema(items);
+    if (defaultValue !== undefined) schema.default = defaultValue;
+    return schema;
+}
+
+/**
+ * Describes a schema as OpenAPI 3 parameter and request body objects.
+ * @param {RequestSchema} schema
+ * @returns {{parameters: Array<Object>, requestBody?: Object}}
+ */
+export function describeRequest(schema) {
+    const parameter = (location, required) => ([name, spec]) => {
+        const { description, ...jsonSchema } = toJsonSchema(spec);
+        return {
+            name,
+            in: location,
+            required: required || Boolean(spec.required),
+            ...(description !== undefined && { description }),
+            schema: jsonSchema,
+            // Lists are comma-separated: ?fields=a,b
+            ...(spec.type === 'list' && { style: 'form', explode: false })
+        };
+    };
+
+    const description = {
+        parameters: [
+            ...Object.entries(schema.params ?? {}).map(parameter('path', true)),
+            ...Object.entries(schema.query ?? {}).map(parameter('query', false))
+        ]
+    };
+
+    if (schema.body) {
+        const required = Object.keys(schema.body).filter(name => schema.body[name].required);
+        description.requestBody = {
+            required: required.length > 0,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: Object.fromEntries(Object.entries(schema.body).map(([name, spec]) => [name, toJsonSchema(spec)])),
+                        ...(required.length > 0 && { required }),
+                        additionalProperties: false
+                    }
+                }
+            }
+        };
+    }
+
+    return description;
+}
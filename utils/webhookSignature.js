@@ -0,0 +1,41 @@
+/**
+ * HMAC signatures of webhook payloads. Deliveries carry
+ * `X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`,
+ * keyed with the subscription's secret; signing the timestamp too lets
+ * receivers reject replayed deliveries.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+/**
+ * Signs a payload.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} The X-Webhook-Signature header value
+ */
+export function signPayload(secret, timestamp, body) {
+    const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Checks a signature header, as a receiver would.
+ * @param {string} secret - Subscription secret
+ * @param {string|undefined} header - X-Webhook-Signature value
+ * @param {string} body - Raw request body
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds=300] - Oldest accepted timestamp, from now
+ * @param {number} [options.now] - Current time in ms, injectable for tests
+ * @returns {boolean}
+ */
+export function verifySignature(secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) {
+    const parts = Object.fromEntries((header ?? '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}